@@ -7,6 +7,9 @@
  *  - POST   /auth/logout
  *  - POST   /auth/forgot
  *  - POST   /auth/reset
+ *  - POST   /auth/mfa/verify
+ *  - POST   /auth/mfa/enrol/start
+ *  - POST   /auth/mfa/enrol/confirm
  *
  *  - POST   /timesheets/presign
  *  - PUT    /upload?key=...&booking_id=...&role=nurse|authoriser&token=...
@@ -91,7 +94,7 @@ function toBase64(u8) {
 
 // --- HTML builder ----------------------------------------------------------
 // ====== PDF + TS RENDER HELPERS ======
-import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import { PDFDocument, StandardFonts, rgb, degrees } from 'pdf-lib';
 
 // MM→points for A4 placement
 const MM_TO_PT = 72 / 25.4;
@@ -159,7 +162,6 @@ function minutesDiff(startMin, endMin, overnight=false) {
   if (overnight || endMin <= startMin) return (24*60 - startMin) + endMin;
   return endMin - startMin;
 }
-function isBH(ymd, bhSet) { return bhSet && bhSet.has(ymd); }
 
 // Derive per-day total hours (decimal) from std_schedule_json {mon..sun:{start,end,break_minutes}}
 
@@ -206,47 +208,213 @@ function deriveStdHoursFromSchedule(stdSched) {
   return out;
 }
 
-// Load client windows & BH list (fallback to defaults if missing)
-async function loadClientTimePolicy(env, clientId) {
-  const cs = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/client_settings?client_id=eq.${enc(clientId)}&select=day_start,day_end,night_start,night_end,bh_list`);
-  const defaults = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/settings_defaults?id=eq.1&select=day_start,day_end,night_start,night_end,bh_list`);
-  const ds = (cs && cs.day_start) ? cs : defaults || {};
-  const dayStart = parseHHMM(ds?.day_start || '06:00');
-  const dayEnd   = parseHHMM(ds?.day_end   || '20:00');
-  const nightStart = parseHHMM(ds?.night_start || '20:00');
-  const nightEnd   = parseHHMM(ds?.night_end   || '06:00');
-  const bhList = Array.isArray(ds?.bh_list) ? new Set(ds.bh_list) : new Set();
-  return { dayStart, dayEnd, nightStart, nightEnd, bhList };
-}
-
-// Segment one day's chunk [a,b) in minutes (0..1440), allocate into day/night using client windows.
-// Weekend/BH overlay wins over day/night; precedence BH > Sun > Sat > Night > Day.
-function segmentChunkIntoBuckets(dateYmd, a, b, policy, acc) {
-  const len = Math.max(0, b - a);
-  if (len === 0) return;
-  if (isBH(dateYmd, policy.bhList)) { acc.bh += len; return; }
-  const d = dow(dateYmd);
-  if (d === 0) { acc.sun += len; return; }
-  if (d === 6) { acc.sat += len; return; }
-
-  // split into [dayStart, dayEnd) as 'day', remainder 'night'
-  const ds = policy.dayStart, de = policy.dayEnd;
-  const seg = [
-    { from: 0,  to: ds,  bucket:'night' },
-    { from: ds, to: de,  bucket:'day'   },
-    { from: de, to: 1440, bucket:'night' }
-  ];
-  let remStart = a, remEnd = b;
-  for (const s of seg) {
-    const x1 = Math.max(remStart, s.from), x2 = Math.min(remEnd, s.to);
-    if (x2 > x1) acc[s.bucket] += (x2 - x1);
+// ---------------------- Hours classification engine ----------------------
+// The one place worked time becomes day/night/sat/sun/bh minutes, for daily timesheets (TSFIN)
+// and weekly contract-week schedules alike. Shifts are held as real UTC instants and walked in
+// local wall-clock time, so a 20:00–08:00 night over a clock change pays the 11h / 13h actually
+// worked, and Saturday/Sunday/bank holidays split at local midnight rather than UTC midnight.
+// The same shift therefore lands in the same buckets however it was submitted.
+//
+// Policy (timeBandsFromPolicy over loadPolicy): [day_start, day_end) local is day, the rest of
+// a weekday is night; a local date in bh_list is BH, else a Sunday/Saturday date is SUN/SAT.
+// Precedence BH > Sun > Sat > Night > Day. A break with clock times is cut out where it was
+// taken; a duration-only break is placed by break_placement: LARGEST_BUCKET (default, as contract
+// weeks have always been priced) deducts it from the shift's biggest bucket, MID_SHIFT (opt-in per
+// client) takes it from the middle of the shift.
+//
+// Clients can add their own buckets (client_settings.custom_buckets_json), e.g. an enhanced
+// evening band or Christmas Day apart from other bank holidays:
+//   [{ code, label, precedence, windows?: [{start,end}], days?: [0..6], dates?: ['MM-DD'|'YYYY-MM-DD'],
+//      bank_holiday?: true|false }]
+// A minute goes to the highest-precedence custom bucket that matches it (every given condition
+// holds; windows are local and wrap midnight when end <= start), provided that precedence beats
+// the built-in bucket it would otherwise land in (day 10, night 20, sat 30, sun 40, bh 50).
+// Contract weeks classify with them too and price them from the contract's
+// rates_json.custom_rates_json, else the client's default rate window (priceContractWeek).
+//
+// Paid time can differ from clocked time (policy fields, recorded with the rest of the policy in
+// policy_snapshot_json):
+//   rounding_mode NONE (default) | NEAREST | UP | DOWN, rounding_increment_minutes (e.g. 15):
+//     the shift's worked minutes (after breaks) are rounded to the increment
+//   min_paid_hours: any shift is paid at least this long
+//   callout_min_hours: a call-out (timesheet is_callout once an approver has confirmed it, see
+//     callout_confirmed_at / schedule day callout) is paid at least this, in place of min_paid_hours
+//     (which still applies to call-outs when no call-out minimum is set)
+// Rounding moves the end of the shift; a minimum tops it up after the end, so the extra time
+// is bucketed (and paid) like the shift's last minutes.
+const ROUNDING_MODES = ['NONE', 'NEAREST', 'UP', 'DOWN'];
+const BUCKET_KEYS = ['day', 'night', 'sat', 'sun', 'bh'];
+const BUCKET_PRECEDENCE = { day: 10, night: 20, sat: 30, sun: 40, bh: 50 };
+export function emptyBuckets() { return { day:0, night:0, sat:0, sun:0, bh:0 }; }
+
+// Minutes ahead of UTC at an instant. Europe/London only; any other zone is treated as UTC.
+function tzOffsetMin(tz, ms) {
+  if (tz !== LONDON_TZ) return 0;
+  const y = new Date(ms).getUTCFullYear();
+  return (ms >= bstStartUtc(y) && ms < bstEndUtc(y)) ? 60 : 0;
+}
+function nextTzTransition(tz, ms) {
+  if (tz !== LONDON_TZ) return Infinity;
+  const y = new Date(ms).getUTCFullYear();
+  for (const t of [bstStartUtc(y), bstEndUtc(y), bstStartUtc(y + 1)]) if (t > ms) return t;
+  return Infinity;
+}
+
+// UTC instant of a local wall-clock time. The repeated autumn hour resolves to its first (BST)
+// occurrence; a time inside the spring gap moves forward by the gap (01:30 → 02:30 BST).
+function localToUtcMs(tz, ymd, minuteOfDay) {
+  const [Y, Mo, D] = String(ymd).split('-').map(Number);
+  const L = Date.UTC(Y, Mo - 1, D) + minuteOfDay * 60000;
+  for (const off of [60, 0]) if (tzOffsetMin(tz, L - off * 60000) === off) return L - off * 60000;
+  return L;
+}
+function localPartsAt(tz, ms) {
+  const L = ms + tzOffsetMin(tz, ms) * 60000;
+  const d = new Date(L);
+  return { ymd: d.toISOString().slice(0, 10), minute: (L - Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate())) / 60000 };
+}
+
+export function timeBandsFromPolicy(policy, { customBuckets = true } = {}) {
+  const p = policy || {};
+  const dayStart = hhmmToMin(p.day_start || '06:00');
+  const dayEnd = hhmmToMin(p.day_end || '20:00');
+  const custom = customBuckets ? normaliseCustomBuckets(p.custom_buckets_json) : [];
+  const edges = new Set([dayStart, dayEnd, 1440]);
+  for (const c of custom) for (const [a, b] of c.windows) { edges.add(a); edges.add(b); }
+  return {
+    tz: p.timezone_id || LONDON_TZ,
+    dayStart, dayEnd,
+    bh: new Set(p.bh_list || []),
+    breakPlacement: String(p.break_placement || 'LARGEST_BUCKET').toUpperCase(),
+    rounding: {
+      mode: String(p.rounding_mode || 'NONE').toUpperCase(),
+      increment: Math.max(0, Number(p.rounding_increment_minutes) || 0),
+    },
+    minPaidMin: Math.max(0, Number(p.min_paid_hours) || 0) * 60,
+    calloutMinMin: Math.max(0, Number(p.callout_min_hours) || 0) * 60,
+    custom,
+    edges: [...edges].sort((a, b) => a - b),
+    breakOrder: [...custom.map(c => c.code), 'bh', 'sun', 'sat', 'night', 'day'],
+  };
+}
+
+const inWindow = (minute, s, e) => s <= e ? (minute >= s && minute < e) : (minute >= s || minute < e);
+
+function bucketAt(bands, ymd, minute) {
+  let base;
+  if (bands.bh.has(ymd)) base = 'bh';
+  else if (dow(ymd) === 0) base = 'sun';
+  else if (dow(ymd) === 6) base = 'sat';
+  else base = inWindow(minute, bands.dayStart, bands.dayEnd) ? 'day' : 'night';
+
+  for (const c of bands.custom) {                  // highest precedence first
+    if (c.precedence <= BUCKET_PRECEDENCE[base]) break;
+    if (c.dates && !c.dates.has(ymd) && !c.dates.has(ymd.slice(5))) continue;
+    if (c.days && !c.days.has(dow(ymd))) continue;
+    if (c.bank_holiday != null && c.bank_holiday !== bands.bh.has(ymd)) continue;
+    if (c.windows.length && !c.windows.some(([a, b]) => inWindow(minute, a, b))) continue;
+    return c.code;
+  }
+  return base;
+}
+
+// custom_buckets_json → definitions sorted by precedence (highest first); invalid entries are dropped
+// (customBucketsInputError rejects them on save).
+function normaliseCustomBuckets(list) {
+  if (!Array.isArray(list)) return [];
+  const out = [];
+  for (const b of list) {
+    if (customBucketError(b)) continue;
+    out.push({
+      code: b.code,
+      label: String(b.label || b.code),
+      precedence: Number(b.precedence),
+      windows: (b.windows || []).map(w => [parseHHMM(w.start), parseHHMM(w.end) || 1440]),
+      days: Array.isArray(b.days) && b.days.length ? new Set(b.days.map(Number)) : null,
+      dates: Array.isArray(b.dates) && b.dates.length ? new Set(b.dates.map(String)) : null,
+      bank_holiday: typeof b.bank_holiday === 'boolean' ? b.bank_holiday : null,
+    });
+  }
+  return out.sort((a, b) => b.precedence - a.precedence);
+}
+
+function customBucketError(b) {
+  if (!b || typeof b !== 'object') return 'each custom bucket must be an object';
+  if (!/^[a-z][a-z0-9_]{1,23}$/.test(String(b.code || '')) || BUCKET_KEYS.includes(b.code)) {
+    return `custom bucket code "${b.code}" must be 2-24 chars of a-z, 0-9, _ and not one of ${BUCKET_KEYS.join(', ')}`;
+  }
+  const n = Number(b.precedence);
+  if (!Number.isInteger(n) || n < 1 || n > 100) return `${b.code}: precedence must be an integer 1..100`;
+  if (b.windows != null && (!Array.isArray(b.windows) || b.windows.some(w => parseHHMM(w?.start) == null || parseHHMM(w?.end) == null))) {
+    return `${b.code}: windows must be [{start:"HH:MM", end:"HH:MM"}]`;
+  }
+  if (b.days != null && (!Array.isArray(b.days) || b.days.some(d => !Number.isInteger(Number(d)) || d < 0 || d > 6))) {
+    return `${b.code}: days must be 0 (Sun) .. 6 (Sat)`;
+  }
+  if (b.dates != null && (!Array.isArray(b.dates) || b.dates.some(d => !/^(\d{4}-)?\d{2}-\d{2}$/.test(String(d))))) {
+    return `${b.code}: dates must be "MM-DD" (every year) or "YYYY-MM-DD"`;
+  }
+  if (!b.windows?.length && !b.days?.length && !b.dates?.length && typeof b.bank_holiday !== 'boolean') {
+    return `${b.code}: give at least one of windows, days, dates or bank_holiday`;
+  }
+  return null;
+}
+
+function roundingInputError(input) {
+  if ('rounding_mode' in input && input.rounding_mode != null) {
+    input.rounding_mode = String(input.rounding_mode).toUpperCase();
+    if (!ROUNDING_MODES.includes(input.rounding_mode)) return `rounding_mode must be one of ${ROUNDING_MODES.join(', ')}`;
+  }
+  const inc = input.rounding_increment_minutes;
+  if (inc != null && (!Number.isInteger(Number(inc)) || Number(inc) < 0 || Number(inc) > 60)) {
+    return 'rounding_increment_minutes must be a whole number of minutes 0..60';
+  }
+  for (const k of ['min_paid_hours', 'callout_min_hours']) {
+    const v = input[k];
+    if (v != null && (!Number.isFinite(Number(v)) || Number(v) < 0 || Number(v) > 24)) return `${k} must be 0..24 hours`;
+  }
+  return null;
+}
+
+function customBucketsInputError(list) {
+  if (list == null) return null;
+  if (!Array.isArray(list)) return 'custom_buckets_json must be an array';
+  const seen = new Set();
+  for (const b of list) {
+    const err = customBucketError(b);
+    if (err) return err;
+    if (seen.has(b.code)) return `custom bucket code "${b.code}" is used twice`;
+    seen.add(b.code);
+  }
+  return null;
+}
+
+// Adds [a, b) (UTC ms) to acc, cutting at local midnight, the day window edges and clock changes;
+// between cuts the offset is fixed, so each piece sits wholly in one bucket.
+function accrueInterval(bands, a, b, acc) {
+  let cur = a;
+  while (cur < b) {
+    const { ymd, minute } = localPartsAt(bands.tz, cur);
+    const edge = bands.edges.find(m => m > minute);
+    const next = Math.min(b, cur + (edge - minute) * 60000, nextTzTransition(bands.tz, cur));
+    const key = bucketAt(bands, ymd, minute);
+    acc[key] = (acc[key] || 0) + (next - cur) / 60000;
+    cur = next;
+  }
+}
+
+function subtractIntervals(work, cuts) {
+  let out = work;
+  for (const [cs, ce] of cuts) {
+    out = out.flatMap(([a, b]) => (b <= cs || a >= ce) ? [[a, b]]
+      : [...(a < cs ? [[a, cs]] : []), ...(b > ce ? [[ce, b]] : [])]);
   }
+  return out;
 }
 
-// Apply duration-only break: subtract from largest bucket; ties: BH > Sun > Sat > Night > Day
-function applyDurationBreak(acc, breakMin) {
+// Apply duration-only break: subtract from largest bucket; ties: custom (by precedence) > BH > Sun > Sat > Night > Day
+function applyDurationBreak(acc, breakMin, order = ['bh','sun','sat','night','day']) {
   if (!breakMin || breakMin<=0) return;
-  const order = ['bh','sun','sat','night','day'];
   let remaining = breakMin;
   while (remaining>0) {
     // find largest bucket by minutes following precedence order for ties
@@ -262,48 +430,130 @@ function applyDurationBreak(acc, breakMin) {
   }
 }
 
-// Resolve hours (minutes) by bucket from an actual_schedule_json array
-async function resolveBucketsFromSchedule(env, contract, actualDays /* array of {date,start,end,breaks?,break_minutes?,overnight?} */) {
-  const policy = await loadClientTimePolicy(env, contract.client_id);
-  const acc = { day:0, night:0, sat:0, sun:0, bh:0 };
+// Rounding then minimums (see the engine notes) → { clocked, paid } minutes. Non-integral minutes
+// are left alone when no rule applies.
+function paidMinutes(bands, clocked, callout) {
+  const { mode, increment } = bands.rounding;
+  let paid = clocked;
+  if (increment > 0 && mode !== 'NONE') {
+    const fn = mode === 'UP' ? Math.ceil : mode === 'DOWN' ? Math.floor : Math.round;
+    paid = fn(clocked / increment) * increment;
+  }
+  const floor = (callout && bands.calloutMinMin > 0) ? bands.calloutMinMin : bands.minPaidMin;
+  if (clocked > 0 && paid < floor) paid = floor;
+  return { clocked, paid };
+}
 
-  for (const d of (actualDays||[])) {
-    if (!d || !d.date || !d.start || !d.end) continue;
-    const s = parseHHMM(d.start), e = parseHHMM(d.end);
-    if (s==null || e==null) throw new Error(`Invalid HH:MM in actual_schedule_json for ${d.date}`);
-    const overnight = (e<=s);                              // ← infer overnight
+// Shortens (delta < 0) or extends (delta > 0) sorted intervals at the end by delta minutes
+function adjustIntervalsAtEnd(work, deltaMin) {
+  const out = work.map(w => [...w]);
+  if (!out.length || !deltaMin) return out;
+  if (deltaMin > 0) { out[out.length - 1][1] += deltaMin * 60000; return out; }
+  let cut = -deltaMin * 60000;
+  while (cut > 0 && out.length) {
+    const last = out[out.length - 1];
+    const len = last[1] - last[0];
+    if (len > cut) { last[1] -= cut; cut = 0; } else { cut -= len; out.pop(); }
+  }
+  return out;
+}
 
-    const chunk1 = { date: d.date, from: s, to: overnight ? 1440 : e };
-    const chunks = [chunk1];
-    if (overnight) {
-      const next = addDays(d.date, 1);
-      chunks.push({ date: next, from: 0, to: e });
-    }
+// shift: { start, end } (UTC ms) with breaks: [[startMs, endMs], ...] or a duration-only break_minutes,
+// and callout: true for a call-out. Adds the shift's paid minutes by bucket to acc and returns it.
+// trace, if given, receives { clocked_minutes, paid_minutes } once rounding/minimums changed anything.
+export function classifyShift(bands, shift, acc = emptyBuckets(), trace = null) {
+  if (!(shift.end > shift.start)) return acc;
+  const breaks = (shift.breaks || []).filter(([s, e]) => e > s);
+  const breakMin = breaks.length ? 0 : Math.max(0, Number(shift.break_minutes) || 0);
+  const largest = bands.breakPlacement === 'LARGEST_BUCKET';
 
-    for (const c of chunks) {
-      segmentChunkIntoBuckets(c.date, c.from, c.to, policy, acc);
-    }
+  let work = subtractIntervals([[shift.start, shift.end]], breaks);
+  if (breakMin && !largest) {
+    const total = (shift.end - shift.start) / 60000;
+    const cut = shift.start + Math.floor((total - breakMin) / 2) * 60000;
+    work = breakMin >= total ? [] : subtractIntervals(work, [[cut, cut + breakMin * 60000]]);
+  }
 
-    if (Array.isArray(d.breaks) && d.breaks.length) {
-      for (const br of d.breaks) {
-        const bs = parseHHMM(br.start), be = parseHHMM(br.end);
-        if (bs==null || be==null) continue;
-        const bOver = (be<=bs);
-        const bChunk1 = { date: d.date, from: bs, to: bOver ? 1440 : be };
-        const bChunks = [bChunk1];
-        if (bOver) bChunks.push({ date: addDays(d.date,1), from: 0, to: be });
-
-        const tmp = { day:0, night:0, sat:0, sun:0, bh:0 };
-        for (const c of bChunks) segmentChunkIntoBuckets(c.date, c.from, c.to, policy, tmp);
-        for (const k of Object.keys(acc)) acc[k] = Math.max(0, acc[k] - (tmp[k]||0));
-      }
-    } else if (Number(d.break_minutes)>0) {
-      applyDurationBreak(acc, Number(d.break_minutes));
+  // Largest-bucket breaks come off after bucketing, so count them here and adjust the intervals
+  const spanMin = work.reduce((n, [a, b]) => n + (b - a) / 60000, 0);
+  const held = (breakMin && largest) ? Math.min(breakMin, spanMin) : 0;
+  const { clocked, paid } = paidMinutes(bands, spanMin - held, !!shift.callout);
+  if (paid !== clocked) {
+    work = adjustIntervalsAtEnd(work, paid - clocked);
+    if (trace) {
+      trace.clocked_minutes = round2((trace.clocked_minutes || 0) + clocked);
+      trace.paid_minutes = round2((trace.paid_minutes || 0) + paid);
     }
   }
+
+  const own = emptyBuckets();
+  for (const [a, b] of work) accrueInterval(bands, a, b, own);
+  if (breakMin && largest) applyDurationBreak(own, breakMin, bands.breakOrder);
+  for (const k of Object.keys(own)) acc[k] = (acc[k] || 0) + own[k];
   return acc;
 }
 
+// Minutes → hours_* plus custom: { code: hours } for custom buckets that got any time
+export function bucketHours(acc) {
+  const custom = {};
+  for (const [k, v] of Object.entries(acc)) if (!BUCKET_KEYS.includes(k) && v > 0) custom[k] = round2(v / 60);
+  return {
+    hours_day: round2(acc.day / 60),
+    hours_night: round2(acc.night / 60),
+    hours_sat: round2(acc.sat / 60),
+    hours_sun: round2(acc.sun / 60),
+    hours_bh: round2(acc.bh / 60),
+    custom,
+  };
+}
+
+// Daily timesheet row → shift. is_callout is the candidate's claim; it only counts as a call-out
+// once the remote approver or an agency reviewer has confirmed it.
+export function shiftFromTimesheet(ts) {
+  const ms = (iso) => iso ? new Date(iso).getTime() : NaN;
+  const bs = ms(ts.break_start_iso), be = ms(ts.break_end_iso);
+  return {
+    start: ms(ts.worked_start_iso), end: ms(ts.worked_end_iso),
+    breaks: bs < be ? [[bs, be]] : [],
+    break_minutes: ts.break_minutes || 0,
+    callout: !!ts.is_callout && !!ts.callout_confirmed_at,
+  };
+}
+
+// Weekly schedule day {date,start,end,breaks?,break_minutes?} (local HH:MM) → shift. A time before
+// the start (or an end equal to it) is on the next day, so overnight shifts need no flag.
+export function shiftFromScheduleDay(tz, d) {
+  const s = parseHHMM(d.start), e = parseHHMM(d.end);
+  if (s==null || e==null) throw new Error(`Invalid HH:MM in actual_schedule_json for ${d.date}`);
+  const at = (m, isEnd) => localToUtcMs(tz, (m < s || (isEnd && m === s)) ? addDays(d.date, 1) : d.date, m);
+  const breaks = [];
+  for (const br of (Array.isArray(d.breaks) ? d.breaks : [])) {
+    const bs = parseHHMM(br?.start), be = parseHHMM(br?.end);
+    if (bs==null || be==null) continue;
+    breaks.push([at(bs, false), at(be, true)]);
+  }
+  return { start: at(s, false), end: at(e, true), breaks, break_minutes: Number(d.break_minutes) || 0, callout: !!d.callout };
+}
+
+// Resolve minutes by bucket (custom ones included) from an actual_schedule_json array, with the
+// policy they were classified under and the week's clocked vs paid minutes → { minutes, policy, adjustment }
+async function resolveBucketsFromSchedule(env, contract, actualDays /* array of {date,start,end,breaks?,break_minutes?} */, weekEnding) {
+  const days = (actualDays||[]).filter(d => d && d.date && d.start && d.end);
+  const firstDate = days.map(d => d.date).sort()[0] || null;
+  let policy = await loadPolicy(env, contract.client_id || null, firstDate);
+  // Custom buckets the week has no pay and charge rate for are left out, so those hours stay in the
+  // standard buckets: a client adding a bucket must not break contracts priced before it existed
+  if (normaliseCustomBuckets(policy.custom_buckets_json).length) {
+    const rates = await contractCustomRates(env, contract, weekEnding, payChargeFromContract(contract).method);
+    policy = { ...policy, custom_buckets_json: policy.custom_buckets_json.filter(b => rates.pay[b.code] != null && rates.charge[b.code] != null) };
+  }
+  const bands = timeBandsFromPolicy(policy);
+  const acc = emptyBuckets();
+  const adjustment = {};
+  for (const d of days) classifyShift(bands, shiftFromScheduleDay(bands.tz, d), acc, adjustment);
+  return { minutes: acc, policy, adjustment };
+}
+
 
 async function r2GetJSON(env, key) {
   const u8 = await r2GetBytes(env, key);
@@ -413,7 +663,7 @@ function presignR2Url(env, req, key, ttlSeconds = 300) {
   const cleanKey = normalizeKey(key);
   const exp = Math.floor(Date.now() / 1000) + (ttlSeconds | 0);
   const tokenPayload = { typ: "dl", key: cleanKey, exp };
-  const token = createToken(env.UPLOAD_TOKEN_SECRET, tokenPayload);
+  const token = createToken(uploadKeyring(env), tokenPayload);
   const base = env.PUBLIC_DOWNLOAD_BASE_URL || new URL(new URL(req.url).origin + '/api/files/download').toString();
   const u = new URL(base);
   u.searchParams.set('key', cleanKey);
@@ -587,6 +837,19 @@ async function renderTimesheetPDFAndSave(env, timesheetId) {
       const authBytes = new Uint8Array(await new Response(authObj.body).arrayBuffer());
       await drawImageInBox(page, pdfDoc, authBytes, layout.fields.auth_signature, authObj.httpMetadata?.contentType || 'image/png');
     }
+  } else if (ts.authorisation_evidence?.method === 'REMOTE_LINK') {
+    // Remote approval: print the evidence inside the authoriser signature box
+    const ev = ts.authorisation_evidence;
+    const box = layout.fields.auth_signature;
+    drawText(ev.approver_name, layout.fields.auth_name);
+    drawText(ev.approver_job_title || ts.auth_job_title || '', layout.fields.auth_job_title);
+    const lines = [
+      'Approved remotely via emailed link',
+      `${ev.approver_name} <${ev.approver_email}>`,
+      `${fmtUKDate(ev.approved_at)} ${fmtUKTime(ev.approved_at)} (UK) from IP ${ev.ip || 'unknown'}`,
+      `Ref ${ev.approval_request_id}`,
+    ];
+    lines.forEach((t, i) => drawText(t, { x_mm: box.x_mm + 1, y_mm: box.y_mm + box.h_mm - 4 - i * 4 }, 7));
   }
 
   // Sign dates (UK-local)
@@ -679,6 +942,42 @@ function payChargeFromContract(contract) {
   return { pay, charge, method };
 }
 
+/** Custom bucket rates for a contract week → { pay, charge } by code: the contract's
+ *  rates_json.custom_rates_json ({ code: { charge, paye, umb } }) over the client's default window. */
+async function contractCustomRates(env, contract, weekEnding, method) {
+  const windowDef = (contract.client_id && contract.role)
+    ? await fetchUnifiedDefaultWindow(env, { client_id: contract.client_id, role: contract.role, band: contract.band ?? null, date: weekEnding })
+    : null;
+  const fromClient = customRatesFrom(windowDef, null, method);
+  const fromContract = customRatesFrom({ custom_rates_json: contract.rates_json?.custom_rates_json }, null, method);
+  return { pay: { ...fromClient.pay, ...fromContract.pay }, charge: { ...fromClient.charge, ...fromContract.charge } };
+}
+
+/** Price a contract week: the five buckets at the contract's rates, custom buckets at
+ *  contractCustomRates. hours: { day..bh }, custom: { code: hours }. */
+async function priceContractWeek(env, contract, weekEnding, hours, custom, policy) {
+  const { pay, charge, method } = payChargeFromContract(contract);
+  if (Object.keys(custom).length) {
+    const rates = await contractCustomRates(env, contract, weekEnding, method);
+    Object.assign(pay, rates.pay);
+    Object.assign(charge, rates.charge);
+  }
+
+  const labels = Object.fromEntries(normaliseCustomBuckets(policy?.custom_buckets_json).map(c => [c.code, c.label]));
+  const custom_buckets_json = Object.entries(custom).map(([code, h]) => ({
+    code, label: labels[code] || code, hours: h, pay: pay[code] ?? null, charge: charge[code] ?? null,
+  }));
+  const sums = customBucketSums(custom_buckets_json);
+  const n2 = (x) => Number(x) || 0;
+  const fiveOf = (R) => BUCKET_KEYS.reduce((t, k) => t + hours[k] * n2(R[k]), 0);
+  return {
+    pay, charge, method, custom_buckets_json,
+    missing: anyMissingRates({ ...hours, ...custom }, pay, charge),
+    total_pay: round2(fiveOf(pay) + sums.pay),
+    total_charge: round2(fiveOf(charge) + sums.charge),
+  };
+}
+
 /** Compose a weekly booking id using existing helper */
 function makeWeeklyBookingId(candidateId, contract, cw) {
   const hospital = contract?.display_site || contract?.client_id || 'client';
@@ -723,7 +1022,7 @@ async function patchContractWeekScan(env, cwId, r2Key) {
 // A) CONTRACTS (CRUD + lifecycle)
 // ----------------------------------------------------------------------------
 export async function handleContractsCreate(env, req) {
-  const user = await requireUser(env, req, ['admin']); // backoffice only
+  const user = await requireUser(env, req, ['contracts:write']); // backoffice only
   if (!user) return withCORS(env, req, unauthorized());
 
   let body;
@@ -757,6 +1056,12 @@ export async function handleContractsCreate(env, req) {
   };
   const bucketLabels = validateLabels(body.bucket_labels_json) || null;
 
+  // Optional per-contract overtime rules (else the client's apply)
+  const overtimeErr = overtimeRulesInputError(body.overtime_rules_json);
+  if (overtimeErr) return withCORS(env, req, badRequest(overtimeErr));
+  const customRatesErr = customRatesInputError(body.rates_json?.custom_rates_json, ['charge', 'paye', 'umb']);
+  if (customRatesErr) return withCORS(env, req, badRequest(`rates_json.${customRatesErr}`));
+
   // accept std_schedule_json and derive std_hours_json
   let std_schedule_json = null;
   let derived_hours = null;
@@ -892,6 +1197,7 @@ export async function handleContractsCreate(env, req) {
       std_schedule_json,
       std_hours_json,
       bucket_labels_json: bucketLabels,
+      overtime_rules_json: body.overtime_rules_json || null,
       default_submission_mode: defaultSubmissionMode,
       week_ending_weekday_snapshot: weekEndingSnapshot,
       auto_invoice: body.auto_invoice,
@@ -946,7 +1252,7 @@ export async function handleContractsCreate(env, req) {
 // handleContractsList — enriched with candidate/client names and relationship-aware free-text filtering
 // (joins based on FK: contracts.candidate_id → candidates.id, contracts.client_id → clients.id)  :contentReference[oaicite:0]{index=0}
 export async function handleContractsList(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['contracts:read']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const url = new URL(req.url);
@@ -1051,7 +1357,7 @@ export async function handleContractsList(env, req) {
 // handleContractsGet — embed names and flatten convenience fields for FE
 // (joins via FK: contracts.candidate_id → candidates.id, contracts.client_id → clients.id)  :contentReference[oaicite:1]{index=1}
 export async function handleContractsGet(env, req, contractId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['contracts:read']);
   if (!user) return withCORS(env, req, unauthorized());
   if (!contractId) return withCORS(env, req, badRequest('contract_id required'));
 
@@ -1081,7 +1387,7 @@ export async function handleContractsGet(env, req, contractId) {
   return withCORS(env, req, ok({ contract: contractOut, counts, weeks: weeks || [] }));
 }
 export async function handleContractsUpdate(env, req, contractId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['contracts:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   let body;
@@ -1144,6 +1450,11 @@ export async function handleContractsUpdate(env, req, contractId) {
       patch.bucket_labels_json = Object.fromEntries(keys.map(k => [k, obj[k].trim()]));
     else return withCORS(env, req, badRequest('bucket_labels_json must include day|night|sat|sun|bh as non-empty strings or be null'));
   }
+  if ('overtime_rules_json' in body) {
+    const overtimeErr = overtimeRulesInputError(body.overtime_rules_json);
+    if (overtimeErr) return withCORS(env, req, badRequest(overtimeErr));
+    patch.overtime_rules_json = body.overtime_rules_json || null;
+  }
   if ('auto_invoice' in body)                 patch.auto_invoice = clampBool(body.auto_invoice, current.auto_invoice);
   if ('require_reference_to_pay' in body)     patch.require_reference_to_pay = clampBool(body.require_reference_to_pay, current.require_reference_to_pay);
   if ('require_reference_to_invoice' in body) patch.require_reference_to_invoice = clampBool(body.require_reference_to_invoice, current.require_reference_to_invoice);
@@ -1170,6 +1481,8 @@ export async function handleContractsUpdate(env, req, contractId) {
           return withCORS(env, req, badRequest(`rates_json.${k} must be a non-negative number`));
         }
       }
+      const customRatesErr = customRatesInputError(R.custom_rates_json, ['charge', 'paye', 'umb']);
+      if (customRatesErr) return withCORS(env, req, badRequest(`rates_json.${customRatesErr}`));
       patch.rates_json = R;
     }
     if ('pay_method_snapshot' in body) {
@@ -1350,7 +1663,7 @@ export async function handleContractsUpdate(env, req, contractId) {
 
 // Lightweight checker for FE: returns real-timesheet boundary info for proposed window
 export async function handleContractsCheckTimesheetBoundary(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['contracts:read']);
   if (!user) return withCORS(env, req, unauthorized());
 
   let body;
@@ -1439,7 +1752,7 @@ export async function handleContractsCheckTimesheetBoundary(env, req) {
 // === Strict full-replace (PUT /api/contracts/:id) ===
 
 export async function handleContractsReplace(env, req, contractId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['contracts:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   let body;
@@ -1467,6 +1780,10 @@ export async function handleContractsReplace(env, req, contractId) {
   const requiredKeys = ['candidate_id','client_id','start_date','end_date','pay_method_snapshot','default_submission_mode','week_ending_weekday_snapshot','rates_json'];
   const missing = requiredKeys.filter(k => !(k in body));
   if (missing.length) return withCORS(env, req, badRequest(`Missing required fields: ${missing.join(', ')}`));
+  const overtimeErr = overtimeRulesInputError(body.overtime_rules_json);
+  if (overtimeErr) return withCORS(env, req, badRequest(overtimeErr));
+  const customRatesErr = customRatesInputError(body.rates_json?.custom_rates_json, ['charge', 'paye', 'umb']);
+  if (customRatesErr) return withCORS(env, req, badRequest(`rates_json.${customRatesErr}`));
 
   let std_schedule_json = null, std_hours_json = null;
   if ('std_schedule_json' in body) {
@@ -1617,6 +1934,7 @@ export async function handleContractsReplace(env, req, contractId) {
     std_schedule_json,
     std_hours_json,
     bucket_labels_json: ('bucket_labels_json' in body) ? (body.bucket_labels_json || null) : (current.bucket_labels_json || null),
+    overtime_rules_json: ('overtime_rules_json' in body) ? (body.overtime_rules_json || null) : (current.overtime_rules_json || null),
     auto_invoice: clampBool(body.auto_invoice, current.auto_invoice),
     require_reference_to_pay: clampBool(body.require_reference_to_pay, current.require_reference_to_pay),
     require_reference_to_invoice: clampBool(body.require_reference_to_invoice, current.require_reference_to_invoice),
@@ -1737,7 +2055,7 @@ async function computePayMethodWarnings(env, contractRow) {
 }
 
 export async function handleContractsDelete(env, req, contractId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['contracts:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   // Safety: only if no TS ever existed
@@ -1752,7 +2070,7 @@ export async function handleContractsDelete(env, req, contractId) {
   return withCORS(env, req, ok({ deleted: true }));
 }
 export async function handleContractsGenerateWeeks(env, req, contractId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['contracts:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const c = await sbGetOne(
@@ -1877,7 +2195,7 @@ function clampPlannedToWindow(plan, weekEndingYmd, wew, windowStartYmd, windowEn
   return [];
 }
 export async function handleContractsCloneAndExtend(env, req, contractId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['contracts:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   let body;
@@ -1928,6 +2246,10 @@ export async function handleContractsCloneAndExtend(env, req, contractId) {
 
   // Successor source: allow overrides from body.successor_overrides
   const ov = (body.successor_overrides && typeof body.successor_overrides === 'object') ? body.successor_overrides : {};
+  const overtimeErr = overtimeRulesInputError(ov.overtime_rules_json);
+  if (overtimeErr) return withCORS(env, req, badRequest(overtimeErr));
+  const customRatesErr = customRatesInputError(ov.rates_json?.custom_rates_json, ['charge', 'paye', 'umb']);
+  if (customRatesErr) return withCORS(env, req, badRequest(`rates_json.${customRatesErr}`));
 
   // Compose successor std_* (prefer explicit override → derived from schedule → inherit)
   let successor_std_schedule = ('std_schedule_json' in ov) ? (ov.std_schedule_json || null) : (cur.std_schedule_json || null);
@@ -1963,6 +2285,7 @@ export async function handleContractsCloneAndExtend(env, req, contractId) {
     std_hours_json:    successor_std_hours,
 
     bucket_labels_json: ('bucket_labels_json' in ov) ? ov.bucket_labels_json : (cur.bucket_labels_json || null),
+    overtime_rules_json: ('overtime_rules_json' in ov) ? ov.overtime_rules_json : (cur.overtime_rules_json || null),
 
     auto_invoice: cur.auto_invoice,
     require_reference_to_pay: cur.require_reference_to_pay,
@@ -2034,7 +2357,7 @@ export async function handleContractsCloneAndExtend(env, req, contractId) {
 }
 
 export async function handleContractsCalendar(env, req, contractId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['contracts:read']);
   if (!user) return withCORS(env, req, unauthorized());
   if (!contractId) return withCORS(env, req, badRequest('contract_id required'));
 
@@ -2192,7 +2515,7 @@ export async function handleContractsCalendar(env, req, contractId) {
 
 export async function handleCandidateCalendar(env, req, candidateId) {
   try {
-    const user = await requireUser(env, req, ['admin']);
+    const user = await requireUser(env, req, ['contracts:read']);
     if (!user) return withCORS(env, req, unauthorized());
     if (!candidateId) return withCORS(env, req, badRequest('candidate_id required'));
 
@@ -2422,7 +2745,7 @@ export async function handleCandidateCalendar(env, req, candidateId) {
 
 
 export async function handleContractsSkipWeeks(env, req, contractId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['contracts:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   let body; try { body = await parseJSONBody(req); } catch { return withCORS(env, req, badRequest('Invalid JSON')); }
@@ -2449,7 +2772,7 @@ export async function handleContractsSkipWeeks(env, req, contractId) {
 // ----------------------------------------------------------------------------
 
 export async function handleContractWeeksList(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['contracts:read']);
   if (!user) return withCORS(env, req, unauthorized());
   const url = new URL(req.url);
   const q = (k) => url.searchParams.get(k);
@@ -2478,7 +2801,7 @@ export async function handleContractWeeksList(env, req) {
 }
 
 export async function handleContractWeekUpdate(env, req, weekId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['contracts:write']);
   if (!user) return withCORS(env, req, unauthorized());
   let body; try { body = await parseJSONBody(req); } catch { return withCORS(env, req, badRequest('Invalid JSON')); }
 
@@ -2543,7 +2866,7 @@ export async function handleContractWeekUpdate(env, req, weekId) {
 
 
 export async function handleContractWeekCreateAdditional(env, req, weekId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['contracts:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const base = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/contract_weeks?id=eq.${enc(weekId)}&select=*`);
@@ -2573,7 +2896,7 @@ export async function handleContractWeekCreateAdditional(env, req, weekId) {
 }
 
 export async function handleContractWeekSwitchMode(env, req, weekId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['contracts:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const cw = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/contract_weeks?id=eq.${enc(weekId)}&select=*`);
@@ -2592,7 +2915,7 @@ export async function handleContractWeekSwitchMode(env, req, weekId) {
 
 export async function handleContractWeekPresignManualPdf(env, req, weekId) {
   // Admin presign wrapper (uses your existing token scheme; see signatures presign) 
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['timesheets:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const cw = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/contract_weeks?id=eq.${enc(weekId)}&select=id,week_ending_date,additional_seq,uploaded_pdf_r2_key,timesheet_id`);
@@ -2618,7 +2941,7 @@ export async function handleContractWeekPresignManualPdf(env, req, weekId) {
 }
 
 export async function handleContractWeekReplaceManualPdf(env, req, weekId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['timesheets:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const cw = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/contract_weeks?id=eq.${enc(weekId)}&select=id,timesheet_id`);
@@ -2635,7 +2958,7 @@ export async function handleContractWeekReplaceManualPdf(env, req, weekId) {
 }
 
 export async function handleContractWeekManualUpsert(env, req, weekId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['timesheets:write']);
   if (!user) return withCORS(env, req, unauthorized());
   let body; try { body = await parseJSONBody(req); } catch { return withCORS(env, req, badRequest('Invalid JSON')); }
 
@@ -2647,19 +2970,20 @@ export async function handleContractWeekManualUpsert(env, req, weekId) {
 
   // Hours totals or schedule JSON
   let hours = { day:0, night:0, sat:0, sun:0, bh:0 };
+  let custom = {};
+  let policy = null;
+  let adjustment = {};
   let actual_schedule_json = null;
 
   if (Array.isArray(body?.actual_schedule_json) && body.actual_schedule_json.length) {
     actual_schedule_json = body.actual_schedule_json;
     try {
-      const minsByBucket = await resolveBucketsFromSchedule(env, contract, actual_schedule_json);
-      hours = {
-        day: +(minsByBucket.day/60).toFixed(2),
-        night:+(minsByBucket.night/60).toFixed(2),
-        sat:  +(minsByBucket.sat/60).toFixed(2),
-        sun:  +(minsByBucket.sun/60).toFixed(2),
-        bh:   +(minsByBucket.bh/60).toFixed(2)
-      };
+      const resolved = await resolveBucketsFromSchedule(env, contract, actual_schedule_json, cw.week_ending_date);
+      const h = bucketHours(resolved.minutes);
+      hours = { day: h.hours_day, night: h.hours_night, sat: h.hours_sat, sun: h.hours_sun, bh: h.hours_bh };
+      custom = h.custom;
+      policy = resolved.policy;
+      adjustment = resolved.adjustment;
     } catch (e) {
       return withCORS(env, req, badRequest(e.message || 'Invalid actual_schedule_json'));
     }
@@ -2672,13 +2996,10 @@ export async function handleContractWeekManualUpsert(env, req, weekId) {
   }
 
   // Rates must exist for any positive bucket
-  const { pay, charge, method } = payChargeFromContract(contract);
-  const anyMissing = (h, P, C) => (h.day>0 && (!P.day&&P.day!==0 || !C.day&&C.day!==0)) ||
-                                  (h.night>0 && (!P.night&&P.night!==0 || !C.night&&C.night!==0)) ||
-                                  (h.sat>0 && (!P.sat&&P.sat!==0 || !C.sat&&C.sat!==0)) ||
-                                  (h.sun>0 && (!P.sun&&P.sun!==0 || !C.sun&&C.sun!==0)) ||
-                                  (h.bh>0 && (!P.bh&&P.bh!==0 || !C.bh&&C.bh!==0));
-  if (anyMissing(hours, pay, charge)) {
+  policy = policy || await loadPolicy(env, contract.client_id || null, cw.week_ending_date);
+  const priced = await priceContractWeek(env, contract, cw.week_ending_date, hours, custom, policy);
+  const { pay, charge, method } = priced;
+  if (priced.missing) {
     return withCORS(env, req, badRequest('Missing rate(s) in contract for one or more entered hour buckets'));
   }
 
@@ -2735,9 +3056,8 @@ export async function handleContractWeekManualUpsert(env, req, weekId) {
   }
 
   // TSFIN snapshot (PENDING_AUTH)
-  const n2 = (x)=>Number(x)||0;
-  const total_pay    = +(hours.day*n2(pay.day) + hours.night*n2(pay.night) + hours.sat*n2(pay.sat) + hours.sun*n2(pay.sun) + hours.bh*n2(pay.bh)).toFixed(2);
-  const total_charge = +(hours.day*n2(charge.day)+hours.night*n2(charge.night)+hours.sat*n2(charge.sat)+hours.sun*n2(charge.sun)+hours.bh*n2(charge.bh)).toFixed(2);
+  const total_pay    = priced.total_pay;
+  const total_charge = priced.total_charge;
   const margin       = +(total_charge - total_pay).toFixed(2);
 
   const snap = {
@@ -2751,6 +3071,7 @@ export async function handleContractWeekManualUpsert(env, req, weekId) {
     hours_day: hours.day, hours_night: hours.night, hours_sat: hours.sat, hours_sun: hours.sun, hours_bh: hours.bh,
     rate_day: charge.day, rate_night: charge.night, rate_sat: charge.sat, rate_sun: charge.sun, rate_bh: charge.bh,
     pay_rate_day: pay.day, pay_rate_night: pay.night, pay_rate_sat: pay.sat, pay_rate_sun: pay.sun, pay_rate_bh: pay.bh,
+    custom_buckets_json: priced.custom_buckets_json,
     total_pay_ex_vat: total_pay,
     total_charge_ex_vat: total_charge,
     margin_ex_vat: margin,
@@ -2758,24 +3079,27 @@ export async function handleContractWeekManualUpsert(env, req, weekId) {
     mileage_pay_ex_vat: 0, mileage_charge_ex_vat: 0, mileage_evidence_r2_key: null, mileage_pay_rate: null, mileage_charge_rate: null,
     pay_on_hold: false, pay_on_hold_reason: null, pay_on_hold_since_utc: null,
     paid_at_utc: null, paid_by_user_id: null, payment_reference: null,
-    policy_snapshot_json: null,
+    // Clocked vs paid minutes ride along with the policy when rounding or a minimum changed them
+    policy_snapshot_json: adjustment.paid_minutes != null ? { ...policy, hours_adjustment: adjustment } : policy,
     created_at: nowIso(),
   };
   await writeSnapshot(env, snap);
+  // This snapshot is written here rather than by the TSFIN worker, so run the overtime pass here too
+  await runOvertimePass(env, [{ candidate_id: contract.candidate_id, client_id: contract.client_id, week_ending_date: cw.week_ending_date, contract_id: contract.id }]);
 
   // (Optional) persist a compact echo for UI in contract_weeks
-  const weekPatch = { totals_json: { hours }, updated_at: nowIso() };
+  const weekPatch = { totals_json: { hours, custom }, updated_at: nowIso() };
   await fetch(`${env.SUPABASE_URL}/rest/v1/contract_weeks?id=eq.${enc(cw.id)}`, {
     method: 'PATCH', headers: { ...sbHeaders(env), 'Prefer': 'return=minimal' }, body: JSON.stringify(weekPatch)
   });
 
-  return withCORS(env, req, ok({ timesheet_id: ts.timesheet_id, processing_status: 'PENDING_AUTH', hours, used_schedule: !!actual_schedule_json }));
+  return withCORS(env, req, ok({ timesheet_id: ts.timesheet_id, processing_status: 'PENDING_AUTH', hours, custom, used_schedule: !!actual_schedule_json }));
 }
 
 
 export async function handleContractWeekManualAuthorise(env, req, weekId) {
   // Second checker: stamp TS authorise + TSFIN → READY_FOR_INVOICE
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['timesheets:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const cw = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/contract_weeks?id=eq.${enc(weekId)}&select=id,timesheet_id`);
@@ -2803,7 +3127,7 @@ export async function handleContractWeekManualAuthorise(env, req, weekId) {
 }
 
 export async function handleContractWeekDeleteTimesheet(env, req, weekId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['timesheets:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const cw = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/contract_weeks?id=eq.${enc(weekId)}&select=*`);
@@ -2830,7 +3154,7 @@ export async function handleContractWeekDeleteTimesheet(env, req, weekId) {
 
 export async function handleContractWeekCreateExpenseSheet(env, req, weekId) {
   // Create an expense-only TS for the week (line_type=EXPENSES)
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['timesheets:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const cw = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/contract_weeks?id=eq.${enc(weekId)}&select=*`);
@@ -2895,10 +3219,12 @@ export async function handleContractWeekCreateExpenseSheet(env, req, weekId) {
 // ----------------------------------------------------------------------------
 
 export async function handleTimesheetsEligibilityWeekly(env, req) {
-  // Public: app supplies candidate_id, optional client_id; return OPEN weeks + per-contract bucket labels
-  let body; try { body = await parseJSONBody(req); } catch { body = {}; }
-  const candidateId = body.candidate_id || null;
-  if (!candidateId) return withCORS(env, req, badRequest('candidate_id required'));
+  // Candidate app: optional client_id; return the caller's OPEN weeks + per-contract bucket labels
+  const cand = await requireCandidate(env, req);
+  if (!cand) return withCORS(env, req, unauthorized());
+  let body; try { body = (await parseJSONBody(req)) || {}; } catch { body = {}; }
+  if (body.candidate_id && String(body.candidate_id) !== String(cand.candidate_id)) return withCORS(env, req, forbidden('candidate_id does not match the signed-in candidate'));
+  const candidateId = cand.candidate_id;
 
   let url = `${env.SUPABASE_URL}/rest/v1/v_contract_weeks_enriched?select=*` +
             `&candidate_id=eq.${enc(candidateId)}` +
@@ -2924,7 +3250,9 @@ export async function handleTimesheetsEligibilityWeekly(env, req) {
   return withCORS(env, req, ok(withLabels));
 }
 export async function handleTimesheetsPresignWeekly(env, req) {
-  // Public: presign nurse/authoriser signature uploads for a weekly slot + return bucket labels for UI
+  // Candidate app: presign nurse/authoriser signature uploads for one of the caller's weekly slots + return bucket labels for UI
+  const cand = await requireCandidate(env, req);
+  if (!cand) return withCORS(env, req, unauthorized());
   let body; try { body = await parseJSONBody(req); } catch { return withCORS(env, req, badRequest('Invalid JSON')); }
 
   let cw = null;
@@ -2941,6 +3269,7 @@ export async function handleTimesheetsPresignWeekly(env, req) {
 
   const contract = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/contracts?id=eq.${enc(cw.contract_id)}&select=id,candidate_id,bucket_labels_json`);
   if (!contract) return withCORS(env, req, notFound('Contract not found'));
+  if (String(contract.candidate_id) !== String(cand.candidate_id)) return withCORS(env, req, forbidden('Not your contract week'));
   const candidateId = contract.candidate_id;
   const DEFAULT_LABELS = { day: 'Day', night: 'Night', sat: 'Sat', sun: 'Sun', bh: 'BH' };
   const bucketLabels = (contract.bucket_labels_json && typeof contract.bucket_labels_json === 'object')
@@ -2971,7 +3300,7 @@ export async function handleTimesheetsPresignWeekly(env, req) {
 
 
 export async function handleTimesheetReplaceManualPdf(env, req, timesheetId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['timesheets:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const body = await parseJSONBody(req).catch(() => null);
@@ -2997,7 +3326,9 @@ export async function handleTimesheetReplaceManualPdf(env, req, timesheetId) {
 }
 
 export async function handleTimesheetsSubmitWeekly(env, req) {
-  // Public: submit weekly electronic timesheet (schedule OR totals + two signatures)
+  // Candidate app: submit the caller's weekly electronic timesheet (schedule OR totals + two signatures)
+  const cand = await requireCandidate(env, req);
+  if (!cand) return withCORS(env, req, unauthorized());
   let body; try { body = await parseJSONBody(req); } catch { return withCORS(env, req, badRequest('Invalid JSON')); }
 
   const cwId = body.contract_week_id || null;
@@ -3009,6 +3340,7 @@ export async function handleTimesheetsSubmitWeekly(env, req) {
 
   const contract = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/contracts?id=eq.${enc(cw.contract_id)}&select=*`);
   if (!contract) return withCORS(env, req, notFound('Contract not found'));
+  if (String(contract.candidate_id) !== String(cand.candidate_id)) return withCORS(env, req, forbidden('Not your contract week'));
 
   // Signatures must exist
   const weC = ymdCompact(cw.week_ending_date);
@@ -3020,15 +3352,19 @@ export async function handleTimesheetsSubmitWeekly(env, req) {
 
   // Schedule-first, totals fallback
   let hours = { day:0, night:0, sat:0, sun:0, bh:0 };
+  let custom = {};
+  let policy = null;
+  let adjustment = {};
   let actual_schedule_json = null;
   if (Array.isArray(body?.actual_schedule_json) && body.actual_schedule_json.length) {
     actual_schedule_json = body.actual_schedule_json;
     try {
-      const mins = await resolveBucketsFromSchedule(env, contract, actual_schedule_json);
-      hours = {
-        day:+(mins.day/60).toFixed(2), night:+(mins.night/60).toFixed(2),
-        sat:+(mins.sat/60).toFixed(2), sun:+(mins.sun/60).toFixed(2), bh:+(mins.bh/60).toFixed(2)
-      };
+      const resolved = await resolveBucketsFromSchedule(env, contract, actual_schedule_json, cw.week_ending_date);
+      const h = bucketHours(resolved.minutes);
+      hours = { day: h.hours_day, night: h.hours_night, sat: h.hours_sat, sun: h.hours_sun, bh: h.hours_bh };
+      custom = h.custom;
+      policy = resolved.policy;
+      adjustment = resolved.adjustment;
     } catch (e) { return withCORS(env, req, badRequest(e.message || 'Invalid actual_schedule_json')); }
   } else {
     const n = (v)=> (v==null?0:Number(v)||0);
@@ -3036,13 +3372,10 @@ export async function handleTimesheetsSubmitWeekly(env, req) {
   }
 
   // Strict rate guard BEFORE writing anything
-  const { pay, charge, method } = payChargeFromContract(contract);
-  const anyMissing = (h, P, C) => (h.day>0 && (!P.day&&P.day!==0 || !C.day&&C.day!==0)) ||
-                                  (h.night>0 && (!P.night&&P.night!==0 || !C.night&&C.night!==0)) ||
-                                  (h.sat>0 && (!P.sat&&P.sat!==0 || !C.sat&&C.sat!==0)) ||
-                                  (h.sun>0 && (!P.sun&&P.sun!==0 || !C.sun&&C.sun!==0)) ||
-                                  (h.bh>0 && (!P.bh&&P.bh!==0 || !C.bh&&C.bh!==0));
-  if (anyMissing(hours, pay, charge)) return withCORS(env, req, badRequest('Missing rate(s) in contract for one or more entered hour buckets'));
+  policy = policy || await loadPolicy(env, contract.client_id || null, cw.week_ending_date);
+  const priced = await priceContractWeek(env, contract, cw.week_ending_date, hours, custom, policy);
+  const { pay, charge, method } = priced;
+  if (priced.missing) return withCORS(env, req, badRequest('Missing rate(s) in contract for one or more entered hour buckets'));
 
   // Create TS (ELECTRONIC)
   const candidate = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/candidates?id=eq.${enc(contract.candidate_id)}&select=id,display_name`);
@@ -3079,9 +3412,8 @@ export async function handleTimesheetsSubmitWeekly(env, req) {
   });
 
   // Snapshot with READY_FOR_INVOICE
-  const n2 = (x)=>Number(x)||0;
-  const total_pay    = +(hours.day*n2(pay.day) + hours.night*n2(pay.night) + hours.sat*n2(pay.sat) + hours.sun*n2(pay.sun) + hours.bh*n2(pay.bh)).toFixed(2);
-  const total_charge = +(hours.day*n2(charge.day)+hours.night*n2(charge.night)+hours.sat*n2(charge.sat)+hours.sun*n2(charge.sun)+hours.bh*n2(charge.bh)).toFixed(2);
+  const total_pay    = priced.total_pay;
+  const total_charge = priced.total_charge;
 
   const snap = {
     timesheet_id: ts.timesheet_id,
@@ -3094,12 +3426,15 @@ export async function handleTimesheetsSubmitWeekly(env, req) {
     hours_day: hours.day, hours_night: hours.night, hours_sat: hours.sat, hours_sun: hours.sun, hours_bh: hours.bh,
     pay_rate_day: pay.day, pay_rate_night: pay.night, pay_rate_sat: pay.sat, pay_rate_sun: pay.sun, pay_rate_bh: pay.bh,
     rate_day: charge.day, rate_night: charge.night, rate_sat: charge.sat, rate_sun: charge.sun, rate_bh: charge.bh,
+    custom_buckets_json: priced.custom_buckets_json,
     total_pay_ex_vat: total_pay,
     total_charge_ex_vat: total_charge,
     margin_ex_vat: +(total_charge - total_pay).toFixed(2),
+    policy_snapshot_json: adjustment.paid_minutes != null ? { ...policy, hours_adjustment: adjustment } : policy,
     created_at: nowIso()
   };
   await writeSnapshot(env, snap);
+  await runOvertimePass(env, [{ candidate_id: contract.candidate_id, client_id: contract.client_id, week_ending_date: cw.week_ending_date, contract_id: contract.id }]);
 
   return withCORS(env, req, ok({ timesheet_id: ts.timesheet_id, processing_status: 'READY_FOR_INVOICE' }));
 }
@@ -3131,9 +3466,217 @@ export async function handleManualPresign(env, req) {
 
   return withCORS(env, req, ok({ key, upload_url, token, expires_in: 3600 }));
 }
+// ---- Paper timesheet photos → one A4 PDF ----
+// Phones send JPEG/PNG/HEIC pages (multipart field `pages`, in order). Each page is turned
+// upright, fitted to an A4 sheet and the result is stored as the manual PDF, so
+// ensureTimesheetPdf and invoice bundling pick it up like any uploaded scan.
+const A4_PT = { w: 595.28, h: 841.89 };
+const PHOTO_PAGE_MARGIN_PT = 18;
+// EXIF orientation → clockwise turn needed to display upright (mirrored variants are not flipped)
+const EXIF_TURN_CW = { 1: 0, 2: 0, 3: 180, 4: 180, 5: 90, 6: 90, 7: 270, 8: 270 };
+
+// The whole multipart body is buffered, then copied per page and into the PDF, so the request cap
+// (total) keeps a worst-case upload (body + page copies + PDF objects + output, ~4x) inside the Worker's 128 MB.
+function photoLimits(env) {
+  const pages = parseInt(env.MANUAL_PHOTO_MAX_PAGES || '10', 10);
+  const bytes = parseInt(env.MANUAL_PHOTO_MAX_BYTES || '15000000', 10);
+  const total = parseInt(env.MANUAL_PHOTO_MAX_TOTAL_BYTES || '20000000', 10);
+  const px    = parseInt(env.MANUAL_PHOTO_MAX_PX || '2480', 10);
+  return {
+    pages: pages > 0 ? pages : 10,
+    bytes: bytes > 0 ? bytes : 15000000,
+    total: total > 0 ? Math.min(total, 20000000) : 20000000,
+    px:    px > 0 ? px : 2480,
+  };
+}
+
+// Sniff by magic bytes; phone uploads often arrive as application/octet-stream
+function sniffImageType(u8) {
+  if (u8.length > 3 && u8[0] === 0xFF && u8[1] === 0xD8 && u8[2] === 0xFF) return 'image/jpeg';
+  if (u8.length > 8 && u8[0] === 0x89 && u8[1] === 0x50 && u8[2] === 0x4E && u8[3] === 0x47) return 'image/png';
+  if (u8.length > 12 && String.fromCharCode(...u8.subarray(4, 8)) === 'ftyp') {
+    const brand = String.fromCharCode(...u8.subarray(8, 12));
+    if (/^(heic|heix|hevc|hevx|heim|heis|mif1|msf1)$/.test(brand)) return 'image/heic';
+  }
+  return null;
+}
+
+// EXIF orientation (1..8) from the JPEG APP1 segment; 1 when absent or unreadable
+function jpegExifOrientation(u8) {
+  const dv = new DataView(u8.buffer, u8.byteOffset, u8.byteLength);
+  let off = 2;
+  while (off + 4 <= u8.length) {
+    if (u8[off] !== 0xFF) return 1;
+    const marker = u8[off + 1];
+    if (marker === 0xDA || marker === 0xD9) return 1; // image data reached without EXIF
+    const len = dv.getUint16(off + 2);
+    if (marker === 0xE1 && off + 18 <= u8.length && dv.getUint32(off + 4) === 0x45786966) { // "Exif"
+      const tiff = off + 10;
+      const le = dv.getUint16(tiff) === 0x4949; // "II" = little-endian
+      const ifd = tiff + dv.getUint32(tiff + 4, le);
+      if (ifd + 2 > u8.length) return 1;
+      const count = dv.getUint16(ifd, le);
+      for (let i = 0; i < count; i++) {
+        const e = ifd + 2 + i * 12;
+        if (e + 12 > u8.length) return 1;
+        if (dv.getUint16(e, le) === 0x0112) {
+          const v = dv.getUint16(e + 8, le);
+          return v >= 1 && v <= 8 ? v : 1;
+        }
+      }
+      return 1;
+    }
+    off += 2 + len;
+  }
+  return 1;
+}
+
+// Downscale/convert through the Cloudflare Images binding (required for HEIC); returns JPEG bytes
+async function photoViaImages(env, u8, maxPx) {
+  const out = await env.IMAGES
+    .input(new Response(u8).body)
+    .transform({ width: maxPx, height: maxPx, fit: 'scale-down' })
+    .output({ format: 'image/jpeg', quality: 85 });
+  return new Uint8Array(await out.response().arrayBuffer());
+}
+
+// Parse and validate multipart pages; returns { form, pages } or { error: Response }
+async function readPhotoPages(env, req) {
+  const lim = photoLimits(env);
+  const contentLength = parseInt(req.headers.get('content-length') || '0', 10);
+  if (!(contentLength > 0)) return { error: badRequest('Content-Length required') };
+  if (contentLength > lim.total) return { error: tooLarge(`Max ${lim.total} bytes per upload (${lim.pages} pages of up to ${lim.bytes} bytes)`) };
+
+  let form;
+  try { form = await req.formData(); } catch { return { error: badRequest('multipart/form-data body required') }; }
+  const files = form.getAll('pages').filter(f => f && typeof f.arrayBuffer === 'function');
+  if (!files.length) return { error: badRequest('At least one page image required (field "pages")') };
+  if (files.length > lim.pages) return { error: badRequest(`Max ${lim.pages} pages`) };
+
+  const pages = [];
+  for (const [i, f] of files.entries()) {
+    if (f.size > lim.bytes) return { error: tooLarge(`Page ${i + 1}: max ${lim.bytes} bytes`) };
+    const bytes = new Uint8Array(await f.arrayBuffer());
+    const type = sniffImageType(bytes);
+    if (!type) return { error: unsupported(`Page ${i + 1}: only JPEG, PNG or HEIC images allowed`) };
+    if (type === 'image/heic' && !env.IMAGES) return { error: unsupported(`Page ${i + 1}: HEIC is not supported here; send JPEG or PNG`) };
+    pages.push({ bytes, type });
+  }
+  return { form, pages };
+}
+
+// → { pdf, unscaled } where unscaled counts pages embedded at full size because IMAGES is not
+// bound or could not process them; callers report it so oversized scans can be spotted.
+async function assemblePhotosPdf(env, pages) {
+  const { px } = photoLimits(env);
+  const pdfDoc = await PDFDocument.create();
+  let unscaled = 0;
+  for (const pg of pages) {
+    let { bytes, type } = pg;
+    let scaled = false;
+    if (env.IMAGES) {
+      try { bytes = await photoViaImages(env, bytes, px); type = 'image/jpeg'; scaled = true; }
+      catch (e) { if (type === 'image/heic') throw e; } // JPEG/PNG can still be embedded as sent
+    }
+    if (!scaled) unscaled++;
+    const img = type === 'image/png' ? await pdfDoc.embedPng(bytes) : await pdfDoc.embedJpg(bytes);
+    const turn = type === 'image/jpeg' ? EXIF_TURN_CW[jpegExifOrientation(bytes)] : 0;
+    const quarter = turn === 90 || turn === 270;
+    const dispW = quarter ? img.height : img.width;
+    const dispH = quarter ? img.width : img.height;
+
+    // Landscape photos get a landscape sheet; fit (contain) inside the margins and centre
+    const [pw, ph] = dispW > dispH ? [A4_PT.h, A4_PT.w] : [A4_PT.w, A4_PT.h];
+    const page = pdfDoc.addPage([pw, ph]);
+    const scale = Math.min((pw - 2 * PHOTO_PAGE_MARGIN_PT) / dispW, (ph - 2 * PHOTO_PAGE_MARGIN_PT) / dispH);
+    const bw = dispW * scale, bh = dispH * scale;
+    const bx = (pw - bw) / 2, by = (ph - bh) / 2;
+
+    // pdf-lib rotates counter-clockwise about the image's lower-left corner, so move that corner per turn
+    const [x, y] = { 0: [bx, by], 90: [bx, by + bh], 180: [bx + bw, by + bh], 270: [bx + bw, by] }[turn];
+    page.drawImage(img, { x, y, width: img.width * scale, height: img.height * scale, rotate: degrees(-turn) });
+  }
+  return { pdf: await pdfDoc.save(), unscaled };
+}
+
+async function storePhotosPdf(env, key, pdfBytes, pageCount, unscaled) {
+  await r2Put(env, key, pdfBytes, {
+    httpMetadata: { contentType: 'application/pdf' },
+    customMetadata: { source: 'photos', pages: String(pageCount), unscaled_pages: String(unscaled) }
+  });
+}
+
+async function patchTimesheetManualPdf(env, timesheetId, key) {
+  const res = await fetch(`${env.SUPABASE_URL}/rest/v1/timesheets?timesheet_id=eq.${enc(timesheetId)}`, {
+    method: 'PATCH', headers: { ...sbHeaders(env), 'Prefer': 'return=minimal' },
+    body: JSON.stringify({ manual_pdf_r2_key: key, updated_at: nowIso() })
+  });
+  if (!res.ok) throw new Error(`timesheets manual pdf patch failed: ${await res.text()}`);
+}
+
+export async function handleManualPhotosUpload(env, req) {
+  // Candidate app: photos of the paper timesheet for one of the caller's weekly slots (multipart: contract_week_id + pages)
+  const cand = await requireCandidate(env, req);
+  if (!cand) return withCORS(env, req, unauthorized());
+
+  const parsed = await readPhotoPages(env, req);
+  if (parsed.error) return withCORS(env, req, parsed.error);
+  const weekId = String(parsed.form.get('contract_week_id') || '').trim();
+  if (!weekId) return withCORS(env, req, badRequest('contract_week_id required'));
+
+  const cw = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/contract_weeks?id=eq.${enc(weekId)}&select=id,contract_id,week_ending_date,timesheet_id`);
+  if (!cw) return withCORS(env, req, notFound('Weekly slot not found'));
+  const contract = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/contracts?id=eq.${enc(cw.contract_id)}&select=id,candidate_id`);
+  if (!contract) return withCORS(env, req, notFound('Contract not found'));
+  if (String(contract.candidate_id) !== String(cand.candidate_id)) return withCORS(env, req, forbidden('Not your contract week'));
+
+  if (cw.timesheet_id) {
+    const tsfin = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/timesheets_financials?timesheet_id=eq.${enc(cw.timesheet_id)}&is_current=eq.true&select=locked_by_invoice_id`);
+    if (tsfin?.locked_by_invoice_id) return withCORS(env, req, badRequest('Timesheet invoiced. Unissue invoice before replacing scan.'));
+  }
+
+  let pdfBytes, unscaled;
+  try { ({ pdf: pdfBytes, unscaled } = await assemblePhotosPdf(env, parsed.pages)); }
+  catch (e) { return withCORS(env, req, badRequest(`Could not read page images: ${e.message || e}`)); }
+
+  const key = `paper_ts/we=${ymdCompact(cw.week_ending_date)}/cw_${cw.id}_${Date.now()}.pdf`;
+  await storePhotosPdf(env, key, pdfBytes, parsed.pages.length, unscaled);
+  await patchContractWeekScan(env, cw.id, key);
+  if (cw.timesheet_id) await patchTimesheetManualPdf(env, cw.timesheet_id, key);
+
+  await writeAudit(env, cand, 'MANUAL_TIMESHEET_PHOTOS_UPLOADED', { contract_week_id: cw.id, timesheet_id: cw.timesheet_id || null, r2_key: key, pages: parsed.pages.length, unscaled_pages: unscaled }, { entity: 'contract_week', subject_id: cw.id, req });
+  return withCORS(env, req, ok({ contract_week_id: cw.id, timesheet_id: cw.timesheet_id || null, key, pages: parsed.pages.length, bytes: pdfBytes.length, downscaled: unscaled === 0, unscaled_pages: unscaled }));
+}
+
+export async function handleTimesheetManualPhotos(env, req, timesheetId) {
+  // Back office: replace a timesheet's manual PDF with photographed pages (multipart: pages)
+  const user = await requireUser(env, req, ['timesheets:write']);
+  if (!user) return withCORS(env, req, unauthorized());
+
+  const ts = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/timesheets?timesheet_id=eq.${enc(timesheetId)}&select=timesheet_id,week_ending_date,manual_pdf_r2_key`);
+  if (!ts) return withCORS(env, req, notFound('Timesheet not found'));
+  const tsfin = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/timesheets_financials?timesheet_id=eq.${enc(timesheetId)}&is_current=eq.true&select=locked_by_invoice_id`);
+  if (tsfin?.locked_by_invoice_id) return withCORS(env, req, badRequest('Invoiced; unissue first to replace PDF'));
+
+  const parsed = await readPhotoPages(env, req);
+  if (parsed.error) return withCORS(env, req, parsed.error);
+
+  let pdfBytes, unscaled;
+  try { ({ pdf: pdfBytes, unscaled } = await assemblePhotosPdf(env, parsed.pages)); }
+  catch (e) { return withCORS(env, req, badRequest(`Could not read page images: ${e.message || e}`)); }
+
+  const weC = ts.week_ending_date ? ymdCompact(ts.week_ending_date) : 'unknown';
+  const key = `paper_ts/we=${weC}/ts_${timesheetId}_${Date.now()}.pdf`;
+  await storePhotosPdf(env, key, pdfBytes, parsed.pages.length, unscaled);
+  try { await patchTimesheetManualPdf(env, timesheetId, key); }
+  catch (e) { return withCORS(env, req, serverError(e.message)); }
+
+  await writeAudit(env, user, 'TIMESHEET_MANUAL_PDF_REPLACED', { manual_pdf_r2_key: key, previous_key: ts.manual_pdf_r2_key || null, source: 'PHOTOS', pages: parsed.pages.length, unscaled_pages: unscaled }, { entity: 'timesheet', subject_id: timesheetId, req });
+  return withCORS(env, req, ok({ timesheet_id: timesheetId, manual_pdf_r2_key: key, pages: parsed.pages.length, bytes: pdfBytes.length, downscaled: unscaled === 0, unscaled_pages: unscaled }));
+}
 
 export async function handleTimesheetUpdateReference(env, req, timesheetId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['timesheets:write']);
   if (!user) return withCORS(env, req, unauthorized());
   let body; try { body = await parseJSONBody(req); } catch { return withCORS(env, req, badRequest('Invalid JSON')); }
   const reference_number = (body?.reference_number || '').trim();
@@ -3148,7 +3691,7 @@ export async function handleTimesheetUpdateReference(env, req, timesheetId) {
 
 export async function handleTimesheetAuthoriseGeneric(env, req, timesheetId) {
   // Works for manual or electronic weekly: sets authorised_at_server + TSFIN READY_FOR_INVOICE
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['timesheets:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   await fetch(`${env.SUPABASE_URL}/rest/v1/timesheets?timesheet_id=eq.${enc(timesheetId)}&is_current=eq.true`, {
@@ -3163,7 +3706,7 @@ export async function handleTimesheetAuthoriseGeneric(env, req, timesheetId) {
 }
 
 export async function handleTimesheetPresignExpensePdf(env, req, timesheetId) {
-  const user = await requireUser(env, req, ['admin']); // backoffice presign; workers can use public files if needed
+  const user = await requireUser(env, req, ['timesheets:write']); // backoffice presign; workers can use public files if needed
   if (!user) return withCORS(env, req, unauthorized());
 
   const key = `docs/receipts/ts_${timesheetId}/${Date.now()}_${Math.random().toString(16).slice(2)}.upload`;
@@ -3174,7 +3717,7 @@ export async function handleTimesheetPresignExpensePdf(env, req, timesheetId) {
 
 export async function handleTimesheetSwitchToManual(env, req, timesheetId) {
   // Convenience: revoke electronic attempt and switch the linked week to MANUAL
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['timesheets:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const ts = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/timesheets?timesheet_id=eq.${enc(timesheetId)}&select=timesheet_id,contract_id,week_ending_date,r2_nurse_key,r2_auth_key`);
@@ -3202,7 +3745,7 @@ export async function handleTimesheetSwitchToManual(env, req, timesheetId) {
 
 // POST /api/contracts/:id/truncate-tail
 export async function handleContractsTruncateTailSafely(env, req, contractId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['contracts:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   let body; try { body = await parseJSONBody(req); } catch { 
@@ -3287,7 +3830,7 @@ export async function handleContractsTruncateTailSafely(env, req, contractId) {
 
 
 export async function handleTimesheetDelete(env, req, timesheetId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['timesheets:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const tsfin = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/timesheets_financials?timesheet_id=eq.${enc(timesheetId)}&is_current=eq.true&select=paid_at_utc,locked_by_invoice_id`);
@@ -3312,7 +3855,7 @@ export async function handleTimesheetDelete(env, req, timesheetId) {
 // ----------------------------------------------------------------------------
 
 export async function handleFunnelTimesheets(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['timesheets:read']);
   if (!user) return withCORS(env, req, unauthorized());
   const url = new URL(req.url);
   const q = (k) => url.searchParams.get(k);
@@ -3334,7 +3877,7 @@ export async function handleFunnelTimesheets(env, req) {
 }
 
 export async function handleInvoiceIssue(env, req, invoiceId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['invoices:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   try {
@@ -3359,7 +3902,7 @@ export async function handleInvoiceIssue(env, req, invoiceId) {
     // 3) We also need submission_mode to know whether manual PDF is required
     const { rows: tsRows } = await sbFetch(
       env,
-      `${env.SUPABASE_URL}/rest/v1/timesheets?timesheet_id=in.(${tsIn})&select=timesheet_id,submission_mode`
+      `${env.SUPABASE_URL}/rest/v1/timesheets?timesheet_id=in.(${tsIn})&select=timesheet_id,booking_id,submission_mode`
     );
     const tsMode = Object.fromEntries((tsRows || []).map(t => [t.timesheet_id, t.submission_mode || 'ELECTRONIC']));
 
@@ -3378,6 +3921,10 @@ export async function handleInvoiceIssue(env, req, invoiceId) {
         reasons.push(`TS ${tsid}: manual PDF not attached`);
       }
     }
+    // open timesheet queries block issuing until resolved
+    for (const [tsid, q] of await openTimesheetQueries(env, tsRows || [])) {
+      reasons.push(`TS ${tsid}: open query (${q.reason_code})`);
+    }
 
     // 5) Patch invoice status
     if (reasons.length) {
@@ -3405,7 +3952,7 @@ export async function handleInvoiceIssue(env, req, invoiceId) {
 }
 
 export async function handleInvoicesPrecheck(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['invoices:read']);
   if (!user) return withCORS(env, req, unauthorized());
   const url = new URL(req.url);
   const ids = url.searchParams.getAll('timesheet_id');
@@ -3487,7 +4034,7 @@ async function derivePresetMileageDefaultsForClient(env, clientId, base) {
 // ----------------------------------------------------------------------------
 
 export async function handleRatesPresetsCreate(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['rates:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   let body;
@@ -3628,7 +4175,7 @@ export async function handleRatesPresetsCreate(env, req) {
   return withCORS(env, req, ok(row));
 }
 export async function handleRatesPresetsList(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['rates:read']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const urlObj = new URL(req.url);
@@ -3716,7 +4263,7 @@ export async function handleRatesPresetsList(env, req) {
 }
 
 export async function handleRatesPresetsUpdate(env, req, presetId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['rates:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   let body;
@@ -3890,7 +4437,7 @@ export async function handleRatesPresetsUpdate(env, req, presetId) {
 }
 
 export async function handleRatesPresetsDelete(env, req, presetId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['rates:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const res = await fetch(
@@ -3912,7 +4459,7 @@ export async function handleRatesPresetsDelete(env, req, presetId) {
 }
 
 export async function handleRatesPresetsGet(env, req, presetId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['rates:read']);
   if (!user) return withCORS(env, req, unauthorized());
 
   // Reuse the same column set as handleRatesPresetsList
@@ -4058,7 +4605,8 @@ export async function handleMe(env, req) {
     id: user.id,
     email: user.email || null,
     display_name: user.display_name || user.name || user.email || null,
-    roles: Array.isArray(user.roles) ? user.roles : (user.role ? [user.role] : [])
+    roles: Array.isArray(user.roles) ? user.roles : (user.role ? [user.role] : []),
+    permissions: permissionsForRole(user.role)
   };
 
   return withCORS(env, req, ok({ user: me }));
@@ -4083,7 +4631,7 @@ export async function handlePaymentsGenerateCsv(env, req) {
   };
 
   // ==== Admin auth
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['payments:run']);
   if (!user) return withCORS(env, req, unauthorized());
 
   // ==== Body parsing
@@ -4108,11 +4656,11 @@ export async function handlePaymentsGenerateCsv(env, req) {
     `?select=` +
     [
       'id','timesheet_id','candidate_id','client_id','pay_method',
-      'total_pay_ex_vat','expenses_pay_ex_vat','mileage_pay_ex_vat',
+      'total_pay_ex_vat','overtime_pay_ex_vat','expenses_pay_ex_vat','mileage_pay_ex_vat',
       'pay_wtr_rate_pct_snapshot','policy_snapshot_json',
       'pay_vat_rate_pct_snapshot','pay_vat_amount_snapshot','pay_total_inc_vat_snapshot',
       'paid_at_utc','pay_on_hold',
-      'timesheet:timesheets(week_ending_date,authorised_at_server,contract_id,reference_number)',
+      'timesheet:timesheets(week_ending_date,authorised_at_server,contract_id,reference_number,booking_id)',
     ].join(',') +
     `&is_current=eq.true&paid_at_utc=is.null&pay_on_hold=eq.false` +
     `&timesheet.authorised_at_server=not.is.null`;
@@ -4128,6 +4676,9 @@ export async function handlePaymentsGenerateCsv(env, req) {
     return withCORS(env, req, notFound('No eligible timesheets for payment.'));
   }
 
+  // ==== Timesheets whose booking has an open query are held until it is resolved
+  const queriedTs = await openTimesheetQueries(env, tsRows.map(r => ({ timesheet_id: r.timesheet_id, booking_id: r?.timesheet?.booking_id })));
+
   // ==== Load contracts for reference gate (require_reference_to_pay)
   const contractIds = [...new Set(tsRows.map(r => r?.timesheet?.contract_id).filter(Boolean))];
   let requireRefMap = {};
@@ -4143,18 +4694,20 @@ export async function handlePaymentsGenerateCsv(env, req) {
   const candIds = [...new Set(tsRows.map(r => r.candidate_id).filter(Boolean))];
   const { rows: candRows } = await sbFetch(
     env,
-    `${env.SUPABASE_URL}/rest/v1/candidates?select=id,display_name,first_name,last_name,email,account_holder,bank_name,sort_code,account_number,pay_method,umbrella_id&id=in.(${candIds.map(enc).join(',')})`
+    `${env.SUPABASE_URL}/rest/v1/candidates?select=id,display_name,first_name,last_name,email,account_holder,bank_name,sort_code,account_number,bank_enc,pay_method,umbrella_id&id=in.(${candIds.map(enc).join(',')})`
   );
-  const mapCand = Object.fromEntries((candRows || []).map(c => [c.id, c]));
+  const candOpen = await Promise.all((candRows || []).map(c => openBankFields(env, 'candidates', c)));
+  const mapCand = Object.fromEntries(candOpen.map(c => [c.id, c]));
 
   const umbIds = [...new Set((candRows || []).map(c => c.umbrella_id).filter(Boolean))];
   const { rows: umbRows } = umbIds.length
     ? await sbFetch(
         env,
-        `${env.SUPABASE_URL}/rest/v1/umbrellas?id=in.(${umbIds.map(enc).join(',')})&select=id,name,enabled,vat_chargeable,bank_name,sort_code,account_number`
+        `${env.SUPABASE_URL}/rest/v1/umbrellas?id=in.(${umbIds.map(enc).join(',')})&select=id,name,enabled,vat_chargeable,bank_name,sort_code,account_number,bank_enc`
       )
     : { rows: [] };
-  const mapUmb = Object.fromEntries((umbRows || []).map(u => [u.id, u]));
+  const umbOpen = await Promise.all((umbRows || []).map(u => openBankFields(env, 'umbrellas', u)));
+  const mapUmb = Object.fromEntries(umbOpen.map(u => [u.id, u]));
 
   // ==== Optional umbrella filter + safety gates + contract reference gate
   const filtered = tsRows.filter(r => {
@@ -4177,6 +4730,7 @@ export async function handlePaymentsGenerateCsv(env, req) {
     }
     // Authorised safety (embedded filter above handles most cases)
     if (!r?.timesheet?.authorised_at_server) return false;
+    if (queriedTs.has(r.timesheet_id)) return false;
 
     // NEW: contract-level reference gate for PAY
     const requireRef = r?.timesheet?.contract_id ? !!requireRefMap[r.timesheet.contract_id] : false;
@@ -4233,7 +4787,7 @@ export async function handlePaymentsGenerateCsv(env, req) {
     let sumEx = 0;
     let sumInc = 0;
     for (const r of g.rows) {
-      const payEx = Number(r.total_pay_ex_vat || 0);
+      const payEx = Number(r.total_pay_ex_vat || 0) + Number(r.overtime_pay_ex_vat || 0);
       const expEx = Number(r.expenses_pay_ex_vat || 0);
       const milEx = Number(r.mileage_pay_ex_vat || 0);
       const rowEx = round2(payEx + expEx + milEx);
@@ -4371,7 +4925,7 @@ export async function handlePaymentsGenerateCsv(env, req) {
 
 
 export async function handleRemittancesSend(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['payments:run']);
   if (!user) return withCORS(env, req, unauthorized());
 
   let body;
@@ -4387,8 +4941,8 @@ export async function handleRemittancesSend(env, req) {
       'id','timesheet_id','candidate_id','client_id',
       'pay_method',
       'hours_day','hours_night','hours_sat','hours_sun','hours_bh',
-      'pay_day','pay_night','pay_sat','pay_sun','pay_bh',
-      'total_hours','total_pay_ex_vat',
+      'pay_day','pay_night','pay_sat','pay_sun','pay_bh','custom_buckets_json',
+      'total_hours','total_pay_ex_vat','overtime_pay_ex_vat','overtime_json',
       'expenses_pay_ex_vat','mileage_pay_ex_vat',
       'pay_wtr_rate_pct_snapshot','policy_snapshot_json',
       'pay_vat_rate_pct_snapshot','pay_vat_amount_snapshot','pay_total_inc_vat_snapshot',
@@ -4486,7 +5040,7 @@ export async function handleRemittancesSend(env, req) {
     const rowsHtml = rows.map((r) => {
       const ts = r.timesheet || {}; const cli = r.client || {};
       const payMethod = String(r.pay_method || '').toUpperCase();
-      const payEx = toNum(r.total_pay_ex_vat);
+      const payEx = toNum(r.total_pay_ex_vat) + toNum(r.overtime_pay_ex_vat);
       const expEx = toNum(r.expenses_pay_ex_vat);
       const milEx = toNum(r.mileage_pay_ex_vat);
       const rowEx = round2(payEx + expEx + milEx);
@@ -4551,7 +5105,7 @@ export async function handleRemittancesSend(env, req) {
           ${hasPAYE ? `<td style="text-align:right">${wtrInfoHtml}</td>` : ''}
           ${hasUmb ? `<td style="text-align:right">${vatHtml}</td>` : ''}
           ${hasUmb ? `<td style="text-align:right"><strong>${incHtml}</strong></td>` : ''}
-        </tr>`;
+        </tr>${remittanceDetailRows(r, esc)}`;
     }).join('');
 
     const extraPAYECol = hasPAYE ? '<th align="right">Basic + WTR (info)</th>' : '';
@@ -4627,7 +5181,7 @@ export async function handleRemittancesSend(env, req) {
     for (const r of rows) {
       const ts = r.timesheet || {}; const cli = r.client || {};
       const pm = String(r.pay_method || '').toUpperCase();
-      const payEx = Number(r.total_pay_ex_vat || 0);
+      const payEx = Number(r.total_pay_ex_vat || 0) + Number(r.overtime_pay_ex_vat || 0);
       const expEx = Number(r.expenses_pay_ex_vat || 0);
       const milEx = Number(r.mileage_pay_ex_vat || 0);
       const rowEx = round2(payEx + expEx + milEx);
@@ -4635,6 +5189,7 @@ export async function handleRemittancesSend(env, req) {
 
       tlines.push(`WE ${ts.week_ending_date || ''} — ${cli.name || ''} / ${ts.hospital_norm || ''} / ${ts.ward_norm || ''} / ${ts.shift_label_norm || ''}`);
       tlines.push(`${L.day}: ${fmt(r.hours_day)} @ ${fmt(r.pay_day)}, ${L.night}: ${fmt(r.hours_night)} @ ${fmt(r.pay_night)}, ${L.sat}: ${fmt(r.hours_sat)} @ ${fmt(r.pay_sat)}, ${L.sun}: ${fmt(r.hours_sun)} @ ${fmt(r.pay_sun)}, ${L.bh}: ${fmt(r.hours_bh)} @ ${fmt(r.pay_bh)}`);
+      tlines.push(...remittanceDetailText(r));
       tlines.push(`Pay ex VAT: ${fmt(payEx)}  |  Expenses: ${fmt(expEx)}  |  Mileage: ${fmt(milEx)}  |  Total ex VAT: ${fmt(rowEx)}`);
       if (pm === 'PAYE') {
         const wtrPct = resolveWtrPctForRow(r, defaults, clientHolidayMap);
@@ -4714,7 +5269,7 @@ export async function handleRemittancesSend(env, req) {
 }
 
 export async function handleContractsCheckOverlap(env, req) {
-  const user = await requireUser (env, req, ['admin']);
+  const user = await requireUser(env, req, ['contracts:read']);
   if (!user) return withCORS(env, req, unauthorized());
 
   let body; 
@@ -4784,7 +5339,7 @@ export async function handleContractsCheckOverlap(env, req) {
 // ───────────────────────────────────────────────────────────────────────────────
 
 export async function handleTimesheetPayHold(env, req, timesheetId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['finance:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   let body;
@@ -4816,7 +5371,7 @@ export async function handleTimesheetPayHold(env, req, timesheetId) {
 }
 
 export async function handleTimesheetMarkPaid(env, req, timesheetId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['finance:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   let body;
@@ -4828,7 +5383,7 @@ export async function handleTimesheetMarkPaid(env, req, timesheetId) {
   const { rows } = await sbFetch(
     env,
     `${env.SUPABASE_URL}/rest/v1/timesheets_financials?is_current=eq.true&timesheet_id=eq.${enc(timesheetId)}` +
-    `&select=id,candidate_id,client_id,pay_method,total_pay_ex_vat,expenses_pay_ex_vat,mileage_pay_ex_vat,policy_snapshot_json,` +
+    `&select=id,candidate_id,client_id,pay_method,total_pay_ex_vat,overtime_pay_ex_vat,expenses_pay_ex_vat,mileage_pay_ex_vat,policy_snapshot_json,` +
     `pay_wtr_rate_pct_snapshot,pay_vat_rate_pct_snapshot,pay_vat_amount_snapshot,pay_total_inc_vat_snapshot`
   );
   const row = rows?.[0];
@@ -4857,7 +5412,7 @@ export async function handleTimesheetMarkPaid(env, req, timesheetId) {
         const { rows: uRows } = await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/umbrellas?id=eq.${enc(umbId)}&select=vat_chargeable`);
         vatChargeable = !!uRows?.[0]?.vat_chargeable;
       }
-      const payEx = Number(row.total_pay_ex_vat || 0);
+      const payEx = Number(row.total_pay_ex_vat || 0) + Number(row.overtime_pay_ex_vat || 0);
       const expEx = Number(row.expenses_pay_ex_vat || 0);
       const milEx = Number(row.mileage_pay_ex_vat || 0);
       const rowEx = round2(payEx + expEx + milEx);
@@ -4914,7 +5469,7 @@ export async function handleTimesheetMarkPaid(env, req, timesheetId) {
 // ───────────────────────────────────────────────────────────────────────────────
 
 export async function handleReportTimesheets(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['reports:read']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const urlObj = new URL(req.url);
@@ -5020,7 +5575,7 @@ export async function handleReportTimesheets(env, req) {
 // ───────────────────────────────────────────────────────────────────────────────
 
 export async function handleReportInvoices(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['reports:read']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const urlObj = new URL(req.url);
@@ -5118,7 +5673,7 @@ export async function handleReportInvoices(env, req) {
 // ───────────────────────────────────────────────────────────────────────────────
 
 export async function handleReportCandidates(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['reports:read']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const urlObj = new URL(req.url);
@@ -5188,7 +5743,7 @@ export async function handleReportCandidates(env, req) {
 // ───────────────────────────────────────────────────────────────────────────────
 
 export async function handleReportClients(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['reports:read']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const urlObj = new URL(req.url);
@@ -5258,7 +5813,7 @@ export async function handleReportClients(env, req) {
 // ───────────────────────────────────────────────────────────────────────────────
 
 export async function handleReportUmbrellas(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['reports:read']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const urlObj = new URL(req.url);
@@ -5333,7 +5888,7 @@ export async function handleReportUmbrellas(env, req) {
 // ───────────────────────────────────────────────────────────────────────────────
 
 export async function handleSearchTimesheets(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['reports:read']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const urlObj = new URL(req.url);
@@ -5487,7 +6042,7 @@ export async function handleSearchTimesheets(env, req) {
 // SEARCH — Invoices (richer filters + csv/print)
 // ───────────────────────────────────────────────────────────────────────────────
 export async function handleSearchInvoices(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['reports:read']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const urlObj = new URL(req.url);
@@ -5615,7 +6170,7 @@ export async function handleSearchInvoices(env, req) {
 // ───────────────────────────────────────────────────────────────────────────────
 
 export async function handleSearchClients(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['reports:read']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const urlObj = new URL(req.url);
@@ -5711,7 +6266,7 @@ export async function handleSearchClients(env, req) {
 // SEARCH — Umbrellas (richer filters + csv/print)
 // ───────────────────────────────────────────────────────────────────────────────
 export async function handleSearchUmbrellas(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['reports:read']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const urlObj = new URL(req.url);
@@ -5734,8 +6289,9 @@ export async function handleSearchUmbrellas(env, req) {
   // Expanded filters to match FE
   const text         = q('q'); // name partial
   const bankName     = q('bank_name');
-  const sortCode     = q('sort_code');
-  const accountNo    = q('account_number');
+  // Bank columns only hold masks now (sort code → last 2, account → last 4), so the account filter
+  // matches on its last four digits and sort code is no longer searchable
+  const accountLast4 = String(q('account_number') || '').replace(/\D/g, '').slice(-4);
   const enabled      = q('enabled');        // 'true'|'false'|null
   const vatChargeable = q('vat_chargeable'); // 'true'|'false'|null
   const createdFrom  = q('created_from');
@@ -5749,8 +6305,7 @@ export async function handleSearchUmbrellas(env, req) {
   if (idFilterExpr) url += `&id=${enc(idFilterExpr)}`;
   if (text)      url += `&name=ilike.*${enc(text)}*`;
   if (bankName)  url += `&bank_name=ilike.*${enc(bankName)}*`;
-  if (sortCode)  url += `&sort_code=ilike.*${enc(sortCode)}*`;
-  if (accountNo) url += `&account_number=ilike.*${enc(accountNo)}*`;
+  if (accountLast4.length === 4) url += `&account_number=like.*${enc(accountLast4)}`;
   if (enabled === 'true')  url += `&enabled=eq.true`;
   if (enabled === 'false') url += `&enabled=eq.false`;
   if (vatChargeable === 'true')  url += `&vat_chargeable=eq.true`;
@@ -5761,6 +6316,7 @@ export async function handleSearchUmbrellas(env, req) {
   let rows = [];
   try {
     ({ rows } = await sbFetch(env, url));
+    rows = (rows || []).map(r => maskBankRow('umbrellas', r));
   } catch (err) {
     return withCORS(env, req, ok({ error: String(err?.message || err), rows: [], page, page_size: pageSize, count: 0 }));
   }
@@ -5813,7 +6369,7 @@ export async function handleSearchUmbrellas(env, req) {
 // handleReportPresetsList: default sort name.asc; include user join; mine first then shared.
 
 export async function handleReportPresetsList(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['reports:read']);
   if (!user) return withCORS(env, req, unauthorized());
 
   try {
@@ -5872,7 +6428,7 @@ export async function handleReportPresetsList(env, req) {
   }
 }
 export async function handleReportPresetsCreate(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['reports:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   try {
@@ -5936,7 +6492,7 @@ export async function handleReportPresetsCreate(env, req) {
 }
 
 export async function handleReportPresetsUpdate(env, req, routeId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['reports:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   try {
@@ -6008,7 +6564,7 @@ export async function handleReportPresetsUpdate(env, req, routeId) {
 
 
 export async function handleReportPresetsDelete(env, req, routeId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['reports:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const urlObj = new URL(req.url);
@@ -6112,7 +6668,11 @@ function buildHTML(payload) {
       const hourPills = Object.entries(hours)
         .filter(([, v]) => Number(v) > 0)
         .map(([k, v]) => `<span class="pill">${escapeHtml(labels[mapKey[k]] || k.toUpperCase())}: ${Number(v).toFixed(2)}</span>`)
-        .join("");
+        .join("") +
+        (Array.isArray(meta.custom_buckets) ? meta.custom_buckets : [])
+          .filter((b) => Number(b.hours) > 0)
+          .map((b) => `<span class="pill">${escapeHtml(b.label || b.code)}: ${Number(b.hours).toFixed(2)}</span>`)
+          .join("");
 
       return `
         <tr class="line">
@@ -6320,6 +6880,7 @@ function buildHTML(payload) {
     - handleGetOutboxItem
     - handleOutboxMarkSent
     - handleOutboxMarkFailed
+    - handleOutboxCallback (HMAC-signed provider callback; no bearer token)
 
   Helpers (pure logic or provider-facing):
     - drainEmailOutboxOnce
@@ -6605,8 +7166,8 @@ async function drainEmailOutboxOnce(env, { limit, types } = {}) {
       const res = await postToPowerAutomate(env, payload);
 
       if (res.ok) {
-        // mark SENT
-        const upd = await fetch(`${env.SUPABASE_URL}/rest/v1/mail_outbox?id=eq.${enc(row.id)}`, {
+        // mark SENT, unless a delivery/bounce callback already got there first
+        const upd = await fetch(`${env.SUPABASE_URL}/rest/v1/mail_outbox?id=eq.${enc(row.id)}&status=not.in.(${outboxStatusesAtOrAbove('DELIVERED').join(',')})`, {
           method: 'PATCH',
           headers: sbHeaders(env),
           body: JSON.stringify({ status: 'SENT', sent_at: nowIso(), provider_message_id: res.provider_message_id || null, last_error: null, failed_at: null })
@@ -6652,7 +7213,7 @@ async function drainEmailOutboxOnce(env, { limit, types } = {}) {
 // HTTP handlers – Outbox ops
 // ------------------------------
 export async function handleOutboxDrain(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['email:send']);
   if (!user) return withCORS(env, req, unauthorized());
 
   let body = {};
@@ -6667,7 +7228,7 @@ export async function handleOutboxDrain(env, req) {
 }
 
 export async function handleEmailSend(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['email:send']);
   if (!user) return withCORS(env, req, unauthorized());
 
   let body;
@@ -6725,7 +7286,7 @@ export async function handleEmailSend(env, req) {
 }
 
 export async function handleOutboxRetry(env, req, outboxId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['email:send']);
   if (!user) return withCORS(env, req, unauthorized());
 
   try {
@@ -6742,7 +7303,7 @@ export async function handleOutboxRetry(env, req, outboxId) {
 }
 
 export async function handleListOutbox(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['email:read']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const url = new URL(req.url);
@@ -6760,7 +7321,7 @@ export async function handleListOutbox(env, req) {
 }
 
 export async function handleGetOutboxItem(env, req, outboxId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['email:read']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const { rows } = await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/mail_outbox?select=*&id=eq.${enc(outboxId)}`, false);
@@ -6770,7 +7331,7 @@ export async function handleGetOutboxItem(env, req, outboxId) {
 
 export async function handleOutboxMarkSent(env, req) {
   // Optional callback for provider -> system reconciliation
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['email:send']);
   if (!user) return withCORS(env, req, unauthorized());
 
   let body;
@@ -6790,7 +7351,7 @@ export async function handleOutboxMarkSent(env, req) {
 
 export async function handleOutboxMarkFailed(env, req) {
   // Optional callback for provider -> system reconciliation
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['email:send']);
   if (!user) return withCORS(env, req, unauthorized());
 
   let body;
@@ -6808,11 +7369,108 @@ export async function handleOutboxMarkFailed(env, req) {
   return withCORS(env, req, ok({ ok: true }));
 }
 
+// ------------------------------
+// HTTP handler – signed provider callback (no user credential)
+// ------------------------------
+// POST /api/email/outbox/callback
+//   X-CTMS-Flow:      flow id, selects the shared secret in OUTBOX_CALLBACK_SECRETS
+//   X-CTMS-Timestamp: unix seconds; must be within OUTBOX_CALLBACK_TOLERANCE_SECONDS (default 300)
+//   X-CTMS-Signature: hex HMAC-SHA256(secret, `${timestamp}.${raw body}`), optionally prefixed "v1="
+// Body: { id, event: SENT|DELIVERED|BOUNCED|FAILED, provider_message_id?, error?, occurred_at? }
+// OUTBOX_CALLBACK_SECRETS is a JSON secret { "<flow>": "secret" | ["new", "old"] }; listing two
+// secrets for a flow lets its secret be rotated without dropping callbacks. Each signature is
+// accepted once (KV cbsig:<flow>:<sig> for twice the tolerance window), recorded only once the
+// callback has been applied so a provider retrying after our error is not turned away.
+const OUTBOX_CALLBACK_EVENTS = {
+  SENT:      (b, at) => ({ status: 'SENT', sent_at: at, provider_message_id: b.provider_message_id || null, last_error: null, failed_at: null }),
+  DELIVERED: (b, at) => ({ status: 'DELIVERED', delivered_at: at, ...(b.provider_message_id ? { provider_message_id: b.provider_message_id } : {}) }),
+  BOUNCED:   (b, at) => ({ status: 'BOUNCED', failed_at: at, last_error: String(b.error || 'Bounced') }),
+  FAILED:    (b, at) => ({ status: 'FAILED', failed_at: at, last_error: String(b.error || 'Unknown error') }),
+};
+// Callbacks arrive out of order, so an event only moves an item forward: SENT < DELIVERED < BOUNCED/FAILED
+// (a late SENT never overwrites DELIVERED; a bounce can still follow a delivery). Anything else
+// (QUEUED, SENDING, …) ranks 0.
+const OUTBOX_CALLBACK_RANK = { SENT: 1, DELIVERED: 2, BOUNCED: 3, FAILED: 3 };
+const outboxStatusesAtOrAbove = (event) =>
+  Object.keys(OUTBOX_CALLBACK_RANK).filter(s => OUTBOX_CALLBACK_RANK[s] >= OUTBOX_CALLBACK_RANK[event]);
+
+function outboxCallbackSecrets(env, flow) {
+  let map = {};
+  try { map = JSON.parse(env.OUTBOX_CALLBACK_SECRETS || '{}') || {}; } catch { throw new Error('OUTBOX_CALLBACK_SECRETS is not valid JSON'); }
+  return toArray(map[flow]).filter(isNonEmptyString);
+}
+
+function hexToBytes(hex) {
+  const s = String(hex || '');
+  if (!/^(?:[0-9a-f]{2})+$/i.test(s)) return null;
+  const out = new Uint8Array(s.length / 2);
+  for (let i = 0; i < out.length; i++) out[i] = parseInt(s.slice(i * 2, i * 2 + 2), 16);
+  return out;
+}
+
+// crypto.subtle.verify compares in constant time
+async function verifyCallbackSignature(secrets, signed, sigBytes) {
+  for (const secret of secrets) {
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['verify']);
+    if (await crypto.subtle.verify('HMAC', key, sigBytes, new TextEncoder().encode(signed))) return true;
+  }
+  return false;
+}
+
+export async function handleOutboxCallback(env, req) {
+  const flow = String(req.headers.get('x-ctms-flow') || '').trim();
+  const ts = String(req.headers.get('x-ctms-timestamp') || '').trim();
+  const sigHex = String(req.headers.get('x-ctms-signature') || '').trim().replace(/^v1=/, '');
+  if (!flow || !/^\d{9,11}$/.test(ts) || !sigHex) return withCORS(env, req, unauthorized('Missing signature headers'));
+
+  const tolerance = parseInt(env.OUTBOX_CALLBACK_TOLERANCE_SECONDS || '300', 10) || 300;
+  if (Math.abs(Math.floor(Date.now() / 1000) - Number(ts)) > tolerance) return withCORS(env, req, unauthorized('Stale timestamp'));
+
+  const secrets = outboxCallbackSecrets(env, flow);
+  const sigBytes = hexToBytes(sigHex);
+  const raw = await req.text();
+  if (!secrets.length || !sigBytes || !(await verifyCallbackSignature(secrets, `${ts}.${raw}`, sigBytes))) {
+    return withCORS(env, req, unauthorized('Invalid signature'));
+  }
+
+  const replayKey = `cbsig:${flow}:${sigHex.toLowerCase()}`;
+  if (await env.SESSIONS.get(replayKey)) return withCORS(env, req, conflict('Replayed callback'));
+
+  let body;
+  try { body = JSON.parse(raw); } catch { return withCORS(env, req, badRequest('Invalid JSON')); }
+  const event = String(body?.event || '').toUpperCase();
+  if (!isNonEmptyString(body?.id)) return withCORS(env, req, badRequest('id is required'));
+  if (!OUTBOX_CALLBACK_EVENTS[event]) return withCORS(env, req, badRequest(`event must be one of ${Object.keys(OUTBOX_CALLBACK_EVENTS).join(', ')}`));
+
+  const occurred = body.occurred_at && !Number.isNaN(Date.parse(body.occurred_at)) ? new Date(body.occurred_at).toISOString() : nowIso();
+  const notBehind = `&status=not.in.(${outboxStatusesAtOrAbove(event).join(',')})`;
+  const upd = await fetch(`${env.SUPABASE_URL}/rest/v1/mail_outbox?id=eq.${enc(body.id)}${notBehind}&select=id,type`, {
+    method: 'PATCH', headers: { ...sbHeaders(env), Prefer: 'return=representation' },
+    body: JSON.stringify(OUTBOX_CALLBACK_EVENTS[event](body, occurred))
+  });
+  if (!upd.ok) return withCORS(env, req, serverError(`Failed to apply callback: ${await upd.text()}`));
+  await env.SESSIONS.put(replayKey, ts, { expirationTtl: Math.max(60, tolerance * 2) });
+  const rows = await upd.json().catch(() => []);
+  if (!rows?.length) {
+    // Either unknown, or already at/after this event: acknowledge the stale event without applying it
+    const cur = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/mail_outbox?id=eq.${enc(body.id)}&select=id,status`);
+    if (!cur) return withCORS(env, req, notFound('Outbox item not found'));
+    return withCORS(env, req, ok({ ok: true, id: body.id, status: cur.status, ignored: event }));
+  }
+
+  const principal = { id: null, email: `flow:${flow}`, role: 'service', kind: 'callback' };
+  await recordEmailAudit(env, principal, `EMAIL_CALLBACK_${event}`, {
+    outbox_id: body.id, flow, type: rows[0].type,
+    provider_message_id: body.provider_message_id || null, error: body.error || null, occurred_at: occurred,
+  });
+  return withCORS(env, req, ok({ ok: true, id: body.id, status: event }));
+}
+
 // ------------------------------
 // HTTP handler – TSO failure email queueing
 // ------------------------------
 export async function handleQueueTsoFailureEmail(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['email:send']);
   if (!user) return withCORS(env, req, unauthorized());
 
   let body;
@@ -6935,7 +7593,7 @@ async function recordEmailAudit(env, userOrNull, action, meta) {
 // REVISED: Remittance & Invoice email queueing
 // ------------------------------
 export async function handleRemittanceEmailForCandidate(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['payments:run']);
   if (!user) return withCORS(env, req, unauthorized());
 
   let body;
@@ -6962,8 +7620,8 @@ export async function handleRemittanceEmailForCandidate(env, req) {
               `?select=` + [
                 'id','timesheet_id','candidate_id','client_id','pay_method',
                 'hours_day','hours_night','hours_sat','hours_sun','hours_bh',
-                'pay_day','pay_night','pay_sat','pay_sun','pay_bh',
-                'total_hours','total_pay_ex_vat',
+                'pay_day','pay_night','pay_sat','pay_sun','pay_bh','custom_buckets_json',
+                'total_hours','total_pay_ex_vat','overtime_pay_ex_vat','overtime_json',
                 'expenses_pay_ex_vat','mileage_pay_ex_vat',
                 'pay_wtr_rate_pct_snapshot','policy_snapshot_json',
                 'pay_vat_rate_pct_snapshot','pay_vat_amount_snapshot','pay_total_inc_vat_snapshot',
@@ -7060,7 +7718,7 @@ export async function handleRemittanceEmailForCandidate(env, req) {
       const payMethod = String(r.pay_method || '').toUpperCase();
 
       // Ex-VAT components
-      const payEx = toNum(r.total_pay_ex_vat);
+      const payEx = toNum(r.total_pay_ex_vat) + toNum(r.overtime_pay_ex_vat);
       const expEx = toNum(r.expenses_pay_ex_vat);
       const milEx = toNum(r.mileage_pay_ex_vat);
       let rowEx = payEx + expEx + milEx;
@@ -7136,7 +7794,7 @@ export async function handleRemittanceEmailForCandidate(env, req) {
 
           ${hasUmbrella ? `<td style="text-align:right">${vatHtml || '—'}</td>` : ''}
           ${hasUmbrella ? `<td style="text-align:right"><strong>${incHtml || '—'}</strong></td>` : ''}
-        </tr>`;
+        </tr>${remittanceDetailRows(r, esc)}`;
     }).join('');
 
     // 3) Build HTML (header adapts to PAYE/Umbrella columns)
@@ -7216,13 +7874,14 @@ export async function handleRemittanceEmailForCandidate(env, req) {
       const ts = r.timesheet || {}; const cli = r.client || {};
       const pm = String(r.pay_method || '').toUpperCase();
 
-      const payEx = toNum(r.total_pay_ex_vat);
+      const payEx = toNum(r.total_pay_ex_vat) + toNum(r.overtime_pay_ex_vat);
       const expEx = toNum(r.expenses_pay_ex_vat);
       const milEx = toNum(r.mileage_pay_ex_vat);
       const rowEx = payEx + expEx + milEx;
 
       textLines.push(`WE ${ts.week_ending_date || ''} — ${cli.name || ''} / ${ts.hospital_norm || ''} / ${ts.ward_norm || ''} / ${ts.shift_label_norm || ''}`);
       textLines.push(`Day: ${fmt(r.hours_day)} @ ${fmt(r.pay_day)}, Night: ${fmt(r.hours_night)} @ ${fmt(r.pay_night)}, Sat: ${fmt(r.hours_sat)} @ ${fmt(r.pay_sat)}, Sun: ${fmt(r.hours_sun)} @ ${fmt(r.pay_sun)}, BH: ${fmt(r.hours_bh)} @ ${fmt(r.pay_bh)}`);
+      textLines.push(...remittanceDetailText(r));
       textLines.push(`Pay ex VAT: ${fmt(payEx)}  |  Expenses: ${fmt(expEx)}  |  Mileage: ${fmt(milEx)}  |  Total ex VAT: ${fmt(rowEx)}`);
 
       if (pm === 'PAYE') {
@@ -7314,7 +7973,7 @@ export async function handleRemittanceEmailForCandidate(env, req) {
 
 
 export async function handleInvoiceEmail(env, req, invoiceId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['invoices:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   try {
@@ -7375,7 +8034,7 @@ export async function handleInvoiceEmail(env, req, invoiceId) {
 // roles_display: either materialized, or computed in FE from roles array.
 // ─────────────────────────────────────────────────────────────────────────────
 async function handlePickerCandidatesSnapshot(env, req){
-  const user = await requireUser(env, req, ['admin']); if (!user) return unauthorized();
+  const user = await requireUser(env, req, ['candidates:read']); if (!user) return unauthorized();
   // minimal projection; we prefer selecting explicit columns
   const sel = 'id,first_name,last_name,display_name,email,active,rev,updated_at,roles';
   const url = `${env.SUPABASE_URL}/rest/v1/candidates?select=${encodeURIComponent(sel)}&active=is.true`;
@@ -7397,7 +8056,7 @@ async function handlePickerCandidatesSnapshot(env, req){
 }
 
 async function handlePickerCandidatesDelta(env, req){
-  const user = await requireUser(env, req, ['admin']); if (!user) return unauthorized();
+  const user = await requireUser(env, req, ['candidates:read']); if (!user) return unauthorized();
   const u = new URL(req.url);
   const sinceRaw = u.searchParams.get('since');
   if (!sinceRaw) return badJSON(400, 'missing since');
@@ -7425,7 +8084,7 @@ async function handlePickerCandidatesDelta(env, req){
 }
 
 async function handlePickerCandidatesIdList(env, req){
-  const user = await requireUser(env, req, ['admin']); if (!user) return unauthorized();
+  const user = await requireUser(env, req, ['candidates:read']); if (!user) return unauthorized();
   const u = new URL(req.url);
   // Map passed filters to PostgREST query. Keep it minimal (ids, role, q, active, etc.)
   const qs = new URLSearchParams();
@@ -7448,7 +8107,7 @@ async function handlePickerCandidatesIdList(env, req){
 // CLIENTS: snapshot / delta / id-list
 // ─────────────────────────────────────────────────────────────────────────────
 async function handlePickerClientsSnapshot(env, req){
-  const user = await requireUser(env, req, ['admin']); if (!user) return unauthorized();
+  const user = await requireUser(env, req, ['clients:read']); if (!user) return unauthorized();
   const sel = 'id,name,primary_invoice_email,rev,updated_at';
   const url = `${env.SUPABASE_URL}/rest/v1/clients?select=${encodeURIComponent(sel)}`;
   const { rows } = await sbFetch(env, url);
@@ -7464,7 +8123,7 @@ async function handlePickerClientsSnapshot(env, req){
 }
 
 async function handlePickerClientsDelta(env, req){
-  const user = await requireUser(env, req, ['admin']); if (!user) return unauthorized();
+  const user = await requireUser(env, req, ['clients:read']); if (!user) return unauthorized();
   const u = new URL(req.url);
   const sinceRaw = u.searchParams.get('since');
   if (!sinceRaw) return badJSON(400, 'missing since');
@@ -7489,7 +8148,7 @@ async function handlePickerClientsDelta(env, req){
 }
 
 async function handlePickerClientsIdList(env, req){
-  const user = await requireUser(env, req, ['admin']); if (!user) return unauthorized();
+  const user = await requireUser(env, req, ['clients:read']); if (!user) return unauthorized();
   const u = new URL(req.url);
   const qs = new URLSearchParams();
 
@@ -7554,6 +8213,12 @@ function unsupported(msg = "Unsupported Media Type") {
 function unprocessable(msg = "Unprocessable Entity") {
   return new Response(JSON.stringify({ error: msg }), { status: 422, headers: JSON_HEADERS });
 }
+function tooManyRequests(msg = "Too Many Requests", retryAfterSec = 60) {
+  const retryAfter = Math.max(1, Math.ceil(Number(retryAfterSec) || 0));
+  return new Response(JSON.stringify({ error: msg, retry_after: retryAfter }), {
+    status: 429, headers: { ...JSON_HEADERS, "Retry-After": String(retryAfter) }
+  });
+}
 function serverError(msg = "Internal Server Error") {
   return new Response(JSON.stringify({ error: msg }), { status: 500, headers: JSON_HEADERS });
 }
@@ -7573,8 +8238,9 @@ function buildCORSHeaders(env, reqOrigin) {
   const allowed = splitCsv(env.ALLOWED_ORIGINS || "");
   const h = {
     "Access-Control-Allow-Credentials": "true",
-    "Access-Control-Allow-Headers": "authorization,content-type,content-md5,x-requested-with,idempotency-key,x-idempotency-key",
+    "Access-Control-Allow-Headers": "authorization,content-type,content-md5,x-requested-with,idempotency-key,x-idempotency-key,x-api-key",
     "Access-Control-Allow-Methods": "GET,POST,PUT,PATCH,DELETE,OPTIONS",
+    "Access-Control-Expose-Headers": "Retry-After",
     "Vary": "Origin",
   };
   if (!allowed.length) return h;
@@ -7639,18 +8305,78 @@ function base64UrlToUint8(b64url) {
   return arr;
 }
 
-// Tokens (compact): base64url(JSON).base64url(HMAC) with exp
+// ---------------------- Signing keyrings ----------------------
+// <NAME>_TOKEN_KEYRING (JSON secret) lists the keys for one token family (NAME = SESSION | UPLOAD):
+//   [{ "kid":"2025-11", "secret":"..." },                                    ← first non-retiring key signs
+//    { "kid":"2025-05", "secret":"...", "retire_at":"2025-12-01T00:00:00Z" }]  ← still verifies until retire_at
+// The legacy <NAME>_TOKEN_SECRET stays valid for untagged tokens (no kid), optionally
+// until <NAME>_TOKEN_SECRET_RETIRE_AT. Without a keyring it keeps signing untagged tokens as before.
+// Rotation: add a new key at the top, set retire_at on the old one ≥ the longest token lifetime
+// (refresh TTL for SESSION, emailed link TTL for UPLOAD), and remove it after that date.
+const _keyringCache = new Map();
+
+function tokenKeyring(env, name) {
+  const rawRing = env[`${name}_TOKEN_KEYRING`] || '';
+  const legacy = env[`${name}_TOKEN_SECRET`] || '';
+  const legacyRetire = env[`${name}_TOKEN_SECRET_RETIRE_AT`] || '';
+  const cacheKey = `${name}|${rawRing}|${legacy}|${legacyRetire}`;
+  if (_keyringCache.has(cacheKey)) return _keyringCache.get(cacheKey);
+
+  const keys = [];
+  if (rawRing) {
+    let list;
+    try { list = JSON.parse(rawRing); } catch { throw new Error(`${name}_TOKEN_KEYRING is not valid JSON`); }
+    for (const k of (Array.isArray(list) ? list : [])) {
+      if (!k || !k.kid || !k.secret) continue;
+      const retireMs = k.retire_at ? new Date(k.retire_at).getTime() : null;
+      keys.push({ kid: String(k.kid), secret: String(k.secret), retire_at_ms: Number.isFinite(retireMs) ? retireMs : null });
+    }
+  }
+  if (legacy) {
+    const retireMs = legacyRetire ? new Date(legacyRetire).getTime() : null;
+    keys.push({ kid: null, secret: String(legacy), retire_at_ms: Number.isFinite(retireMs) ? retireMs : null });
+  }
+
+  const active = keys.find(k => k.kid && k.retire_at_ms == null) || keys.find(k => k.retire_at_ms == null) || null;
+  const ring = keys.length ? { name, active, keys } : null;
+  _keyringCache.set(cacheKey, ring);
+  return ring;
+}
+function uploadKeyring(env) { return tokenKeyring(env, 'UPLOAD'); }
+
+// Tokens (compact): base64url(JSON).base64url(HMAC) with exp.
+// `secret` is a plain string or a keyring; with a keyring the signing key id travels as the `kid` claim.
 async function createToken(secret, payload) {
-  const data = bufToBase64Url(new TextEncoder().encode(JSON.stringify(payload)));
-  const sig = await hmacSign(secret, data);
+  let key = secret;
+  let claims = payload;
+  if (secret && typeof secret === "object") {
+    if (!secret.active) throw new Error(`No active ${secret.name} signing key`);
+    key = secret.active.secret;
+    claims = secret.active.kid ? { ...payload, kid: secret.active.kid } : payload;
+  }
+  const data = bufToBase64Url(new TextEncoder().encode(JSON.stringify(claims)));
+  const sig = await hmacSign(key, data);
   return `${data}.${sig}`;
 }
 async function verifyToken(secret, token) {
   const [data, sig] = String(token || "").split(".");
   if (!data || !sig) return { ok: false, error: "Malformed token" };
-  const ok = await hmacVerify(secret, data, sig);
+
+  let payload;
+  try { payload = JSON.parse(new TextDecoder().decode(base64UrlToUint8(data))); }
+  catch { return { ok: false, error: "Malformed token" }; }
+
+  let key = secret;
+  if (secret && typeof secret === "object") {
+    const kid = payload && payload.kid != null ? String(payload.kid) : null;
+    const entry = secret.keys.find(k => k.kid === kid);
+    if (!entry) return { ok: false, error: "Unknown signing key" };
+    if (entry.retire_at_ms != null && Date.now() >= entry.retire_at_ms) return { ok: false, error: "Signing key retired" };
+    key = entry.secret;
+  }
+
+  const ok = await hmacVerify(key, data, sig);
   if (!ok) return { ok: false, error: "Invalid signature" };
-  const payload = JSON.parse(new TextDecoder().decode(base64UrlToUint8(data)));
   const now = Math.floor(Date.now() / 1000);
   if (typeof payload.exp === "number" && now > payload.exp) return { ok: false, error: "Token expired" };
   return { ok: true, payload };
@@ -7735,11 +8461,51 @@ async function sbMaxVersion(env, booking_id) {
 }
 
 // ---------------------- Business rules ----------------------
-function isEligibleWindow(worked_end_iso) {
-  // Shift must be happening now OR finished within last 4 hours.
+// Submission window for /timesheets/submit, relative to the worked end:
+// open from before_end_hours before it until after_end_hours after it. Per client in
+// client_settings (effective-dated), falling back to settings_defaults, then 12h / 4h.
+// Submitting after the window closes is allowed but lands in LATE_PENDING_REVIEW.
+const DEFAULT_SUBMISSION_WINDOW = { before_end_hours: 12, after_end_hours: 4 };
+const SUBMISSION_WINDOW_KEYS = ['submission_window_before_end_hours', 'submission_window_after_end_hours'];
+
+// Validates window hours in a settings payload (null clears back to the default); returns an error or null
+function submissionWindowInputError(input) {
+  for (const k of SUBMISSION_WINDOW_KEYS) {
+    if (!(k in input) || input[k] === null) continue;
+    const n = Number(input[k]);
+    if (!Number.isFinite(n) || n < 0 || n > 720) return `${k} must be between 0 and 720 hours`;
+    input[k] = n;
+  }
+  return null;
+}
+
+async function loadSubmissionWindow(env, client_id, workedDateYmd) {
+  const cols = 'submission_window_before_end_hours,submission_window_after_end_hours';
+  const def = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/settings_defaults?id=eq.1&select=${cols}`);
+  let cs = null;
+  if (client_id) {
+    const w = workedDateYmd ? `&or=(effective_from.lte.${enc(workedDateYmd)},effective_from.is.null)` : '';
+    const { rows } = await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/client_settings?client_id=eq.${enc(client_id)}&select=${cols}${w}&order=effective_from.desc.nullslast&limit=1`);
+    cs = rows?.[0] || null;
+  }
+  const pick = (k) => {
+    for (const src of [cs, def]) {
+      const n = Number(src?.[`submission_window_${k}`]);
+      if (src?.[`submission_window_${k}`] != null && Number.isFinite(n) && n >= 0) return n;
+    }
+    return DEFAULT_SUBMISSION_WINDOW[k];
+  };
+  return { before_end_hours: pick('before_end_hours'), after_end_hours: pick('after_end_hours') };
+}
+
+// 'EARLY' (shift too far in the future), 'IN_WINDOW' or 'LATE'; late_minutes counts past the close
+function submissionTiming(worked_end_iso, win = DEFAULT_SUBMISSION_WINDOW) {
   const now = Date.now();
   const end = new Date(worked_end_iso).getTime();
-  return now >= end - 1000 * 60 * 60 * 12 && now <= end + 1000 * 60 * 60 * 4;
+  if (now < end - win.before_end_hours * 3600000) return { timing: 'EARLY', late_minutes: 0 };
+  const close = end + win.after_end_hours * 3600000;
+  if (now <= close) return { timing: 'IN_WINDOW', late_minutes: 0 };
+  return { timing: 'LATE', late_minutes: Math.ceil((now - close) / 60000) };
 }
 function minutesBetween(aIso, bIso) {
   const a = new Date(aIso).getTime();
@@ -7759,20 +8525,70 @@ function isPng(contentType) {
 // - SUPABASE_SERVICE_ROLE_KEY
 // - ALLOWED_ORIGINS                 (CSV of exact origins for CORS, e.g. "https://tms.example.com")
 // - SESSION_TOKEN_SECRET            (HMAC secret for access/refresh tokens)
+// - SESSION_TOKEN_KEYRING           (optional JSON keyring for rotation; see "Signing keyrings")
 // - COOKIE_NAME                     (default 'ctms_refresh')
 // - COOKIE_DOMAIN                   (e.g. '.example.com' for same-site subdomains)
 // - COOKIE_SAME_SITE                ('Lax' recommended for same-site; 'None' if truly cross-site)
 // - ACCESS_TTL_SECONDS              (default 900 = 15m)
 // - REFRESH_TTL_SECONDS             (default 1209600 = 14d)
 // - PASSWORD_RESET_TTL_SECONDS      (default 3600)
+// - USER_INVITE_TTL_SECONDS         (lifetime of emailed invite links, default 604800 = 7d)
+// - PASSWORD_RESET_URL              (front-end page that reads ?k= and posts to /auth/reset)
 // - UPLOAD_TOKEN_SECRET             (HMAC secret for upload/download token mint/verify)
+// - UPLOAD_TOKEN_KEYRING            (optional JSON keyring for rotation; see "Signing keyrings")
+// - AUTH_RL_LOGIN_IP / AUTH_RL_LOGIN_EMAIL / AUTH_RL_FORGOT_IP / AUTH_RL_FORGOT_EMAIL / AUTH_RL_RESET_IP
+//                                   ("MAX/WINDOW_SECONDS" overrides for the auth rate limits)
+// - AUTH_LOCKOUT_THRESHOLD          (failed logins before lockout, default 5)
+// - AUTH_LOCKOUT_WINDOW_SECONDS     (window the failures are counted in, default 900)
+// - AUTH_LOCKOUT_SECONDS            (lockout duration, default 900)
+// - TOTP_ISSUER                     (issuer label in authenticator apps, default 'CloudTMS')
+// - MFA_REQUIRED_ROLES              (CSV of roles that must use TOTP, e.g. "admin,finance")
+// - OIDC_ISSUER                     (SSO issuer URL; discovery at <issuer>/.well-known/openid-configuration)
+// - OIDC_CLIENT_ID / OIDC_CLIENT_SECRET (app registration; the secret is optional for public clients)
+// - OIDC_REDIRECT_URI               (front-end page that receives ?code&state and posts them to /auth/oidc/callback)
+// - OIDC_SCOPES                     (default 'openid email profile')
+// - OIDC_ALLOWED_DOMAINS            (CSV of email domains allowed to sign in; empty = any)
+// - OIDC_TENANT_ID                  (Entra tenant id; when set, users are matched by that tenant's upn claim
+//                                    instead of a verified email — add upn as an optional id_token claim)
+// - OIDC_JIT_PROVISION              ('true' to create tms_users on first SSO sign-in)
+// - OIDC_DEFAULT_ROLE               (role for provisioned users when no group maps)
+// - OIDC_GROUP_ROLE_MAP             (JSON { "<group id>": "<role>" })
+// - OIDC_GROUPS_CLAIM               (claim holding the groups, default 'groups')
+// - OIDC_ENFORCE_LOCAL_MFA          ('true' to still ask enrolled/required users for TOTP after SSO)
+// - AUTH_RL_OIDC_IP                 ("MAX/WINDOW_SECONDS" override for the SSO start/callback limit)
+// - CRON_API_KEY                    (service API key the scheduled jobs call the API with; needs invoices:write)
+// - OUTBOX_CALLBACK_SECRETS         (JSON secret: per-flow HMAC secrets for /api/email/outbox/callback)
+// - OUTBOX_CALLBACK_TOLERANCE_SECONDS (allowed clock skew for callback timestamps, default 300)
+// - GDPR_FINANCIAL_RETENTION_YEARS  (years after the tax year of last payment that erased candidates' financials are kept, default 6)
+// - MANUAL_PHOTO_MAX_PAGES          (pages per paper-timesheet photo upload, default 10)
+// - MANUAL_PHOTO_MAX_BYTES          (max bytes per photographed page, default 15000000)
+// - MANUAL_PHOTO_MAX_TOTAL_BYTES    (max bytes per photo upload request, default and ceiling 20000000)
+// - MANUAL_PHOTO_MAX_PX             (longest edge photos are downscaled to via IMAGES, default 2480 ≈ A4 at 300dpi)
+// - BANK_KEK_KEYRING                (JSON secret of KEKs for bank detail encryption; see "Bank detail encryption")
+// - AUTHORISER_APPROVAL_URL         (page the ward manager opens; reads ?t= and calls /timesheets/approval*)
+// - AUTHORISER_LINK_TTL_SECONDS     (lifetime of emailed approval links, default 259200 = 72h)
+// - TIMESHEET_QUERY_URL             (page the client opens; reads ?t= and calls /timesheets/query-thread*)
+// - TIMESHEET_QUERY_LINK_TTL_SECONDS (lifetime of emailed query links, default 1209600 = 14d)
+// - TIMESHEET_QUERY_ATTACHMENT_MAX_BYTES (max bytes per query attachment, default 10000000)
+// - TIMESHEET_IMPORT_MAX_ROWS       (data rows per CSV/XLSX timesheet import, default 2000)
+// - TIMESHEET_IMPORT_MAX_BYTES      (max size of an import file, default 10000000)
+// - SYNC_BATCH_MAX_ITEMS            (queued shifts per offline /timesheets/sync call, default 20)
+// - CANDIDATE_LOGIN_URL             (mobile app page that reads ?t= and posts to /auth/candidate/verify)
+// - CANDIDATE_LINK_TTL_SECONDS      (lifetime of emailed candidate sign-in links, default 900 = 15m)
+// - CANDIDATE_ACCESS_TTL_SECONDS    (candidate app token lifetime, default 43200 = 12h)
+// - CANDIDATE_DEVICE_TTL_SECONDS    (how long an unused device binding lasts, default 15552000 = 180d)
+// - AUTH_RL_CAND_LINK_IP / AUTH_RL_CAND_LINK_EMAIL / AUTH_RL_CAND_VERIFY_IP / AUTH_RL_CAND_PIN_IP
+//                                   ("MAX/WINDOW_SECONDS" overrides for the candidate sign-in limits)
 // Bindings:
 // - SESSIONS (KV namespace)         (KV for refresh sessions)
 // - R2 (bucket for signatures)
+// - IMAGES (Cloudflare Images binding, declared in wrangler.toml; converts HEIC and downscales timesheet
+//   photos. Where it is missing, HEIC pages are refused and other photos stored full size (unscaled_pages))
 
 const AUTH = {
   USERS_TABLE: 'tms_users',
   RESETS_TABLE: 'tms_password_resets',
+  API_KEYS_TABLE: 'tms_api_keys',
 };
 
 function pickCookieSameSite(env) {
@@ -7816,6 +8632,14 @@ async function pbkdf2Hash(password, iterations = 100000) {
   return `pbkdf2:sha256$${iters}$${saltB64}$${hashB64}`;
 }
 
+// Constant-time byte comparison (length is not secret)
+function timingSafeEqual(a, b) {
+  if (a.byteLength !== b.byteLength) return false;
+  let diff = 0;
+  for (let i=0;i<a.byteLength;i++) diff |= (a[i]^b[i]);
+  return diff === 0;
+}
+
 async function pbkdf2Verify(password, stored) {
   // format: pbkdf2:sha256$ITER$SALT$HASH
   const m = /^pbkdf2:sha256\$(\d+)\$([A-Za-z0-9\-_]+)\$([A-Za-z0-9\-_]+)$/.exec(String(stored||''));
@@ -7831,45 +8655,128 @@ async function pbkdf2Verify(password, stored) {
   try {
     const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), { name:'PBKDF2' }, false, ['deriveBits']);
     const bits = await crypto.subtle.deriveBits({ name:'PBKDF2', hash:'SHA-256', salt, iterations }, key, want.byteLength*8);
-    const got = new Uint8Array(bits);
-    if (got.byteLength !== want.byteLength) return false;
-    let diff = 0;
-    for (let i=0;i<got.byteLength;i++) diff |= (got[i]^want[i]);
-    return diff === 0;
+    return timingSafeEqual(new Uint8Array(bits), want);
   } catch (e) {
     console.warn('PBKDF2 verify failed:', e);
     return false;
   }
 }
 
+// ── TOTP (RFC 6238, HMAC-SHA1, 6 digits, 30s) ───────────────
+const TOTP_STEP_SEC = 30;
+const TOTP_DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(bytes) {
+  let bits = 0, value = 0, out = '';
+  for (const b of bytes) {
+    value = (value << 8) | b; bits += 8;
+    while (bits >= 5) { out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]; bits -= 5; }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+function base32Decode(s) {
+  const clean = String(s || '').toUpperCase().replace(/=+$/,'').replace(/\s+/g,'');
+  let bits = 0, value = 0; const out = [];
+  for (const ch of clean) {
+    const idx = BASE32_ALPHABET.indexOf(ch);
+    if (idx < 0) throw new Error('Invalid base32');
+    value = (value << 5) | idx; bits += 5;
+    if (bits >= 8) { out.push((value >>> (bits - 8)) & 255); bits -= 8; }
+  }
+  return new Uint8Array(out);
+}
+
+function newTotpSecret() {
+  return base32Encode(crypto.getRandomValues(new Uint8Array(20)));
+}
+
+async function totpCodeAt(secretB32, step) {
+  const key = await crypto.subtle.importKey('raw', base32Decode(secretB32), { name:'HMAC', hash:'SHA-1' }, false, ['sign']);
+  const msg = new Uint8Array(8);
+  let c = step;
+  for (let i = 7; i >= 0; i--) { msg[i] = c & 0xff; c = Math.floor(c / 256); }
+  const mac = new Uint8Array(await crypto.subtle.sign('HMAC', key, msg));
+  const off = mac[mac.length - 1] & 0x0f;
+  const bin = ((mac[off] & 0x7f) << 24) | (mac[off+1] << 16) | (mac[off+2] << 8) | mac[off+3];
+  return String(bin % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+}
+
+// Returns the matched time step (±1 step drift allowed) or null.
+async function totpVerify(secretB32, code, now = Date.now()) {
+  const c = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(c)) return null;
+  const step = Math.floor(now / 1000 / TOTP_STEP_SEC);
+  for (const s of [step, step - 1, step + 1]) {
+    if (await totpCodeAt(secretB32, s) === c) return s;
+  }
+  return null;
+}
+
+function totpProvisioningUri(env, email, secretB32) {
+  const issuer = String(env.TOTP_ISSUER || 'CloudTMS');
+  const label = encodeURIComponent(`${issuer}:${email}`);
+  return `otpauth://totp/${label}?secret=${secretB32}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SEC}`;
+}
+
+// Recovery codes: 10 × "xxxxx-xxxxx", stored as sha256 hashes, each usable once.
+async function newRecoveryCodes(n = 10) {
+  const codes = [];
+  for (let i = 0; i < n; i++) {
+    const raw = Array.from(crypto.getRandomValues(new Uint8Array(10)))
+      .map(b => 'abcdefghjkmnpqrstuvwxyz23456789'[b % 31]).join('');
+    codes.push(`${raw.slice(0,5)}-${raw.slice(5)}`);
+  }
+  const hashes = await Promise.all(codes.map(c => sha256Hex(c)));
+  return { codes, hashes };
+}
+
 // â”€â”€ Supabase helpers for users / resets â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
+const USER_AUTH_COLS = 'id,email,role,is_active,password_hash,session_version,totp_enabled,totp_required';
+
 function sbAuthHeaders(env){
   const k = env.SUPABASE_SERVICE_ROLE_KEY;
   return { 'apikey': k, 'Authorization': `Bearer ${k}`, 'Content-Type': 'application/json' };
 }
 async function sbGetUserByEmail(env, email) {
-  const url = `${env.SUPABASE_URL}/rest/v1/${AUTH.USERS_TABLE}?email=eq.${encodeURIComponent(email)}&select=id,email,role,is_active,password_hash,session_version`;
+  const url = `${env.SUPABASE_URL}/rest/v1/${AUTH.USERS_TABLE}?email=eq.${encodeURIComponent(email)}&select=${USER_AUTH_COLS}`;
   const res = await fetch(url, { headers: sbAuthHeaders(env) });
   const json = await res.json().catch(()=>[]);
   return Array.isArray(json) && json[0] ? json[0] : null;
 }
 async function sbGetUserById(env, id) {
-  const url = `${env.SUPABASE_URL}/rest/v1/${AUTH.USERS_TABLE}?id=eq.${encodeURIComponent(id)}&select=id,email,role,is_active,password_hash,session_version`;
+  const url = `${env.SUPABASE_URL}/rest/v1/${AUTH.USERS_TABLE}?id=eq.${encodeURIComponent(id)}&select=${USER_AUTH_COLS}`;
   const res = await fetch(url, { headers: sbAuthHeaders(env) });
   const json = await res.json().catch(()=>[]);
   return Array.isArray(json) && json[0] ? json[0] : null;
 }
+// Sets the new hash and bumps session_version in one write, so every existing session is revoked.
 async function sbUpdateUserPassword(env, user_id, newHash) {
   const url = `${env.SUPABASE_URL}/rest/v1/${AUTH.USERS_TABLE}?id=eq.${encodeURIComponent(user_id)}`;
-  const res = await fetch(url, { method:'PATCH', headers: { ...sbAuthHeaders(env), 'Prefer':'return=representation' }, body: JSON.stringify({ password_hash: newHash }) });
-  if (!res.ok) throw new Error(`password update failed ${res.status}`);
-  // bump session_version:
   const current = await sbGetUserById(env, user_id);
-  const svRes = await fetch(url, { method:'PATCH', headers: { ...sbAuthHeaders(env), 'Prefer':'return=representation' }, body: JSON.stringify({ session_version: (current.session_version|0) + 1 }) });
-  if (!svRes.ok) throw new Error(`session_version bump failed ${svRes.status}`);
-  const j = await svRes.json().catch(()=>[]);
+  if (!current) throw new Error('password update failed: user not found');
+  const res = await fetch(url, {
+    method:'PATCH', headers: { ...sbAuthHeaders(env), 'Prefer':'return=representation' },
+    body: JSON.stringify({ password_hash: newHash, session_version: (current.session_version|0) + 1 })
+  });
+  if (!res.ok) throw new Error(`password update failed ${res.status}`);
+  const j = await res.json().catch(()=>[]);
+  return Array.isArray(j) && j[0] ? j[0] : null;
+}
+async function sbPatchUser(env, user_id, patch) {
+  const url = `${env.SUPABASE_URL}/rest/v1/${AUTH.USERS_TABLE}?id=eq.${encodeURIComponent(user_id)}`;
+  const res = await fetch(url, { method:'PATCH', headers: { ...sbAuthHeaders(env), 'Prefer':'return=representation' }, body: JSON.stringify(patch) });
+  if (!res.ok) throw new Error(`user update failed ${res.status}`);
+  const j = await res.json().catch(()=>[]);
   return Array.isArray(j) && j[0] ? j[0] : null;
 }
+async function sbGetUserTotp(env, user_id) {
+  const url = `${env.SUPABASE_URL}/rest/v1/${AUTH.USERS_TABLE}?id=eq.${encodeURIComponent(user_id)}&select=id,email,totp_enabled,totp_required,totp_secret,totp_pending_secret,totp_recovery_hashes`;
+  const res = await fetch(url, { headers: sbAuthHeaders(env) });
+  const json = await res.json().catch(()=>[]);
+  return Array.isArray(json) && json[0] ? json[0] : null;
+}
 async function sbInsertResetToken(env, user_id, ttlSec) {
   const token = bufToBase64Url(crypto.getRandomValues(new Uint8Array(32)));
   const expires_at = new Date(Date.now() + (ttlSec*1000)).toISOString();
@@ -7879,6 +8786,12 @@ async function sbInsertResetToken(env, user_id, ttlSec) {
   if (!res.ok) throw new Error(`insert reset token failed ${res.status}`);
   return token;
 }
+// Marks every unused reset token for the user as used (older links stop working).
+async function sbInvalidateResetTokens(env, user_id) {
+  const url = `${env.SUPABASE_URL}/rest/v1/${AUTH.RESETS_TABLE}?user_id=eq.${encodeURIComponent(user_id)}&used_at=is.null`;
+  const res = await fetch(url, { method:'PATCH', headers: { ...sbAuthHeaders(env), 'Prefer':'return=minimal' }, body: JSON.stringify({ used_at: new Date().toISOString() }) });
+  if (!res.ok) throw new Error(`invalidate reset tokens failed ${res.status}`);
+}
 async function sbConsumeResetToken(env, token) {
   const selUrl = `${env.SUPABASE_URL}/rest/v1/${AUTH.RESETS_TABLE}?token=eq.${encodeURIComponent(token)}&select=id,user_id,expires_at,used_at`;
   const r = await fetch(selUrl, { headers: sbAuthHeaders(env) });
@@ -7897,28 +8810,61 @@ async function sbConsumeResetToken(env, token) {
 function accessTtl(env){ return parseInt(env.ACCESS_TTL_SECONDS || '900', 10) || 900; }          // 15m
 function refreshTtl(env){ return parseInt(env.REFRESH_TTL_SECONDS || '1209600', 10) || 1209600; } // 14d
 function resetTtl(env){ return parseInt(env.PASSWORD_RESET_TTL_SECONDS || '3600', 10) || 3600; }   // 60m
-function sessionSecret(env){ return String(env.SESSION_TOKEN_SECRET); }
+function sessionKeyring(env){ return tokenKeyring(env, 'SESSION'); }
 
 async function mintAccessToken(env, { user_id, email, role, sv, sid }) {
   const exp = Math.floor(Date.now()/1000) + accessTtl(env);
   const payload = { typ:'access', sub:user_id, email, role, sv, sid, iat: Math.floor(Date.now()/1000), exp };
-  const token = await createToken(sessionSecret(env), payload);
+  const token = await createToken(sessionKeyring(env), payload);
   return { token, exp };
 }
 async function mintRefreshToken(env, { sid, sv }) {
   const exp = Math.floor(Date.now()/1000) + refreshTtl(env);
   const payload = { typ:'refresh', sid, sv, iat: Math.floor(Date.now()/1000), exp };
-  const token = await createToken(sessionSecret(env), payload);
+  const token = await createToken(sessionKeyring(env), payload);
   return { token, exp };
 }
 
-// Bearer access-token guard for /api/* routes
+// ── Roles & permissions ──────────────────────────────────────
+// tms_users.role picks one row of this matrix. Permissions are 'resource:action';
+// '*' grants everything, 'resource:*' every action on a resource, '*:read' read on all.
+// 'gdpr:export' (decrypted bank details) and 'late_review:write' (accepting late timesheets) are
+// deliberately granted to no role but admin.
+const ROLE_PERMISSIONS = {
+  admin:      ['*'],
+  finance:    ['*:read', 'invoices:write', 'finance:write', 'payments:run', 'rates:write', 'email:send', 'reports:write'],
+  payroll:    ['*:read', 'finance:write', 'payments:run', 'email:send'],
+  consultant: ['contracts:*', 'timesheets:*', 'candidates:*', 'healthroster:*', 'files:*',
+               'clients:read', 'umbrellas:read', 'rates:read', 'reports:read', 'related:read'],
+  compliance: ['*:read', 'candidates:write', 'gdpr:write'],
+  auditor:    ['*:read'],
+};
+
+function permissionsForRole(role) {
+  return ROLE_PERMISSIONS[String(role || '')] || [];
+}
+function grantsPermission(grants, perm) {
+  const [res, act] = String(perm || '').split(':');
+  return (grants || []).some(g =>
+    g === '*' || g === perm || g === `${res}:*` || (g === `*:${act}` && !!act)
+  );
+}
+function roleHasPermission(role, perm) {
+  return grantsPermission(permissionsForRole(role), perm);
+}
+
+// Bearer access-token guard for /api/* routes.
+// allowedRoles may mix role names ('admin') and permissions ('contracts:write');
+// the user passes if their role is listed or their role grants any listed permission.
+// Service API keys (Bearer ctms_sk_… or x-api-key) are accepted too, checked against their scopes.
 async function requireUser(env, req, allowedRoles = []) {
   const hdr = req.headers.get('authorization') || '';
   const m = hdr.match(/^Bearer\s+(.+)$/i);
+  const apiKey = req.headers.get('x-api-key') || (m && m[1].startsWith(API_KEY_PREFIX) ? m[1] : null);
+  if (apiKey) return requireServicePrincipal(env, req, apiKey, allowedRoles);
   if (!m) return null;
 
-  const ver = await verifyToken(sessionSecret(env), m[1]);
+  const ver = await verifyToken(sessionKeyring(env), m[1]);
   if (!ver.ok) return null;
 
   const p = ver.payload || {};
@@ -7929,26 +8875,272 @@ async function requireUser(env, req, allowedRoles = []) {
   if (!user || user.is_active !== true) return null;
   if ((user.session_version|0) !== (p.sv|0)) return null;
 
-  if (Array.isArray(allowedRoles) && allowedRoles.length && !allowedRoles.includes(user.role)) return null;
+  // Session must still exist (individually revoked sessions stop working immediately)
+  if (!p.sid || !(await kvGetSession(env, p.sid))) return null;
+
+  if (Array.isArray(allowedRoles) && allowedRoles.length) {
+    const allowed = allowedRoles.some(a => String(a).includes(':') ? roleHasPermission(user.role, a) : a === user.role);
+    if (!allowed) return null;
+  }
   return { id: user.id, email: user.email, role: user.role, sv: user.session_version|0, sid: p.sid };
 }
 
-// KV session helpers (store sid → { user_id, sv, exp })
+// ── Service accounts (hashed API keys) ───────────────────────
+// Key format: ctms_sk_<prefix>_<secret>. Only sha256(key) is stored; the prefix is the lookup handle.
+const API_KEY_PREFIX = 'ctms_sk_';
+
+function parseApiKey(raw) {
+  const m = /^ctms_sk_([A-Za-z0-9]{8})_([A-Za-z0-9\-_]{20,})$/.exec(String(raw || '').trim());
+  return m ? { prefix: m[1], full: m[0] } : null;
+}
+
+async function mintApiKey() {
+  const prefix = Array.from(crypto.getRandomValues(new Uint8Array(8)))
+    .map(b => 'abcdefghijklmnopqrstuvwxyz0123456789'[b % 36]).join('');
+  const secret = bufToBase64Url(crypto.getRandomValues(new Uint8Array(24)));
+  const key = `${API_KEY_PREFIX}${prefix}_${secret}`;
+  return { key, prefix, hash: await sha256Hex(key) };
+}
+
+async function sbGetApiKeyByPrefix(env, prefix) {
+  const url = `${env.SUPABASE_URL}/rest/v1/${AUTH.API_KEYS_TABLE}?key_prefix=eq.${encodeURIComponent(prefix)}` +
+              `&select=id,name,key_prefix,key_hash,scopes,expires_at,revoked_at,last_used_at`;
+  const res = await fetch(url, { headers: sbAuthHeaders(env) });
+  const json = await res.json().catch(()=>[]);
+  return Array.isArray(json) && json[0] ? json[0] : null;
+}
+
+// Resolves an API key to a service principal shaped like requireUser()'s result.
+// id is null (not a tms_users row); service_key_id identifies the key in audit trails.
+async function requireServicePrincipal(env, req, rawKey, allowedRoles = []) {
+  const parsed = parseApiKey(rawKey);
+  if (!parsed) return null;
+
+  const row = await sbGetApiKeyByPrefix(env, parsed.prefix);
+  if (!row || !row.id || row.revoked_at) return null;
+  if (row.expires_at && new Date(row.expires_at).getTime() <= Date.now()) return null;
+  const te = new TextEncoder();
+  if (!timingSafeEqual(te.encode(await sha256Hex(parsed.full)), te.encode(String(row.key_hash || '')))) return null;
+
+  const scopes = Array.isArray(row.scopes) ? row.scopes : [];
+  if (Array.isArray(allowedRoles) && allowedRoles.length) {
+    const allowed = allowedRoles.some(a => String(a).includes(':') ? grantsPermission(scopes, a) : a === 'service');
+    if (!allowed) return null;
+  }
+
+  // Best-effort last-used tracking (at most once a minute per key)
+  const lastUsed = row.last_used_at ? new Date(row.last_used_at).getTime() : 0;
+  if (Date.now() - lastUsed > 60 * 1000) {
+    const ip = req.headers.get('cf-connecting-ip') || req.headers.get('x-forwarded-for') || null;
+    await fetch(`${env.SUPABASE_URL}/rest/v1/${AUTH.API_KEYS_TABLE}?id=eq.${encodeURIComponent(row.id)}`, {
+      method: 'PATCH', headers: sbAuthHeaders(env),
+      body: JSON.stringify({ last_used_at: new Date().toISOString(), last_used_ip: ip })
+    }).catch(e => console.warn('api key last_used update failed', e?.message || e));
+  }
+
+  return { id: null, email: `service:${row.name}`, role: 'service', kind: 'service', service_key_id: row.id, scopes, sv: 0, sid: null };
+}
+
+// KV session helpers (store sid → { user_id, sv, exp, created_at, last_refreshed_at, ip, user_agent, device })
+// Each session also has a per-user index key usid:<user_id>:<sid> whose KV metadata
+// carries the display fields and sv, so a user's sessions can be listed with one list() call.
 async function kvPutSession(env, sid, data, ttlSec) {
 
   await env.SESSIONS.put(`sid:${sid}`, JSON.stringify(data), { expirationTtl: ttlSec });
+  if (data && data.user_id) {
+    const metadata = {
+      sv: data.sv | 0,
+      created_at: data.created_at || null,
+      last_refreshed_at: data.last_refreshed_at || null,
+      ip: data.ip || null,
+      user_agent: data.user_agent ? String(data.user_agent).slice(0, 300) : null,
+      device: data.device || null,
+    };
+    await env.SESSIONS.put(`usid:${data.user_id}:${sid}`, '1', { expirationTtl: ttlSec, metadata });
+  }
 }
 async function kvGetSession(env, sid) {
   const t = await env.SESSIONS.get(`sid:${sid}`);
   return t ? JSON.parse(t) : null;
 }
 async function kvDelSession(env, sid) {
+  const sess = await kvGetSession(env, sid);
   await env.SESSIONS.delete(`sid:${sid}`);
+  if (sess && sess.user_id) await env.SESSIONS.delete(`usid:${sess.user_id}:${sid}`);
+}
+// With currentSv, sessions from before the user's last session_version bump are dropped from KV
+// and left out (index entries written without sv are checked against the session record).
+async function kvListUserSessions(env, user_id, currentSv = null) {
+  const prefix = `usid:${user_id}:`;
+  const out = [];
+  let cursor;
+  do {
+    const page = await env.SESSIONS.list({ prefix, cursor });
+    for (const k of page.keys || []) {
+      const sid = k.name.slice(prefix.length);
+      const { sv: metaSv, ...meta } = k.metadata || {};
+      if (currentSv != null) {
+        const sv = metaSv ?? (await kvGetSession(env, sid))?.sv;
+        if ((sv | 0) < (currentSv | 0)) {
+          await env.SESSIONS.delete(`sid:${sid}`);
+          await env.SESSIONS.delete(k.name);
+          continue;
+        }
+      }
+      out.push({
+        sid,
+        expires_at: k.expiration ? new Date(k.expiration * 1000).toISOString() : null,
+        ...meta
+      });
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return out;
 }
 
-// â”€â”€ Auth handlers â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
-async function handleAuthLogin(env, req) {
-  const pre = preflightIfNeeded(env, req); if (pre) return pre;
+// Session metadata captured from the request at login/refresh
+function describeDevice(ua) {
+  const s = String(ua || '');
+  if (!s) return null;
+  const os = /iPhone|iPad/.test(s) ? (s.includes('iPad') ? 'iPad' : 'iPhone')
+           : /Android/.test(s) ? 'Android'
+           : /Windows/.test(s) ? 'Windows'
+           : /Mac OS X|Macintosh/.test(s) ? 'Mac'
+           : /Linux/.test(s) ? 'Linux' : 'Unknown OS';
+  const browser = /Edg\//.test(s) ? 'Edge'
+                : /Firefox\//.test(s) ? 'Firefox'
+                : /Chrome\//.test(s) ? 'Chrome'
+                : /Safari\//.test(s) ? 'Safari' : 'Unknown browser';
+  return `${browser} on ${os}`;
+}
+function sessionRequestMeta(req) {
+  const ua = req?.headers?.get('user-agent') || null;
+  return { ip: req ? clientIp(req) : null, user_agent: ua, device: describeDevice(ua) };
+}
+
+// ── Rate limits & account lockout (SESSIONS KV) ─────────────
+// Sliding-window logs: rl:<bucket>:<key> → [epoch_ms, ...]. Each limit can be overridden
+// with an env var "MAX/WINDOW_SECONDS", e.g. AUTH_RL_LOGIN_IP="30/900".
+const AUTH_RATE_LIMITS = {
+  login_ip:     { env: 'AUTH_RL_LOGIN_IP',     max: 30, windowSec: 900 },
+  login_email:  { env: 'AUTH_RL_LOGIN_EMAIL',  max: 10, windowSec: 900 },
+  forgot_ip:    { env: 'AUTH_RL_FORGOT_IP',    max: 10, windowSec: 3600 },
+  forgot_email: { env: 'AUTH_RL_FORGOT_EMAIL', max: 3,  windowSec: 3600 },
+  reset_ip:     { env: 'AUTH_RL_RESET_IP',     max: 10, windowSec: 900 },
+  cand_link_ip:    { env: 'AUTH_RL_CAND_LINK_IP',    max: 10, windowSec: 3600 },
+  cand_link_email: { env: 'AUTH_RL_CAND_LINK_EMAIL', max: 5,  windowSec: 3600 },
+  cand_verify_ip:  { env: 'AUTH_RL_CAND_VERIFY_IP',  max: 20, windowSec: 900 },
+  cand_pin_ip:     { env: 'AUTH_RL_CAND_PIN_IP',     max: 30, windowSec: 900 },
+  oidc_ip:         { env: 'AUTH_RL_OIDC_IP',         max: 30, windowSec: 900 },
+};
+function authLockoutThreshold(env){ return parseInt(env.AUTH_LOCKOUT_THRESHOLD || '5', 10) || 5; }      // failures per window
+function authLockoutWindow(env){ return parseInt(env.AUTH_LOCKOUT_WINDOW_SECONDS || '900', 10) || 900; } // 15m
+function authLockoutTtl(env){ return parseInt(env.AUTH_LOCKOUT_SECONDS || '900', 10) || 900; }          // 15m
+
+function authLimit(env, name) {
+  const def = AUTH_RATE_LIMITS[name];
+  const m = /^(\d+)\/(\d+)$/.exec(String(env[def.env] || '').trim());
+  return m ? { max: parseInt(m[1], 10), windowSec: parseInt(m[2], 10) } : { max: def.max, windowSec: def.windowSec };
+}
+function clientIp(req) {
+  return req.headers.get('cf-connecting-ip') || req.headers.get('x-forwarded-for') || 'unknown';
+}
+
+async function slidingWindowLoad(env, kvKey, windowSec) {
+  const raw = await env.SESSIONS.get(kvKey);
+  const cutoff = Date.now() - windowSec * 1000;
+  let hits = [];
+  try { hits = raw ? JSON.parse(raw) : []; } catch { hits = []; }
+  return (Array.isArray(hits) ? hits : []).filter(t => t > cutoff);
+}
+async function slidingWindowSave(env, kvKey, hits, windowSec) {
+  await env.SESSIONS.put(kvKey, JSON.stringify(hits), { expirationTtl: Math.max(60, windowSec) });
+}
+
+// Records one attempt against a limit. Returns { ok:true } or { ok:false, retryAfter } when exhausted.
+async function rateLimitHit(env, name, key) {
+  const { max, windowSec } = authLimit(env, name);
+  const kvKey = `rl:${name}:${key}`;
+  const hits = await slidingWindowLoad(env, kvKey, windowSec);
+  if (hits.length >= max) {
+    return { ok: false, retryAfter: Math.ceil((hits[0] + windowSec * 1000 - Date.now()) / 1000) };
+  }
+  hits.push(Date.now());
+  await slidingWindowSave(env, kvKey, hits, windowSec);
+  return { ok: true };
+}
+
+// Failures and locks are per email *and* client IP (lock:<email>:<ip>), so guessing someone's email
+// from elsewhere cannot lock them out; distributed guessing is still capped by the login_email limit,
+// which counts wrong passwords only — the right password always gets through it.
+async function getAccountLock(env, email, ip) {
+  const raw = await env.SESSIONS.get(`lock:${email}:${ip}`);
+  if (!raw) return null;
+  const lock = JSON.parse(raw);
+  return (lock.until && lock.until > Date.now()) ? lock : null;
+}
+
+// Counts a failed password for this email from this IP; locks that pair once the threshold is reached.
+// Unknown emails are counted too so lockout behaviour does not reveal which accounts exist.
+async function recordLoginFailure(env, req, email, user) {
+  const windowSec = authLockoutWindow(env);
+  const ip = clientIp(req);
+  const kvKey = `fail:${email}:${ip}`;
+  const hits = await slidingWindowLoad(env, kvKey, windowSec);
+  hits.push(Date.now());
+
+  if (hits.length < authLockoutThreshold(env)) {
+    await slidingWindowSave(env, kvKey, hits, windowSec);
+    return null;
+  }
+
+  const ttl = authLockoutTtl(env);
+  const lock = { until: Date.now() + ttl * 1000, failures: hits.length, ip, at: nowIso() };
+  await env.SESSIONS.put(`lock:${email}:${ip}`, JSON.stringify(lock), { expirationTtl: Math.max(60, ttl) });
+  await env.SESSIONS.delete(kvKey);
+  await writeAudit(env, null, 'ACCOUNT_LOCKED', { email, ip, failures: hits.length, locked_until: new Date(lock.until).toISOString() },
+    { entity: 'tms_user', subject_id: user?.id || email, reason: 'TOO_MANY_FAILED_LOGINS', req });
+  return lock;
+}
+async function clearLoginFailures(env, email, ip) {
+  await env.SESSIONS.delete(`fail:${email}:${ip}`);
+}
+
+// Every lock and failure count for the email, whichever IP they came from → number of locks removed
+async function clearAllAccountLocks(env, email) {
+  let locks = 0;
+  for (const prefix of [`lock:${email}:`, `fail:${email}:`]) {
+    let cursor;
+    do {
+      const page = await env.SESSIONS.list({ prefix, cursor });
+      for (const k of page.keys) {
+        await env.SESSIONS.delete(k.name);
+        if (prefix.startsWith('lock:')) locks++;
+      }
+      cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+  }
+  return locks;
+}
+
+// POST /api/users/:id/unlock
+async function handleUserUnlock(env, req, userId) {
+  const admin = await requireUser(env, req, ['users:write']);
+  if (!admin) return withCORS(env, req, unauthorized());
+
+  const user = await sbGetUserById(env, userId);
+  if (!user) return withCORS(env, req, notFound('User not found'));
+  const email = String(user.email || '').toLowerCase();
+
+  const locks = await clearAllAccountLocks(env, email);
+  await writeAudit(env, admin, 'ACCOUNT_UNLOCKED', { email, was_locked: locks > 0, locks }, { entity: 'tms_user', subject_id: userId, req });
+
+  return withCORS(env, req, ok({ ok: true, was_locked: locks > 0 }));
+}
+
+// â”€â”€ Auth handlers â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€â”€
+async function handleAuthLogin(env, req) {
+  const pre = preflightIfNeeded(env, req); if (pre) return pre;
   const body = await parseJSONBody(req);
   if (!body) return badRequest('invalid_json');
 
@@ -7956,19 +9148,52 @@ async function handleAuthLogin(env, req) {
   const pw    = String(body.password||'');
   if (!email || !pw) return badRequest('email_and_password_required');
 
+  const ipRl = await rateLimitHit(env, 'login_ip', clientIp(req));
+  if (!ipRl.ok) return tooManyRequests('TOO_MANY_ATTEMPTS', ipRl.retryAfter);
+
+  const lock = await getAccountLock(env, email, clientIp(req));
+  if (lock) return tooManyRequests('ACCOUNT_LOCKED', (lock.until - Date.now()) / 1000);
+
   const user = await sbGetUserByEmail(env, email);
-  if (!user || user.is_active !== true) return unauthorized('Invalid credentials');
+  const okPw = !!user && user.is_active === true && await pbkdf2Verify(pw, user.password_hash || '');
+  if (!okPw) {
+    // Only failures count against the email, so nobody can use up the owner's attempts
+    const emailRl = await rateLimitHit(env, 'login_email', email);
+    if (!emailRl.ok) return tooManyRequests('TOO_MANY_ATTEMPTS', emailRl.retryAfter);
+    const locked = await recordLoginFailure(env, req, email, user);
+    if (locked) return tooManyRequests('ACCOUNT_LOCKED', (locked.until - Date.now()) / 1000);
+    return unauthorized('Invalid credentials');
+  }
+  await clearLoginFailures(env, email, clientIp(req));
+
+  // Second factor: enrolled users verify a code; users required to enrol must do so first
+  if (user.totp_enabled === true || mfaRequiredFor(env, user)) {
+    const purpose = user.totp_enabled === true ? 'verify' : 'enrol';
+    const challenge = await mintMfaChallenge(env, user, purpose);
+    return ok({
+      ok: true,
+      mfa_required: purpose === 'verify',
+      mfa_enrolment_required: purpose === 'enrol',
+      challenge_token: challenge.token,
+      expires_in: MFA_CHALLENGE_TTL_SEC
+    });
+  }
 
-  const okPw = await pbkdf2Verify(pw, user.password_hash || '');
-  if (!okPw) return unauthorized('Invalid credentials');
+  return issueSession(env, req, user);
+}
 
-  // Create KV session + tokens
+// Create KV session + tokens and set the refresh cookie (shared by password, MFA and SSO logins)
+async function issueSession(env, req, user, extra = {}) {
   const sid = bufToBase64Url(crypto.getRandomValues(new Uint8Array(16)));
   const sv  = user.session_version|0 || 1;
   const refresh = await mintRefreshToken(env, { sid, sv });
   const access  = await mintAccessToken(env, { user_id: user.id, email: user.email, role: user.role, sv, sid });
 
-  await kvPutSession(env, sid, { user_id: user.id, sv, exp: refresh.exp }, refreshTtl(env));
+  const now = nowIso();
+  await kvPutSession(env, sid, {
+    user_id: user.id, sv, exp: refresh.exp,
+    created_at: now, last_refreshed_at: now, ...sessionRequestMeta(req)
+  }, refreshTtl(env));
 
   const headers = new Headers(JSON_HEADERS);
   setCookie(headers, cookieName(env), refresh.token, {
@@ -7984,7 +9209,8 @@ async function handleAuthLogin(env, req) {
     ok: true,
     access_token: access.token,
     expires_in: accessTtl(env),
-    user: { id: user.id, email: user.email, role: user.role }
+    user: { id: user.id, email: user.email, role: user.role },
+    ...extra
   }), { status: 200, headers });
 }
 async function handleAuthRefresh(env, req) {
@@ -7993,7 +9219,7 @@ async function handleAuthRefresh(env, req) {
   const raw = cookies[cookieName(env)];
   if (!raw) return unauthorized('No refresh cookie');
 
-  const ver = await verifyToken(sessionSecret(env), raw);
+  const ver = await verifyToken(sessionKeyring(env), raw);
   if (!ver.ok) return unauthorized('Invalid refresh token');
   const { typ, sid, sv, exp } = ver.payload || {};
   if (typ !== 'refresh' || !sid) return unauthorized('Invalid refresh claims');
@@ -8005,7 +9231,7 @@ async function handleAuthRefresh(env, req) {
   // Check session_version still valid
   const user = await sbGetUserById(env, sess.user_id);
   if (!user || user.is_active !== true) return unauthorized('User disabled');
-  if ((user.session_version|0) !== (sv|0)) {
+  if ((user.session_version|0) !== (sv|0) || (sess.sv|0) !== (sv|0)) {
     await kvDelSession(env, sid);
     return unauthorized('Session version changed');
   }
@@ -8015,17 +9241,21 @@ async function handleAuthRefresh(env, req) {
   });
 
   const headers = new Headers(JSON_HEADERS);
+  const refreshed = { ...sess, user_id: user.id, sv, last_refreshed_at: nowIso(), ...sessionRequestMeta(req) };
   // Optional: rotate refresh if near expiry (<3d)
   const secondsLeft = exp - Math.floor(Date.now()/1000);
   if (secondsLeft < (3*24*60*60)) {
     const next = await mintRefreshToken(env, { sid, sv });
-    await kvPutSession(env, sid, { user_id: user.id, sv, exp: next.exp }, refreshTtl(env));
+    await kvPutSession(env, sid, { ...refreshed, exp: next.exp }, refreshTtl(env));
     setCookie(headers, cookieName(env), next.token, {
       maxAgeSec: refreshTtl(env),
       domain: env.COOKIE_DOMAIN || undefined,
       sameSite: pickCookieSameSite(env),
       secure: true, httpOnly: true, path:'/'
     });
+  } else {
+    const ttlLeft = (sess.exp|0) - Math.floor(Date.now()/1000);
+    await kvPutSession(env, sid, refreshed, Math.max(60, ttlLeft));
   }
 
   return new Response(JSON.stringify({
@@ -8040,7 +9270,7 @@ async function handleAuthLogout(env, req) {
   const cookies = parseCookies(req);
   const raw = cookies[cookieName(env)];
   if (raw) {
-    const ver = await verifyToken(sessionSecret(env), raw);
+    const ver = await verifyToken(sessionKeyring(env), raw);
     if (ver.ok && ver.payload && ver.payload.sid) {
       await kvDelSession(env, ver.payload.sid);
     }
@@ -8052,6 +9282,82 @@ async function handleAuthLogout(env, req) {
   return new Response(JSON.stringify({ ok:true }), { status:200, headers });
 }
 
+// ── Password link emails (reset / invite) ───────────────────
+// The emailed link carries a signed token wrapping the DB token: ?k=<base64url(payload)>.<hmac>
+function passwordResetUrl(env) {
+  return String(env.PASSWORD_RESET_URL || `${splitCsv(env.ALLOWED_ORIGINS || '')[0] || ''}/reset-password`);
+}
+
+async function mintPasswordLink(env, user_id, ttlSec) {
+  const dbToken = await sbInsertResetToken(env, user_id, ttlSec);
+  const exp = Math.floor(Date.now()/1000) + ttlSec;
+  const signed = await createToken(sessionKeyring(env), { typ:'pwreset', k: dbToken, exp });
+  const u = new URL(passwordResetUrl(env));
+  u.searchParams.set('k', signed);
+  return { url: u.toString(), exp };
+}
+
+// Unwraps the signed link token back to the DB token (null if tampered/expired)
+async function unwrapPasswordLinkToken(env, signed) {
+  const ver = await verifyToken(sessionKeyring(env), signed);
+  if (!ver.ok || ver.payload?.typ !== 'pwreset' || !ver.payload?.k) return null;
+  return String(ver.payload.k);
+}
+
+const PASSWORD_EMAIL_TEMPLATES = {
+  reset: {
+    type: 'PASSWORD_RESET',
+    subject: 'Reset your CloudTMS password',
+    intro: 'We received a request to reset the password for your CloudTMS account.',
+    action: 'Reset password',
+    outro: "If you didn't ask for this, you can ignore this email; your password will not change.",
+  },
+  invite: {
+    type: 'USER_INVITE',
+    subject: "You've been invited to CloudTMS",
+    intro: 'An account has been created for you on CloudTMS. Choose a password to get started.',
+    action: 'Set your password',
+    outro: 'If you were not expecting this invitation, please ignore this email.',
+  },
+  candidate_signin: {
+    type: 'CANDIDATE_SIGN_IN',
+    subject: 'Sign in to the CloudTMS timesheet app',
+    intro: 'Open this link on the phone you use for timesheets to sign in to the CloudTMS app.',
+    action: 'Sign in',
+    outro: "If you didn't ask to sign in, you can ignore this email.",
+  },
+};
+
+// user is any { id, email }; reference defaults to the tms_users row
+async function queuePasswordLinkEmail(env, user, link, { template = 'reset', created_by = null, reference = null } = {}) {
+  const t = PASSWORD_EMAIL_TEMPLATES[template] || PASSWORD_EMAIL_TEMPLATES.reset;
+  const mins = Math.max(1, Math.round((link.exp * 1000 - Date.now()) / 60000));
+  const expiresText = mins >= 120 ? `${Math.round(mins / 60)} hours` : `${mins} minutes`;
+
+  const body_text = `${t.intro}\n\n${t.action}: ${link.url}\n\nThis link expires in ${expiresText} and can be used once.\n\n${t.outro}`;
+  const body_html =
+    `<p>${escapeHtml(t.intro)}</p>` +
+    `<p><a href="${escapeHtml(link.url)}">${escapeHtml(t.action)}</a></p>` +
+    `<p>This link expires in ${escapeHtml(expiresText)} and can be used once.</p>` +
+    `<p style="color:#666">${escapeHtml(t.outro)}</p>`;
+
+  const { rows } = await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/mail_outbox`, {
+    method: 'POST',
+    headers: { Prefer: 'return=representation' },
+    body: JSON.stringify({
+      type: t.type,
+      to: user.email, cc: null,
+      subject: t.subject,
+      body_html, body_text,
+      attachments: null,
+      status: 'QUEUED',
+      reference: reference || `tms_user:${user.id}`,
+      created_at_utc: nowIso(), created_by,
+    })
+  });
+  return rows?.[0]?.id || null;
+}
+
 async function handleAuthForgot(env, req) {
   const pre = preflightIfNeeded(env, req); if (pre) return pre;
   const body = await parseJSONBody(req);
@@ -8059,10 +9365,22 @@ async function handleAuthForgot(env, req) {
   const email = String((body.email||'')).trim().toLowerCase();
   if (!email) return badRequest('email_required');
 
+  const ipRl = await rateLimitHit(env, 'forgot_ip', clientIp(req));
+  if (!ipRl.ok) return tooManyRequests('TOO_MANY_ATTEMPTS', ipRl.retryAfter);
+  const emailRl = await rateLimitHit(env, 'forgot_email', email);
+  if (!emailRl.ok) return tooManyRequests('TOO_MANY_ATTEMPTS', emailRl.retryAfter);
+
   const user = await sbGetUserByEmail(env, email);
   if (user && user.is_active === true) {
-    await sbInsertResetToken(env, user.id, resetTtl(env));
-    // Send email via your mailer with a link containing ?k=<token> (not implemented here)
+    try {
+      await sbInvalidateResetTokens(env, user.id);
+      const link = await mintPasswordLink(env, user.id, resetTtl(env));
+      const mailId = await queuePasswordLinkEmail(env, user, link, { template: 'reset' });
+      await writeAudit(env, null, 'PASSWORD_RESET_REQUESTED', { mail_id: mailId }, { entity: 'tms_user', subject_id: user.id, correlation_id: mailId, req });
+    } catch (e) {
+      // Never reveal whether the address exists; log and fall through
+      console.warn('forgot-password email failed:', e?.message || e);
+    }
   }
   return ok({ ok:true }); // privacy-safe
 }
@@ -8076,299 +9394,2955 @@ async function handleAuthReset(env, req) {
   const newPw = String(body.new_password||'');
   if (!token || !newPw) return badRequest('token_and_new_password_required');
 
+  const ipRl = await rateLimitHit(env, 'reset_ip', clientIp(req));
+  if (!ipRl.ok) return tooManyRequests('TOO_MANY_ATTEMPTS', ipRl.retryAfter);
+
   const strong = newPw.length>=8 && /[a-z]/.test(newPw) && /[A-Z]/.test(newPw) && /[0-9]/.test(newPw);
   if (!strong) return new Response(JSON.stringify({ ok:false, error:'WEAK_PASSWORD' }), { status:400, headers: JSON_HEADERS });
 
-  const consumed = await sbConsumeResetToken(env, token);
+  const dbToken = await unwrapPasswordLinkToken(env, token);
+  if (!dbToken) return new Response(JSON.stringify({ ok:false, error:'INVALID_OR_EXPIRED_RESET' }), { status:400, headers: JSON_HEADERS });
+
+  const consumed = await sbConsumeResetToken(env, dbToken);
   if (!consumed.ok) return new Response(JSON.stringify({ ok:false, error: consumed.error }), { status:400, headers: JSON_HEADERS });
 
+  // New hash + session_version bump (revokes all sessions), then retire any other outstanding links
   const hash = await pbkdf2Hash(newPw);
   await sbUpdateUserPassword(env, consumed.user_id, hash);
+  await sbInvalidateResetTokens(env, consumed.user_id);
+  await writeAudit(env, null, 'PASSWORD_RESET_COMPLETED', null, { entity: 'tms_user', subject_id: consumed.user_id, req });
 
   return ok({ ok:true });
 }
 
-// ---------------------- UK timezone check ----------------------
-async function handleUKTimeCheck(env, req) {
-  const body = await parseJSONBody(req);
-  if (!body) return withCORS(env, req, badRequest('invalid_json'));
+// ── Two-factor authentication (TOTP) ─────────────────────────
+// Login flow: password OK → { challenge_token } → POST /auth/mfa/verify { challenge_token, code | recovery_code }
+// → normal session. Users who must enrol get an 'enrol' challenge usable with /auth/mfa/enrol/*.
+const MFA_CHALLENGE_TTL_SEC = 300;
+const MFA_MAX_ATTEMPTS = 5;
 
-  const phone_tz = String(body.phone_tz || '');
-  const phone_epoch_ms = Number(body.phone_epoch_ms);
-  const tolerance_ms = Math.max(0, Number(env.UK_TZ_SKEW_MS ?? 180000));
+// Admin-enforced per user (tms_users.totp_required) or per role (env MFA_REQUIRED_ROLES, CSV)
+function mfaRequiredFor(env, user) {
+  return user?.totp_required === true || splitCsv(env.MFA_REQUIRED_ROLES || '').includes(user?.role);
+}
 
-  const broker_epoch_ms = Date.now();
-  const broker_tz = 'Europe/London';
+async function mintMfaChallenge(env, user, purpose) {
+  const jti = bufToBase64Url(crypto.getRandomValues(new Uint8Array(16)));
+  const exp = Math.floor(Date.now()/1000) + MFA_CHALLENGE_TTL_SEC;
+  const token = await createToken(sessionKeyring(env), { typ:'mfa', purpose, sub: user.id, sv: user.session_version|0, jti, exp });
+  await env.SESSIONS.put(`mfa:${jti}`, JSON.stringify({ user_id: user.id, attempts: 0 }), { expirationTtl: MFA_CHALLENGE_TTL_SEC });
+  return { token, exp };
+}
 
-  const tzOk = phone_tz === broker_tz;
-  const skew_ms = Number.isFinite(phone_epoch_ms)
-    ? Math.abs(broker_epoch_ms - phone_epoch_ms)
-    : NaN;
-  const skewOk = Number.isFinite(skew_ms) && skew_ms <= tolerance_ms;
+// Challenge tokens are single-use (KV entry deleted on success) and allow MFA_MAX_ATTEMPTS wrong codes.
+async function checkMfaChallenge(env, token, purpose) {
+  const ver = await verifyToken(sessionKeyring(env), token);
+  if (!ver.ok) return { ok:false, error:'INVALID_CHALLENGE' };
+  const p = ver.payload || {};
+  if (p.typ !== 'mfa' || p.purpose !== purpose || !p.jti || !p.sub) return { ok:false, error:'INVALID_CHALLENGE' };
 
-  const valid = tzOk && skewOk;
-  const reason = valid
-    ? 'ok'
-    : (!tzOk ? 'tz_mismatch' : (!Number.isFinite(skew_ms) ? 'invalid_phone_epoch' : 'clock_skew'));
+  const raw = await env.SESSIONS.get(`mfa:${p.jti}`);
+  if (!raw) return { ok:false, error:'INVALID_CHALLENGE' };
+  const state = JSON.parse(raw);
+  if ((state.attempts|0) >= MFA_MAX_ATTEMPTS) {
+    await env.SESSIONS.delete(`mfa:${p.jti}`);
+    return { ok:false, error:'TOO_MANY_ATTEMPTS' };
+  }
 
-  return withCORS(env, req, ok({
-    valid,
-    reason,
-    tolerance_ms,
-    skew_ms,
-    broker_epoch_ms,
-    broker_tz,
-  }));
+  const user = await sbGetUserById(env, p.sub);
+  if (!user || user.is_active !== true) return { ok:false, error:'INVALID_CHALLENGE' };
+  if ((user.session_version|0) !== (p.sv|0)) return { ok:false, error:'INVALID_CHALLENGE' };
+  return { ok:true, user, jti: p.jti, state };
+}
+async function recordMfaFailure(env, jti, state) {
+  const next = { ...state, attempts: (state.attempts|0) + 1 };
+  await env.SESSIONS.put(`mfa:${jti}`, JSON.stringify(next), { expirationTtl: MFA_CHALLENGE_TTL_SEC });
 }
 
-// ---------------------- Query builder for list ----------------------
-function buildTimesheetsQuery(env, q) {
-  const url = new URL(`${env.SUPABASE_URL}/rest/v1/timesheets`);
-  url.searchParams.set("select", "*");
+// Verifies a TOTP code and rejects reuse of the same (or an earlier) time step.
+async function consumeTotpCode(env, user_id, secretB32, code) {
+  if (!secretB32) return false;
+  const step = await totpVerify(secretB32, code);
+  if (step == null) return false;
+  const last = parseInt(await env.SESSIONS.get(`totp_step:${user_id}`) || '0', 10);
+  if (step <= last) return false;
+  await env.SESSIONS.put(`totp_step:${user_id}`, String(step), { expirationTtl: TOTP_STEP_SEC * 4 });
+  return true;
+}
 
-  const add = (k, v) => url.searchParams.set(k, v);
+// Consumes a recovery code (removes its hash). Returns remaining count or null if no match.
+async function consumeRecoveryCode(env, totpRow, code) {
+  const want = await sha256Hex(String(code || '').trim().toLowerCase());
+  const hashes = Array.isArray(totpRow.totp_recovery_hashes) ? totpRow.totp_recovery_hashes : [];
+  if (!hashes.includes(want)) return null;
+  const remaining = hashes.filter(h => h !== want);
+  await sbPatchUser(env, totpRow.id, { totp_recovery_hashes: remaining });
+  return remaining.length;
+}
 
-  if (q.booking_id) add("booking_id", `eq.${q.booking_id}`);
-  if (q.booking_ids && q.booking_ids.length) add("booking_id", `in.(${q.booking_ids.map(encodeURIComponent).join(",")})`);
+async function handleAuthMfaVerify(env, req) {
+  const pre = preflightIfNeeded(env, req); if (pre) return pre;
+  const body = await parseJSONBody(req);
+  if (!body) return badRequest('invalid_json');
+  if (!body.challenge_token || (!body.code && !body.recovery_code)) return badRequest('challenge_token_and_code_required');
 
-  if (q.candidate_id) add("occupant_key_norm", `eq.${q.candidate_id}`);
-  if (q.candidate_ids && q.candidate_ids.length) add("occupant_key_norm", `in.(${q.candidate_ids.map(encodeURIComponent).join(",")})`);
+  const ch = await checkMfaChallenge(env, String(body.challenge_token), 'verify');
+  if (!ch.ok) return unauthorized(ch.error);
 
-  if (q.week_ending) add("week_ending_date", `eq.${q.week_ending}`);
-  if (q.week_endings && q.week_endings.length) add("week_ending_date", `in.(${q.week_endings.map(encodeURIComponent).join(",")})`);
+  const totp = await sbGetUserTotp(env, ch.user.id);
+  if (!totp || totp.totp_enabled !== true) return unauthorized('INVALID_CHALLENGE');
 
-  if (q.status) add("status", `eq.${q.status}`);
-  if (q.statuses && q.statuses.length) add("status", `in.(${q.statuses.map(encodeURIComponent).join(",")})`);
+  let okCode = false;
+  let recoveryLeft = null;
+  if (body.code) {
+    okCode = await consumeTotpCode(env, totp.id, totp.totp_secret, body.code);
+  } else {
+    recoveryLeft = await consumeRecoveryCode(env, totp, body.recovery_code);
+    okCode = recoveryLeft != null;
+  }
+  if (!okCode) {
+    await recordMfaFailure(env, ch.jti, ch.state);
+    return unauthorized('Invalid code');
+  }
 
-  if (q.job_title) add("job_title_norm", `eq.${q.job_title}`);
-  if (q.job_titles && q.job_titles.length) add("job_title_norm", `in.(${q.job_titles.map(encodeURIComponent).join(",")})`);
+  await env.SESSIONS.delete(`mfa:${ch.jti}`);
+  if (recoveryLeft != null) {
+    await writeAudit(env, ch.user, 'MFA_RECOVERY_CODE_USED', { remaining: recoveryLeft }, { entity: 'tms_user', subject_id: ch.user.id, req });
+  }
+  return issueSession(env, req, ch.user, recoveryLeft != null ? { recovery_codes_remaining: recoveryLeft } : {});
+}
 
-  const hospMode = q.hospital_match || "contains";
-  if (q.hospital) {
-    if (hospMode === "exact") add("hospital_norm", `eq.${q.hospital.toLowerCase()}`);
-    else if (hospMode === "prefix") add("hospital_norm", `like.${q.hospital.toLowerCase()}%`);
-    else add("hospital_norm", `like.%${q.hospital.toLowerCase()}%`);
+// Enrolment is allowed for a signed-in user (Bearer) or mid-login with an 'enrol' challenge.
+async function resolveMfaEnrolActor(env, req, body) {
+  if (body?.challenge_token) {
+    const ch = await checkMfaChallenge(env, String(body.challenge_token), 'enrol');
+    return ch.ok ? { user: ch.user, challenge: ch } : { error: ch.error };
   }
-  const wardMode = q.ward_match || "contains";
-  if (q.ward) {
-    if (wardMode === "exact") add("ward_norm", `eq.${q.ward.toLowerCase()}`);
-    else if (wardMode === "prefix") add("ward_norm", `like.${q.ward.toLowerCase()}%`);
-    else add("ward_norm", `like.%${q.ward.toLowerCase()}%`);
+  const me = await requireUser(env, req);
+  if (!me || !me.id) return { error: 'Unauthorized' };
+  const user = await sbGetUserById(env, me.id);
+  return user ? { user, challenge: null } : { error: 'Unauthorized' };
+}
+
+async function handleAuthMfaEnrolStart(env, req) {
+  const pre = preflightIfNeeded(env, req); if (pre) return pre;
+  const body = (await parseJSONBody(req)) || {};
+
+  const actor = await resolveMfaEnrolActor(env, req, body);
+  if (!actor.user) return unauthorized(actor.error);
+  if (actor.user.totp_enabled === true) return conflict('MFA already enabled');
+
+  const secret = newTotpSecret();
+  await sbPatchUser(env, actor.user.id, { totp_pending_secret: secret });
+
+  return ok({ ok:true, secret, otpauth_uri: totpProvisioningUri(env, actor.user.email, secret) });
+}
+
+async function handleAuthMfaEnrolConfirm(env, req) {
+  const pre = preflightIfNeeded(env, req); if (pre) return pre;
+  const body = await parseJSONBody(req);
+  if (!body) return badRequest('invalid_json');
+  if (!body.code) return badRequest('code_required');
+
+  const actor = await resolveMfaEnrolActor(env, req, body);
+  if (!actor.user) return unauthorized(actor.error);
+
+  const totp = await sbGetUserTotp(env, actor.user.id);
+  if (!totp?.totp_pending_secret) return badRequest('enrolment_not_started');
+
+  const okCode = await consumeTotpCode(env, totp.id, totp.totp_pending_secret, body.code);
+  if (!okCode) {
+    if (actor.challenge) await recordMfaFailure(env, actor.challenge.jti, actor.challenge.state);
+    return unauthorized('Invalid code');
   }
 
-  if (q.version) add("version", `eq.${q.version}`);
-  else if (String(q.current_only ?? "true").toLowerCase() !== "false") add("is_current", "eq.true");
+  const recovery = await newRecoveryCodes();
+  await sbPatchUser(env, totp.id, {
+    totp_secret: totp.totp_pending_secret,
+    totp_pending_secret: null,
+    totp_enabled: true,
+    totp_recovery_hashes: recovery.hashes,
+  });
+  await writeAudit(env, actor.user, 'MFA_ENROLLED', null, { entity: 'tms_user', subject_id: totp.id, req });
 
-  if (q.sort) {
-    const col = q.sort;
-    const ord = q.order === "asc" ? "asc" : "desc";
-    url.searchParams.set("order", `${col}.${ord}`);
+  if (actor.challenge) {
+    await env.SESSIONS.delete(`mfa:${actor.challenge.jti}`);
+    return issueSession(env, req, actor.user, { recovery_codes: recovery.codes });
   }
-  const limit = Math.min(parseInt(q.limit || "50", 10) || 50, 200);
-  const offset = parseInt(q.offset || "0", 10) || 0;
-  url.searchParams.set("limit", String(limit));
-  url.searchParams.set("offset", String(offset));
+  return ok({ ok:true, recovery_codes: recovery.codes });
+}
 
-  return url.toString();
+// POST /api/me/mfa/disable { code }
+async function handleMeMfaDisable(env, req) {
+  const me = await requireUser(env, req);
+  if (!me || !me.id) return withCORS(env, req, unauthorized());
+  const body = await parseJSONBody(req);
+  if (!body?.code) return withCORS(env, req, badRequest('code_required'));
+
+  const user = await sbGetUserById(env, me.id);
+  if (mfaRequiredFor(env, user)) return withCORS(env, req, forbidden('MFA is required for this account'));
+
+  const totp = await sbGetUserTotp(env, me.id);
+  if (totp?.totp_enabled !== true) return withCORS(env, req, badRequest('MFA not enabled'));
+  if (!(await consumeTotpCode(env, me.id, totp.totp_secret, body.code))) return withCORS(env, req, unauthorized('Invalid code'));
+
+  await sbPatchUser(env, me.id, { totp_enabled: false, totp_secret: null, totp_pending_secret: null, totp_recovery_hashes: null });
+  await writeAudit(env, me, 'MFA_DISABLED', null, { entity: 'tms_user', subject_id: me.id, req });
+  return withCORS(env, req, ok({ ok:true }));
 }
 
-// ---------------------- Upload/submit/presign ----------------------
-async function handlePresign(env, req) {
-  const pre = preflightIfNeeded(env, req); if (pre) return pre;
+// POST /api/me/mfa/recovery-codes { code } → fresh set; previous codes stop working
+async function handleMeMfaRecoveryCodes(env, req) {
+  const me = await requireUser(env, req);
+  if (!me || !me.id) return withCORS(env, req, unauthorized());
+  const body = await parseJSONBody(req);
+  if (!body?.code) return withCORS(env, req, badRequest('code_required'));
+
+  const totp = await sbGetUserTotp(env, me.id);
+  if (totp?.totp_enabled !== true) return withCORS(env, req, badRequest('MFA not enabled'));
+  if (!(await consumeTotpCode(env, me.id, totp.totp_secret, body.code))) return withCORS(env, req, unauthorized('Invalid code'));
+
+  const recovery = await newRecoveryCodes();
+  await sbPatchUser(env, me.id, { totp_recovery_hashes: recovery.hashes });
+  await writeAudit(env, me, 'MFA_RECOVERY_CODES_REGENERATED', null, { entity: 'tms_user', subject_id: me.id, req });
+  return withCORS(env, req, ok({ ok:true, recovery_codes: recovery.codes }));
+}
 
+// PATCH /api/users/:id/mfa { required?: boolean, reset?: true }
+// reset clears the enrolment (lost device); the user re-enrols at next login if required.
+async function handleUserMfaAdmin(env, req, userId) {
+  const admin = await requireUser(env, req, ['users:write']);
+  if (!admin) return withCORS(env, req, unauthorized());
   const body = await parseJSONBody(req);
-  if (!body) return withCORS(env, req, badRequest("Invalid JSON"));
+  if (!body) return withCORS(env, req, badRequest('invalid_json'));
 
-  const {
-    occupant_key: candidate_id,
-    date_start_local,  // YYYY-MM-DD (local)
-    hospital,
-    ward,
-    job_title,
-    shift_label = "",
-    resubmission_of,
-  } = body;
+  const before = await sbGetUserById(env, userId);
+  if (!before) return withCORS(env, req, notFound('User not found'));
 
-  if (!candidate_id || !date_start_local || !hospital || !ward || !job_title) {
-    return withCORS(env, req, badRequest("Missing required fields"));
-  }
+  const patch = {};
+  if (typeof body.required === 'boolean') patch.totp_required = body.required;
+  if (body.reset === true) Object.assign(patch, { totp_enabled: false, totp_secret: null, totp_pending_secret: null, totp_recovery_hashes: null });
+  if (!Object.keys(patch).length) return withCORS(env, req, badRequest('nothing_to_update'));
 
-  const booking_id = resubmission_of || await makeBookingId(candidate_id, date_start_local, hospital, ward, job_title, shift_label);
-  const week_ending_date = weekEndingSunday(date_start_local);
-  const weCompact = week_ending_date.replace(/-/g, "");
+  await sbPatchUser(env, userId, patch);
+  await writeAudit(env, admin, body.reset === true ? 'MFA_RESET' : 'MFA_POLICY_CHANGED',
+    { totp_required: patch.totp_required ?? before.totp_required ?? false, reset: body.reset === true },
+    { entity: 'tms_user', subject_id: userId, before: { totp_required: before.totp_required ?? false, totp_enabled: before.totp_enabled ?? false }, req });
 
-  const maxV = await sbMaxVersion(env, booking_id);
-  const version = maxV > 0 ? maxV + 1 : 1;
+  return withCORS(env, req, ok({ ok:true }));
+}
 
-  const nurseKey = `/we=${weCompact}/${booking_id}/v${version}/nurse.png`;
-  const authKey  = `/we=${weCompact}/${booking_id}/v${version}/authoriser.png`;
+// ── Session management ───────────────────────────────────────
+async function handleMeSessionsList(env, req) {
+  const me = await requireUser(env, req);
+  if (!me || !me.id) return withCORS(env, req, unauthorized());
+  const items = await kvListUserSessions(env, me.id, me.sv);
+  return withCORS(env, req, ok({ items: items.map(s => ({ ...s, current: s.sid === me.sid })) }));
+}
 
-  const maxBytes = parseInt(env.UPLOAD_MAX_BYTES || "300000", 10);
-  const expiresSec = parseInt(env.PRESIGN_EXPIRES_SECONDS || "600", 10);
-  const exp = Math.floor(Date.now() / 1000) + expiresSec;
-  const secret = env.UPLOAD_TOKEN_SECRET;
+async function handleMeSessionRevoke(env, req, sid) {
+  const me = await requireUser(env, req);
+  if (!me || !me.id) return withCORS(env, req, unauthorized());
+  const sess = await kvGetSession(env, sid);
+  if (!sess || sess.user_id !== me.id) return withCORS(env, req, notFound('Session not found'));
 
-  const nurseToken = await createToken(secret, { typ: "upload", booking_id, version, role: "nurse", key: nurseKey, exp });
-  const authToken  = await createToken(secret, { typ: "upload", booking_id, version, role: "authoriser", key: authKey, exp });
+  await kvDelSession(env, sid);
+  await writeAudit(env, me, 'SESSION_REVOKED', { sid, self: true }, { entity: 'tms_user', subject_id: me.id, req });
+  return withCORS(env, req, ok({ ok: true, current: sid === me.sid }));
+}
 
-  const uploadBase = new URL(req.url);
-  uploadBase.pathname = "/upload";
-  const mkUrl = (key, token, role) => {
-    const u = new URL(uploadBase);
-    u.searchParams.set("key", key);
-    u.searchParams.set("booking_id", booking_id);
-    u.searchParams.set("version", String(version));
-    u.searchParams.set("role", role);
-    u.searchParams.set("token", token);
-    return u.toString();
-  };
+async function handleUserSessionsList(env, req, userId) {
+  const admin = await requireUser(env, req, ['users:read']);
+  if (!admin) return withCORS(env, req, unauthorized());
+  const user = await sbGetUserById(env, userId);
+  if (!user) return withCORS(env, req, notFound('User not found'));
+  const items = await kvListUserSessions(env, userId, user.session_version);
+  return withCORS(env, req, ok({ items }));
+}
 
-  return withCORS(env, req, ok({
-    booking_id,
-    version,
-    week_ending_date,
-    upload: {
-      content_type: "image/png",
-      max_bytes: maxBytes,
-      expires_at: new Date(exp * 1000).toISOString(),
-      nurse: { key: nurseKey, put_url: mkUrl(nurseKey, nurseToken, "nurse"), token: nurseToken },
-      authoriser: { key: authKey, put_url: mkUrl(authKey, authToken, "authoriser"), token: authToken },
-    },
-  }));
+async function handleUserSessionRevoke(env, req, userId, sid) {
+  const admin = await requireUser(env, req, ['users:write']);
+  if (!admin) return withCORS(env, req, unauthorized());
+  const sess = await kvGetSession(env, sid);
+  if (!sess || String(sess.user_id) !== String(userId)) return withCORS(env, req, notFound('Session not found'));
+
+  await kvDelSession(env, sid);
+  await writeAudit(env, admin, 'SESSION_REVOKED', { sid, device: sess.device || null, ip: sess.ip || null },
+    { entity: 'tms_user', subject_id: userId, req });
+  return withCORS(env, req, ok({ ok: true }));
 }
 
-async function handleUpload(env, req, url) {
-  const pre = preflightIfNeeded(env, req); if (pre) return pre;
+// ── User administration (tms_users) ──────────────────────────
+const USER_SECRET_COLS = ['password_hash', 'totp_secret', 'totp_pending_secret', 'totp_recovery_hashes'];
+function inviteTtl(env){ return parseInt(env.USER_INVITE_TTL_SECONDS || '604800', 10) || 604800; } // 7d
 
-  const key = url.searchParams.get("key") || "";
-  const booking_id = url.searchParams.get("booking_id") || "";
-  const role = url.searchParams.get("role") || "";
-  const token = url.searchParams.get("token") || "";
+function publicUserRow(u) {
+  if (!u) return null;
+  const out = { ...u };
+  for (const k of USER_SECRET_COLS) delete out[k];
+  out.password_set = !!u.password_hash;
+  return out;
+}
 
-  const secret = env.UPLOAD_TOKEN_SECRET;
-  const ver = await verifyToken(secret, token);
-  if (!ver.ok) return withCORS(env, req, unauthorized("Invalid token"));
-  const p = ver.payload;
-  if (p.typ !== "upload" || p.booking_id !== booking_id || p.role !== role || p.key !== key) {
-    return withCORS(env, req, unauthorized("Token mismatch"));
-  }
+async function sbCountActiveAdmins(env) {
+  const { total } = await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/${AUTH.USERS_TABLE}?role=eq.admin&is_active=eq.true&select=id`, true);
+  return total | 0;
+}
 
-  const keyOk = /^\/we=\d{8}\/bk_[a-f0-9]{16}(?:\/v\d+)?\/(nurse|authoriser)\.png$/.test(key);
-  if (!keyOk) return withCORS(env, req, badRequest("Invalid key"));
+// True when the change would leave no active admin (target is currently an active admin and loses that)
+async function wouldRemoveLastAdmin(env, before, after) {
+  const wasAdmin = before.role === 'admin' && before.is_active === true;
+  const staysAdmin = after.role === 'admin' && after.is_active === true;
+  if (!wasAdmin || staysAdmin) return false;
+  return (await sbCountActiveAdmins(env)) <= 1;
+}
 
-  const ct = req.headers.get("content-type") || "";
-  if (!isPng(ct)) return withCORS(env, req, unsupported("Only image/png allowed"));
+// Bumps session_version (invalidates every token) and drops the KV sessions.
+async function forceLogoutUser(env, user) {
+  await sbPatchUser(env, user.id, { session_version: (user.session_version|0) + 1 });
+  const sessions = await kvListUserSessions(env, user.id);
+  for (const s of sessions) await kvDelSession(env, s.sid);
+  return sessions.length;
+}
 
-  const maxBytes = parseInt(env.UPLOAD_MAX_BYTES || "300000", 10);
-  const contentLength = parseInt(req.headers.get("content-length") || "0", 10);
-  if (contentLength > maxBytes) return withCORS(env, req, tooLarge(`Max ${maxBytes} bytes`));
+async function handleUsersList(env, req) {
+  const admin = await requireUser(env, req, ['users:read']);
+  if (!admin) return withCORS(env, req, unauthorized());
 
-  const requireMd5 = String(env.REQUIRE_MD5 || "false").toLowerCase() === "true";
-  const md5 = req.headers.get("content-md5");
-  if (requireMd5 && !md5) return withCORS(env, req, badRequest("Content-MD5 required"));
+  const u = new URL(req.url);
+  let q = `${env.SUPABASE_URL}/rest/v1/${AUTH.USERS_TABLE}?select=*&order=email.asc`;
+  if (u.searchParams.get('role'))   q += `&role=eq.${enc(u.searchParams.get('role'))}`;
+  if (u.searchParams.get('active')) q += `&is_active=eq.${u.searchParams.get('active') === 'false' ? 'false' : 'true'}`;
 
-  const we = (key.match(/^\/we=(\d{8})\//) || [])[1];
-  const versionMatch = key.match(/\/v(\d+)\//);
-  const version = versionMatch ? parseInt(versionMatch[1], 10) : 1;
-  const week_ending_date = we ? `${we.slice(0,4)}-${we.slice(4,6)}-${we.slice(6,8)}` : undefined;
+  const { rows } = await sbFetch(env, q);
+  return withCORS(env, req, ok({ items: (rows || []).map(publicUserRow) }));
+}
 
-  const putRes = await r2Put(env, key, req.body, {
-    httpMetadata: { contentType: "image/png" },
-    customMetadata: {
-      bookingid: booking_id,
-      weekending: week_ending_date || "",
-      role,
-      version: String(version),
-    },
-  });
-  const size = contentLength || undefined;
-  return withCORS(env, req, ok({ ok: true, role, key, etag: putRes?.etag, size, version }));
+async function handleUsersGet(env, req, userId) {
+  const admin = await requireUser(env, req, ['users:read']);
+  if (!admin) return withCORS(env, req, unauthorized());
+
+  const { rows } = await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/${AUTH.USERS_TABLE}?id=eq.${enc(userId)}&select=*`);
+  if (!rows?.length) return withCORS(env, req, notFound('User not found'));
+  return withCORS(env, req, ok(publicUserRow(rows[0])));
 }
 
-async function handleSubmit(env, req) {
-  const pre = preflightIfNeeded(env, req); if (pre) return pre;
+// POST /api/users { email, role } → creates an active user with no password and emails a set-password link
+async function handleUsersInvite(env, req) {
+  const admin = await requireUser(env, req, ['users:write']);
+  if (!admin) return withCORS(env, req, unauthorized());
+
+  const body = await parseJSONBody(req);
+  if (!body) return withCORS(env, req, badRequest('invalid_json'));
+  const email = String(body.email || '').trim().toLowerCase();
+  const role = String(body.role || '').trim();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return withCORS(env, req, badRequest('valid_email_required'));
+  if (!ROLE_PERMISSIONS[role]) return withCORS(env, req, badRequest('invalid_role', { roles: Object.keys(ROLE_PERMISSIONS) }));
+
+  if (await sbGetUserByEmail(env, email)) return withCORS(env, req, conflict('A user with this email already exists'));
+
+  const { rows } = await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/${AUTH.USERS_TABLE}?select=*`, {
+    method: 'POST',
+    headers: { Prefer: 'return=representation' },
+    body: JSON.stringify({ email, role, is_active: true, password_hash: null, session_version: 1 })
+  });
+  const created = rows?.[0];
+  if (!created) return withCORS(env, req, serverError('User insert failed'));
+
+  const link = await mintPasswordLink(env, created.id, inviteTtl(env));
+  const mailId = await queuePasswordLinkEmail(env, created, link, { template: 'invite', created_by: admin.id || null });
+
+  await writeAudit(env, admin, 'USER_INVITED', { email, role, mail_id: mailId },
+    { entity: 'tms_user', subject_id: created.id, correlation_id: mailId, req });
+  return withCORS(env, req, ok({ user: publicUserRow(created), mail_id: mailId }));
+}
+
+// PATCH /api/users/:id { role }
+async function handleUsersUpdate(env, req, userId) {
+  const admin = await requireUser(env, req, ['users:write']);
+  if (!admin) return withCORS(env, req, unauthorized());
+
+  const body = await parseJSONBody(req);
+  if (!body) return withCORS(env, req, badRequest('invalid_json'));
+  const before = await sbGetUserById(env, userId);
+  if (!before) return withCORS(env, req, notFound('User not found'));
+
+  const patch = {};
+  if (body.role !== undefined) {
+    const role = String(body.role || '').trim();
+    if (!ROLE_PERMISSIONS[role]) return withCORS(env, req, badRequest('invalid_role', { roles: Object.keys(ROLE_PERMISSIONS) }));
+    patch.role = role;
+  }
+  if (!Object.keys(patch).length) return withCORS(env, req, badRequest('nothing_to_update'));
+
+  if (await wouldRemoveLastAdmin(env, before, { ...before, ...patch })) {
+    return withCORS(env, req, conflict('Cannot remove the last active admin'));
+  }
+
+  // Role changes take effect immediately: the old role is baked into live access tokens
+  const updated = await sbPatchUser(env, userId, { ...patch, session_version: (before.session_version|0) + 1 });
+  await writeAudit(env, admin, 'USER_ROLE_CHANGED', { role: patch.role },
+    { entity: 'tms_user', subject_id: userId, before: { role: before.role }, req });
+  return withCORS(env, req, ok({ user: publicUserRow(updated) }));
+}
+
+async function handleUsersSetActive(env, req, userId, active) {
+  const admin = await requireUser(env, req, ['users:write']);
+  if (!admin) return withCORS(env, req, unauthorized());
+
+  const before = await sbGetUserById(env, userId);
+  if (!before) return withCORS(env, req, notFound('User not found'));
+  if (!active && admin.id && String(admin.id) === String(userId)) return withCORS(env, req, conflict('You cannot deactivate your own account'));
+  if (!active && await wouldRemoveLastAdmin(env, before, { ...before, is_active: false })) {
+    return withCORS(env, req, conflict('Cannot deactivate the last active admin'));
+  }
+
+  const updated = await sbPatchUser(env, userId, { is_active: active });
+  if (!active) await forceLogoutUser(env, updated || before);
+
+  await writeAudit(env, admin, active ? 'USER_REACTIVATED' : 'USER_DEACTIVATED', { is_active: active },
+    { entity: 'tms_user', subject_id: userId, before: { is_active: before.is_active }, req });
+  return withCORS(env, req, ok({ user: publicUserRow(updated) }));
+}
+
+async function handleUsersForceLogout(env, req, userId) {
+  const admin = await requireUser(env, req, ['users:write']);
+  if (!admin) return withCORS(env, req, unauthorized());
+
+  const user = await sbGetUserById(env, userId);
+  if (!user) return withCORS(env, req, notFound('User not found'));
+
+  const revoked = await forceLogoutUser(env, user);
+  await writeAudit(env, admin, 'USER_FORCED_LOGOUT', { sessions_revoked: revoked }, { entity: 'tms_user', subject_id: userId, req });
+  return withCORS(env, req, ok({ ok: true, sessions_revoked: revoked }));
+}
+
+// POST /api/users/:id/password-reset → emails a reset link (an invite link if no password was ever set)
+async function handleUsersPasswordReset(env, req, userId) {
+  const admin = await requireUser(env, req, ['users:write']);
+  if (!admin) return withCORS(env, req, unauthorized());
+
+  const user = await sbGetUserById(env, userId);
+  if (!user) return withCORS(env, req, notFound('User not found'));
+  if (user.is_active !== true) return withCORS(env, req, conflict('User is deactivated'));
+
+  const template = user.password_hash ? 'reset' : 'invite';
+  await sbInvalidateResetTokens(env, userId);
+  const link = await mintPasswordLink(env, userId, template === 'invite' ? inviteTtl(env) : resetTtl(env));
+  const mailId = await queuePasswordLinkEmail(env, user, link, { template, created_by: admin.id || null });
+
+  await writeAudit(env, admin, 'USER_PASSWORD_RESET_SENT', { template, mail_id: mailId },
+    { entity: 'tms_user', subject_id: userId, correlation_id: mailId, req });
+  return withCORS(env, req, ok({ ok: true, mail_id: mailId }));
+}
+
+// ── Service API keys (admin) ─────────────────────────────────
+const API_KEY_PUBLIC_COLS = 'id,name,key_prefix,scopes,expires_at,revoked_at,last_used_at,last_used_ip,created_by,created_at';
+
+async function handleServiceKeysList(env, req) {
+  const user = await requireUser(env, req, ['service_keys:read']);
+  if (!user) return withCORS(env, req, unauthorized());
+
+  const { rows } = await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/${AUTH.API_KEYS_TABLE}?select=${API_KEY_PUBLIC_COLS}&order=created_at.desc`);
+  return withCORS(env, req, ok({ items: rows || [] }));
+}
+
+// POST /api/service-keys { name, scopes:[...], expires_at? | expires_in_days? }
+// The plaintext key is returned once in the response and never stored.
+async function handleServiceKeysCreate(env, req) {
+  const user = await requireUser(env, req, ['service_keys:write']);
+  if (!user) return withCORS(env, req, unauthorized());
+  // Keys are issued and revoked by people: a service principal has no tms_users id to record
+  if (!user.id) return withCORS(env, req, forbidden('Service keys can only be managed by a signed-in user'));
+
+  const body = await parseJSONBody(req);
+  if (!body) return withCORS(env, req, badRequest('invalid_json'));
+
+  const name = String(body.name || '').trim();
+  if (!name) return withCORS(env, req, badRequest('name_required'));
+
+  const scopes = Array.isArray(body.scopes) ? body.scopes.map(s => String(s).trim()).filter(Boolean) : [];
+  if (!scopes.length) return withCORS(env, req, badRequest('scopes_required'));
+  const badScope = scopes.find(s => s !== '*' && !/^(\*|[a-z_]+):(\*|[a-z_]+)$/.test(s));
+  if (badScope) return withCORS(env, req, badRequest('invalid_scope', { scope: badScope }));
+
+  let expires_at = null;
+  if (body.expires_at) {
+    const t = new Date(body.expires_at).getTime();
+    if (!Number.isFinite(t) || t <= Date.now()) return withCORS(env, req, badRequest('invalid_expires_at'));
+    expires_at = new Date(t).toISOString();
+  } else if (Number(body.expires_in_days) > 0) {
+    expires_at = new Date(Date.now() + Number(body.expires_in_days) * 86400000).toISOString();
+  }
+
+  const minted = await mintApiKey();
+  const { rows } = await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/${AUTH.API_KEYS_TABLE}?select=${API_KEY_PUBLIC_COLS}`, {
+    method: 'POST',
+    headers: { Prefer: 'return=representation' },
+    body: JSON.stringify({
+      name, scopes, expires_at,
+      key_prefix: minted.prefix,
+      key_hash: minted.hash,
+      created_by: user.id,
+    })
+  });
+  const row = rows?.[0] || null;
+
+  await writeAudit(env, user, 'SERVICE_KEY_CREATED', { name, scopes, expires_at, key_prefix: minted.prefix },
+    { entity: 'service_key', subject_id: row?.id || null, req });
+
+  return withCORS(env, req, ok({ ...row, api_key: minted.key }));
+}
+
+async function handleServiceKeysRevoke(env, req, keyId) {
+  const user = await requireUser(env, req, ['service_keys:write']);
+  if (!user) return withCORS(env, req, unauthorized());
+  if (!user.id) return withCORS(env, req, forbidden('Service keys can only be managed by a signed-in user'));
+
+  const { rows } = await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/${AUTH.API_KEYS_TABLE}?id=eq.${enc(keyId)}&revoked_at=is.null&select=${API_KEY_PUBLIC_COLS}`, {
+    method: 'PATCH',
+    headers: { Prefer: 'return=representation' },
+    body: JSON.stringify({ revoked_at: nowIso() })
+  });
+  if (!rows?.length) return withCORS(env, req, notFound('Active key not found'));
+
+  await writeAudit(env, user, 'SERVICE_KEY_REVOKED', { name: rows[0].name, key_prefix: rows[0].key_prefix },
+    { entity: 'service_key', subject_id: keyId, req });
+
+  return withCORS(env, req, ok({ ok: true, key: rows[0] }));
+}
+
+// ── Single sign-on (OpenID Connect) ──────────────────────────
+// Authorization-code flow with PKCE against OIDC_ISSUER (e.g. https://login.microsoftonline.com/<tenant>/v2.0).
+// POST /auth/oidc/start → { authorization_url }; the IdP sends the browser back to OIDC_REDIRECT_URI
+// (a front-end page) which posts { code, state } to /auth/oidc/callback → the usual issueSession() body
+// and refresh cookie. The id_token is checked against the issuer's JWKS, the user matched to tms_users
+// by an IdP-verified email (see oidcEmailFromClaims), optionally provisioned on first sign-in, and given
+// a role from OIDC_GROUP_ROLE_MAP.
+// Second factor is the IdP's job unless OIDC_ENFORCE_LOCAL_MFA=true.
+// KV: oidc:<state> → { verifier, nonce, return_to } (single use).
+const OIDC_STATE_TTL_SEC = 600;
+const OIDC_CACHE_TTL_MS = 60 * 60 * 1000;
+const OIDC_CLOCK_SKEW_SEC = 120;
+
+const OIDC_JWS_ALGS = {
+  RS256: { importAlg: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, verifyAlg: { name: 'RSASSA-PKCS1-v1_5' } },
+  PS256: { importAlg: { name: 'RSA-PSS', hash: 'SHA-256' },           verifyAlg: { name: 'RSA-PSS', saltLength: 32 } },
+  ES256: { importAlg: { name: 'ECDSA', namedCurve: 'P-256' },          verifyAlg: { name: 'ECDSA', hash: 'SHA-256' } },
+};
+
+function oidcConfigured(env) {
+  return !!(env.OIDC_ISSUER && env.OIDC_CLIENT_ID && env.OIDC_REDIRECT_URI);
+}
+function oidcIssuer(env) {
+  return String(env.OIDC_ISSUER || '').replace(/\/+$/, '');
+}
+
+// https only, except loopback hosts so a local stand-in provider can be used in development
+function oidcUrlAllowed(raw) {
+  try {
+    const u = new URL(raw);
+    return u.protocol === 'https:' || (u.protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(u.hostname));
+  } catch { return false; }
+}
+
+async function oidcFetchJson(url, init) {
+  if (!oidcUrlAllowed(url)) throw new Error(`OIDC endpoint not allowed: ${url}`);
+  const res = await fetch(url, init);
+  const json = await res.json().catch(() => null);
+  if (!res.ok || !json) throw new Error(`OIDC ${url} → ${res.status}${json?.error ? ` ${json.error}` : ''}`);
+  return json;
+}
+
+// Discovery document + JWKS, cached per isolate for an hour (JWKS refetched early on an unknown kid)
+const _oidcCache = new Map();
+async function oidcProvider(env, { refreshJwks = false } = {}) {
+  const issuer = oidcIssuer(env);
+  let entry = _oidcCache.get(issuer);
+  if (!entry || Date.now() - entry.at > OIDC_CACHE_TTL_MS) {
+    const discovery = await oidcFetchJson(`${issuer}/.well-known/openid-configuration`);
+    if (String(discovery.issuer || '').replace(/\/+$/, '') !== issuer) throw new Error('OIDC discovery issuer mismatch');
+    entry = { at: Date.now(), discovery, jwks: null };
+    _oidcCache.set(issuer, entry);
+  }
+  if (!entry.jwks || refreshJwks) entry.jwks = await oidcFetchJson(entry.discovery.jwks_uri);
+  return entry;
+}
+
+function decodeJwtPart(part) {
+  return JSON.parse(new TextDecoder().decode(base64UrlToUint8(part)));
+}
+
+// Verifies signature and standard claims; returns the claims or throws with a short reason
+async function verifyOidcIdToken(env, idToken, nonce) {
+  const parts = String(idToken || '').split('.');
+  if (parts.length !== 3) throw new Error('malformed id_token');
+  const header = decodeJwtPart(parts[0]);
+  const claims = decodeJwtPart(parts[1]);
+  const alg = OIDC_JWS_ALGS[header.alg];
+  if (!alg) throw new Error(`unsupported alg ${header.alg}`);
+
+  let provider = await oidcProvider(env);
+  const findKey = () => (provider.jwks.keys || []).find(k => (!header.kid || k.kid === header.kid) && (!k.use || k.use === 'sig'));
+  let jwk = findKey();
+  if (!jwk) { provider = await oidcProvider(env, { refreshJwks: true }); jwk = findKey(); }
+  if (!jwk) throw new Error('signing key not found');
+
+  const { key_ops, ...pub } = jwk;
+  const key = await crypto.subtle.importKey('jwk', { ...pub, alg: header.alg }, alg.importAlg, false, ['verify']);
+  const signed = new TextEncoder().encode(`${parts[0]}.${parts[1]}`);
+  if (!(await crypto.subtle.verify(alg.verifyAlg, key, base64UrlToUint8(parts[2]), signed))) throw new Error('bad signature');
+
+  const now = Math.floor(Date.now() / 1000);
+  const aud = toArray(claims.aud);
+  if (String(claims.iss || '').replace(/\/+$/, '') !== oidcIssuer(env)) throw new Error('issuer mismatch');
+  if (!aud.includes(env.OIDC_CLIENT_ID)) throw new Error('audience mismatch');
+  if (aud.length > 1 && claims.azp && claims.azp !== env.OIDC_CLIENT_ID) throw new Error('azp mismatch');
+  if (!(claims.exp > now - OIDC_CLOCK_SKEW_SEC)) throw new Error('id_token expired');
+  if (claims.nbf && claims.nbf > now + OIDC_CLOCK_SKEW_SEC) throw new Error('id_token not yet valid');
+  if (claims.nonce !== nonce) throw new Error('nonce mismatch');
+  return claims;
+}
+
+// Users are matched to tms_users by this address, so it must be one the IdP vouches for: `email` with
+// email_verified true, or — with OIDC_TENANT_ID pinning an Entra tenant — that tenant's own `upn`.
+// Entra's email/preferred_username are editable by the user and never trusted; guests (#EXT#) are refused.
+function oidcEmailFromClaims(env, claims) {
+  const tenant = String(env.OIDC_TENANT_ID || '').trim().toLowerCase();
+  let email;
+  if (tenant) {
+    if (String(claims.tid || '').toLowerCase() !== tenant) return null;
+    email = String(claims.upn || '').trim().toLowerCase();
+    if (email.includes('#ext#')) return null;
+  } else {
+    if (claims.email_verified !== true && claims.email_verified !== 'true') return null;
+    email = String(claims.email || '').trim().toLowerCase();
+  }
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return null;
+  const domains = splitCsv(env.OIDC_ALLOWED_DOMAINS || '').map(d => d.toLowerCase());
+  if (domains.length && !domains.includes(email.split('@')[1])) return null;
+  return email;
+}
+
+// OIDC_GROUP_ROLE_MAP: { "<group id or app role>": "<role>" }, read from the OIDC_GROUPS_CLAIM claim
+// (default 'groups'; use 'roles' with Entra app roles to avoid the groups overage limit).
+// When several groups match, the earliest role in ROLE_PERMISSIONS wins.
+function oidcRoleFromClaims(env, claims) {
+  let map = {};
+  try { map = JSON.parse(env.OIDC_GROUP_ROLE_MAP || '{}') || {}; } catch { throw new Error('OIDC_GROUP_ROLE_MAP is not valid JSON'); }
+  const mapped = toArray(claims[env.OIDC_GROUPS_CLAIM || 'groups']).map(g => map[String(g)]).filter(Boolean);
+  return Object.keys(ROLE_PERMISSIONS).find(r => mapped.includes(r)) || null;
+}
+
+// return_to must be on one of the front-end origins
+function oidcSafeReturnTo(env, raw) {
+  if (!raw) return null;
+  try {
+    const u = new URL(String(raw));
+    return splitCsv(env.ALLOWED_ORIGINS || '').includes(u.origin) ? u.toString() : null;
+  } catch { return null; }
+}
+
+async function handleAuthOidcStart(env, req) {
+  const pre = preflightIfNeeded(env, req); if (pre) return pre;
+  if (!oidcConfigured(env)) return notFound('sso_not_configured');
+  const body = (await parseJSONBody(req)) || {};
+
+  const ipRl = await rateLimitHit(env, 'oidc_ip', clientIp(req));
+  if (!ipRl.ok) return tooManyRequests('TOO_MANY_ATTEMPTS', ipRl.retryAfter);
+
+  let provider;
+  try { provider = await oidcProvider(env); }
+  catch (e) { return serverError(`sso_discovery_failed: ${e?.message || e}`); }
+
+  const rand = () => bufToBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+  const state = rand(), nonce = rand(), verifier = rand();
+  const challenge = bufToBase64Url(new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier))));
+  await env.SESSIONS.put(`oidc:${state}`, JSON.stringify({ verifier, nonce, return_to: oidcSafeReturnTo(env, body.return_to) }),
+    { expirationTtl: OIDC_STATE_TTL_SEC });
+
+  const u = new URL(provider.discovery.authorization_endpoint);
+  u.searchParams.set('response_type', 'code');
+  u.searchParams.set('client_id', env.OIDC_CLIENT_ID);
+  u.searchParams.set('redirect_uri', env.OIDC_REDIRECT_URI);
+  u.searchParams.set('scope', env.OIDC_SCOPES || 'openid email profile');
+  u.searchParams.set('state', state);
+  u.searchParams.set('nonce', nonce);
+  u.searchParams.set('code_challenge', challenge);
+  u.searchParams.set('code_challenge_method', 'S256');
+  if (body.login_hint) u.searchParams.set('login_hint', String(body.login_hint));
+
+  return ok({ ok: true, authorization_url: u.toString(), state, expires_in: OIDC_STATE_TTL_SEC });
+}
+
+async function handleAuthOidcCallback(env, req) {
+  const pre = preflightIfNeeded(env, req); if (pre) return pre;
+  if (!oidcConfigured(env)) return notFound('sso_not_configured');
+  const body = await parseJSONBody(req);
+  if (!body) return badRequest('invalid_json');
+  if (body.error) return unauthorized(`sso_${String(body.error).slice(0, 64)}`);
+  if (!body.code || !body.state) return badRequest('code_and_state_required');
+
+  const ipRl = await rateLimitHit(env, 'oidc_ip', clientIp(req));
+  if (!ipRl.ok) return tooManyRequests('TOO_MANY_ATTEMPTS', ipRl.retryAfter);
+
+  const stateKey = `oidc:${String(body.state)}`;
+  const raw = await env.SESSIONS.get(stateKey);
+  if (!raw) return unauthorized('INVALID_OR_EXPIRED_STATE');
+  await env.SESSIONS.delete(stateKey);
+  const st = JSON.parse(raw);
+
+  const deny = async (reason, details = {}) => {
+    await writeAudit(env, null, 'LOGIN_SSO_DENIED', { ...details, reason }, { entity: 'tms_user', subject_id: details.email || null, reason, req });
+    return unauthorized(reason);
+  };
+
+  let claims;
+  try {
+    const provider = await oidcProvider(env);
+    const form = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code: String(body.code),
+      redirect_uri: env.OIDC_REDIRECT_URI,
+      client_id: env.OIDC_CLIENT_ID,
+      code_verifier: st.verifier,
+    });
+    if (env.OIDC_CLIENT_SECRET) form.set('client_secret', env.OIDC_CLIENT_SECRET);
+    const tokens = await oidcFetchJson(provider.discovery.token_endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      body: form.toString(),
+    });
+    claims = await verifyOidcIdToken(env, tokens.id_token, st.nonce);
+  } catch (e) {
+    return deny('SSO_TOKEN_INVALID', { error: String(e?.message || e) });
+  }
+
+  const email = oidcEmailFromClaims(env, claims);
+  if (!email) return deny('SSO_EMAIL_NOT_ALLOWED', { sub: claims.sub || null });
+  const mappedRole = oidcRoleFromClaims(env, claims);
+
+  let user = await sbGetUserByEmail(env, email);
+  if (!user) {
+    const role = mappedRole || (ROLE_PERMISSIONS[env.OIDC_DEFAULT_ROLE] ? env.OIDC_DEFAULT_ROLE : null);
+    if (String(env.OIDC_JIT_PROVISION || '').toLowerCase() !== 'true') return deny('SSO_USER_NOT_FOUND', { email });
+    if (!role) return deny('SSO_NO_ROLE', { email });
+    const { rows } = await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/${AUTH.USERS_TABLE}?select=${USER_AUTH_COLS}`, {
+      method: 'POST',
+      headers: { Prefer: 'return=representation' },
+      body: JSON.stringify({ email, role, is_active: true, password_hash: null, session_version: 1 })
+    });
+    user = rows?.[0];
+    if (!user) return serverError('User insert failed');
+    await writeAudit(env, null, 'USER_JIT_PROVISIONED', { email, role, issuer: oidcIssuer(env), sub: claims.sub || null },
+      { entity: 'tms_user', subject_id: user.id, reason: 'SSO', req });
+  } else if (user.is_active !== true) {
+    return deny('USER_DISABLED', { email });
+  } else if (mappedRole && mappedRole !== user.role && !(await wouldRemoveLastAdmin(env, user, { ...user, role: mappedRole }))) {
+    // The IdP is the source of truth for mapped roles; the old role is baked into live tokens
+    const before = user.role;
+    user = await sbPatchUser(env, user.id, { role: mappedRole, session_version: (user.session_version|0) + 1 });
+    await writeAudit(env, null, 'USER_ROLE_CHANGED', { role: mappedRole },
+      { entity: 'tms_user', subject_id: user.id, before: { role: before }, reason: 'SSO_GROUP_MAPPING', req });
+  }
+
+  await clearLoginFailures(env, email, clientIp(req));
+  await writeAudit(env, user, 'LOGIN_SSO', { issuer: oidcIssuer(env), sub: claims.sub || null },
+    { entity: 'tms_user', subject_id: user.id, req });
+
+  if (String(env.OIDC_ENFORCE_LOCAL_MFA || '').toLowerCase() === 'true' && (user.totp_enabled === true || mfaRequiredFor(env, user))) {
+    const purpose = user.totp_enabled === true ? 'verify' : 'enrol';
+    const challenge = await mintMfaChallenge(env, user, purpose);
+    return ok({
+      ok: true,
+      mfa_required: purpose === 'verify',
+      mfa_enrolment_required: purpose === 'enrol',
+      challenge_token: challenge.token,
+      expires_in: MFA_CHALLENGE_TTL_SEC,
+      return_to: st.return_to || null
+    });
+  }
+
+  return issueSession(env, req, user, { sso: true, return_to: st.return_to || null });
+}
+
+// ── Candidate (mobile app) auth ──────────────────────────────
+// Candidates sign in with an emailed magic link, which binds the phone (a client-generated
+// device_id) to their record. A PIN set on a bound device allows later sign-ins without email.
+// Tokens are typ:'candidate' (sub = candidates.id, dev = device_id) and stop working as soon
+// as the device binding is removed.
+// KV: clink:<jti> (single-use link), cdev:<candidate_id>:<device_id> (binding + PIN hash).
+function candidateLinkTtl(env){ return parseInt(env.CANDIDATE_LINK_TTL_SECONDS || '900', 10) || 900; }             // 15m
+function candidateAccessTtl(env){ return parseInt(env.CANDIDATE_ACCESS_TTL_SECONDS || '43200', 10) || 43200; }     // 12h
+function candidateDeviceTtl(env){ return parseInt(env.CANDIDATE_DEVICE_TTL_SECONDS || '15552000', 10) || 15552000; } // 180d
+
+function candidateLoginUrl(env) {
+  return String(env.CANDIDATE_LOGIN_URL || `${splitCsv(env.ALLOWED_ORIGINS || '')[0] || ''}/candidate-login`);
+}
+function isValidDeviceId(v) {
+  return /^[A-Za-z0-9_\-]{16,128}$/.test(String(v || ''));
+}
+
+async function sbGetCandidateForAuth(env, { id, email }) {
+  const filter = id ? `id=eq.${enc(id)}` : `email=ilike.${enc(String(email || '').replace(/[%_*]/g, ''))}`;
+  const { rows } = await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/candidates?${filter}&active=is.true&select=id,email,display_name,key_norm&limit=2`);
+  // An email shared by two active candidates cannot identify either of them
+  return rows?.length === 1 ? rows[0] : null;
+}
+
+// occupant_key_norm the daily flow stamps on the candidate's timesheets (matched to candidates.key_norm by TSFIN)
+function candidateOccupantKey(c) {
+  return String(c.key_norm || c.id || '').toLowerCase();
+}
+
+async function kvGetCandidateDevice(env, candidate_id, device_id) {
+  const t = await env.SESSIONS.get(`cdev:${candidate_id}:${device_id}`);
+  return t ? JSON.parse(t) : null;
+}
+async function kvPutCandidateDevice(env, candidate_id, device_id, data) {
+  const metadata = {
+    bound_at: data.bound_at || null,
+    last_seen_at: data.last_seen_at || null,
+    device_name: data.device_name || null,
+    device: data.device || null,
+    has_pin: !!data.pin_hash,
+  };
+  await env.SESSIONS.put(`cdev:${candidate_id}:${device_id}`, JSON.stringify(data), { expirationTtl: candidateDeviceTtl(env), metadata });
+}
+async function kvListCandidateDevices(env, candidate_id) {
+  const prefix = `cdev:${candidate_id}:`;
+  const out = [];
+  let cursor;
+  do {
+    const page = await env.SESSIONS.list({ prefix, cursor });
+    for (const k of page.keys || []) out.push({ device_id: k.name.slice(prefix.length), ...(k.metadata || {}) });
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return out;
+}
+
+async function mintCandidateToken(env, candidate, device_id) {
+  const iat = Math.floor(Date.now()/1000);
+  const exp = iat + candidateAccessTtl(env);
+  const token = await createToken(sessionKeyring(env), { typ:'candidate', sub: candidate.id, dev: device_id, iat, exp });
+  return { token, exp };
+}
+
+function candidateSignInResponse(env, candidate, device_id, access, binding) {
+  return ok({
+    ok: true,
+    access_token: access.token,
+    expires_in: candidateAccessTtl(env),
+    device_id,
+    pin_set: !!binding.pin_hash,
+    candidate: { id: candidate.id, display_name: candidate.display_name || null },
+  });
+}
+
+// Bearer guard for the public mobile endpoints. Returns a principal shaped like requireUser()'s
+// (id is null: candidates are not tms_users) plus candidate_id / device_id / occupant_key.
+async function requireCandidate(env, req) {
+  const m = (req.headers.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+  if (!m) return null;
+  const ver = await verifyToken(sessionKeyring(env), m[1]);
+  if (!ver.ok) return null;
+  const p = ver.payload || {};
+  if (p.typ !== 'candidate' || !p.sub || !p.dev) return null;
+
+  if (!(await kvGetCandidateDevice(env, p.sub, p.dev))) return null;
+  const candidate = await sbGetCandidateForAuth(env, { id: p.sub });
+  if (!candidate) return null;
+
+  return {
+    id: null, email: `candidate:${candidate.id}`, role: 'candidate', kind: 'candidate',
+    candidate_id: candidate.id, device_id: p.dev, occupant_key: candidateOccupantKey(candidate),
+  };
+}
+
+// True when booking_id has no timesheets yet or every version belongs to the candidate
+async function candidateOwnsBooking(env, cand, booking_id) {
+  const { rows } = await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/timesheets?booking_id=eq.${enc(booking_id)}&select=occupant_key_norm`);
+  return (rows || []).every(r => String(r.occupant_key_norm || '').toLowerCase() === cand.occupant_key);
+}
+
+// POST /auth/candidate/magic-link { email }
+async function handleCandidateMagicLink(env, req) {
+  const pre = preflightIfNeeded(env, req); if (pre) return pre;
+  const body = await parseJSONBody(req);
+  if (!body) return badRequest('invalid_json');
+  const email = String(body.email || '').trim().toLowerCase();
+  if (!email) return badRequest('email_required');
+
+  const ipRl = await rateLimitHit(env, 'cand_link_ip', clientIp(req));
+  if (!ipRl.ok) return tooManyRequests('TOO_MANY_ATTEMPTS', ipRl.retryAfter);
+  const emailRl = await rateLimitHit(env, 'cand_link_email', email);
+  if (!emailRl.ok) return tooManyRequests('TOO_MANY_ATTEMPTS', emailRl.retryAfter);
+
+  const candidate = await sbGetCandidateForAuth(env, { email });
+  if (candidate) {
+    try {
+      const ttl = candidateLinkTtl(env);
+      const jti = bufToBase64Url(crypto.getRandomValues(new Uint8Array(16)));
+      const exp = Math.floor(Date.now()/1000) + ttl;
+      await env.SESSIONS.put(`clink:${jti}`, JSON.stringify({ candidate_id: candidate.id }), { expirationTtl: Math.max(60, ttl) });
+
+      const signed = await createToken(sessionKeyring(env), { typ:'cand_link', jti, sub: candidate.id, exp });
+      const u = new URL(candidateLoginUrl(env));
+      u.searchParams.set('t', signed);
+
+      const mailId = await queuePasswordLinkEmail(env, candidate, { url: u.toString(), exp },
+        { template: 'candidate_signin', reference: `candidate:${candidate.id}` });
+      await writeAudit(env, null, 'CANDIDATE_SIGNIN_LINK_SENT', { mail_id: mailId },
+        { entity: 'candidate', subject_id: candidate.id, correlation_id: mailId, req });
+    } catch (e) {
+      // Never reveal whether the address belongs to a candidate; log and fall through
+      console.warn('candidate sign-in email failed:', e?.message || e);
+    }
+  }
+  return ok({ ok: true }); // privacy-safe
+}
+
+// POST /auth/candidate/verify { token, device_id, device_name? }
+// Consumes the emailed link and binds this device; any PIN previously set on it is cleared.
+async function handleCandidateVerify(env, req) {
+  const pre = preflightIfNeeded(env, req); if (pre) return pre;
+  const body = await parseJSONBody(req);
+  if (!body) return badRequest('invalid_json');
+  const device_id = String(body.device_id || '');
+  if (!body.token || !isValidDeviceId(device_id)) return badRequest('token_and_device_id_required');
+
+  const ipRl = await rateLimitHit(env, 'cand_verify_ip', clientIp(req));
+  if (!ipRl.ok) return tooManyRequests('TOO_MANY_ATTEMPTS', ipRl.retryAfter);
+
+  const ver = await verifyToken(sessionKeyring(env), String(body.token));
+  const p = ver.ok ? (ver.payload || {}) : {};
+  if (p.typ !== 'cand_link' || !p.jti || (p.exp|0) <= Math.floor(Date.now()/1000)) return unauthorized('INVALID_OR_EXPIRED_LINK');
+
+  const raw = await env.SESSIONS.get(`clink:${p.jti}`);
+  if (!raw) return unauthorized('INVALID_OR_EXPIRED_LINK');
+  await env.SESSIONS.delete(`clink:${p.jti}`);
+  if (JSON.parse(raw).candidate_id !== p.sub) return unauthorized('INVALID_OR_EXPIRED_LINK');
+
+  const candidate = await sbGetCandidateForAuth(env, { id: p.sub });
+  if (!candidate) return unauthorized('INVALID_OR_EXPIRED_LINK');
+
+  const meta = sessionRequestMeta(req);
+  const binding = {
+    bound_at: nowIso(), last_seen_at: nowIso(),
+    device_name: body.device_name ? String(body.device_name).slice(0, 100) : null,
+    ip: meta.ip, user_agent: meta.user_agent ? String(meta.user_agent).slice(0, 300) : null, device: meta.device,
+    pin_hash: null, pin_failures: 0,
+  };
+  await kvPutCandidateDevice(env, candidate.id, device_id, binding);
+  await writeAudit(env, null, 'CANDIDATE_DEVICE_BOUND', { device_id, device_name: binding.device_name, device: binding.device },
+    { entity: 'candidate', subject_id: candidate.id, req });
+
+  const access = await mintCandidateToken(env, candidate, device_id);
+  return candidateSignInResponse(env, candidate, device_id, access, binding);
+}
+
+// POST /auth/candidate/pin { pin }  (candidate token) – sets or replaces this device's PIN
+async function handleCandidatePinSet(env, req) {
+  const pre = preflightIfNeeded(env, req); if (pre) return pre;
+  const cand = await requireCandidate(env, req);
+  if (!cand) return unauthorized();
+  const body = await parseJSONBody(req);
+  if (!body) return badRequest('invalid_json');
+
+  const pin = String(body.pin || '');
+  if (!/^\d{4,8}$/.test(pin) || /^(\d)\1+$/.test(pin)) return badRequest('WEAK_PIN');
+
+  const binding = await kvGetCandidateDevice(env, cand.candidate_id, cand.device_id);
+  if (!binding) return unauthorized();
+  await kvPutCandidateDevice(env, cand.candidate_id, cand.device_id, { ...binding, pin_hash: await pbkdf2Hash(pin), pin_failures: 0 });
+  await writeAudit(env, cand, 'CANDIDATE_PIN_SET', { device_id: cand.device_id }, { entity: 'candidate', subject_id: cand.candidate_id, req });
+
+  return ok({ ok: true });
+}
+
+// POST /auth/candidate/pin-login { candidate_id, device_id, pin }
+// Only works on a device bound by magic link. Repeated wrong PINs clear the PIN, so the
+// candidate has to sign in by email again (the same threshold as staff account lockout).
+async function handleCandidatePinLogin(env, req) {
+  const pre = preflightIfNeeded(env, req); if (pre) return pre;
+  const body = await parseJSONBody(req);
+  if (!body) return badRequest('invalid_json');
+  const candidate_id = String(body.candidate_id || '');
+  const device_id = String(body.device_id || '');
+  const pin = String(body.pin || '');
+  if (!candidate_id || !isValidDeviceId(device_id) || !pin) return badRequest('candidate_id_device_id_and_pin_required');
+
+  const ipRl = await rateLimitHit(env, 'cand_pin_ip', clientIp(req));
+  if (!ipRl.ok) return tooManyRequests('TOO_MANY_ATTEMPTS', ipRl.retryAfter);
+
+  const binding = await kvGetCandidateDevice(env, candidate_id, device_id);
+  if (!binding || !binding.pin_hash) return unauthorized('PIN_NOT_SET');
+
+  if (!(await pbkdf2Verify(pin, binding.pin_hash))) {
+    const failures = (binding.pin_failures|0) + 1;
+    const exhausted = failures >= authLockoutThreshold(env);
+    await kvPutCandidateDevice(env, candidate_id, device_id,
+      exhausted ? { ...binding, pin_hash: null, pin_failures: 0 } : { ...binding, pin_failures: failures });
+    if (exhausted) {
+      await writeAudit(env, null, 'CANDIDATE_PIN_CLEARED', { device_id, failures },
+        { entity: 'candidate', subject_id: candidate_id, reason: 'TOO_MANY_FAILED_PINS', req });
+      return unauthorized('PIN_RESET_REQUIRED');
+    }
+    return unauthorized('Invalid PIN');
+  }
+
+  const candidate = await sbGetCandidateForAuth(env, { id: candidate_id });
+  if (!candidate) return unauthorized('Invalid PIN');
+
+  const next = { ...binding, pin_failures: 0, last_seen_at: nowIso() };
+  await kvPutCandidateDevice(env, candidate_id, device_id, next);
+  const access = await mintCandidateToken(env, candidate, device_id);
+  return candidateSignInResponse(env, candidate, device_id, access, next);
+}
+
+// POST /auth/candidate/logout  (candidate token) – signs out and unbinds this device
+async function handleCandidateLogout(env, req) {
+  const pre = preflightIfNeeded(env, req); if (pre) return pre;
+  const cand = await requireCandidate(env, req);
+  if (!cand) return unauthorized();
+  await env.SESSIONS.delete(`cdev:${cand.candidate_id}:${cand.device_id}`);
+  await writeAudit(env, cand, 'CANDIDATE_DEVICE_UNBOUND', { device_id: cand.device_id }, { entity: 'candidate', subject_id: cand.candidate_id, req });
+  return ok({ ok: true });
+}
+
+// GET /api/candidates/:id/devices
+async function handleCandidateDevicesList(env, req, candidateId) {
+  const user = await requireUser(env, req, ['candidates:read']);
+  if (!user) return withCORS(env, req, unauthorized());
+  const items = await kvListCandidateDevices(env, candidateId);
+  return withCORS(env, req, ok({ items }));
+}
+
+// DELETE /api/candidates/:id/devices/:device_id
+async function handleCandidateDeviceRevoke(env, req, candidateId, deviceId) {
+  const user = await requireUser(env, req, ['candidates:write']);
+  if (!user) return withCORS(env, req, unauthorized());
+
+  const binding = await kvGetCandidateDevice(env, candidateId, deviceId);
+  if (!binding) return withCORS(env, req, notFound('Device not found'));
+  await env.SESSIONS.delete(`cdev:${candidateId}:${deviceId}`);
+  await writeAudit(env, user, 'CANDIDATE_DEVICE_REVOKED', { device_id: deviceId, device_name: binding.device_name || null },
+    { entity: 'candidate', subject_id: candidateId, req });
+
+  return withCORS(env, req, ok({ ok: true }));
+}
+
+// ---------------------- UK timezone check ----------------------
+async function handleUKTimeCheck(env, req) {
+  const body = await parseJSONBody(req);
+  if (!body) return withCORS(env, req, badRequest('invalid_json'));
+
+  const phone_tz = String(body.phone_tz || '');
+  const phone_epoch_ms = Number(body.phone_epoch_ms);
+  const tolerance_ms = Math.max(0, Number(env.UK_TZ_SKEW_MS ?? 180000));
+
+  const broker_epoch_ms = Date.now();
+  const broker_tz = 'Europe/London';
+
+  const tzOk = phone_tz === broker_tz;
+  const skew_ms = Number.isFinite(phone_epoch_ms)
+    ? Math.abs(broker_epoch_ms - phone_epoch_ms)
+    : NaN;
+  const skewOk = Number.isFinite(skew_ms) && skew_ms <= tolerance_ms;
+
+  const valid = tzOk && skewOk;
+  const reason = valid
+    ? 'ok'
+    : (!tzOk ? 'tz_mismatch' : (!Number.isFinite(skew_ms) ? 'invalid_phone_epoch' : 'clock_skew'));
+
+  return withCORS(env, req, ok({
+    valid,
+    reason,
+    tolerance_ms,
+    skew_ms,
+    broker_epoch_ms,
+    broker_tz,
+  }));
+}
+
+// ---------------------- Query builder for list ----------------------
+function buildTimesheetsQuery(env, q) {
+  const url = new URL(`${env.SUPABASE_URL}/rest/v1/timesheets`);
+  url.searchParams.set("select", "*");
+
+  const add = (k, v) => url.searchParams.set(k, v);
+
+  if (q.booking_id) add("booking_id", `eq.${q.booking_id}`);
+  if (q.booking_ids && q.booking_ids.length) add("booking_id", `in.(${q.booking_ids.map(encodeURIComponent).join(",")})`);
+
+  if (q.candidate_id) add("occupant_key_norm", `eq.${q.candidate_id}`);
+  if (q.candidate_ids && q.candidate_ids.length) add("occupant_key_norm", `in.(${q.candidate_ids.map(encodeURIComponent).join(",")})`);
+
+  if (q.week_ending) add("week_ending_date", `eq.${q.week_ending}`);
+  if (q.week_endings && q.week_endings.length) add("week_ending_date", `in.(${q.week_endings.map(encodeURIComponent).join(",")})`);
+
+  if (q.status) add("status", `eq.${q.status}`);
+  if (q.statuses && q.statuses.length) add("status", `in.(${q.statuses.map(encodeURIComponent).join(",")})`);
+
+  if (q.job_title) add("job_title_norm", `eq.${q.job_title}`);
+  if (q.job_titles && q.job_titles.length) add("job_title_norm", `in.(${q.job_titles.map(encodeURIComponent).join(",")})`);
+
+  const hospMode = q.hospital_match || "contains";
+  if (q.hospital) {
+    if (hospMode === "exact") add("hospital_norm", `eq.${q.hospital.toLowerCase()}`);
+    else if (hospMode === "prefix") add("hospital_norm", `like.${q.hospital.toLowerCase()}%`);
+    else add("hospital_norm", `like.%${q.hospital.toLowerCase()}%`);
+  }
+  const wardMode = q.ward_match || "contains";
+  if (q.ward) {
+    if (wardMode === "exact") add("ward_norm", `eq.${q.ward.toLowerCase()}`);
+    else if (wardMode === "prefix") add("ward_norm", `like.${q.ward.toLowerCase()}%`);
+    else add("ward_norm", `like.%${q.ward.toLowerCase()}%`);
+  }
+
+  if (q.version) add("version", `eq.${q.version}`);
+  else if (String(q.current_only ?? "true").toLowerCase() !== "false") add("is_current", "eq.true");
+
+  if (q.sort) {
+    const col = q.sort;
+    const ord = q.order === "asc" ? "asc" : "desc";
+    url.searchParams.set("order", `${col}.${ord}`);
+  }
+  const limit = Math.min(parseInt(q.limit || "50", 10) || 50, 200);
+  const offset = parseInt(q.offset || "0", 10) || 0;
+  url.searchParams.set("limit", String(limit));
+  url.searchParams.set("offset", String(offset));
+
+  return url.toString();
+}
+
+// ---------------------- Upload/submit/presign ----------------------
+// Works out the booking, next version and signature keys for a shift the candidate is about
+// to submit. Returns { error } (a response) or { booking_id, version, week_ending_date, nurseKey, authKey, remote }.
+async function planShiftVersion(env, cand, body) {
+  // The occupant is always the signed-in candidate; any occupant_key in the body is ignored
+  const candidate_id = cand.occupant_key;
+  const {
+    date_start_local,  // YYYY-MM-DD (local)
+    hospital,
+    ward,
+    job_title,
+    shift_label = "",
+    resubmission_of,
+    authorisation_mode,
+  } = body;
+  const remote = String(authorisation_mode || "").toUpperCase() === "REMOTE";
+
+  if (!candidate_id || !date_start_local || !hospital || !ward || !job_title) {
+    return { error: badRequest("Missing required fields") };
+  }
+
+  if (resubmission_of) {
+    const prior = await sbMaxVersion(env, resubmission_of);
+    if (!prior || !(await candidateOwnsBooking(env, cand, resubmission_of))) return { error: forbidden("Not your booking") };
+  }
+
+  const booking_id = resubmission_of || await makeBookingId(candidate_id, date_start_local, hospital, ward, job_title, shift_label);
+  const week_ending_date = weekEndingSunday(date_start_local);
+  const weCompact = week_ending_date.replace(/-/g, "");
+
+  const maxV = await sbMaxVersion(env, booking_id);
+  const version = maxV > 0 ? maxV + 1 : 1;
+
+  const nurseKey = `/we=${weCompact}/${booking_id}/v${version}/nurse.png`;
+  const authKey  = `/we=${weCompact}/${booking_id}/v${version}/authoriser.png`;
+
+  return { booking_id, version, week_ending_date, nurseKey, authKey, remote };
+}
+
+async function handlePresign(env, req) {
+  const pre = preflightIfNeeded(env, req); if (pre) return pre;
+  const cand = await requireCandidate(env, req);
+  if (!cand) return withCORS(env, req, unauthorized());
+
+  const body = await parseJSONBody(req);
+  if (!body) return withCORS(env, req, badRequest("Invalid JSON"));
+
+  const plan = await planShiftVersion(env, cand, body);
+  if (plan.error) return withCORS(env, req, plan.error);
+  const { booking_id, version, week_ending_date, nurseKey, authKey, remote } = plan;
+
+  const maxBytes = parseInt(env.UPLOAD_MAX_BYTES || "300000", 10);
+  const expiresSec = parseInt(env.PRESIGN_EXPIRES_SECONDS || "600", 10);
+  const exp = Math.floor(Date.now() / 1000) + expiresSec;
+  const secret = uploadKeyring(env);
+
+  const nurseToken = await createToken(secret, { typ: "upload", booking_id, version, role: "nurse", key: nurseKey, exp });
+  const authToken  = remote ? null : await createToken(secret, { typ: "upload", booking_id, version, role: "authoriser", key: authKey, exp });
+
+  const uploadBase = new URL(req.url);
+  uploadBase.pathname = "/upload";
+  const mkUrl = (key, token, role) => {
+    const u = new URL(uploadBase);
+    u.searchParams.set("key", key);
+    u.searchParams.set("booking_id", booking_id);
+    u.searchParams.set("version", String(version));
+    u.searchParams.set("role", role);
+    u.searchParams.set("token", token);
+    return u.toString();
+  };
+
+  return withCORS(env, req, ok({
+    booking_id,
+    version,
+    week_ending_date,
+    upload: {
+      content_type: "image/png",
+      max_bytes: maxBytes,
+      expires_at: new Date(exp * 1000).toISOString(),
+      nurse: { key: nurseKey, put_url: mkUrl(nurseKey, nurseToken, "nurse"), token: nurseToken },
+      authoriser: remote ? null : { key: authKey, put_url: mkUrl(authKey, authToken, "authoriser"), token: authToken },
+    },
+    authorisation_mode: remote ? "REMOTE" : "ON_DEVICE",
+  }));
+}
+
+async function handleUpload(env, req, url) {
+  const pre = preflightIfNeeded(env, req); if (pre) return pre;
+
+  const key = url.searchParams.get("key") || "";
+  const booking_id = url.searchParams.get("booking_id") || "";
+  const role = url.searchParams.get("role") || "";
+  const token = url.searchParams.get("token") || "";
+
+  const secret = uploadKeyring(env);
+  const ver = await verifyToken(secret, token);
+  if (!ver.ok) return withCORS(env, req, unauthorized("Invalid token"));
+  const p = ver.payload;
+  if (p.typ !== "upload" || p.booking_id !== booking_id || p.role !== role || p.key !== key) {
+    return withCORS(env, req, unauthorized("Token mismatch"));
+  }
+
+  const keyOk = /^\/we=\d{8}\/bk_[a-f0-9]{16}(?:\/v\d+)?\/(nurse|authoriser)\.png$/.test(key);
+  if (!keyOk) return withCORS(env, req, badRequest("Invalid key"));
+
+  const ct = req.headers.get("content-type") || "";
+  if (!isPng(ct)) return withCORS(env, req, unsupported("Only image/png allowed"));
+
+  const maxBytes = parseInt(env.UPLOAD_MAX_BYTES || "300000", 10);
+  const contentLength = parseInt(req.headers.get("content-length") || "0", 10);
+  if (contentLength > maxBytes) return withCORS(env, req, tooLarge(`Max ${maxBytes} bytes`));
+
+  const requireMd5 = String(env.REQUIRE_MD5 || "false").toLowerCase() === "true";
+  const md5 = req.headers.get("content-md5");
+  if (requireMd5 && !md5) return withCORS(env, req, badRequest("Content-MD5 required"));
+
+  const { putRes, version } = await putSignaturePng(env, key, req.body, booking_id, role);
+  const size = contentLength || undefined;
+  return withCORS(env, req, ok({ ok: true, role, key, etag: putRes?.etag, size, version }));
+}
+
+// Stores a signature PNG under its presigned key, tagged with booking/week/role/version.
+async function putSignaturePng(env, key, bytes, booking_id, role) {
+  const we = (String(key).match(/^\/?we=(\d{8})\//) || [])[1];
+  const versionMatch = String(key).match(/\/v(\d+)\//);
+  const version = versionMatch ? parseInt(versionMatch[1], 10) : 1;
+  const week_ending_date = we ? `${we.slice(0,4)}-${we.slice(4,6)}-${we.slice(6,8)}` : undefined;
+
+  const putRes = await r2Put(env, key, bytes, {
+    httpMetadata: { contentType: "image/png" },
+    customMetadata: {
+      bookingid: booking_id,
+      weekending: week_ending_date || "",
+      role,
+      version: String(version),
+    },
+  });
+  return { putRes, version };
+}
+
+async function handleSubmit(env, req) {
+  const pre = preflightIfNeeded(env, req); if (pre) return pre;
+  const cand = await requireCandidate(env, req);
+  if (!cand) return withCORS(env, req, unauthorized());
+
+  const body = await parseJSONBody(req);
+  if (!body) return withCORS(env, req, badRequest("Invalid JSON"));
+  return withCORS(env, req, await submitShift(env, req, cand, body));
+}
+
+// Validates and records one signed shift for the candidate. Returns the (un-CORSed) response;
+// shared by /timesheets/submit and the offline batch sync.
+async function submitShift(env, req, cand, body) {
+  // REMOTE: no authoriser signature on the phone; the ward manager approves via an emailed link
+  const remote = String(body.authorisation_mode || "").toUpperCase() === "REMOTE";
+  const required = remote
+    ? ["booking_id", "scheduled_start_iso", "scheduled_end_iso",
+       "worked_start_iso", "worked_end_iso",
+       "break_start_iso", "break_end_iso",
+       "authoriser_email", "nurse_key", "idempotency_key"]
+    : ["booking_id", "scheduled_start_iso", "scheduled_end_iso",
+       "worked_start_iso", "worked_end_iso",
+       "break_start_iso", "break_end_iso",
+       "auth_name", "auth_job_title", "nurse_key", "authoriser_key", "idempotency_key"];
+  for (const k of required) if (!body[k]) return badRequest(`Missing ${k}`);
+  const authoriserEmail = remote ? String(body.authoriser_email).trim().toLowerCase() : null;
+  if (remote && !isEmailAddress(authoriserEmail)) return badRequest("Invalid authoriser_email");
+
+  // Signatures must be the ones presigned for this booking, and the booking must be the caller's
+  const inBooking = (k) => String(k).includes(`/${body.booking_id}/`);
+  if (!inBooking(body.nurse_key) || (!remote && !inBooking(body.authoriser_key))) return badRequest("Signature keys do not match booking_id");
+  if (!(await candidateOwnsBooking(env, cand, body.booking_id))) return forbidden("Not your booking");
+
+  const hospital_norm = (body.hospital || "").toLowerCase();
+  const clientId = await resolveClientId(env, hospital_norm || null);
+  if (remote) {
+    const approverErr = await approverEmailError(env, clientId, authoriserEmail, cand);
+    if (approverErr) return badRequest(approverErr);
+  }
+  const subWindow = await loadSubmissionWindow(env, clientId, londonDate(body.worked_start_iso));
+  const { timing, late_minutes } = submissionTiming(body.worked_end_iso, subWindow);
+  if (timing === "EARLY") {
+    return new Response(JSON.stringify({ error: `Shift not in eligible window (opens ${subWindow.before_end_hours}h before the worked end)`, code: "INELIGIBLE", window: subWindow }), { status: 422, headers: JSON_HEADERS });
+  }
+  const late = timing === "LATE";
+
+  const nurseHead = await r2Head(env, body.nurse_key);
+  const authHead  = remote ? true : await r2Head(env, body.authoriser_key);
+  if (!nurseHead || !authHead) return badRequest("Signatures not uploaded");
+
+  const worked_date_local = londonDate(body.worked_start_iso);
+  const week_ending_date = weekEndingSunday(worked_date_local);
+  const break_minutes = minutesBetween(body.break_start_iso, body.break_end_iso);
+  const worked_minutes = minutesBetween(body.worked_start_iso, body.worked_end_iso);
+  const break_expected = parseInt(env.BREAK_EXPECTED_MINUTES || "60", 10);
+
+  let version = parseInt(body.version || "0", 10);
+  if (!version || Number.isNaN(version)) {
+    const m = body.nurse_key.match(/\/v(\d+)\//) || String(body.authoriser_key || "").match(/\/v(\d+)\//);
+    version = m ? parseInt(m[1], 10) : 1;
+  }
+
+  const current = await sbGetTimesheetCurrent(env, body.booking_id);
+  if (current && current.is_current === true) {
+    const maxV = await sbMaxVersion(env, body.booking_id);
+    if (maxV >= 1) return conflict("A current timesheet exists for this booking. Revoke before resubmitting.");
+  }
+
+  const row = {
+    booking_id: body.booking_id,
+    version,
+    is_current: true,
+
+    occupant_key_norm: cand.occupant_key,
+    hospital_norm,
+    ward_norm: (body.ward || "").toLowerCase(),
+    job_title_norm: (body.job_title || "").toLowerCase(),
+    shift_label_norm: (body.shift_label || "").toLowerCase() || null,
+
+    scheduled_start_iso: body.scheduled_start_iso,
+    scheduled_end_iso: body.scheduled_end_iso,
+    worked_start_iso: body.worked_start_iso,
+    worked_end_iso: body.worked_end_iso,
+    break_start_iso: body.break_start_iso,
+    break_end_iso: body.break_end_iso,
+    break_minutes,
+    worked_minutes, // as clocked; rounding/minimum rules apply when TSFIN classifies the shift
+    is_callout: body.is_callout === true,
+
+    week_ending_date,
+
+    auth_name: body.auth_name || null,
+    auth_job_title: body.auth_job_title || null,
+    authorised_at_server: remote ? null : new Date().toISOString(),
+    authorisation_mode: remote ? "REMOTE" : "ON_DEVICE",
+
+    r2_nurse_key: body.nurse_key,
+    r2_auth_key: remote ? null : body.authoriser_key,
+
+    status: late ? "LATE_PENDING_REVIEW" : "SUBMITTED",
+    late_minutes: late ? late_minutes : null,
+    idempotency_key: body.idempotency_key,
+    client_hash: body.client_hash || null,
+    client_ua: body.client_user_agent || req.headers.get("user-agent") || "",
+  };
+
+  let ts;
+  try {
+    ts = await sbUpsertTimesheet(env, row);
+  } catch (e) {
+    return serverError(`DB upsert failed: ${e.message}`);
+  }
+
+  const ts_id = ts?.timesheet_id || null;
+
+  // The timesheet is saved either way; if the email cannot be queued the app can resend it
+  let approval;
+  if (remote && ts_id) {
+    try {
+      approval = await createApprovalRequest(env, req, { ...row, ...ts }, authoriserEmail, cand);
+    } catch (e) {
+      console.warn('approval request failed:', e?.message || e);
+      approval = { status: "NOT_SENT", error: e?.message || String(e) };
+    }
+  }
+
+  if (late && ts_id) {
+    await writeAudit(env, cand, 'TIMESHEET_SUBMITTED_LATE', { late_minutes, window: subWindow, client_id: clientId },
+      { entity: 'timesheet', subject_id: ts_id, req });
+  }
+
+  return ok({
+    ok: true, timesheet_id: ts_id, status: row.status, break_ok: break_minutes === break_expected, version,
+    ...(late ? { late_minutes, window: subWindow } : {}),
+    ...(remote ? { approval } : {})
+  });
+}
+
+// ---------------------- Offline batch sync ----------------------
+// Shifts signed while the phone was offline are queued on the device and replayed in one
+// POST /timesheets/sync: { items: [{ idempotency_key, date_start_local, hospital, ward, job_title,
+// shift_label?, resubmission_of?, authorisation_mode?, <the /timesheets/submit fields>,
+// nurse_png, authoriser_png? }] } with the signatures inline as base64 PNG (data: URLs accepted).
+// Items run in order, each one as presign → upload → submit. An item either lands whole or leaves
+// nothing behind (its signatures are removed if the submit is refused), and an idempotency_key
+// that already produced a timesheet returns that timesheet instead of submitting again, so the
+// app can resend the whole queue after a dropped connection.
+function syncBatchMaxItems(env){ return parseInt(env.SYNC_BATCH_MAX_ITEMS || '20', 10) || 20; }
+
+function decodeSignaturePng(b64, maxBytes) {
+  const raw = String(b64 || '').replace(/^data:image\/png;base64,/i, '').replace(/\s+/g, '');
+  if (!raw) return { error: badRequest('Missing signature') };
+  let bytes;
+  try { bytes = base64UrlToUint8(raw); } catch { return { error: badRequest('Signature is not valid base64') }; }
+  if (bytes.length > maxBytes) return { error: tooLarge(`Signature max ${maxBytes} bytes`) };
+  if (sniffImageType(bytes) !== 'image/png') return { error: unsupported('Only image/png allowed') };
+  return { bytes };
+}
+
+async function dropSyncedSignatures(env, keys) {
+  const bucket = env.R2_BUCKET || env.R2;
+  for (const k of keys) await bucket.delete(normalizeKey(k)).catch(() => {});
+}
+
+async function syncResult(res, extra = {}) {
+  const out = await res.json().catch(() => ({}));
+  if (res.ok) {
+    const { ok: _ok, ...rest } = out;
+    return { status: res.status, result: 'SUBMITTED', ...extra, ...rest };
+  }
+  return { status: res.status, result: 'FAILED', ...extra, error: out.error || `HTTP ${res.status}`, ...(out.code ? { code: out.code } : {}) };
+}
+
+async function syncOneShift(env, req, cand, item, maxBytes) {
+  const idem = String(item?.idempotency_key || '').trim();
+  if (!idem) return syncResult(badRequest('Missing idempotency_key'));
+
+  const { rows: prior } = await sbFetch(env,
+    `${env.SUPABASE_URL}/rest/v1/timesheets?idempotency_key=eq.${enc(idem)}` +
+    `&select=timesheet_id,booking_id,version,status,occupant_key_norm&order=version.desc&limit=1`);
+  if (prior?.[0]) {
+    const t = prior[0];
+    if (t.occupant_key_norm !== cand.occupant_key) return syncResult(conflict('idempotency_key already used'));
+    return { status: 200, result: 'ALREADY_SUBMITTED', timesheet_id: t.timesheet_id, booking_id: t.booking_id, version: t.version, timesheet_status: t.status };
+  }
+
+  const plan = await planShiftVersion(env, cand, item);
+  if (plan.error) return syncResult(plan.error);
+  const { booking_id, version, remote } = plan;
+
+  const nurse = decodeSignaturePng(item.nurse_png, maxBytes);
+  if (nurse.error) return syncResult(nurse.error, { booking_id, role: 'nurse' });
+  const auth = remote ? null : decodeSignaturePng(item.authoriser_png, maxBytes);
+  if (auth?.error) return syncResult(auth.error, { booking_id, role: 'authoriser' });
+
+  // r2Head looks keys up verbatim, so submit is handed the normalised keys r2Put wrote
+  const nurseKey = normalizeKey(plan.nurseKey);
+  const authKey  = normalizeKey(plan.authKey);
+  const stored = [];
+  try {
+    await putSignaturePng(env, nurseKey, nurse.bytes, booking_id, 'nurse'); stored.push(nurseKey);
+    if (auth) { await putSignaturePng(env, authKey, auth.bytes, booking_id, 'authoriser'); stored.push(authKey); }
+
+    const res = await submitShift(env, req, cand, {
+      ...item, booking_id, version, idempotency_key: idem,
+      nurse_key: nurseKey, authoriser_key: auth ? authKey : null,
+    });
+    if (!res.ok) await dropSyncedSignatures(env, stored);
+    return syncResult(res, { booking_id });
+  } catch (e) {
+    await dropSyncedSignatures(env, stored);
+    return syncResult(serverError(e?.message || String(e)), { booking_id });
+  }
+}
+
+async function handleTimesheetSync(env, req) {
+  const pre = preflightIfNeeded(env, req); if (pre) return pre;
+  const cand = await requireCandidate(env, req);
+  if (!cand) return withCORS(env, req, unauthorized());
+
+  const body = await parseJSONBody(req);
+  if (!body) return withCORS(env, req, badRequest("Invalid JSON"));
+  const items = Array.isArray(body.items) ? body.items : [];
+  if (!items.length) return withCORS(env, req, badRequest("items[] required"));
+  const max = syncBatchMaxItems(env);
+  if (items.length > max) return withCORS(env, req, tooLarge(`Max ${max} items per sync`));
+
+  const maxBytes = parseInt(env.UPLOAD_MAX_BYTES || "300000", 10);
+  const results = [];
+  for (let i = 0; i < items.length; i++) {
+    let r;
+    try { r = await syncOneShift(env, req, cand, items[i], maxBytes); }
+    catch (e) { r = await syncResult(serverError(e?.message || String(e))); }
+    results.push({ index: i, idempotency_key: items[i]?.idempotency_key ?? null, ...r });
+  }
+
+  const count = (k) => results.filter(r => r.result === k).length;
+  return withCORS(env, req, ok({
+    results,
+    submitted: count('SUBMITTED'), already_submitted: count('ALREADY_SUBMITTED'), failed: count('FAILED'),
+  }));
+}
+
+// ---------------------- Remote authoriser approval ----------------------
+// Alternative to signing on the nurse's phone: the candidate submits with authorisation_mode
+// 'REMOTE' and the ward manager gets an emailed, signed, expiring link to approve or query
+// the shift from their own device. One row per emailed link in timesheet_approval_requests
+// (status PENDING → APPROVED | QUERIED | SUPERSEDED); approval stamps authorised_at_server
+// and authorisation_evidence on the timesheet, which the PDF renders in place of a signature.
+const TS_APPROVALS_TABLE = 'timesheet_approval_requests';
+
+function approvalLinkTtl(env){ return parseInt(env.AUTHORISER_LINK_TTL_SECONDS || '259200', 10) || 259200; } // 72h
+function approvalPageUrl(env) {
+  return String(env.AUTHORISER_APPROVAL_URL || `${splitCsv(env.ALLOWED_ORIGINS || '')[0] || ''}/approve-timesheet`);
+}
+function isEmailAddress(v) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(v || ''));
+}
+
+// Approval links only go to the client's own staff: the address must sit in one of the client's
+// client_settings.authoriser_email_domains (e.g. ["nhs-trust.nhs.uk"], subdomains included), and a
+// candidate can never name their own address. No domains configured → remote approval is off.
+async function approverEmailError(env, clientId, email, cand = null) {
+  if (!isEmailAddress(email)) return 'Invalid authoriser_email';
+  if (!clientId) return 'Remote approval is not available for this hospital';
+  const cs = await sbGetOne(env,
+    `${env.SUPABASE_URL}/rest/v1/client_settings?client_id=eq.${enc(clientId)}` +
+    `&select=authoriser_email_domains&order=effective_from.desc,created_at.desc&limit=1`);
+  const domains = (Array.isArray(cs?.authoriser_email_domains) ? cs.authoriser_email_domains : [])
+    .map(d => String(d || '').trim().toLowerCase().replace(/^@/, '')).filter(Boolean);
+  if (!domains.length) return 'Remote approval is not enabled for this client';
+
+  const domain = email.split('@').pop();
+  if (!domains.some(d => domain === d || domain.endsWith(`.${d}`))) {
+    return `authoriser_email must be an address at ${domains.join(', ')}`;
+  }
+  if (cand?.candidate_id) {
+    const c = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/candidates?id=eq.${enc(cand.candidate_id)}&select=email`);
+    if (c?.email && String(c.email).trim().toLowerCase() === email) return 'authoriser_email cannot be your own address';
+  }
+  return null;
+}
+
+function authoriserDomainsInputError(input) {
+  const v = input.authoriser_email_domains;
+  if (v == null) return null;
+  if (!Array.isArray(v) || v.some(d => !/^@?[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(String(d || '').trim()))) {
+    return 'authoriser_email_domains must be an array of domains like "trust.nhs.uk"';
+  }
+  return null;
+}
+
+// Supersedes any open link for the timesheet, records a new request and queues the email.
+async function createApprovalRequest(env, req, ts, approverEmail, actor) {
+  await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/${TS_APPROVALS_TABLE}?timesheet_id=eq.${enc(ts.timesheet_id)}&status=eq.PENDING`, {
+    method: 'PATCH', headers: { Prefer: 'return=minimal' }, body: JSON.stringify({ status: 'SUPERSEDED', decided_at: nowIso() })
+  });
+
+  const ttl = approvalLinkTtl(env);
+  const exp = Math.floor(Date.now()/1000) + ttl;
+  const { rows } = await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/${TS_APPROVALS_TABLE}`, {
+    method: 'POST', headers: { Prefer: 'return=representation' },
+    body: JSON.stringify({
+      timesheet_id: ts.timesheet_id, booking_id: ts.booking_id, version: ts.version,
+      approver_email: approverEmail, status: 'PENDING',
+      expires_at: new Date(exp * 1000).toISOString(),
+      created_at: nowIso(), created_by: actor?.email || null,
+    })
+  });
+  const ar = rows?.[0];
+  if (!ar) throw new Error('approval request insert failed');
+
+  const signed = await createToken(sessionKeyring(env), { typ:'ts_approval', rid: ar.id, exp });
+  const u = new URL(approvalPageUrl(env));
+  u.searchParams.set('t', signed);
+
+  const when = `${fmtUKDate(ts.worked_start_iso)} ${fmtUKTime(ts.worked_start_iso)}–${fmtUKTime(ts.worked_end_iso)}`;
+  const place = [ts.hospital_norm, ts.ward_norm].filter(Boolean).join(' / ');
+  // Call-outs are paid a minimum, so the approver confirms that too
+  const callout = ts.is_callout ? 'Yes — paid the call-out minimum' : 'No';
+  const expiresText = `${Math.round(ttl / 3600)} hours`;
+  const body_text =
+    `A timesheet is waiting for your authorisation.\n\nShift: ${when}\nWhere: ${place}\nRole: ${ts.job_title_norm || ''}\n` +
+    `Break: ${ts.break_minutes ?? 0} minutes\nCall-out: ${callout}\n\nReview, approve or query it here: ${u.toString()}\n\nThis link expires in ${expiresText}.`;
+  const body_html =
+    `<p>A timesheet is waiting for your authorisation.</p>` +
+    `<table cellpadding="4"><tr><td>Shift</td><td>${escapeHtml(when)}</td></tr>` +
+    `<tr><td>Where</td><td>${escapeHtml(place)}</td></tr>` +
+    `<tr><td>Role</td><td>${escapeHtml(ts.job_title_norm || '')}</td></tr>` +
+    `<tr><td>Break</td><td>${escapeHtml(String(ts.break_minutes ?? 0))} minutes</td></tr>` +
+    `<tr><td>Call-out</td><td>${escapeHtml(callout)}</td></tr></table>` +
+    `<p><a href="${escapeHtml(u.toString())}">Review, approve or query this shift</a></p>` +
+    `<p style="color:#666">This link expires in ${escapeHtml(expiresText)}. If you don't manage this ward, please ignore this email.</p>`;
+
+  const { rows: mail } = await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/mail_outbox`, {
+    method: 'POST', headers: { Prefer: 'return=representation' },
+    body: JSON.stringify({
+      type: 'TIMESHEET_APPROVAL_REQUEST',
+      to: approverEmail, cc: null,
+      subject: `Timesheet to authorise: ${when}`,
+      body_html, body_text, attachments: null,
+      status: 'QUEUED',
+      reference: `timesheet:${ts.timesheet_id}`,
+      created_at_utc: nowIso(), created_by: actor?.email || null,
+    })
+  });
+  const mailId = mail?.[0]?.id || null;
+
+  await writeAudit(env, actor, 'TIMESHEET_APPROVAL_REQUESTED', { approver_email: approverEmail, approval_request_id: ar.id, mail_id: mailId },
+    { entity: 'timesheet', subject_id: ts.timesheet_id, correlation_id: mailId, req });
+  return { id: ar.id, status: ar.status, approver_email: approverEmail, expires_at: ar.expires_at };
+}
+
+// Resolves an approval link token to { ar, ts } or { error, status }
+async function loadApprovalFromToken(env, token) {
+  const ver = await verifyToken(sessionKeyring(env), String(token || ''));
+  if (!ver.ok || ver.payload?.typ !== 'ts_approval' || !ver.payload?.rid) return { error: 'INVALID_OR_EXPIRED_LINK', status: 401 };
+
+  const ar = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/${TS_APPROVALS_TABLE}?id=eq.${enc(ver.payload.rid)}&select=*`);
+  if (!ar) return { error: 'INVALID_OR_EXPIRED_LINK', status: 401 };
+  const ts = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/timesheets?timesheet_id=eq.${enc(ar.timesheet_id)}&select=*`);
+  if (!ts) return { error: 'Timesheet not found', status: 404 };
+  return { ar, ts };
+}
+
+// An open request can be decided only while it is PENDING, unexpired and its timesheet is still current
+function approvalDecisionBlocker(ar, ts) {
+  if (ar.status !== 'PENDING') return `ALREADY_${ar.status}`;
+  if (new Date(ar.expires_at).getTime() <= Date.now()) return 'LINK_EXPIRED';
+  if (ts.is_current !== true) return 'TIMESHEET_REPLACED';
+  return null;
+}
+
+function approvalView(ar, ts) {
+  return {
+    status: ar.status,
+    expires_at: ar.expires_at,
+    decided_at: ar.decided_at || null,
+    shift: {
+      booking_id: ts.booking_id,
+      hospital: ts.hospital_norm, ward: ts.ward_norm, job_title: ts.job_title_norm,
+      worked_start_iso: ts.worked_start_iso, worked_end_iso: ts.worked_end_iso,
+      break_start_iso: ts.break_start_iso, break_end_iso: ts.break_end_iso,
+      break_minutes: ts.break_minutes, worked_minutes: ts.worked_minutes,
+      is_callout: !!ts.is_callout,
+      expected_authoriser: ts.auth_name || null,
+    },
+  };
+}
+
+// GET /timesheets/approval?t=…  (public; the link token is the credential)
+async function handleApprovalGet(env, req, url) {
+  const r = await loadApprovalFromToken(env, url.searchParams.get('t'));
+  if (r.error) return withCORS(env, req, new Response(JSON.stringify({ error: r.error }), { status: r.status, headers: JSON_HEADERS }));
+  return withCORS(env, req, ok(approvalView(r.ar, r.ts)));
+}
+
+// POST /timesheets/approval/approve { token, approver_name, approver_job_title? }
+async function handleApprovalApprove(env, req) {
+  const body = await parseJSONBody(req);
+  if (!body) return withCORS(env, req, badRequest('Invalid JSON'));
+  const approverName = String(body.approver_name || '').trim().slice(0, 120);
+  const approverTitle = String(body.approver_job_title || '').trim().slice(0, 120) || null;
+  if (!approverName) return withCORS(env, req, badRequest('approver_name required'));
+
+  const r = await loadApprovalFromToken(env, body.token);
+  if (r.error) return withCORS(env, req, new Response(JSON.stringify({ error: r.error }), { status: r.status, headers: JSON_HEADERS }));
+  const blocked = approvalDecisionBlocker(r.ar, r.ts);
+  if (blocked) return withCORS(env, req, conflict(blocked));
+
+  const at = nowIso();
+  const evidence = {
+    method: 'REMOTE_LINK',
+    approval_request_id: r.ar.id,
+    approver_email: r.ar.approver_email,
+    approver_name: approverName,
+    approver_job_title: approverTitle,
+    ip: clientIp(req),
+    user_agent: (req.headers.get('user-agent') || '').slice(0, 300) || null,
+    approved_at: at,
+  };
+
+  // Claim the request first so a double-click cannot approve twice
+  const { rows: claimed } = await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/${TS_APPROVALS_TABLE}?id=eq.${enc(r.ar.id)}&status=eq.PENDING`, {
+    method: 'PATCH', headers: { Prefer: 'return=representation' },
+    body: JSON.stringify({ status: 'APPROVED', decided_at: at, approver_name: approverName, approver_job_title: approverTitle, approver_ip: evidence.ip, approver_user_agent: evidence.user_agent })
+  });
+  if (!claimed?.length) return withCORS(env, req, conflict('ALREADY_DECIDED'));
+
+  try {
+    await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/timesheets?timesheet_id=eq.${enc(r.ts.timesheet_id)}`, {
+      method: 'PATCH', headers: { Prefer: 'return=minimal' },
+      body: JSON.stringify({
+        authorised_at_server: at, auth_name: approverName, auth_job_title: approverTitle || r.ts.auth_job_title, authorisation_evidence: evidence,
+        // The link page and email show the call-out flag, so approving confirms it
+        ...(r.ts.is_callout ? { callout_confirmed_at: at, callout_confirmed_by: r.ar.approver_email } : {}),
+      })
+    });
+  } catch (e) {
+    // Hand the claim back so the same link can be used again once the write goes through
+    await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/${TS_APPROVALS_TABLE}?id=eq.${enc(r.ar.id)}&status=eq.APPROVED`, {
+      method: 'PATCH', headers: { Prefer: 'return=minimal' },
+      body: JSON.stringify({ status: 'PENDING', decided_at: null, approver_name: null, approver_job_title: null, approver_ip: null, approver_user_agent: null })
+    }).catch(err => console.warn('[APPROVAL] claim rollback failed', r.ar.id, err?.message || err));
+    return withCORS(env, req, serverError(`Approval could not be recorded: ${e?.message || e}`));
+  }
+  // The TSFIN worker skipped this timesheet while it was unauthorised; snapshot it now so it can be invoiced and paid
+  await enqueueManualTsfinRecalc(env, r.ts.timesheet_id).catch(() => {});
+
+  // Drop any PDF rendered before approval so the next render includes the evidence
+  await (env.R2_BUCKET || env.R2).delete(normalizeKey(`docs-pdf/timesheets/ts_${r.ts.timesheet_id}.pdf`)).catch(() => {});
+
+  await writeAudit(env, null, 'TIMESHEET_REMOTE_APPROVED', evidence, { entity: 'timesheet', subject_id: r.ts.timesheet_id, req });
+  return withCORS(env, req, ok({ ok: true, status: 'APPROVED', authorised_at_server: at }));
+}
+
+// POST /timesheets/approval/query { token, approver_name, message }
+async function handleApprovalQuery(env, req) {
+  const body = await parseJSONBody(req);
+  if (!body) return withCORS(env, req, badRequest('Invalid JSON'));
+  const approverName = String(body.approver_name || '').trim().slice(0, 120);
+  const message = String(body.message || '').trim().slice(0, 2000);
+  if (!approverName || !message) return withCORS(env, req, badRequest('approver_name and message required'));
+
+  const r = await loadApprovalFromToken(env, body.token);
+  if (r.error) return withCORS(env, req, new Response(JSON.stringify({ error: r.error }), { status: r.status, headers: JSON_HEADERS }));
+  const blocked = approvalDecisionBlocker(r.ar, r.ts);
+  if (blocked) return withCORS(env, req, conflict(blocked));
+
+  const at = nowIso();
+  const ip = clientIp(req);
+  const { rows: claimed } = await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/${TS_APPROVALS_TABLE}?id=eq.${enc(r.ar.id)}&status=eq.PENDING`, {
+    method: 'PATCH', headers: { Prefer: 'return=representation' },
+    body: JSON.stringify({ status: 'QUERIED', decided_at: at, approver_name: approverName, approver_ip: ip, query_text: message })
+  });
+  if (!claimed?.length) return withCORS(env, req, conflict('ALREADY_DECIDED'));
+
+  await writeAudit(env, null, 'TIMESHEET_REMOTE_QUERIED', { approval_request_id: r.ar.id, approver_email: r.ar.approver_email, approver_name: approverName, ip, message },
+    { entity: 'timesheet', subject_id: r.ts.timesheet_id, req });
+
+  // The ward manager's message opens (or joins) the timesheet's query thread; the link token lets the page continue it
+  const author = `${approverName} <${r.ar.approver_email}>`;
+  let query = (await openTimesheetQueries(env, [r.ts])).get(r.ts.timesheet_id);
+  if (query) {
+    await addQueryComment(env, query, { party: 'CLIENT', author, fields: { body: message }, files: [] });
+  } else {
+    query = await openTimesheetQuery(env, r.ts, { reason_code: 'AUTHORISER_QUERY', party: 'CLIENT', author, message, client_email: r.ar.approver_email });
+    await writeAudit(env, null, 'TIMESHEET_QUERY_OPENED', { query_id: query.id, reason_code: 'AUTHORISER_QUERY', party: 'CLIENT', author },
+      { entity: 'timesheet', subject_id: r.ts.timesheet_id, reason: message, req });
+  }
+  const query_token = await createToken(sessionKeyring(env), { typ: 'ts_query', qid: query.id, em: r.ar.approver_email, exp: Math.floor(Date.now() / 1000) + queryLinkTtl(env) });
+  return withCORS(env, req, ok({ ok: true, status: 'QUERIED', query_id: query.id, query_token }));
+}
+
+// POST /timesheets/approval/resend { booking_id, authoriser_email? }  (candidate token)
+async function handleApprovalResend(env, req) {
+  const cand = await requireCandidate(env, req);
+  if (!cand) return withCORS(env, req, unauthorized());
+  const body = await parseJSONBody(req);
+  if (!body?.booking_id) return withCORS(env, req, badRequest('booking_id required'));
+
+  const ts = await sbGetTimesheetCurrent(env, body.booking_id);
+  if (!ts || !(await candidateOwnsBooking(env, cand, body.booking_id))) return withCORS(env, req, notFound('No current timesheet'));
+  if (ts.authorised_at_server) return withCORS(env, req, conflict('Timesheet already authorised'));
+
+  let email = body.authoriser_email ? String(body.authoriser_email).trim().toLowerCase() : null;
+  if (!email) {
+    const last = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/${TS_APPROVALS_TABLE}?timesheet_id=eq.${enc(ts.timesheet_id)}&select=approver_email&order=created_at.desc&limit=1`);
+    email = last?.approver_email || null;
+  }
+  if (!isEmailAddress(email)) return withCORS(env, req, badRequest('authoriser_email required'));
+  const approverErr = await approverEmailError(env, await resolveClientId(env, ts.hospital_norm || null), email, cand);
+  if (approverErr) return withCORS(env, req, badRequest(approverErr));
+
+  const approval = await createApprovalRequest(env, req, ts, email, cand);
+  return withCORS(env, req, ok({ ok: true, approval }));
+}
+
+// GET /api/timesheets/:id/approval-requests
+async function handleTimesheetApprovalRequestsList(env, req, timesheetId) {
+  const user = await requireUser(env, req, ['timesheets:read']);
+  if (!user) return withCORS(env, req, unauthorized());
+  const { rows } = await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/${TS_APPROVALS_TABLE}?timesheet_id=eq.${enc(timesheetId)}&select=*&order=created_at.desc`);
+  return withCORS(env, req, ok({ items: rows || [] }));
+}
+
+// POST /api/timesheets/:id/approval-requests { approver_email }  – staff (re)send a link
+async function handleTimesheetApprovalRequestCreate(env, req, timesheetId) {
+  const user = await requireUser(env, req, ['timesheets:write']);
+  if (!user) return withCORS(env, req, unauthorized());
+  const body = await parseJSONBody(req);
+  const email = String(body?.approver_email || '').trim().toLowerCase();
+  if (!isEmailAddress(email)) return withCORS(env, req, badRequest('approver_email required'));
+
+  const ts = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/timesheets?timesheet_id=eq.${enc(timesheetId)}&select=*`);
+  if (!ts) return withCORS(env, req, notFound('Timesheet not found'));
+  if (ts.is_current !== true) return withCORS(env, req, conflict('Timesheet is not current'));
+  if (ts.authorised_at_server) return withCORS(env, req, conflict('Timesheet already authorised'));
+  const approverErr = await approverEmailError(env, await resolveClientId(env, ts.hospital_norm || null), email);
+  if (approverErr) return withCORS(env, req, badRequest(approverErr));
+
+  const approval = await createApprovalRequest(env, req, ts, email, user);
+  return withCORS(env, req, ok({ ok: true, approval }));
+}
+
+// ---------------------- Late submission review ----------------------
+// Timesheets submitted after their client's window are LATE_PENDING_REVIEW: they are kept out of
+// financials until an admin accepts them (→ SUBMITTED) or rejects them (→ LATE_REJECTED, no longer current).
+
+// GET /api/timesheets/late-review
+async function handleLateReviewList(env, req) {
+  const user = await requireUser(env, req, ['timesheets:read']);
+  if (!user) return withCORS(env, req, unauthorized());
+  const { rows } = await sbFetch(env,
+    `${env.SUPABASE_URL}/rest/v1/timesheets?status=eq.LATE_PENDING_REVIEW&is_current=eq.true` +
+    `&select=timesheet_id,booking_id,version,occupant_key_norm,hospital_norm,ward_norm,job_title_norm,worked_start_iso,worked_end_iso,late_minutes,is_callout,callout_confirmed_at,authorised_at_server,created_at` +
+    `&order=created_at.asc&limit=500`);
+  return withCORS(env, req, ok({ items: rows || [] }));
+}
+
+// POST /api/timesheets/:id/late-review { decision: 'ACCEPT'|'REJECT', reason? }
+async function handleLateReviewDecide(env, req, timesheetId) {
+  const user = await requireUser(env, req, ['late_review:write']);
+  if (!user) return withCORS(env, req, unauthorized());
+  const body = await parseJSONBody(req);
+  const decision = String(body?.decision || '').toUpperCase();
+  if (!['ACCEPT', 'REJECT'].includes(decision)) return withCORS(env, req, badRequest('decision must be ACCEPT or REJECT'));
+  const reason = body?.reason ? String(body.reason) : null;
+  if (decision === 'REJECT' && !reason) return withCORS(env, req, badRequest('reason is required to reject'));
+
+  const at = nowIso();
+  const patch = decision === 'ACCEPT'
+    ? { status: 'SUBMITTED', late_reviewed_at: at, late_reviewed_by: user.email, late_review_decision: 'ACCEPTED', late_review_reason: reason, updated_at: at }
+    : { status: 'LATE_REJECTED', is_current: false, late_reviewed_at: at, late_reviewed_by: user.email, late_review_decision: 'REJECTED', late_review_reason: reason,
+        revoked_at: at, revoked_reason: reason, revoked_by: user.email, updated_at: at };
+
+  // Conditional on the state, so two reviewers cannot both decide
+  const { rows } = await sbFetch(env,
+    `${env.SUPABASE_URL}/rest/v1/timesheets?timesheet_id=eq.${enc(timesheetId)}&status=eq.LATE_PENDING_REVIEW&is_current=eq.true`, {
+      method: 'PATCH', headers: { Prefer: 'return=representation' }, body: JSON.stringify(patch)
+    });
+  const ts = rows?.[0];
+  if (!ts) {
+    const exists = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/timesheets?timesheet_id=eq.${enc(timesheetId)}&select=status`);
+    return withCORS(env, req, exists ? conflict(`Timesheet is ${exists.status}, not awaiting late review`) : notFound('Timesheet not found'));
+  }
+
+  if (decision === 'ACCEPT' && ts.authorised_at_server) await enqueueManualTsfinRecalc(env, timesheetId).catch(() => {});
+  await writeAudit(env, user, decision === 'ACCEPT' ? 'TIMESHEET_LATE_ACCEPTED' : 'TIMESHEET_LATE_REJECTED',
+    { late_minutes: ts.late_minutes ?? null }, { entity: 'timesheet', subject_id: timesheetId, reason, req });
+  return withCORS(env, req, ok({ ok: true, timesheet_id: timesheetId, status: ts.status }));
+}
+
+// ---------------------- Call-out review ----------------------
+// A call-out is flagged by the candidate at submission. A remote approver confirms it by approving;
+// one signed on the device is confirmed (→ callout_confirmed_at) or struck off (→ is_callout false)
+// here by agency staff. Until then the shift is paid without the call-out minimum.
+
+// GET /api/timesheets/callout-review
+async function handleCalloutReviewList(env, req) {
+  const user = await requireUser(env, req, ['timesheets:read']);
+  if (!user) return withCORS(env, req, unauthorized());
+  const { rows } = await sbFetch(env,
+    `${env.SUPABASE_URL}/rest/v1/timesheets?is_callout=eq.true&callout_confirmed_at=is.null&is_current=eq.true` +
+    `&select=timesheet_id,booking_id,version,status,occupant_key_norm,hospital_norm,ward_norm,job_title_norm,worked_start_iso,worked_end_iso,worked_minutes,authorisation_mode,auth_name,authorised_at_server,created_at` +
+    `&order=created_at.asc&limit=500`);
+  return withCORS(env, req, ok({ items: rows || [] }));
+}
+
+// POST /api/timesheets/:id/callout-review { decision: 'CONFIRM'|'REJECT', reason? }
+async function handleCalloutReviewDecide(env, req, timesheetId) {
+  const user = await requireUser(env, req, ['timesheets:write']);
+  if (!user) return withCORS(env, req, unauthorized());
+  const body = await parseJSONBody(req);
+  const decision = String(body?.decision || '').toUpperCase();
+  if (!['CONFIRM', 'REJECT'].includes(decision)) return withCORS(env, req, badRequest('decision must be CONFIRM or REJECT'));
+  const reason = body?.reason ? String(body.reason) : null;
+  if (decision === 'REJECT' && !reason) return withCORS(env, req, badRequest('reason is required to reject'));
+
+  const at = nowIso();
+  const patch = decision === 'CONFIRM'
+    ? { callout_confirmed_at: at, callout_confirmed_by: user.email, updated_at: at }
+    : { is_callout: false, updated_at: at };
+  const { rows } = await sbFetch(env,
+    `${env.SUPABASE_URL}/rest/v1/timesheets?timesheet_id=eq.${enc(timesheetId)}&is_callout=eq.true&callout_confirmed_at=is.null&is_current=eq.true`, {
+      method: 'PATCH', headers: { Prefer: 'return=representation' }, body: JSON.stringify(patch)
+    });
+  const ts = rows?.[0];
+  if (!ts) {
+    const exists = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/timesheets?timesheet_id=eq.${enc(timesheetId)}&is_current=eq.true&select=timesheet_id`);
+    return withCORS(env, req, exists ? conflict('Timesheet has no call-out awaiting review') : notFound('Timesheet not found'));
+  }
+
+  // Financials were worked out without the minimum; redo them now it applies
+  if (decision === 'CONFIRM' && ts.authorised_at_server) await enqueueManualTsfinRecalc(env, timesheetId).catch(() => {});
+  await writeAudit(env, user, decision === 'CONFIRM' ? 'TIMESHEET_CALLOUT_CONFIRMED' : 'TIMESHEET_CALLOUT_REJECTED',
+    {}, { entity: 'timesheet', subject_id: timesheetId, reason, req });
+  return withCORS(env, req, ok({ ok: true, timesheet_id: timesheetId, is_callout: ts.is_callout, callout_confirmed_at: ts.callout_confirmed_at || null }));
+}
+
+// ---------------------- Timesheet queries ----------------------
+// A disputed shift (client, HealthRoster check, candidate) gets a query in timesheet_queries
+// (status OPEN → RESOLVED with resolution ACCEPT | AMEND | REVOKE) and a comment thread in
+// timesheet_query_comments shared by agency staff, the candidate (app token) and the client
+// (emailed, signed link). Attachments live in R2 under ts_queries/<query id>/. While a query
+// is OPEN no version of its booking can be issued on an invoice or included in a payment run.
+const TS_QUERIES_TABLE = 'timesheet_queries';
+const TS_QUERY_COMMENTS_TABLE = 'timesheet_query_comments';
+const TS_QUERY_REASONS = [
+  'HOURS_DISPUTED', 'BREAK_DISPUTED', 'NOT_WORKED', 'WRONG_WARD', 'RATE_DISPUTED',
+  'DUPLICATE', 'ROSTER_MISMATCH', 'MISSING_AUTHORISATION', 'AUTHORISER_QUERY', 'OTHER',
+];
+const TS_QUERY_OUTCOMES = ['ACCEPT', 'AMEND', 'REVOKE'];
+const TS_QUERY_MAX_ATTACHMENTS = 5;
+
+function queryLinkTtl(env){ return parseInt(env.TIMESHEET_QUERY_LINK_TTL_SECONDS || '1209600', 10) || 1209600; } // 14d
+function queryAttachmentMaxBytes(env){ return parseInt(env.TIMESHEET_QUERY_ATTACHMENT_MAX_BYTES || '10000000', 10) || 10000000; }
+function queryPageUrl(env) {
+  return String(env.TIMESHEET_QUERY_URL || `${splitCsv(env.ALLOWED_ORIGINS || '')[0] || ''}/timesheet-query`);
+}
+
+// Timesheet rows ({ timesheet_id, booking_id }) → Map(timesheet_id → open query). A query holds every
+// version of its booking: a revoke or resubmit gives the booking a new timesheet_id while the query
+// stays on the old one. Reads every open query (there are few at any time).
+async function openTimesheetQueries(env, timesheets) {
+  const out = new Map();
+  if (!timesheets.length) return out;
+  const open = await sbFetchAll(env, `${env.SUPABASE_URL}/rest/v1/${TS_QUERIES_TABLE}?status=eq.OPEN&select=id,timesheet_id,booking_id,reason_code`);
+  for (const t of timesheets) {
+    const q = open.find(q => q.timesheet_id === t.timesheet_id || (t.booking_id && q.booking_id === t.booking_id));
+    if (q) out.set(t.timesheet_id, q);
+  }
+  return out;
+}
+
+// Comment input as JSON { body, … } or multipart (text fields + `attachments` files)
+async function readQueryCommentInput(env, req) {
+  const ct = req.headers.get('content-type') || '';
+  if (!/^multipart\/form-data/i.test(ct)) {
+    const body = await parseJSONBody(req);
+    if (!body) return { error: badRequest('Invalid JSON') };
+    return { fields: body, files: [] };
+  }
+
+  let form;
+  try { form = await req.formData(); } catch { return { error: badRequest('Invalid multipart body') }; }
+  const fields = {};
+  for (const [k, v] of form.entries()) if (typeof v === 'string') fields[k] = v;
+  const files = form.getAll('attachments').filter(f => f && typeof f.arrayBuffer === 'function');
+  if (files.length > TS_QUERY_MAX_ATTACHMENTS) return { error: badRequest(`Max ${TS_QUERY_MAX_ATTACHMENTS} attachments`) };
+  const maxBytes = queryAttachmentMaxBytes(env);
+  for (const f of files) {
+    if (f.size > maxBytes) return { error: tooLarge(`${f.name || 'attachment'}: max ${maxBytes} bytes`) };
+    if (!/^(image\/|application\/pdf)/i.test(f.type || '')) return { error: unsupported(`${f.name || 'attachment'}: only images or PDF allowed`) };
+  }
+  return { fields, files };
+}
+
+async function storeQueryAttachments(env, queryId, files) {
+  const out = [];
+  for (const f of files) {
+    const name = String(f.name || 'attachment').replace(/[^A-Za-z0-9._-]+/g, '_').slice(-80);
+    const key = `ts_queries/${queryId}/${Date.now()}_${Math.random().toString(16).slice(2, 10)}_${name}`;
+    await r2Put(env, key, new Uint8Array(await f.arrayBuffer()), {
+      httpMetadata: { contentType: f.type || 'application/octet-stream' },
+      customMetadata: { originalName: name }
+    });
+    out.push({ key, name, content_type: f.type || null, size: f.size });
+  }
+  return out;
+}
+
+// Validates and inserts one comment; returns { comment } or { error: Response }
+async function addQueryComment(env, query, { party, author, fields, files, internal = false }) {
+  if (query.status !== 'OPEN') return { error: conflict('QUERY_RESOLVED') };
+  const text = String(fields?.body || '').trim().slice(0, 5000);
+  if (!text && !files.length) return { error: badRequest('body or attachments required') };
+
+  const replyTo = fields?.reply_to_id ? String(fields.reply_to_id) : null;
+  if (replyTo) {
+    const parent = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/${TS_QUERY_COMMENTS_TABLE}?id=eq.${enc(replyTo)}&query_id=eq.${enc(query.id)}&select=id,internal`);
+    if (!parent || (parent.internal && party !== 'AGENCY')) return { error: badRequest('reply_to_id is not a comment on this query') };
+  }
+
+  const attachments = await storeQueryAttachments(env, query.id, files);
+  const { rows } = await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/${TS_QUERY_COMMENTS_TABLE}`, {
+    method: 'POST', headers: { Prefer: 'return=representation' },
+    body: JSON.stringify({
+      query_id: query.id, reply_to_id: replyTo, party, author, internal: !!internal,
+      body: text || null, attachments_json: attachments.length ? attachments : null, created_at: nowIso(),
+    })
+  });
+  await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/${TS_QUERIES_TABLE}?id=eq.${enc(query.id)}`, {
+    method: 'PATCH', headers: { Prefer: 'return=minimal' }, body: JSON.stringify({ updated_at: nowIso() })
+  });
+  return { comment: rows?.[0] || null };
+}
+
+// Thread in posting order; attachments carry short-lived /api/files/download links.
+// Candidates and clients never see comments staff marked internal.
+async function queryThread(env, req, queryId, { includeInternal = false } = {}) {
+  let url = `${env.SUPABASE_URL}/rest/v1/${TS_QUERY_COMMENTS_TABLE}?query_id=eq.${enc(queryId)}&select=*&order=created_at.asc`;
+  if (!includeInternal) url += `&internal=eq.false`;
+  const rows = await sbFetchAll(env, url);
+  const exp = Math.floor(Date.now() / 1000) + 900;
+  const origin = new URL(req.url).origin;
+  for (const c of rows) {
+    if (!Array.isArray(c.attachments_json)) continue;
+    c.attachments_json = await Promise.all(c.attachments_json.map(async (a) => {
+      const token = await createToken(uploadKeyring(env), { typ: 'file_dl', key: a.key, exp });
+      return { ...a, download_url: `${origin}/api/files/download?key=${enc(a.key)}&token=${enc(token)}` };
+    }));
+  }
+  return rows;
+}
+
+function queryView(q, ts, comments) {
+  return {
+    id: q.id, timesheet_id: q.timesheet_id, reason_code: q.reason_code, status: q.status,
+    opened_party: q.opened_party, opened_at: q.opened_at,
+    resolution: q.resolution || null, resolution_note: q.resolution_note || null, resolved_at: q.resolved_at || null,
+    shift: ts ? {
+      booking_id: ts.booking_id, hospital: ts.hospital_norm, ward: ts.ward_norm, job_title: ts.job_title_norm,
+      worked_start_iso: ts.worked_start_iso, worked_end_iso: ts.worked_end_iso, break_minutes: ts.break_minutes,
+      week_ending_date: ts.week_ending_date,
+    } : null,
+    comments,
+  };
+}
+
+// Emails the client a signed link to the thread
+async function sendQueryClientLink(env, req, query, ts, clientEmail, actor) {
+  const ttl = queryLinkTtl(env);
+  const exp = Math.floor(Date.now() / 1000) + ttl;
+  const signed = await createToken(sessionKeyring(env), { typ: 'ts_query', qid: query.id, em: clientEmail, exp });
+  const u = new URL(queryPageUrl(env));
+  u.searchParams.set('t', signed);
+
+  const when = ts.worked_start_iso
+    ? `${fmtUKDate(ts.worked_start_iso)} ${fmtUKTime(ts.worked_start_iso)}–${fmtUKTime(ts.worked_end_iso)}`
+    : `week ending ${fmtUKDate(ts.week_ending_date)}`;
+  const place = [ts.hospital_norm, ts.ward_norm].filter(Boolean).join(' / ');
+  const body_text =
+    `A query has been raised on a timesheet.\n\nShift: ${when}\nWhere: ${place}\nReason: ${query.reason_code}\n\n` +
+    `View and reply here: ${u.toString()}`;
+  const body_html =
+    `<p>A query has been raised on a timesheet.</p>` +
+    `<table cellpadding="4"><tr><td>Shift</td><td>${escapeHtml(when)}</td></tr>` +
+    `<tr><td>Where</td><td>${escapeHtml(place)}</td></tr>` +
+    `<tr><td>Reason</td><td>${escapeHtml(query.reason_code)}</td></tr></table>` +
+    `<p><a href="${escapeHtml(u.toString())}">View and reply to this query</a></p>`;
+
+  const { rows: mail } = await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/mail_outbox`, {
+    method: 'POST', headers: { Prefer: 'return=representation' },
+    body: JSON.stringify({
+      type: 'TIMESHEET_QUERY', to: clientEmail, cc: null,
+      subject: `Timesheet query: ${when}`,
+      body_html, body_text, attachments: null, status: 'QUEUED',
+      reference: `timesheet_query:${query.id}`,
+      created_at_utc: nowIso(), created_by: actor?.email || null,
+    })
+  });
+  const mailId = mail?.[0]?.id || null;
+  await writeAudit(env, actor, 'TIMESHEET_QUERY_CLIENT_INVITED', { query_id: query.id, client_email: clientEmail, mail_id: mailId },
+    { entity: 'timesheet', subject_id: query.timesheet_id, correlation_id: mailId, req });
+  return { token: signed, mail_id: mailId };
+}
+
+// Inserts the query row plus its opening comment
+async function openTimesheetQuery(env, ts, { reason_code, party, author, message, client_email = null }) {
+  const at = nowIso();
+  const { rows } = await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/${TS_QUERIES_TABLE}`, {
+    method: 'POST', headers: { Prefer: 'return=representation' },
+    body: JSON.stringify({
+      timesheet_id: ts.timesheet_id, booking_id: ts.booking_id, reason_code, status: 'OPEN',
+      opened_party: party, opened_by: author, opened_at: at, client_email, updated_at: at,
+    })
+  });
+  const query = rows?.[0];
+  if (!query) throw new Error('timesheet query insert failed');
+  if (message) await addQueryComment(env, query, { party, author, fields: { body: message }, files: [] });
+  return query;
+}
+
+// Resolves a client link token to { query, ts, email } or { error, status }
+async function loadQueryFromToken(env, token) {
+  const ver = await verifyToken(sessionKeyring(env), String(token || ''));
+  if (!ver.ok || ver.payload?.typ !== 'ts_query' || !ver.payload?.qid) return { error: 'INVALID_OR_EXPIRED_LINK', status: 401 };
+  const query = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/${TS_QUERIES_TABLE}?id=eq.${enc(ver.payload.qid)}&select=*`);
+  if (!query) return { error: 'INVALID_OR_EXPIRED_LINK', status: 401 };
+  const ts = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/timesheets?timesheet_id=eq.${enc(query.timesheet_id)}&select=*`);
+  return { query, ts, email: ver.payload.em || null };
+}
+
+// GET /api/timesheet-queries?status=&reason_code=&timesheet_id=
+async function handleTimesheetQueriesList(env, req) {
+  const user = await requireUser(env, req, ['timesheets:read']);
+  if (!user) return withCORS(env, req, unauthorized());
+  const url = new URL(req.url);
+  const q = (k) => url.searchParams.get(k);
+  let api = `${env.SUPABASE_URL}/rest/v1/${TS_QUERIES_TABLE}?select=*&order=opened_at.desc&limit=500`;
+  if (q('status')) api += `&status=eq.${enc(String(q('status')).toUpperCase())}`;
+  if (q('reason_code')) api += `&reason_code=eq.${enc(String(q('reason_code')).toUpperCase())}`;
+  if (q('timesheet_id')) api += `&timesheet_id=eq.${enc(q('timesheet_id'))}`;
+  const { rows } = await sbFetch(env, api);
+  return withCORS(env, req, ok({ items: rows || [] }));
+}
+
+// POST /api/timesheets/:id/queries { reason_code, message, client_email? }
+async function handleTimesheetQueryOpen(env, req, timesheetId) {
+  const user = await requireUser(env, req, ['timesheets:write']);
+  if (!user) return withCORS(env, req, unauthorized());
+  const body = await parseJSONBody(req);
+  if (!body) return withCORS(env, req, badRequest('Invalid JSON'));
+  const reason_code = String(body.reason_code || '').toUpperCase();
+  if (!TS_QUERY_REASONS.includes(reason_code)) return withCORS(env, req, badRequest(`reason_code must be one of ${TS_QUERY_REASONS.join(', ')}`));
+  const message = String(body.message || '').trim();
+  if (!message) return withCORS(env, req, badRequest('message required'));
+  const clientEmail = body.client_email ? String(body.client_email).trim().toLowerCase() : null;
+  if (clientEmail && !isEmailAddress(clientEmail)) return withCORS(env, req, badRequest('client_email is not a valid email'));
+
+  const ts = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/timesheets?timesheet_id=eq.${enc(timesheetId)}&select=*`);
+  if (!ts) return withCORS(env, req, notFound('Timesheet not found'));
+  if (ts.is_current !== true) return withCORS(env, req, conflict('Timesheet is not current'));
+  const already = (await openTimesheetQueries(env, [ts])).get(timesheetId);
+  if (already) return withCORS(env, req, conflict(`Booking already has open query ${already.id}`));
+
+  const query = await openTimesheetQuery(env, ts, { reason_code, party: 'AGENCY', author: user.email, message, client_email: clientEmail });
+  await writeAudit(env, user, 'TIMESHEET_QUERY_OPENED', { query_id: query.id, reason_code, party: 'AGENCY' },
+    { entity: 'timesheet', subject_id: timesheetId, reason: message, req });
+  const invite = clientEmail ? await sendQueryClientLink(env, req, query, ts, clientEmail, user) : null;
+  return withCORS(env, req, ok({ ok: true, query, client_mail_id: invite?.mail_id || null }));
+}
+
+// GET /api/timesheet-queries/:id
+async function handleTimesheetQueryGet(env, req, queryId) {
+  const user = await requireUser(env, req, ['timesheets:read']);
+  if (!user) return withCORS(env, req, unauthorized());
+  const query = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/${TS_QUERIES_TABLE}?id=eq.${enc(queryId)}&select=*`);
+  if (!query) return withCORS(env, req, notFound('Query not found'));
+  const ts = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/timesheets?timesheet_id=eq.${enc(query.timesheet_id)}&select=*`);
+  const comments = await queryThread(env, req, query.id, { includeInternal: true });
+  return withCORS(env, req, ok({ ...queryView(query, ts, comments), client_email: query.client_email || null, opened_by: query.opened_by, resolved_by: query.resolved_by || null }));
+}
+
+// POST /api/timesheet-queries/:id/comments  JSON { body, internal?, reply_to_id? } or multipart with `attachments`
+async function handleTimesheetQueryComment(env, req, queryId) {
+  const user = await requireUser(env, req, ['timesheets:write']);
+  if (!user) return withCORS(env, req, unauthorized());
+  const input = await readQueryCommentInput(env, req);
+  if (input.error) return withCORS(env, req, input.error);
+  const query = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/${TS_QUERIES_TABLE}?id=eq.${enc(queryId)}&select=*`);
+  if (!query) return withCORS(env, req, notFound('Query not found'));
+
+  const internal = input.fields.internal === true || input.fields.internal === 'true';
+  const r = await addQueryComment(env, query, { party: 'AGENCY', author: user.email, fields: input.fields, files: input.files, internal });
+  if (r.error) return withCORS(env, req, r.error);
+  await writeAudit(env, user, 'TIMESHEET_QUERY_COMMENTED', { query_id: query.id, comment_id: r.comment?.id || null, party: 'AGENCY', internal, attachments: input.files.length },
+    { entity: 'timesheet', subject_id: query.timesheet_id, req });
+  return withCORS(env, req, ok({ ok: true, comment: r.comment }));
+}
+
+// POST /api/timesheet-queries/:id/invite-client { client_email? }  – (re)send the client link
+async function handleTimesheetQueryInviteClient(env, req, queryId) {
+  const user = await requireUser(env, req, ['timesheets:write']);
+  if (!user) return withCORS(env, req, unauthorized());
+  const body = await parseJSONBody(req);
+  const query = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/${TS_QUERIES_TABLE}?id=eq.${enc(queryId)}&select=*`);
+  if (!query) return withCORS(env, req, notFound('Query not found'));
+  if (query.status !== 'OPEN') return withCORS(env, req, conflict('QUERY_RESOLVED'));
+  const email = String(body?.client_email || query.client_email || '').trim().toLowerCase();
+  if (!isEmailAddress(email)) return withCORS(env, req, badRequest('client_email required'));
+
+  if (email !== query.client_email) {
+    await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/${TS_QUERIES_TABLE}?id=eq.${enc(query.id)}`, {
+      method: 'PATCH', headers: { Prefer: 'return=minimal' }, body: JSON.stringify({ client_email: email, updated_at: nowIso() })
+    });
+  }
+  const ts = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/timesheets?timesheet_id=eq.${enc(query.timesheet_id)}&select=*`);
+  if (!ts) return withCORS(env, req, notFound('Timesheet not found'));
+  const invite = await sendQueryClientLink(env, req, query, ts, email, user);
+  return withCORS(env, req, ok({ ok: true, client_email: email, mail_id: invite.mail_id }));
+}
+
+// POST /api/timesheet-queries/:id/resolve { outcome: 'ACCEPT'|'AMEND'|'REVOKE', note }
+//   ACCEPT – the timesheet stands as submitted
+//   AMEND  – the timesheet was corrected; financials of the booking's current version are recalculated
+//   REVOKE – the queried version is revoked (not current) and must be resubmitted
+async function handleTimesheetQueryResolve(env, req, queryId) {
+  const user = await requireUser(env, req, ['timesheets:write']);
+  if (!user) return withCORS(env, req, unauthorized());
+  const body = await parseJSONBody(req);
+  const outcome = String(body?.outcome || '').toUpperCase();
+  if (!TS_QUERY_OUTCOMES.includes(outcome)) return withCORS(env, req, badRequest(`outcome must be one of ${TS_QUERY_OUTCOMES.join(', ')}`));
+  const note = String(body?.note || '').trim();
+  if (!note) return withCORS(env, req, badRequest('note is required'));
+
+  const query = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/${TS_QUERIES_TABLE}?id=eq.${enc(queryId)}&select=*`);
+  if (!query) return withCORS(env, req, notFound('Query not found'));
+  if (query.status !== 'OPEN') return withCORS(env, req, conflict('QUERY_RESOLVED'));
+  const ts = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/timesheets?timesheet_id=eq.${enc(query.timesheet_id)}&select=timesheet_id,booking_id,status,is_current,authorised_at_server`);
+  if (!ts) return withCORS(env, req, notFound('Timesheet not found'));
+
+  let resolvedTimesheetId = ts.timesheet_id;
+  if (outcome === 'REVOKE') {
+    const tsfin = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/timesheets_financials?timesheet_id=eq.${enc(ts.timesheet_id)}&is_current=eq.true&select=locked_by_invoice_id,paid_at_utc`);
+    if (tsfin?.locked_by_invoice_id || tsfin?.paid_at_utc) return withCORS(env, req, conflict('Cannot revoke: invoiced or paid'));
+  } else if (outcome === 'AMEND') {
+    const current = ts.booking_id ? await sbGetTimesheetCurrent(env, ts.booking_id) : null;
+    resolvedTimesheetId = current?.timesheet_id || ts.timesheet_id;
+  }
+
+  // Claim the query first so two reviewers cannot both resolve it
+  const at = nowIso();
+  const { rows: claimed } = await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/${TS_QUERIES_TABLE}?id=eq.${enc(query.id)}&status=eq.OPEN`, {
+    method: 'PATCH', headers: { Prefer: 'return=representation' },
+    body: JSON.stringify({ status: 'RESOLVED', resolution: outcome, resolution_note: note, resolved_at: at, resolved_by: user.email, resolved_timesheet_id: resolvedTimesheetId, updated_at: at })
+  });
+  if (!claimed?.length) return withCORS(env, req, conflict('ALREADY_RESOLVED'));
+
+  if (outcome === 'REVOKE' && ts.is_current === true) {
+    await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/timesheets?timesheet_id=eq.${enc(ts.timesheet_id)}&is_current=eq.true`, {
+      method: 'PATCH', headers: { Prefer: 'return=minimal' },
+      body: JSON.stringify({ is_current: false, status: 'REVOKED', revoked_at: at, revoked_reason: note, revoked_by: user.email, updated_at: at })
+    });
+    await rerunOvertimeForTimesheets(env, [ts.timesheet_id]).catch(() => {});
+  } else if (outcome === 'AMEND') {
+    const authorised = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/timesheets?timesheet_id=eq.${enc(resolvedTimesheetId)}&select=authorised_at_server`);
+    if (authorised?.authorised_at_server) await enqueueManualTsfinRecalc(env, resolvedTimesheetId).catch(() => {});
+    await (env.R2_BUCKET || env.R2).delete(normalizeKey(`docs-pdf/timesheets/ts_${resolvedTimesheetId}.pdf`)).catch(() => {});
+  }
+
+  await writeAudit(env, user, 'TIMESHEET_QUERY_RESOLVED', { query_id: query.id, outcome, resolved_timesheet_id: resolvedTimesheetId },
+    { entity: 'timesheet', subject_id: query.timesheet_id, reason: note, req });
+  return withCORS(env, req, ok({ ok: true, query: claimed[0] }));
+}
+
+// GET /timesheets/queries?booking_id=…  (candidate token)
+async function handleCandidateQueriesList(env, req, url) {
+  const cand = await requireCandidate(env, req);
+  if (!cand) return withCORS(env, req, unauthorized());
+  const bookingId = url.searchParams.get('booking_id');
+  if (!bookingId) return withCORS(env, req, badRequest('booking_id required'));
+  if (!(await candidateOwnsBooking(env, cand, bookingId))) return withCORS(env, req, notFound('Booking not found'));
+
+  const { rows: queries } = await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/${TS_QUERIES_TABLE}?booking_id=eq.${enc(bookingId)}&select=*&order=opened_at.desc`);
+  const items = [];
+  for (const q of queries || []) {
+    const ts = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/timesheets?timesheet_id=eq.${enc(q.timesheet_id)}&select=*`);
+    items.push(queryView(q, ts, await queryThread(env, req, q.id)));
+  }
+  return withCORS(env, req, ok({ items }));
+}
+
+// POST /timesheets/queries/comment  JSON { query_id, body, reply_to_id? } or multipart with `attachments`  (candidate token)
+async function handleCandidateQueryComment(env, req) {
+  const cand = await requireCandidate(env, req);
+  if (!cand) return withCORS(env, req, unauthorized());
+  const input = await readQueryCommentInput(env, req);
+  if (input.error) return withCORS(env, req, input.error);
+  const queryId = input.fields.query_id;
+  if (!queryId) return withCORS(env, req, badRequest('query_id required'));
+
+  const query = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/${TS_QUERIES_TABLE}?id=eq.${enc(queryId)}&select=*`);
+  if (!query || !(await candidateOwnsBooking(env, cand, query.booking_id))) return withCORS(env, req, notFound('Query not found'));
+
+  const r = await addQueryComment(env, query, { party: 'CANDIDATE', author: cand.email, fields: input.fields, files: input.files });
+  if (r.error) return withCORS(env, req, r.error);
+  await writeAudit(env, cand, 'TIMESHEET_QUERY_COMMENTED', { query_id: query.id, comment_id: r.comment?.id || null, party: 'CANDIDATE', attachments: input.files.length },
+    { entity: 'timesheet', subject_id: query.timesheet_id, req });
+  return withCORS(env, req, ok({ ok: true, comment: r.comment }));
+}
+
+// GET /timesheets/query-thread?t=…  (public; the link token is the credential)
+async function handleClientQueryGet(env, req, url) {
+  const r = await loadQueryFromToken(env, url.searchParams.get('t'));
+  if (r.error) return withCORS(env, req, new Response(JSON.stringify({ error: r.error }), { status: r.status, headers: JSON_HEADERS }));
+  return withCORS(env, req, ok(queryView(r.query, r.ts, await queryThread(env, req, r.query.id))));
+}
+
+// POST /timesheets/query-thread/comment  JSON { token, author_name, body, reply_to_id? } or multipart with `attachments`
+async function handleClientQueryComment(env, req) {
+  const input = await readQueryCommentInput(env, req);
+  if (input.error) return withCORS(env, req, input.error);
+  const authorName = String(input.fields.author_name || '').trim().slice(0, 120);
+  if (!authorName) return withCORS(env, req, badRequest('author_name required'));
+
+  const r = await loadQueryFromToken(env, input.fields.token);
+  if (r.error) return withCORS(env, req, new Response(JSON.stringify({ error: r.error }), { status: r.status, headers: JSON_HEADERS }));
+  const author = r.email ? `${authorName} <${r.email}>` : authorName;
+  const c = await addQueryComment(env, r.query, { party: 'CLIENT', author, fields: input.fields, files: input.files });
+  if (c.error) return withCORS(env, req, c.error);
+  await writeAudit(env, null, 'TIMESHEET_QUERY_COMMENTED', { query_id: r.query.id, comment_id: c.comment?.id || null, party: 'CLIENT', author, ip: clientIp(req), attachments: input.files.length },
+    { entity: 'timesheet', subject_id: r.query.timesheet_id, req });
+  return withCORS(env, req, ok({ ok: true, comment: c.comment }));
+}
+
+// ---------------------- Timesheet import (CSV / XLSX) ----------------------
+// For trusts that send a spreadsheet of worked shifts instead of using the app. The file is put in
+// R2 first (/api/files/presign-upload); POST /api/timesheets/import reads it, maps columns through a
+// saved profile (timesheet_import_profiles) or an inline mapping and checks every row against
+// candidates and contracts. The dry run is recorded in timesheet_imports with a per-row preview in
+// R2. Committing it creates authorised timesheets on the app's booking ids (a new version when the
+// booking already has a different one) and queues TSFIN; failed rows can be downloaded as CSV.
+// A commit that breaks part-way leaves the import FAILED with the error; the rows it already created
+// keep their timesheet_id in the preview, so committing again carries on from there.
+const TS_IMPORTS_TABLE = 'timesheet_imports';
+const TS_IMPORT_PROFILES_TABLE = 'timesheet_import_profiles';
+const TS_IMPORT_FIELDS = [
+  'candidate_id', 'candidate_email', 'candidate_name', 'date', 'start', 'end', 'break_minutes',
+  'hospital', 'ward', 'job_title', 'shift_label', 'reference_number', 'auth_name',
+];
+const TS_IMPORT_DEFAULT_FIELDS = ['hospital', 'ward', 'job_title', 'shift_label', 'auth_name'];
+const TS_IMPORT_DATE_FORMATS = ['DMY', 'MDY', 'YMD'];
+const TS_IMPORT_BATCH = 200;
+
+function tsImportMaxRows(env){ return parseInt(env.TIMESHEET_IMPORT_MAX_ROWS || '2000', 10) || 2000; }
+function tsImportMaxBytes(env){ return parseInt(env.TIMESHEET_IMPORT_MAX_BYTES || '10000000', 10) || 10000000; }
+const tsImportPreviewKey = (importId) => `imports/timesheets/${importId}/preview.json`;
+
+// Validates a { columns, date_format, defaults } mapping; returns an error string or null
+function tsImportMappingError(m) {
+  const cols = m?.columns;
+  if (!cols || typeof cols !== 'object' || Array.isArray(cols)) return 'columns must be an object of { field: "Header" }';
+  for (const [k, v] of Object.entries(cols)) {
+    if (!TS_IMPORT_FIELDS.includes(k)) return `Unknown field "${k}" (allowed: ${TS_IMPORT_FIELDS.join(', ')})`;
+    if (typeof v !== 'string' || !v.trim()) return `columns.${k} must be a header name`;
+  }
+  for (const k of ['date', 'start', 'end']) if (!cols[k]) return `columns.${k} is required`;
+  if (!cols.candidate_id && !cols.candidate_email && !cols.candidate_name) return 'Map one of candidate_id, candidate_email or candidate_name';
+  if (m.date_format != null && !TS_IMPORT_DATE_FORMATS.includes(m.date_format)) return `date_format must be one of ${TS_IMPORT_DATE_FORMATS.join(', ')}`;
+  if (m.defaults != null) {
+    if (typeof m.defaults !== 'object' || Array.isArray(m.defaults)) return 'defaults must be an object';
+    for (const k of Object.keys(m.defaults)) if (!TS_IMPORT_DEFAULT_FIELDS.includes(k)) return `defaults.${k} is not allowed`;
+  }
+  return null;
+}
+
+// What the wanted entries of an uploaded ZIP may expand to; a zip bomb stops here instead of at the Worker's memory limit
+const ZIP_MAX_INFLATED_BYTES = 32 * 1024 * 1024;
+
+// ZIP entries as name → bytes (stored or deflated, which covers XLSX); `wanted` filters by name.
+// Throws once the declared or the actually inflated total passes ZIP_MAX_INFLATED_BYTES.
+async function readZipEntries(u8, wanted = null) {
+  const dv = new DataView(u8.buffer, u8.byteOffset, u8.byteLength);
+  let eocd = -1;
+  for (let i = u8.length - 22; i >= Math.max(0, u8.length - 22 - 65535); i--) {
+    if (dv.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error('Not a ZIP archive');
+
+  const out = new Map();
+  const tooBig = () => new Error(`ZIP expands to more than ${ZIP_MAX_INFLATED_BYTES} bytes`);
+  let declared = 0, inflated = 0;
+  const count = dv.getUint16(eocd + 10, true);
+  let off = dv.getUint32(eocd + 16, true);
+  for (let n = 0; n < count; n++) {
+    if (dv.getUint32(off, true) !== 0x02014b50) throw new Error('Corrupt ZIP central directory');
+    const method = dv.getUint16(off + 10, true);
+    const compSize = dv.getUint32(off + 20, true);
+    const size = dv.getUint32(off + 24, true);
+    const nameLen = dv.getUint16(off + 28, true);
+    const skip = nameLen + dv.getUint16(off + 30, true) + dv.getUint16(off + 32, true);
+    const local = dv.getUint32(off + 42, true);
+    const name = new TextDecoder().decode(u8.subarray(off + 46, off + 46 + nameLen));
+    off += 46 + skip;
+    if (wanted && !wanted(name)) continue;
+    declared += size;
+    if (declared > ZIP_MAX_INFLATED_BYTES) throw tooBig();
+
+    const start = local + 30 + dv.getUint16(local + 26, true) + dv.getUint16(local + 28, true);
+    const data = u8.subarray(start, start + compSize);
+    if (method === 0) {
+      inflated += data.length;
+      if (inflated > ZIP_MAX_INFLATED_BYTES) throw tooBig();
+      out.set(name, data);
+    } else if (method === 8) {
+      // Counted chunk by chunk: the declared size is only a claim
+      const reader = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw')).getReader();
+      const chunks = [];
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        inflated += value.byteLength;
+        if (inflated > ZIP_MAX_INFLATED_BYTES) { await reader.cancel().catch(() => {}); throw tooBig(); }
+        chunks.push(value);
+      }
+      out.set(name, new Uint8Array(await new Blob(chunks).arrayBuffer()));
+    } else throw new Error(`Unsupported ZIP compression method ${method} (${name})`);
+  }
+  return out;
+}
+
+function xmlDecode(s) {
+  return String(s).replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (_, e) => {
+    const k = e.toLowerCase();
+    if (k[0] === '#') return String.fromCodePoint(k[1] === 'x' ? parseInt(k.slice(2), 16) : parseInt(k.slice(1), 10));
+    return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[k];
+  });
+}
+function xmlAttr(tag, name) {
+  const m = String(tag).match(new RegExp(`\\s${name}="([^"]*)"`));
+  return m ? xmlDecode(m[1]) : null;
+}
+const xmlText = (xml) => (String(xml).replace(/<t\b[^>]*\/>/g, '').match(/<t\b[^>]*>[\s\S]*?<\/t>/g) || [])
+  .map(t => xmlDecode(t.replace(/<[^>]+>/g, ''))).join('');
+
+// First worksheet of an XLSX as [{ n, cells }]; strings resolved, numeric cells (incl. dates/times) stay numbers
+async function parseXlsxRows(u8) {
+  const files = await readZipEntries(u8, (n) => /^xl\/(workbook\.xml|_rels\/workbook\.xml\.rels|sharedStrings\.xml|worksheets\/[^/]+\.xml)$/.test(n));
+  const text = (n) => files.has(n) ? new TextDecoder().decode(files.get(n)) : '';
+
+  const sheetTag = (text('xl/workbook.xml').match(/<sheet\b[^>]*>/) || [])[0];
+  const rid = sheetTag ? xmlAttr(sheetTag, 'r:id') : null;
+  let sheetPath = 'xl/worksheets/sheet1.xml';
+  for (const rel of text('xl/_rels/workbook.xml.rels').match(/<Relationship\b[^>]*>/g) || []) {
+    if (!rid || xmlAttr(rel, 'Id') !== rid) continue;
+    const target = xmlAttr(rel, 'Target') || '';
+    sheetPath = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+  }
+  const sheet = text(sheetPath).replace(/<row\b[^>]*\/>/g, '');
+  if (!sheet) throw new Error('Workbook has no readable worksheet');
+
+  const shared = (text('xl/sharedStrings.xml').match(/<si>[\s\S]*?<\/si>/g) || []).map(xmlText);
+  const colIndex = (ref) => {
+    let n = 0;
+    for (const ch of String(ref).replace(/\d+$/, '')) n = n * 26 + (ch.charCodeAt(0) - 64);
+    return n - 1;
+  };
+
+  const rows = [];
+  for (const rowXml of sheet.match(/<row\b[\s\S]*?<\/row>/g) || []) {
+    const n = parseInt(xmlAttr(rowXml.match(/<row\b[^>]*>/)[0], 'r') || String(rows.length + 1), 10);
+    const cells = [];
+    for (const c of rowXml.match(/<c\b[^>]*\/>|<c\b[^>]*>[\s\S]*?<\/c>/g) || []) {
+      const open = c.match(/<c\b[^>]*>/)[0];
+      const t = xmlAttr(open, 't');
+      const v = (c.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+      let val;
+      if (t === 's') val = shared[parseInt(v, 10)] ?? '';
+      else if (t === 'inlineStr') val = xmlText(c);
+      else if (t === 'str' || t === 'e') val = v != null ? xmlDecode(v) : '';
+      else if (t === 'b') val = v === '1' ? 'TRUE' : 'FALSE';
+      else val = v != null && v !== '' ? Number(v) : '';
+      const ref = xmlAttr(open, 'r');
+      cells[ref ? colIndex(ref) : cells.length] = val;
+    }
+    rows.push({ n, cells: Array.from(cells, (x) => x ?? '') });
+  }
+  return rows;
+}
+
+// RFC 4180 CSV (quoted fields, doubled quotes, CR/LF) as [{ n, cells }]; n is the 1-based record number
+function parseCsvRows(text) {
+  const src = String(text).replace(/^\uFEFF/, '');
+  const out = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch !== '"') field += ch;
+      else if (src[i + 1] === '"') { field += '"'; i++; }
+      else quoted = false;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); out.push({ n: out.length + 1, cells: row });
+      row = []; field = '';
+    } else field += ch;
+  }
+  if (field !== '' || row.length) { row.push(field); out.push({ n: out.length + 1, cells: row }); }
+  return out;
+}
+
+// Date cell → YYYY-MM-DD: Excel serials, ISO / Y-M-D, or d/m/y (m/d/y with 'MDY')
+function importYmd(v, fmt = 'DMY') {
+  if (typeof v === 'number' && Number.isFinite(v) && v > 0) {
+    return new Date(Date.UTC(1899, 11, 30) + Math.floor(v) * 86400000).toISOString().slice(0, 10);
+  }
+  const s = String(v ?? '').trim();
+  let y, mo, d, m;
+  if ((m = s.match(/^(\d{4})[-\/.](\d{1,2})[-\/.](\d{1,2})(?:[T\s].*)?$/))) [y, mo, d] = [m[1], m[2], m[3]];
+  else if ((m = s.match(/^(\d{1,2})[-\/.](\d{1,2})[-\/.](\d{2}|\d{4})$/))) {
+    const yy = m[3].length === 2 ? `20${m[3]}` : m[3];
+    [y, mo, d] = fmt === 'MDY' ? [yy, m[1], m[2]] : [yy, m[2], m[1]];
+  } else return null;
+  const iso = `${y}-${String(mo).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+  const dt = new Date(`${iso}T00:00:00Z`);
+  return !Number.isNaN(dt.getTime()) && dt.toISOString().slice(0, 10) === iso ? iso : null;
+}
+
+// Time cell → HH:MM: Excel day fractions, 7:30, 07:30:00, 0730 (text or number)
+function importHhmm(v) {
+  if (typeof v === 'number' && Number.isFinite(v)) {
+    if (Number.isInteger(v) && v >= 0 && v <= 2359) v = String(v).padStart(4, '0');
+    else {
+      const mins = Math.round((v - Math.floor(v)) * 1440) % 1440;
+      return `${String(Math.floor(mins / 60)).padStart(2, '0')}:${String(mins % 60).padStart(2, '0')}`;
+    }
+  }
+  const m = String(v ?? '').trim().match(/^(\d{1,2}):?(\d{2})(?::\d{2})?$/);
+  if (!m || +m[1] > 23 || +m[2] > 59) return null;
+  return `${m[1].padStart(2, '0')}:${m[2]}`;
+}
+
+// Break cell → minutes: 30, "30", "0:30" (h:mm) or an Excel time fraction
+function importBreakMinutes(v) {
+  if (v === '' || v == null) return 0;
+  if (typeof v === 'number' && Number.isFinite(v)) return v > 0 && v < 1 ? Math.round(v * 1440) : Math.round(v);
+  const s = String(v).trim();
+  const hm = s.match(/^(\d{1,2}):(\d{2})$/);
+  if (hm) return (+hm[1]) * 60 + (+hm[2]);
+  return /^\d+$/.test(s) ? parseInt(s, 10) : null;
+}
+
+// Candidate lookup tables for one import; names mapping to two people resolve to null (ambiguous)
+async function tsImportCandidateIndex(env) {
+  const rows = await sbFetchAll(env, `${env.SUPABASE_URL}/rest/v1/candidates?select=id,first_name,last_name,display_name,email,key_norm,active,erased_at&order=id.asc`);
+  const byId = new Map(), byEmail = new Map(), byName = new Map();
+  const claim = (map, k, c) => { if (k) map.set(k, map.has(k) && map.get(k)?.id !== c.id ? null : c); };
+  for (const c of rows) {
+    byId.set(String(c.id), c);
+    claim(byEmail, String(c.email || '').trim().toLowerCase(), c);
+    claim(byName, normName(`${c.first_name || ''} ${c.last_name || ''}`), c);
+    claim(byName, normName(`${c.last_name || ''} ${c.first_name || ''}`), c);
+    claim(byName, normName(c.display_name || ''), c);
+  }
+  return { byId, byEmail, byName, sticky: await getStickyMappings(env) };
+}
+
+function tsImportResolveCandidate(idx, r) {
+  let c;
+  if (r.candidate_id) c = idx.byId.get(String(r.candidate_id).trim());
+  else if (r.candidate_email) {
+    c = idx.byEmail.get(String(r.candidate_email).trim().toLowerCase());
+    if (c === null) return { error: 'CANDIDATE_AMBIGUOUS' };
+  } else if (r.candidate_name) {
+    for (const v of nameVariants(r.candidate_name)) {
+      const sid = idx.sticky.get(v);
+      if (sid) { c = idx.byId.get(String(sid)); break; }
+    }
+    if (!c) {
+      c = idx.byName.get(normName(r.candidate_name));
+      if (c === null) return { error: 'CANDIDATE_AMBIGUOUS' };
+    }
+  } else return { error: 'CANDIDATE_MISSING' };
+  if (!c) return { error: 'CANDIDATE_NOT_FOUND' };
+  if (c.erased_at || c.active === false) return { error: 'CANDIDATE_INACTIVE' };
+  return { cand: c };
+}
+
+async function sbFetchIn(env, base, col, values, size = 100) {
+  const out = [];
+  const uniq = [...new Set(values.filter(Boolean).map(String))];
+  for (let i = 0; i < uniq.length; i += size) {
+    const { rows } = await sbFetch(env, `${base}&${col}=in.(${uniq.slice(i, i + size).map(enc).join(',')})`);
+    out.push(...(rows || []));
+  }
+  return out;
+}
+
+// Maps, normalises and validates every data row; returns { headers, rows, summary }
+async function tsImportDryRun(env, table, mapping, clientId) {
+  const headerAt = table.findIndex(r => r.cells.some(c => String(c).trim() !== ''));
+  if (headerAt < 0) throw new Error('File has no header row');
+  const headers = table[headerAt].cells.map(c => String(c).trim());
+  const colOf = {};
+  for (const [field, header] of Object.entries(mapping.columns)) {
+    const i = headers.findIndex(h => h.toLowerCase() === header.trim().toLowerCase());
+    if (i < 0) throw new Error(`Mapped column "${header}" (${field}) not found in file`);
+    colOf[field] = i;
+  }
+
+  const dataRows = table.slice(headerAt + 1).filter(r => r.cells.some(c => String(c).trim() !== ''));
+  const defaults = mapping.defaults || {};
+  const idx = await tsImportCandidateIndex(env);
+
+  // Pass 1: parse and resolve candidates
+  const rows = dataRows.map((r) => {
+    const raw = (f) => (colOf[f] == null ? '' : r.cells[colOf[f]] ?? '');
+    const txt = (f) => String(raw(f) ?? '').trim() || (defaults[f] != null ? String(defaults[f]).trim() : '');
+    const out = { n: r.n, source: Object.fromEntries(headers.map((h, i) => [h, r.cells[i] ?? ''])), errors: [], action: null };
+
+    const ymd = importYmd(raw('date'), mapping.date_format || 'DMY');
+    const start = importHhmm(raw('start'));
+    const end = importHhmm(raw('end'));
+    const breakMin = importBreakMinutes(raw('break_minutes'));
+    if (!ymd) out.errors.push('INVALID_DATE');
+    if (!start) out.errors.push('INVALID_START');
+    if (!end) out.errors.push('INVALID_END');
+    if (breakMin == null || breakMin < 0) out.errors.push('INVALID_BREAK');
+
+    const who = tsImportResolveCandidate(idx, { candidate_id: txt('candidate_id'), candidate_email: txt('candidate_email'), candidate_name: txt('candidate_name') });
+    if (who.error) out.errors.push(who.error);
+
+    out._parsed = { ymd, start, end, breakMin, cand: who.cand || null,
+      hospital: txt('hospital'), ward: txt('ward'), job_title: txt('job_title'), shift_label: txt('shift_label'),
+      reference_number: txt('reference_number'), auth_name: txt('auth_name') };
+    return out;
+  });
+
+  // Pass 2: contracts covering each shift (and the import's client, when given)
+  const candIds = rows.map(r => r._parsed.cand?.id).filter(Boolean);
+  const contracts = await sbFetchIn(env,
+    `${env.SUPABASE_URL}/rest/v1/contracts?select=id,candidate_id,client_id,start_date,end_date,role,display_site,ward_hint`, 'candidate_id', candIds);
+  const clients = await sbFetchIn(env, `${env.SUPABASE_URL}/rest/v1/clients?select=id,name`, 'id', contracts.map(c => c.client_id));
+  const clientName = Object.fromEntries(clients.map(c => [c.id, c.name]));
+
+  for (const r of rows) {
+    const p = r._parsed;
+    if (!p.cand || !p.ymd || r.errors.length) continue;
+    const covering = contracts.filter(c => String(c.candidate_id) === String(p.cand.id)
+      && (!c.start_date || c.start_date <= p.ymd) && (!c.end_date || c.end_date >= p.ymd)
+      && (!clientId || String(c.client_id) === String(clientId)));
+    if (!covering.length) { r.errors.push('NO_CONTRACT'); continue; }
+    if (covering.length > 1) { r.errors.push('AMBIGUOUS_CONTRACT'); continue; }
+    const contract = covering[0];
+
+    const hospital = (p.hospital || contract.display_site || clientName[contract.client_id] || '').toLowerCase();
+    const ward = (p.ward || contract.ward_hint || '').toLowerCase();
+    const job_title = (p.job_title || contract.role || '').toLowerCase();
+    if (!hospital) r.errors.push('HOSPITAL_MISSING');
+    if (!ward) r.errors.push('WARD_MISSING');
+    if (!job_title) r.errors.push('JOB_TITLE_MISSING');
+    if (r.errors.length) continue;
+
+    const worked_start_iso = ukLocalToUtcISO(p.ymd, p.start);
+    const worked_end_iso = ukLocalToUtcISO(p.end <= p.start ? addDays(p.ymd, 1) : p.ymd, p.end); // overnight
+    const worked_minutes = minutesBetween(worked_start_iso, worked_end_iso);
+    if (p.breakMin >= worked_minutes) { r.errors.push('BREAK_EXCEEDS_SHIFT'); continue; }
+
+    const occupant = candidateOccupantKey(p.cand);
+    r.data = {
+      booking_id: await makeBookingId(occupant, p.ymd, hospital, ward, job_title, p.shift_label),
+      occupant_key_norm: occupant,
+      hospital_norm: hospital, ward_norm: ward, job_title_norm: job_title,
+      shift_label_norm: p.shift_label ? p.shift_label.toLowerCase() : null,
+      scheduled_start_iso: worked_start_iso, scheduled_end_iso: worked_end_iso,
+      worked_start_iso, worked_end_iso,
+      break_start_iso: null, break_end_iso: null,
+      break_minutes: p.breakMin, worked_minutes,
+      week_ending_date: weekEndingSunday(p.ymd),
+      contract_id: contract.id,
+      reference_number: p.reference_number || null,
+      auth_name: p.auth_name || null,
+    };
+    r.candidate_id = p.cand.id;
+  }
+
+  // Pass 3: versioning against existing bookings, duplicates within the file
+  await tsImportPlanVersions(env, rows.filter(r => r.data && !r.errors.length));
+
+  const summary = { rows: rows.length, create: 0, new_version: 0, unchanged: 0, errors: 0 };
+  for (const r of rows) {
+    delete r._parsed;
+    if (r.errors.length) { r.action = null; delete r.data; summary.errors++; }
+    else summary[r.action.toLowerCase()]++;
+  }
+  return { headers, rows, summary };
+}
+
+// Sets action CREATE | NEW_VERSION | UNCHANGED (or an error) per row from the bookings' current state
+async function tsImportPlanVersions(env, rows) {
+  const seen = new Set();
+  for (const r of rows) {
+    if (seen.has(r.data.booking_id)) r.errors.push('DUPLICATE_IN_FILE');
+    seen.add(r.data.booking_id);
+  }
+  const live = rows.filter(r => !r.errors.length);
+  const existing = await sbFetchIn(env,
+    `${env.SUPABASE_URL}/rest/v1/timesheets?select=timesheet_id,booking_id,version,is_current,worked_start_iso,worked_end_iso,break_minutes`,
+    'booking_id', live.map(r => r.data.booking_id));
+  const currentIds = existing.filter(t => t.is_current).map(t => t.timesheet_id);
+  const locks = await sbFetchIn(env,
+    `${env.SUPABASE_URL}/rest/v1/timesheets_financials?is_current=eq.true&select=timesheet_id,locked_by_invoice_id,paid_at_utc`, 'timesheet_id', currentIds);
+  const locked = new Set(locks.filter(l => l.locked_by_invoice_id || l.paid_at_utc).map(l => l.timesheet_id));
+  const sameInstant = (a, b) => a && b && new Date(a).getTime() === new Date(b).getTime();
+
+  for (const r of live) {
+    const versions = existing.filter(t => t.booking_id === r.data.booking_id);
+    const current = versions.find(t => t.is_current);
+    r.data.version = versions.reduce((m, t) => Math.max(m, t.version || 0), 0) + 1;
+    r.supersedes_timesheet_id = null;
+    if (!current) { r.action = 'CREATE'; continue; }
+    if (sameInstant(current.worked_start_iso, r.data.worked_start_iso) && sameInstant(current.worked_end_iso, r.data.worked_end_iso)
+      && Number(current.break_minutes || 0) === r.data.break_minutes) {
+      r.action = 'UNCHANGED'; r.timesheet_id = current.timesheet_id; continue;
+    }
+    if (locked.has(current.timesheet_id)) { r.errors.push('EXISTING_TIMESHEET_INVOICED_OR_PAID'); continue; }
+    r.action = 'NEW_VERSION';
+    r.supersedes_timesheet_id = current.timesheet_id;
+  }
+}
+
+async function tsImportLoadTable(env, fileKey) {
+  const bytes = await r2GetBytes(env, fileKey);
+  if (!bytes) return { error: notFound('file_key not found in R2') };
+  if (bytes.length > tsImportMaxBytes(env)) return { error: tooLarge(`Max ${tsImportMaxBytes(env)} bytes`) };
+  const isZip = bytes[0] === 0x50 && bytes[1] === 0x4B && bytes[2] === 0x03 && bytes[3] === 0x04; // "PK\3\4"
+  try {
+    return { table: isZip ? await parseXlsxRows(bytes) : parseCsvRows(new TextDecoder().decode(bytes)) };
+  } catch (e) {
+    return { error: badRequest(`Could not read ${isZip ? 'XLSX' : 'CSV'}: ${e.message || e}`) };
+  }
+}
+
+// GET /api/timesheets/import/profiles
+async function handleTimesheetImportProfilesList(env, req) {
+  const user = await requireUser(env, req, ['timesheets:read']);
+  if (!user) return withCORS(env, req, unauthorized());
+  const { rows } = await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/${TS_IMPORT_PROFILES_TABLE}?select=*&order=name.asc`);
+  return withCORS(env, req, ok({ items: rows || [] }));
+}
 
+// POST /api/timesheets/import/profiles { id?, name, client_id?, columns, date_format?, defaults? }
+async function handleTimesheetImportProfileSave(env, req) {
+  const user = await requireUser(env, req, ['timesheets:write']);
+  if (!user) return withCORS(env, req, unauthorized());
   const body = await parseJSONBody(req);
-  if (!body) return withCORS(env, req, badRequest("Invalid JSON"));
+  if (!body) return withCORS(env, req, badRequest('Invalid JSON'));
+  const name = String(body.name || '').trim();
+  if (!name) return withCORS(env, req, badRequest('name required'));
+  const err = tsImportMappingError(body);
+  if (err) return withCORS(env, req, badRequest(err));
 
-  const required = [
-    "booking_id", "scheduled_start_iso", "scheduled_end_iso",
-    "worked_start_iso", "worked_end_iso",
-    "break_start_iso", "break_end_iso",
-    "auth_name", "auth_job_title", "nurse_key", "authoriser_key", "idempotency_key"
-  ];
-  for (const k of required) if (!body[k]) return withCORS(env, req, badRequest(`Missing ${k}`));
+  const row = {
+    name, client_id: body.client_id || null,
+    columns_json: body.columns, date_format: body.date_format || 'DMY', defaults_json: body.defaults || null,
+    updated_at: nowIso(), updated_by: user.email,
+  };
+  const url = body.id
+    ? `${env.SUPABASE_URL}/rest/v1/${TS_IMPORT_PROFILES_TABLE}?id=eq.${enc(body.id)}`
+    : `${env.SUPABASE_URL}/rest/v1/${TS_IMPORT_PROFILES_TABLE}`;
+  const { rows } = await sbFetch(env, url, {
+    method: body.id ? 'PATCH' : 'POST', headers: { Prefer: 'return=representation' },
+    body: JSON.stringify(body.id ? row : { ...row, created_at: nowIso(), created_by: user.email })
+  });
+  if (!rows?.[0]) return withCORS(env, req, notFound('Profile not found'));
+  await writeAudit(env, user, 'TIMESHEET_IMPORT_PROFILE_SAVED', { name, columns: body.columns }, { entity: 'timesheet_import_profile', subject_id: rows[0].id, req });
+  return withCORS(env, req, ok(rows[0]));
+}
 
-  if (!isEligibleWindow(body.worked_end_iso)) {
-    return withCORS(env, req, new Response(JSON.stringify({ error: "Shift not in eligible window (must be ongoing or ended â‰¤ 4h)", code: "INELIGIBLE" }), { status: 422, headers: JSON_HEADERS }));
+// POST /api/timesheets/import { file_key, original_name?, profile_id? | columns+date_format+defaults, client_id? }  – dry run
+async function handleTimesheetImport(env, req) {
+  const user = await requireUser(env, req, ['timesheets:write']);
+  if (!user) return withCORS(env, req, unauthorized());
+  const body = await parseJSONBody(req);
+  if (!body) return withCORS(env, req, badRequest('Invalid JSON'));
+  const fileKey = body.file_key ? normalizeKey(String(body.file_key)) : null;
+  if (!fileKey) return withCORS(env, req, badRequest('file_key required'));
+
+  let mapping, clientId = body.client_id || null;
+  if (body.profile_id) {
+    const prof = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/${TS_IMPORT_PROFILES_TABLE}?id=eq.${enc(body.profile_id)}&select=*`);
+    if (!prof) return withCORS(env, req, notFound('Mapping profile not found'));
+    mapping = { columns: prof.columns_json, date_format: prof.date_format || 'DMY', defaults: prof.defaults_json || null };
+    clientId = clientId || prof.client_id || null;
+  } else {
+    mapping = { columns: body.columns, date_format: body.date_format || 'DMY', defaults: body.defaults || null };
   }
+  const mapErr = tsImportMappingError(mapping);
+  if (mapErr) return withCORS(env, req, badRequest(mapErr));
 
-  const nurseHead = await r2Head(env, body.nurse_key);
-  const authHead  = await r2Head(env, body.authoriser_key);
-  if (!nurseHead || !authHead) return withCORS(env, req, badRequest("Signatures not uploaded"));
-
-  const worked_date_local = londonDate(body.worked_start_iso);
-  const week_ending_date = weekEndingSunday(worked_date_local);
-  const break_minutes = minutesBetween(body.break_start_iso, body.break_end_iso);
-  const worked_minutes = minutesBetween(body.worked_start_iso, body.worked_end_iso);
-  const break_expected = parseInt(env.BREAK_EXPECTED_MINUTES || "60", 10);
+  const loaded = await tsImportLoadTable(env, fileKey);
+  if (loaded.error) return withCORS(env, req, loaded.error);
+  if (loaded.table.length - 1 > tsImportMaxRows(env)) return withCORS(env, req, badRequest(`Max ${tsImportMaxRows(env)} rows per import`));
 
-  let version = parseInt(body.version || "0", 10);
-  if (!version || Number.isNaN(version)) {
-    const m = body.nurse_key.match(/\/v(\d+)\//) || body.authoriser_key.match(/\/v(\d+)\//);
-    version = m ? parseInt(m[1], 10) : 1;
-  }
+  let result;
+  try { result = await tsImportDryRun(env, loaded.table, mapping, clientId); }
+  catch (e) { return withCORS(env, req, badRequest(e.message || String(e))); }
 
-  const current = await sbGetTimesheetCurrent(env, body.booking_id);
-  if (current && current.is_current === true) {
-    const maxV = await sbMaxVersion(env, body.booking_id);
-    if (maxV >= 1) return withCORS(env, req, conflict("A current timesheet exists for this booking. Revoke before resubmitting."));
-  }
+  const { rows: ins } = await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/${TS_IMPORTS_TABLE}`, {
+    method: 'POST', headers: { Prefer: 'return=representation' },
+    body: JSON.stringify({
+      file_key: fileKey, original_name: body.original_name || fileKey.split('/').pop(),
+      profile_id: body.profile_id || null, client_id: clientId, mapping_json: mapping,
+      status: 'DRY_RUN', summary_json: result.summary,
+      created_at: nowIso(), created_by: user.email,
+    })
+  });
+  const imp = ins?.[0];
+  if (!imp) return withCORS(env, req, serverError('Import record create returned no id'));
+  await r2PutJSON(env, tsImportPreviewKey(imp.id), { headers: result.headers, rows: result.rows });
 
-  const row = {
-    booking_id: body.booking_id,
-    version,
-    is_current: true,
+  await writeAudit(env, user, 'TIMESHEET_IMPORT_DRY_RUN', { file_key: fileKey, summary: result.summary }, { entity: 'timesheet_import', subject_id: imp.id, req });
+  return withCORS(env, req, ok({ import_id: imp.id, status: imp.status, summary: result.summary, rows: result.rows.slice(0, 200) }));
+}
 
-    occupant_key_norm: (body.candidate_id || body.occupant_key || "").toLowerCase(),
-    hospital_norm: (body.hospital || "").toLowerCase(),
-    ward_norm: (body.ward || "").toLowerCase(),
-    job_title_norm: (body.job_title || "").toLowerCase(),
-    shift_label_norm: (body.shift_label || "").toLowerCase() || null,
+// GET /api/timesheets/import/:id?offset=&limit=
+async function handleTimesheetImportGet(env, req, importId) {
+  const user = await requireUser(env, req, ['timesheets:read']);
+  if (!user) return withCORS(env, req, unauthorized());
+  const imp = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/${TS_IMPORTS_TABLE}?id=eq.${enc(importId)}&select=*`);
+  if (!imp) return withCORS(env, req, notFound('Import not found'));
+  const preview = await r2GetJSON(env, tsImportPreviewKey(imp.id));
+  const url = new URL(req.url);
+  const offset = Math.max(parseInt(url.searchParams.get('offset') || '0', 10) || 0, 0);
+  const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit') || '200', 10) || 200, 1), 1000);
+  const all = preview?.rows || [];
+  return withCORS(env, req, ok({ ...imp, total: all.length, rows: all.slice(offset, offset + limit) }));
+}
 
-    scheduled_start_iso: body.scheduled_start_iso,
-    scheduled_end_iso: body.scheduled_end_iso,
-    worked_start_iso: body.worked_start_iso,
-    worked_end_iso: body.worked_end_iso,
-    break_start_iso: body.break_start_iso,
-    break_end_iso: body.break_end_iso,
-    break_minutes,
-    worked_minutes,
+// GET /api/timesheets/import/:id/errors  – failed rows as CSV (original columns + row number + error codes)
+async function handleTimesheetImportErrors(env, req, importId) {
+  const user = await requireUser(env, req, ['timesheets:read']);
+  if (!user) return withCORS(env, req, unauthorized());
+  const preview = await r2GetJSON(env, tsImportPreviewKey(importId));
+  if (!preview) return withCORS(env, req, notFound('Import not found'));
+  const failed = preview.rows.filter(r => r.errors?.length);
+  const lines = [csvJoin([...preview.headers, 'row', 'errors'])];
+  for (const r of failed) lines.push(csvJoin([...preview.headers.map(h => r.source?.[h] ?? ''), r.n, r.errors.join('; ')]));
+  return withCORS(env, req, ok({ csv: lines.join('\n'), count: failed.length }));
+}
 
-    week_ending_date,
+// POST /api/timesheets/import/:id/commit
+async function handleTimesheetImportCommit(env, req, importId) {
+  const user = await requireUser(env, req, ['timesheets:write']);
+  if (!user) return withCORS(env, req, unauthorized());
 
-    auth_name: body.auth_name,
-    auth_job_title: body.auth_job_title,
-    authorised_at_server: new Date().toISOString(),
+  // Claim the dry run (or a failed commit) so it can only be committed once at a time
+  const { rows: claimed } = await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/${TS_IMPORTS_TABLE}?id=eq.${enc(importId)}&status=in.(DRY_RUN,FAILED)`, {
+    method: 'PATCH', headers: { Prefer: 'return=representation' }, body: JSON.stringify({ status: 'COMMITTING', error: null })
+  });
+  const imp = claimed?.[0];
+  if (!imp) {
+    const exists = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/${TS_IMPORTS_TABLE}?id=eq.${enc(importId)}&select=status`);
+    return withCORS(env, req, exists ? conflict(`Import is ${exists.status}`) : notFound('Import not found'));
+  }
 
-    r2_nurse_key: body.nurse_key,
-    r2_auth_key: body.authoriser_key,
+  let preview = null;
+  let prior = new Map();
+  try {
+    preview = await r2GetJSON(env, tsImportPreviewKey(imp.id));
+    if (!preview) throw new Error('Import preview missing');
+    prior = new Map(preview.rows.map(r => [r.n, { errors: [...(r.errors || [])], action: r.action, version: r.data?.version }]));
+
+    // Re-plan against the bookings as they are now; anything that moved since the dry run is reported, not overwritten.
+    // Rows an earlier attempt already created are done.
+    const todo = preview.rows.filter(r => !r.errors?.length && r.action !== 'UNCHANGED' && !r.timesheet_id);
+    const planned = new Map(todo.map(r => [r.n, { action: r.action, version: r.data.version }]));
+    await tsImportPlanVersions(env, todo);
+    for (const r of todo) {
+      const was = planned.get(r.n);
+      if (!r.errors.length && r.action !== 'UNCHANGED' && (r.action !== was.action || r.data.version !== was.version)) r.errors.push('CHANGED_SINCE_PREVIEW');
+    }
+
+    const at = nowIso();
+    const ready = todo.filter(r => !r.errors.length && r.action !== 'UNCHANGED');
+    const supersededAll = [];
+    for (let i = 0; i < ready.length; i += TS_IMPORT_BATCH) {
+      const batch = ready.slice(i, i + TS_IMPORT_BATCH);
+      const superseded = [];
+      let made = [];
+      try {
+        for (const r of batch.filter(x => x.supersedes_timesheet_id)) {
+          await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/timesheets?timesheet_id=eq.${enc(r.supersedes_timesheet_id)}&is_current=eq.true`, {
+            method: 'PATCH', headers: { Prefer: 'return=minimal' },
+            body: JSON.stringify({ is_current: false, status: 'REVOKED', revoked_at: at, revoked_reason: `Superseded by timesheet import ${imp.id}`, revoked_by: user.email, updated_at: at })
+          });
+          superseded.push(r.supersedes_timesheet_id);
+        }
+        const { rows: inserted } = await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/timesheets`, {
+          method: 'POST', headers: { Prefer: 'return=representation' },
+          body: JSON.stringify(batch.map(r => ({
+            ...r.data, is_current: true, status: 'SUBMITTED',
+            auth_name: r.data.auth_name || 'Imported timesheet',
+            authorised_at_server: at, authorisation_mode: 'IMPORT',
+            authorisation_evidence: { method: 'IMPORT', import_id: imp.id, file_key: imp.file_key, row: r.n, imported_by: user.email, imported_at: at },
+            idempotency_key: `import:${imp.id}:${r.n}`, client_ua: 'timesheet-import',
+            created_at: at, updated_at: at,
+          })))
+        });
+        made = inserted || [];
+        const idByBooking = Object.fromEntries(made.map(t => [t.booking_id, t.timesheet_id]));
+        for (const r of batch) r.timesheet_id = idByBooking[r.data.booking_id] || null;
+        await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/ts_financials_outbox?on_conflict=timesheet_id,reason`, {
+          method: 'POST', headers: { Prefer: 'resolution=merge-duplicates,return=minimal' },
+          body: JSON.stringify(made.map(t => ({
+            id: crypto.randomUUID(), timesheet_id: t.timesheet_id, reason: 'MANUAL',
+            attempt_count: 0, next_attempt_at: at, last_error: null, created_at: at,
+          })))
+        });
+        supersededAll.push(...superseded);
+      } catch (e) {
+        // Undo the batch so every booking keeps exactly one current timesheet: drop the versions it
+        // inserted, then put the superseded ones back. If the drop fails the new versions stay current
+        // (count as created, queued for TSFIN one by one) rather than sitting beside the restored ones.
+        let undone = true;
+        if (made.length) {
+          undone = await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/timesheets?timesheet_id=in.(${made.map(t => enc(t.timesheet_id)).join(',')})`, {
+            method: 'DELETE', headers: { Prefer: 'return=minimal' }
+          }).then(() => true, () => false);
+          if (undone) for (const r of batch) r.timesheet_id = null;
+          else for (const t of made) await enqueueManualTsfinRecalc(env, t.timesheet_id).catch(() => {});
+        }
+        if (!undone) supersededAll.push(...superseded);
+        else {
+          for (const tsid of superseded) {
+            await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/timesheets?timesheet_id=eq.${enc(tsid)}`, {
+              method: 'PATCH', headers: { Prefer: 'return=minimal' },
+              body: JSON.stringify({ is_current: true, status: 'SUBMITTED', revoked_at: null, revoked_reason: null, revoked_by: null, updated_at: nowIso() })
+            }).catch(() => {});
+          }
+        }
+        for (const r of batch) if (!r.timesheet_id) r.errors.push(`INSERT_FAILED: ${String(e.message || e).slice(0, 200)}`);
+      }
+    }
+    await rerunOvertimeForTimesheets(env, supersededAll).catch(() => {});
 
-    status: "SUBMITTED",
-    idempotency_key: body.idempotency_key,
-    client_hash: body.client_hash || null,
-    client_ua: body.client_user_agent || req.headers.get("user-agent") || "",
-  };
+    const summary = { rows: preview.rows.length, created: 0, new_versions: 0, unchanged: 0, errors: 0 };
+    for (const r of preview.rows) {
+      if (r.errors?.length) { r.action = null; summary.errors++; }
+      else if (r.action === 'CREATE') summary.created++;
+      else if (r.action === 'NEW_VERSION') summary.new_versions++;
+      else summary.unchanged++;
+    }
+    await r2PutJSON(env, tsImportPreviewKey(imp.id), preview);
+    await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/${TS_IMPORTS_TABLE}?id=eq.${enc(imp.id)}`, {
+      method: 'PATCH', headers: { Prefer: 'return=minimal' },
+      body: JSON.stringify({ status: 'COMMITTED', summary_json: summary, committed_at: nowIso(), committed_by: user.email })
+    });
 
-  let ts;
-  try {
-    ts = await sbUpsertTimesheet(env, row);
+    await writeAudit(env, user, 'TIMESHEETS_IMPORTED', { file_key: imp.file_key, summary }, { entity: 'timesheet_import', subject_id: imp.id, req });
+    return withCORS(env, req, ok({ import_id: imp.id, status: 'COMMITTED', summary }));
   } catch (e) {
-    return withCORS(env, req, serverError(`DB upsert failed: ${e.message}`));
+    // Keep what was created (timesheet_id per row) but not this attempt's re-plan or row errors, so a
+    // retry checks the rest against the dry run again
+    const error = String(e?.message || e).slice(0, 1000);
+    const created = preview ? preview.rows.filter(r => r.timesheet_id).length : 0;
+    if (preview) {
+      for (const r of preview.rows) {
+        const was = prior.get(r.n);
+        if (!was || r.timesheet_id) continue;
+        r.errors = was.errors;
+        r.action = was.action;
+        if (r.data) r.data.version = was.version;
+      }
+      await r2PutJSON(env, tsImportPreviewKey(imp.id), preview).catch(() => {});
+    }
+    await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/${TS_IMPORTS_TABLE}?id=eq.${enc(imp.id)}`, {
+      method: 'PATCH', headers: { Prefer: 'return=minimal' },
+      body: JSON.stringify({ status: 'FAILED', error, summary_json: { ...(imp.summary_json || {}), rows_created_before_failure: created } })
+    }).catch(() => {});
+    await writeAudit(env, user, 'TIMESHEET_IMPORT_FAILED', { file_key: imp.file_key, error, rows_created: created }, { entity: 'timesheet_import', subject_id: imp.id, req });
+    return withCORS(env, req, serverError(`Import commit failed: ${error}`));
   }
-
-  const ts_id = ts?.timesheet_id || null;
-  return withCORS(env, req, ok({ ok: true, timesheet_id: ts_id, status: "SUBMITTED", break_ok: break_minutes === break_expected, version }));
 }
 
 // ---------------------- Revoke flows ----------------------
@@ -8400,6 +12374,7 @@ async function handleRevoke(env, req) {
   }
   const json = await res.json().catch(() => []);
   const revoked = Array.isArray(json) ? json[0] : json;
+  await rerunOvertimeForTimesheets(env, [revoked?.timesheet_id]).catch(() => {});
 
   const next_version = (await sbMaxVersion(env, booking_id)) + 1;
   return ok({ ok: true, booking_id, current_revoked: true, timesheet_id: revoked?.timesheet_id || null, next_version });
@@ -8422,6 +12397,7 @@ async function handleRevokeAndPresign(env, req) {
     const t = await res.text().catch(() => "");
     return withCORS(env, req, serverError(`Revoke failed: ${res.status} ${t}`));
   }
+  await rerunOvertimeForTimesheets(env, [current.timesheet_id]).catch(() => {});
 
   const next_version = (await sbMaxVersion(env, booking_id)) + 1;
   const week_ending_date = current.week_ending_date;
@@ -8432,7 +12408,7 @@ async function handleRevokeAndPresign(env, req) {
   const maxBytes = parseInt(env.UPLOAD_MAX_BYTES || "300000", 10);
   const expiresSec = parseInt(env.PRESIGN_EXPIRES_SECONDS || "600", 10);
   const exp = Math.floor(Date.now() / 1000) + expiresSec;
-  const secret = env.UPLOAD_TOKEN_SECRET;
+  const secret = uploadKeyring(env);
   const nurseToken = await createToken(secret, { typ: "upload", booking_id, version: next_version, role: "nurse", key: nurseKey, exp });
   const authToken  = await createToken(secret, { typ: "upload", booking_id, version: next_version, role: "authoriser", key: authKey, exp });
 
@@ -8484,7 +12460,7 @@ async function handleGetOne(env, req, booking_id, url) {
 // ─────────────────────────────────────────────────────────────────────────────
 async function handleList(env, req, url) {
   // Admin-only (exposes keys/URLs when requested)
-  const user = await requireUser(env, req, ["admin"]);
+  const user = await requireUser(env, req, ['timesheets:read']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const q = Object.fromEntries(url.searchParams.entries());
@@ -8500,7 +12476,7 @@ async function handleList(env, req, url) {
   const expReq = parseInt(q.sign_expires_seconds || "180", 10);
   const sign_exp = Math.max(60, Math.min(Number.isFinite(expReq) ? expReq : 180, 900));
 
-  const secret = env.UPLOAD_TOKEN_SECRET;
+  const secret = uploadKeyring(env);
   if (!secret && include.has("sign_urls")) {
     return withCORS(env, req, serverError("UPLOAD_TOKEN_SECRET not configured"));
   }
@@ -8593,7 +12569,7 @@ async function handleSignPresignGet(env, req) {
 
   const exp = Math.min(parseInt(expires_seconds, 10) || 180, 900);
   const tokenExp = Math.floor(Date.now() / 1000) + exp;
-  const secret = env.UPLOAD_TOKEN_SECRET;
+  const secret = uploadKeyring(env);
   const token = await createToken(secret, { typ: "dl", booking_id, role: which, key, exp: tokenExp });
 
   const u = new URL(req.url);
@@ -8611,7 +12587,7 @@ async function handleSignPresignGetBatch(env, req) {
   if (!body || !Array.isArray(body.items) || !body.items.length) return badRequest("items array required");
   const items = body.items.slice(0, 100);
   const exp = Math.min(parseInt(body.expires_seconds || "300", 10) || 300, 900);
-  const secret = env.UPLOAD_TOKEN_SECRET;
+  const secret = uploadKeyring(env);
 
   const out = [];
   const not_found = [];
@@ -8649,7 +12625,7 @@ async function handleSignGet(env, req, url) {
   const booking_id = url.searchParams.get("booking_id") || "";
   const role = url.searchParams.get("role") || "";
   const token = url.searchParams.get("token") || "";
-  const secret = env.UPLOAD_TOKEN_SECRET;
+  const secret = uploadKeyring(env);
   const ver = await verifyToken(secret, token);
   if (!ver.ok) return unauthorized("Invalid token");
   const p = ver.payload;
@@ -8698,7 +12674,7 @@ async function handleSignGet(env, req, url) {
 // SETTINGS (surface/save bank + VAT reg no.)
 // -------------------------------------------
 async function handleGetSettings(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['settings:read']);
   if (!user) return unauthorized('Unauthorized');
 
   try {
@@ -8724,7 +12700,7 @@ async function handleGetSettings(env, req) {
   }
 }
 async function handleUpdateSettings(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['settings:write']);
   if (!user) return unauthorized('Unauthorized');
 
   const data = await parseJSONBody(req);
@@ -8733,14 +12709,20 @@ async function handleUpdateSettings(env, req) {
   // Allow new validation flags
   const allowed = [
     'timezone_id','day_start','day_end','night_start','night_end',
-    'bh_source','bh_list','bh_feed_url',
+    'bh_source','bh_region','bh_list','bh_feed_url','custom_buckets_json','overtime_rules_json',
+    'rounding_mode','rounding_increment_minutes','min_paid_hours','callout_min_hours',
     'vat_rate_pct','holiday_pay_pct','erni_pct','apply_holiday_to','apply_erni_to','margin_includes','effective_from',
     'bank_name','bank_sort_code','bank_account_number','vat_registration_number',
     // NEW
-    'hr_validation_required','ts_reference_required'
+    'hr_validation_required','ts_reference_required',
+    ...SUBMISSION_WINDOW_KEYS
   ];
   const payload = { updated_at: new Date().toISOString() };
   for (const k of allowed) if (k in data) payload[k] = data[k];
+  const windowErr = submissionWindowInputError(payload) || bankHolidayInputError(payload)
+    || customBucketsInputError(payload.custom_buckets_json) || overtimeRulesInputError(payload.overtime_rules_json)
+    || roundingInputError(payload);
+  if (windowErr) return withCORS(env, req, badRequest(windowErr));
 
   try {
     const res = await fetch(`${env.SUPABASE_URL}/rest/v1/settings_defaults?id=eq.1`, {
@@ -8761,6 +12743,76 @@ async function handleUpdateSettings(env, req) {
   }
 }
 
+// -------------------------------------------
+// BANK HOLIDAYS (preview calendar / upload ICS feed)
+// -------------------------------------------
+// GET ?year=YYYY[&client_id=…|&region=…] → the calendar a policy would use for that year.
+async function handleGetBankHolidays(env, req, url) {
+  const user = await requireUser(env, req, ['settings:read']);
+  if (!user) return withCORS(env, req, unauthorized());
+
+  const year = parseInt(url.searchParams.get('year') || londonDate(new Date()).slice(0, 4), 10);
+  if (!Number.isInteger(year) || year < 1970 || year > 2100) return withCORS(env, req, badRequest('year must be YYYY'));
+  const clientId = url.searchParams.get('client_id');
+  const region = (url.searchParams.get('region') || '').toUpperCase();
+  if (region && !BH_REGIONS.includes(region)) return withCORS(env, req, badRequest(`region must be one of ${BH_REGIONS.join(', ')}`));
+
+  try {
+    const cols = 'bh_source,bh_region,bh_list,bh_feed_url';
+    let spec;
+    if (region) {
+      spec = { source: 'COMPUTED', region, feed_url: null, list: [] };
+    } else {
+      const def = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/settings_defaults?id=eq.1&select=${cols}`);
+      const cs = clientId
+        ? await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/client_settings?client_id=eq.${enc(clientId)}&select=${cols}&order=effective_from.desc,created_at.desc&limit=1`)
+        : null;
+      spec = bankHolidaySpec(cs, def);
+    }
+    const holidays = await resolveBankHolidays(env, spec, [year]);
+    return withCORS(env, req, ok({
+      year, source: spec.source, region: spec.region, bh_feed_url: spec.feed_url,
+      holidays: holidays.filter(h => h.date.startsWith(`${year}-`)),
+    }));
+  } catch (e) {
+    return withCORS(env, req, serverError(e.message || 'Failed to resolve bank holidays'));
+  }
+}
+
+// Stores an ICS calendar (text/calendar body, or multipart field "file") in R2 and returns its key;
+// set bh_source FEED + bh_feed_url to that key on the defaults or a client to use it.
+async function handleUploadBankHolidayFeed(env, req) {
+  const user = await requireUser(env, req, ['settings:write']);
+  if (!user) return withCORS(env, req, unauthorized());
+
+  const maxBytes = 1000000;
+  const contentLength = parseInt(req.headers.get('content-length') || '0', 10);
+  if (contentLength > maxBytes) return withCORS(env, req, tooLarge(`Max ${maxBytes} bytes`));
+
+  let text;
+  if (/^multipart\/form-data/i.test(req.headers.get('content-type') || '')) {
+    let form;
+    try { form = await req.formData(); } catch { return withCORS(env, req, badRequest('Invalid multipart body')); }
+    const f = form.get('file');
+    if (!f || typeof f.text !== 'function') return withCORS(env, req, badRequest('ICS file required (field "file")'));
+    if (f.size > maxBytes) return withCORS(env, req, tooLarge(`Max ${maxBytes} bytes`));
+    text = await f.text();
+  } else {
+    text = await req.text();
+    if (text.length > maxBytes) return withCORS(env, req, tooLarge(`Max ${maxBytes} bytes`));
+  }
+  if (!/BEGIN:VCALENDAR/.test(text)) return withCORS(env, req, unsupported('Not an ICS calendar'));
+  const holidays = parseIcsHolidays(text);
+  if (!holidays.length) return withCORS(env, req, badRequest('No dated events found in the calendar'));
+
+  const key = `bank-holidays/feeds/${new Date().toISOString().slice(0, 10)}-${crypto.randomUUID()}.ics`;
+  await r2Put(env, key, text, { httpMetadata: { contentType: 'text/calendar' } });
+  const years = [...new Set(holidays.map(h => h.date.slice(0, 4)))];
+
+  await writeAudit(env, user, 'BANK_HOLIDAY_FEED_UPLOADED', { bh_feed_url: key, count: holidays.length, years }, { entity: 'settings', req });
+  return withCORS(env, req, ok({ bh_feed_url: key, count: holidays.length, years, holidays }));
+}
+
 // ====================== CLIENTS ======================
 /**
  * @openapi
@@ -8798,7 +12850,7 @@ async function handleUpdateSettings(env, req) {
  *         description: Created client
  */
 async function handleListClients(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['clients:read']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const params = new URL(req.url).searchParams;
@@ -8883,7 +12935,7 @@ async function handleListClients(env, req) {
  */
 
 export async function handleCandidateOverrideOverlapExists(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['rates:read']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const urlObj   = new URL(req.url);
@@ -8938,7 +12990,7 @@ export async function handleCandidateOverrideOverlapExists(env, req) {
 }
 
 async function handleCreateClient(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['clients:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const data = await parseJSONBody(req);
@@ -8954,9 +13006,22 @@ async function handleCreateClient(env, req) {
       pay_reference_required,
       invoice_reference_required,
       default_submission_mode,
+      submission_window_before_end_hours,
+      submission_window_after_end_hours,
+      bh_source,
+      bh_region,
       ...clientOnly
     } = data || {};
 
+    const windowInput = { ...(typeof clientSettingsInput === 'object' ? clientSettingsInput : {}) };
+    for (const k of SUBMISSION_WINDOW_KEYS) if (k in data) windowInput[k] = data[k];
+    if ('bh_source' in data) windowInput.bh_source = bh_source;
+    if ('bh_region' in data) windowInput.bh_region = bh_region;
+    const windowErr = submissionWindowInputError(windowInput) || bankHolidayInputError(windowInput)
+      || customBucketsInputError(windowInput.custom_buckets_json) || overtimeRulesInputError(windowInput.overtime_rules_json)
+      || roundingInputError(windowInput) || authoriserDomainsInputError(windowInput);
+    if (windowErr) return withCORS(env, req, badRequest(windowErr));
+
     const clientRes = await fetch(`${env.SUPABASE_URL}/rest/v1/clients`, {
       method: "POST",
       headers: { ...sbHeaders(env), "Prefer": "return=representation" },
@@ -8978,6 +13043,7 @@ async function handleCreateClient(env, req) {
     if ('pay_reference_required' in data)       csInput.pay_reference_required       = !!pay_reference_required;
     if ('invoice_reference_required' in data)   csInput.invoice_reference_required   = !!invoice_reference_required;
     if ('default_submission_mode' in data)      csInput.default_submission_mode      = default_submission_mode;
+    for (const k of [...SUBMISSION_WINDOW_KEYS, 'bh_source', 'bh_region']) if (k in windowInput) csInput[k] = windowInput[k];
 
     // Week ending day (0..6, default 0/Sun)
     const we = Number(csInput.week_ending_weekday);
@@ -9033,7 +13099,7 @@ async function handleCreateClient(env, req) {
  *       - bearerAuth: []
  */
 async function handleGetClient(env, req, clientId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['clients:read']);
   if (!user) return withCORS(env, req, unauthorized());
 
   try {
@@ -9051,7 +13117,8 @@ async function handleGetClient(env, req, clientId) {
       `${env.SUPABASE_URL}/rest/v1/client_settings` +
       `?client_id=eq.${encodeURIComponent(clientId)}` +
       `&select=id,client_id,vat_rate_pct,holiday_pay_pct,erni_pct,apply_holiday_to,apply_erni_to,margin_includes,effective_from,` +
-      `timezone_id,day_start,day_end,night_start,night_end,bh_source,bh_list,bh_feed_url,` +
+      `timezone_id,day_start,day_end,night_start,night_end,bh_source,bh_region,bh_list,bh_feed_url,custom_buckets_json,overtime_rules_json,` +
+      `rounding_mode,rounding_increment_minutes,min_paid_hours,callout_min_hours,authoriser_email_domains,` +
       `hr_validation_required,ts_reference_required,pay_reference_required,invoice_reference_required,default_submission_mode,week_ending_weekday,created_at,updated_at` +
       `&order=effective_from.desc,created_at.desc&limit=1`
     );
@@ -9071,7 +13138,7 @@ async function handleGetClient(env, req, clientId) {
 // UPDATE CLIENT (mark stale/enqueue on policy change)
 // --------------------------------------------------
 async function handleUpdateClient(env, req, clientId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['clients:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const raw = await parseJSONBody(req);
@@ -9095,7 +13162,7 @@ async function handleUpdateClient(env, req, clientId) {
       env,
       `${env.SUPABASE_URL}/rest/v1/client_settings` +
       `?client_id=eq.${encodeURIComponent(clientId)}` +
-      `&select=id,hr_validation_required,ts_reference_required,pay_reference_required,invoice_reference_required,default_submission_mode,effective_from,timezone_id,day_start,day_end,night_start,night_end,bh_source,bh_list,bh_feed_url,week_ending_weekday,created_at,updated_at` +
+      `&select=id,hr_validation_required,ts_reference_required,pay_reference_required,invoice_reference_required,default_submission_mode,submission_window_before_end_hours,submission_window_after_end_hours,effective_from,timezone_id,day_start,day_end,night_start,night_end,bh_source,bh_region,bh_list,bh_feed_url,custom_buckets_json,overtime_rules_json,rounding_mode,rounding_increment_minutes,min_paid_hours,callout_min_hours,authoriser_email_domains,week_ending_weekday,created_at,updated_at` +
       `&order=effective_from.desc,created_at.desc&limit=1`
     );
     const beforeCs = beforeCsRows?.[0] || null;
@@ -9109,6 +13176,13 @@ async function handleUpdateClient(env, req, clientId) {
     if ('pay_reference_required' in data)       csInput.pay_reference_required       = !!data.pay_reference_required;
     if ('invoice_reference_required' in data)   csInput.invoice_reference_required   = !!data.invoice_reference_required;
     if ('default_submission_mode' in data)      csInput.default_submission_mode      = data.default_submission_mode;
+    for (const k of SUBMISSION_WINDOW_KEYS) if (k in data) csInput[k] = data[k];
+    if ('bh_source' in data) csInput.bh_source = data.bh_source;
+    if ('bh_region' in data) csInput.bh_region = data.bh_region;
+    const windowErr = submissionWindowInputError(csInput) || bankHolidayInputError(csInput)
+      || customBucketsInputError(csInput.custom_buckets_json) || overtimeRulesInputError(csInput.overtime_rules_json)
+      || roundingInputError(csInput) || authoriserDomainsInputError(csInput);
+    if (windowErr) return withCORS(env, req, badRequest(windowErr));
 
     // Accept top-level week_ending_weekday or inside client_settings; validate 0..6 (default 0 if provided but invalid)
     const weIn = (data.week_ending_weekday ?? csInput.week_ending_weekday);
@@ -9133,6 +13207,10 @@ async function handleUpdateClient(env, req, clientId) {
       default_submission_mode,
       client_settings,
       week_ending_weekday,
+      submission_window_before_end_hours,
+      submission_window_after_end_hours,
+      bh_source,
+      bh_region,
       ...clientPatchRaw
     } = data;
 
@@ -9190,11 +13268,18 @@ async function handleUpdateClient(env, req, clientId) {
       const nextPayRef    = !!(desired.pay_reference_required          ?? false);
       const nextInvRef    = !!(desired.invoice_reference_required      ?? false);
 
+      // Bank holiday calendar, custom buckets, overtime and rounding/minimum rules change what hours earn,
+      // so they re-price open timesheets too
+      const bhChanged = ['bh_source', 'bh_region', 'bh_list', 'bh_feed_url', 'custom_buckets_json', 'overtime_rules_json',
+        'rounding_mode', 'rounding_increment_minutes', 'min_paid_hours', 'callout_min_hours']
+        .some(k => k in csInput && JSON.stringify(csInput[k] ?? null) !== JSON.stringify(beforeCs?.[k] ?? null));
+
       csChanged = (
         beforeHr     !== nextHr     ||
         beforeRef    !== nextRef    ||
         beforePayRef !== nextPayRef ||
-        beforeInvRef !== nextInvRef
+        beforeInvRef !== nextInvRef ||
+        bhChanged
       );
       // week_ending_weekday and default_submission_mode do not affect TS financial staleness directly.
 
@@ -9316,7 +13401,7 @@ async function handleUpdateClient(env, req, clientId) {
  *       - bearerAuth: []
  */
 async function handleListHospitals(env, req, clientId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['clients:read']);
   if (!user) return unauthorized();
 
   try {
@@ -9331,7 +13416,7 @@ async function handleListHospitals(env, req, clientId) {
 }
 
 async function handleCreateHospital(env, req, clientId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['clients:write']);
   if (!user) return unauthorized();
 
   const data = await parseJSONBody(req);
@@ -9361,7 +13446,7 @@ async function handleCreateHospital(env, req, clientId) {
 }
 
 async function handleGetHospital(env, req, clientId, hospitalId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['clients:read']);
   if (!user) return unauthorized();
 
   try {
@@ -9376,7 +13461,7 @@ async function handleGetHospital(env, req, clientId, hospitalId) {
   }
 }
 export async function handleCandidatesGet(env, req, candidateId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['candidates:read']);
   if (!user) return withCORS(env, req, unauthorized());
   if (!candidateId) return withCORS(env, req, badRequest('candidate_id required'));
 
@@ -9386,10 +13471,10 @@ export async function handleCandidatesGet(env, req, candidateId) {
   );
   const row = (rows && rows[0]) || null;
   if (!row) return withCORS(env, req, notFound('Candidate not found'));
-  return withCORS(env, req, ok(row));
+  return withCORS(env, req, ok(maskBankRow('candidates', row)));
 }
 export async function handleClientsGet(env, req, clientId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['clients:read']);
   if (!user) return withCORS(env, req, unauthorized());
   if (!clientId) return withCORS(env, req, badRequest('client_id required'));
 
@@ -9405,7 +13490,7 @@ export async function handleClientsGet(env, req, clientId) {
     env,
     `${env.SUPABASE_URL}/rest/v1/client_settings` +
       `?client_id=eq.${enc(client.id)}` +
-      `&select=id,hr_validation_required,ts_reference_required,pay_reference_required,invoice_reference_required,default_submission_mode,effective_from,timezone_id,day_start,day_end,night_start,night_end,bh_source,bh_list,bh_feed_url,week_ending_weekday,created_at,updated_at` +
+      `&select=id,hr_validation_required,ts_reference_required,pay_reference_required,invoice_reference_required,default_submission_mode,submission_window_before_end_hours,submission_window_after_end_hours,effective_from,timezone_id,day_start,day_end,night_start,night_end,bh_source,bh_region,bh_list,bh_feed_url,custom_buckets_json,overtime_rules_json,rounding_mode,rounding_increment_minutes,min_paid_hours,callout_min_hours,authoriser_email_domains,week_ending_weekday,created_at,updated_at` +
       `&order=effective_from.desc,created_at.desc&limit=1`
   );
   const client_settings = (csRows && csRows[0]) || null;
@@ -9420,7 +13505,7 @@ export async function handleClientsGet(env, req, clientId) {
 
 
 async function handleUpdateHospital(env, req, clientId, hospitalId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['clients:write']);
   if (!user) return unauthorized();
 
   const data = await parseJSONBody(req);
@@ -9477,7 +13562,7 @@ async function handleUpdateHospital(env, req, clientId, hospitalId) {
 
 
 async function handleDeleteHospital(env, req, clientId, hospitalId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['clients:write']);
   if (!user) return unauthorized();
 
   try {
@@ -9535,7 +13620,7 @@ async function handleDeleteHospital(env, req, clientId, hospitalId) {
  */
 
 export async function handleListUmbrellas(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['umbrellas:read']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const params = new URL(req.url).searchParams;
@@ -9560,7 +13645,8 @@ export async function handleListUmbrellas(env, req) {
 
   try {
     const { rows, total } = await sbFetch(env, url.toString(), includeCount);
-    const resp = includeCount ? { items: rows, count: total ?? undefined } : { items: rows };
+    const items = (rows || []).map(r => maskBankRow('umbrellas', r));
+    const resp = includeCount ? { items, count: total ?? undefined } : { items };
     return withCORS(env, req, ok(resp));
   } catch {
     return withCORS(env, req, serverError('Failed to list umbrellas'));
@@ -9570,31 +13656,32 @@ export async function handleListUmbrellas(env, req) {
 
 
 async function handleCreateUmbrella(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['umbrellas:write']);
   if (!user) return unauthorized();
 
   const data = await parseJSONBody(req);
   if (!data) return withCORS(env, req, badRequest("Invalid JSON"));
 
   try {
+    const { patch } = await sealBankPatch(env, 'umbrellas', null, data);
     const res = await fetch(`${env.SUPABASE_URL}/rest/v1/umbrellas`, {
       method: "POST",
       headers: { ...sbHeaders(env), "Prefer": "return=representation" },
-      body: JSON.stringify({ ...data, created_at: new Date().toISOString() })
+      body: JSON.stringify({ ...patch, created_at: new Date().toISOString() })
     });
     if (!res.ok) {
       const err = await res.text();
       return withCORS(env, req, badRequest(`Umbrella creation failed: ${err}`));
     }
     const json = await res.json().catch(() => ({}));
-    const umbrella = Array.isArray(json) ? json[0] : json;
+    const umbrella = maskBankRow('umbrellas', Array.isArray(json) ? json[0] : json);
     return withCORS(env, req, ok({ umbrella }));
   } catch {
     return withCORS(env, req, serverError("Failed to create umbrella"));
   }
 }
 async function handleGetUmbrella(env, req, umbrellaId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['umbrellas:read']);
   if (!user) return unauthorized();
 
   try {
@@ -9603,14 +13690,14 @@ async function handleGetUmbrella(env, req, umbrellaId) {
       `${env.SUPABASE_URL}/rest/v1/umbrellas?id=eq.${encodeURIComponent(umbrellaId)}&select=*`
     );
     if (!rows.length) return withCORS(env, req, notFound("Umbrella not found"));
-    return withCORS(env, req, ok({ umbrella: rows[0] }));
+    return withCORS(env, req, ok({ umbrella: maskBankRow('umbrellas', rows[0]) }));
   } catch {
     return withCORS(env, req, serverError("Failed to fetch umbrella"));
   }
 }
 
 async function handleUpdateUmbrella(env, req, umbrellaId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['umbrellas:write']);
   if (!user) return unauthorized();
 
   const data = await parseJSONBody(req);
@@ -9624,23 +13711,24 @@ async function handleUpdateUmbrella(env, req, umbrellaId) {
     );
     const before = beforeRows?.[0] || {};
 
-    // 2) Update
+    // 2) Update (bank fields are encrypted; the row keeps their masks)
+    const sealed = await sealBankPatch(env, 'umbrellas', umbrellaId, data);
     const url = `${env.SUPABASE_URL}/rest/v1/umbrellas?id=eq.${encodeURIComponent(umbrellaId)}`;
     const res = await fetch(url, {
       method: "PATCH",
       headers: { ...sbHeaders(env), "Prefer": "return=representation" },
-      body: JSON.stringify({ ...data, updated_at: new Date().toISOString() })
+      body: JSON.stringify({ ...sealed.patch, updated_at: new Date().toISOString() })
     });
     if (!res.ok) {
       const err = await res.text();
       return withCORS(env, req, badRequest(`Umbrella update failed: ${err}`));
     }
     const json = await res.json().catch(() => ({}));
-    const umbrella = Array.isArray(json) ? json[0] : json;
+    const umbrella = maskBankRow('umbrellas', Array.isArray(json) ? json[0] : json);
 
-    // 3) Detect pay-channel impacting changes
-    const watched = ['name','bank_name','sort_code','account_number'];
-    const changed = watched.some(k => umbrella?.[k] !== before?.[k]);
+    // 3) Detect pay-channel impacting changes (masks can't show a changed account, so use sealed.changed)
+    const watched = ['name','bank_name'];
+    const changed = watched.some(k => umbrella?.[k] !== before?.[k]) || sealed.changed.length > 0;
 
     if (changed) {
       // Enqueue recompute for all candidates on this umbrella (current & unlocked TSFIN only)
@@ -9821,7 +13909,7 @@ async function handleUpdateUmbrella(env, req, umbrellaId) {
 // Add pass-through support for PostgREST 'id=in.(...)' filter
 // ======================================
 export async function handleSearchCandidates(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['reports:read']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const urlObj = new URL(req.url);
@@ -9952,7 +14040,7 @@ export async function handleSearchCandidates(env, req) {
 }
 
 export async function handleListCandidates(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['candidates:read']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const params = new URL(req.url).searchParams;
@@ -9977,7 +14065,8 @@ export async function handleListCandidates(env, req) {
 
   try {
     const { rows, total } = await sbFetch(env, url.toString(), includeCount);
-    const resp = includeCount ? { items: rows, count: total ?? undefined } : { items: rows };
+    const items = (rows || []).map(r => maskBankRow('candidates', r));
+    const resp = includeCount ? { items, count: total ?? undefined } : { items };
     return withCORS(env, req, ok(resp));
   } catch {
     return withCORS(env, req, serverError('Failed to list candidates'));
@@ -9987,7 +14076,7 @@ export async function handleListCandidates(env, req) {
 
 // ================== BROKER: handleCreateCandidate (UPDATED to strip CCR fields) ==================
 export async function handleCreateCandidate(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['candidates:write']);
   if (!user) return unauthorized();
 
   const dataRaw = await parseJSONBody(req);
@@ -9997,17 +14086,18 @@ export async function handleCreateCandidate(env, req) {
   const { tms_ref, ccr_num, ...data } = dataRaw;
 
   try {
+    const { patch } = await sealBankPatch(env, 'candidates', null, data);
     const res = await fetch(`${env.SUPABASE_URL}/rest/v1/candidates`, {
       method: "POST",
       headers: { ...sbHeaders(env), "Prefer": "return=representation" },
-      body: JSON.stringify({ ...data, created_at: new Date().toISOString() })
+      body: JSON.stringify({ ...patch, created_at: new Date().toISOString() })
     });
     if (!res.ok) {
       const err = await res.text();
       return withCORS(env, req, badRequest(`Candidate creation failed: ${err}`));
     }
     const json = await res.json().catch(() => ({}));
-    const candidate = Array.isArray(json) ? json[0] : json;
+    const candidate = maskBankRow('candidates', Array.isArray(json) ? json[0] : json);
     return withCORS(env, req, ok({ candidate }));
   } catch {
     return withCORS(env, req, serverError("Failed to create candidate"));
@@ -10015,7 +14105,7 @@ export async function handleCreateCandidate(env, req) {
 }
 
 export async function handleGetCandidate(env, req, candidateId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['candidates:read']);
   if (!user) return unauthorized();
 
   try {
@@ -10025,7 +14115,7 @@ export async function handleGetCandidate(env, req, candidateId) {
       `${env.SUPABASE_URL}/rest/v1/candidates?id=eq.${encodeURIComponent(candidateId)}&select=*`
     );
     if (!rows.length) return withCORS(env, req, notFound("Candidate not found"));
-    const candidate = rows[0];
+    const candidate = maskBankRow('candidates', rows[0]);
 
     // If umbrella, fetch umbrella minimal fields
     let umbrella = undefined;
@@ -10034,7 +14124,7 @@ export async function handleGetCandidate(env, req, candidateId) {
         env,
         `${env.SUPABASE_URL}/rest/v1/umbrellas?id=eq.${encodeURIComponent(candidate.umbrella_id)}&select=id,name,bank_name,sort_code,account_number`
       );
-      umbrella = umbRows?.[0];
+      umbrella = maskBankRow('umbrellas', umbRows?.[0]);
     }
 
     const effective_pay_channel = resolveEffectivePayChannel({
@@ -10051,7 +14141,7 @@ export async function handleGetCandidate(env, req, candidateId) {
 
 
 export async function handleUpdateCandidate(env, req, candidateId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['candidates:write']);
   if (!user) return unauthorized();
 
   const raw = await parseJSONBody(req);
@@ -10077,27 +14167,28 @@ export async function handleUpdateCandidate(env, req, candidateId) {
     );
     const before = beforeRows?.[0] || {};
 
-    // 2) Update
+    // 2) Update (bank fields are encrypted; the row keeps their masks)
+    const sealed = await sealBankPatch(env, 'candidates', candidateId, data);
     const url = `${env.SUPABASE_URL}/rest/v1/candidates?id=eq.${encodeURIComponent(candidateId)}`;
     const res = await fetch(url, {
       method: "PATCH",
       headers: { ...sbHeaders(env), "Prefer": "return=representation" },
-      body: JSON.stringify({ ...data, updated_at: new Date().toISOString() })
+      body: JSON.stringify({ ...sealed.patch, updated_at: new Date().toISOString() })
     });
     if (!res.ok) {
       const err = await res.text();
       return withCORS(env, req, badRequest(`Candidate update failed: ${err}`));
     }
     const json = await res.json().catch(() => ({}));
-    const candidate = Array.isArray(json) ? json[0] : json;
+    const candidate = maskBankRow('candidates', Array.isArray(json) ? json[0] : json);
 
     // 3) Change detection
     const payMethodChanged  = (data.pay_method != null) && data.pay_method !== before.pay_method;
     const umbrellaChanged   = (data.umbrella_id !== undefined) && data.umbrella_id !== before.umbrella_id;
     const mileagePayChanged = (data.mileage_pay_rate != null) && Number(data.mileage_pay_rate) !== Number(before.mileage_pay_rate);
 
-    const bankKeys = ['account_holder','bank_name','sort_code','account_number'];
-    const bankChanged = bankKeys.some(k => Object.prototype.hasOwnProperty.call(data, k) && data[k] !== before[k]);
+    const bankChanged = sealed.changed.length > 0 ||
+      (Object.prototype.hasOwnProperty.call(data, 'bank_name') && data.bank_name !== before.bank_name);
 
     // 4) Enqueue recompute for non-invoiced, current TSFIN for this candidate
     if (payMethodChanged || umbrellaChanged || bankChanged || mileagePayChanged) {
@@ -10170,7 +14261,7 @@ async function handleFilesDownload(env, req) {
     }
 
     // Verify token
-    const secret = env.UPLOAD_TOKEN_SECRET;
+    const secret = uploadKeyring(env);
     if (!secret) return withCORS(env, req, serverError("Server not configured"));
 
     // verifyToken should return the payload or throw/reject on invalid
@@ -10277,7 +14368,7 @@ async function handleFilesDownload(env, req) {
  *       - bearerAuth: []
  */
 async function handleHRRows(env, req, importId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['healthroster:read']);
   if (!user) return withCORS(env, req, unauthorized());
 
   if (!importId) {
@@ -10377,6 +14468,34 @@ async function handleHRRows(env, req, importId) {
 *                 format: date-time
 *               provider_message_id:
 *                 type: string
+ *
+ * /api/email/outbox/callback:
+*   post:
+*     summary: Signed delivery callback from the mail provider/Flow (HMAC, no bearer token)
+*     parameters:
+*       - { in: header, name: X-CTMS-Flow, required: true, schema: { type: string } }
+*       - { in: header, name: X-CTMS-Timestamp, required: true, schema: { type: integer } }
+*       - { in: header, name: X-CTMS-Signature, required: true, schema: { type: string }, description: "hex HMAC-SHA256 of `${timestamp}.${body}`" }
+*     requestBody:
+*       required: true
+*       content:
+*         application/json:
+*           schema:
+*             type: object
+*             required: [id, event]
+*             properties:
+*               id:
+*                 type: string
+*               event:
+*                 type: string
+*                 enum: [SENT, DELIVERED, BOUNCED, FAILED]
+*               provider_message_id:
+*                 type: string
+*               error:
+*                 type: string
+*               occurred_at:
+*                 type: string
+*                 format: date-time
  *
  * /api/email/outbox/mark-failed:
 *   post:
@@ -10481,7 +14600,7 @@ async function handleHRRows(env, req, importId) {
  */
 
 async function handleOutboxList(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['email:read']);
   if (!user) return withCORS(env, req, unauthorized());
 
   try {
@@ -10505,7 +14624,7 @@ async function handleOutboxList(env, req) {
 // Broadcast email: send via webhook, write summary row to mail_outbox
 // ─────────────────────────────────────────────────────────────────────────────
 async function handleBroadcastEmail(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['email:send']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const data = await parseJSONBody(req);
@@ -10578,6 +14697,57 @@ async function handleBroadcastEmail(env, req) {
   }
 }
 
+// ---------------------- Audit hash chain ----------------------
+// Every audit_events row carries chain_seq (unique, gapless), prev_hash and row_hash, where
+// row_hash = sha256(prev_hash + '\n' + canonical JSON of the row). Editing, deleting or reordering
+// any row breaks the chain from that point, which /api/audit/verify reports. Two concurrent writers
+// that read the same tail both try the same chain_seq; the unique index rejects one (409) and it
+// re-reads the tail and retries.
+const AUDIT_GENESIS_HASH = '0'.repeat(64);
+const AUDIT_CHAIN_RETRIES = 5;
+const AUDIT_HASHED_FIELDS = [
+  'chain_seq', 'ts_utc', 'object_type', 'object_id_text', 'action', 'before_json', 'after_json', 'reason',
+  'actor_user_id', 'actor_display', 'actor_role_at_time', 'ip', 'user_agent', 'correlation_id',
+];
+
+// Key-sorted JSON, so the hash survives the jsonb round trip (jsonb does not keep key order)
+function canonicalJson(v) {
+  if (v === undefined) return 'null';
+  if (v === null || typeof v !== 'object') return JSON.stringify(v);
+  if (Array.isArray(v)) return `[${v.map(x => (x === undefined ? 'null' : canonicalJson(x))).join(',')}]`;
+  return `{${Object.keys(v).filter(k => v[k] !== undefined).sort().map(k => `${JSON.stringify(k)}:${canonicalJson(v[k])}`).join(',')}}`;
+}
+
+async function auditRowHash(prevHash, row) {
+  const fields = {};
+  for (const f of AUDIT_HASHED_FIELDS) fields[f] = row[f] ?? null;
+  fields.ts_utc = fields.ts_utc ? new Date(fields.ts_utc).toISOString() : null;
+  return sha256Hex(`${prevHash}\n${canonicalJson(fields)}`);
+}
+
+async function auditChainTail(env) {
+  const { rows } = await sbFetch(env,
+    `${env.SUPABASE_URL}/rest/v1/audit_events?chain_seq=not.is.null&select=chain_seq,row_hash&order=chain_seq.desc&limit=1`);
+  return rows?.[0] || { chain_seq: 0, row_hash: AUDIT_GENESIS_HASH };
+}
+
+// Appends one row to the chain. Returns the fetch Response of the final attempt.
+async function appendAuditEvent(env, payload) {
+  let res;
+  for (let attempt = 0; attempt < AUDIT_CHAIN_RETRIES; attempt++) {
+    const tail = await auditChainTail(env);
+    const row = { ...payload, ts_utc: payload.ts_utc || nowIso(), chain_seq: (tail.chain_seq|0) + 1, prev_hash: tail.row_hash };
+    row.row_hash = await auditRowHash(row.prev_hash, row);
+    res = await fetch(`${env.SUPABASE_URL}/rest/v1/audit_events`, {
+      method: 'POST',
+      headers: { ...sbHeaders(env), Prefer: 'return=minimal' },
+      body: JSON.stringify(row)
+    });
+    if (res.status !== 409) return res;
+  }
+  return res;
+}
+
 /**
  * Persist a single audit event. Never throws; logs a warning on failure.
  *
@@ -10636,15 +14806,11 @@ async function writeAudit(env, user, action, details = null, opts = {}) {
       ip,
       user_agent: ua,
       correlation_id: correlationId
-      // ts_utc is implicit (DEFAULT now()) – no need to send
+      // ts_utc, chain_seq, prev_hash and row_hash are set by appendAuditEvent()
     };
 
     // Best-effort POST; do not throw on failure
-    const res = await fetch(`${env.SUPABASE_URL}/rest/v1/audit_events`, {
-      method: 'POST',
-      headers: { ...sbHeaders(env), Prefer: 'return=minimal' },
-      body: JSON.stringify(payload)
-    });
+    const res = await appendAuditEvent(env, payload);
 
     if (!res.ok) {
       const txt = await res.text().catch(() => '');
@@ -10655,6 +14821,133 @@ async function writeAudit(env, user, action, details = null, opts = {}) {
   }
 }
 
+// ---------------------- Audit log: query, export, verify ----------------------
+const AUDIT_EXPORT_MAX_ROWS = 50000;
+const AUDIT_CSV_COLUMNS = [
+  'chain_seq', 'ts_utc', 'object_type', 'object_id_text', 'action', 'reason',
+  'actor_user_id', 'actor_display', 'actor_role_at_time', 'ip', 'correlation_id', 'before_json', 'after_json', 'row_hash',
+];
+
+function auditFilterQuery(u) {
+  const q = (k) => (u.searchParams.get(k) || '').trim();
+  const parts = [];
+  if (q('object_type')) parts.push(`object_type=eq.${enc(q('object_type'))}`);
+  if (q('object_id'))   parts.push(`object_id_text=eq.${enc(q('object_id'))}`);
+  if (q('actor')) {
+    const a = q('actor');
+    parts.push(/^[0-9a-f-]{36}$/i.test(a) ? `actor_user_id=eq.${enc(a)}` : `actor_display=ilike.*${enc(a.replace(/[%*]/g, ''))}*`);
+  }
+  const actions = splitCsv(q('action')).map(a => a.toUpperCase());
+  if (actions.length === 1) parts.push(`action=eq.${enc(actions[0])}`);
+  if (actions.length > 1)   parts.push(`action=in.(${actions.map(enc).join(',')})`);
+  if (q('from')) parts.push(`ts_utc=gte.${enc(q('from'))}`);
+  if (q('to'))   parts.push(`ts_utc=lte.${enc(q('to'))}`);
+  return parts.join('&');
+}
+
+// GET /api/audit?object_type&object_id&actor&action(csv)&from&to&page&page_size&format=json|csv&export=true
+// export=true returns every matching row (up to AUDIT_EXPORT_MAX_ROWS) instead of one page.
+async function handleAuditList(env, req) {
+  const user = await requireUser(env, req, ['audit:read']);
+  if (!user) return withCORS(env, req, unauthorized());
+
+  const u = new URL(req.url);
+  const format = (u.searchParams.get('format') || 'json').toLowerCase();
+  if (!['json', 'csv'].includes(format)) return withCORS(env, req, badRequest('format must be json or csv'));
+  const isExport = u.searchParams.get('export') === 'true';
+  const order = u.searchParams.get('order') === 'asc' ? 'asc' : 'desc';
+  const page = Math.max(1, parseInt(u.searchParams.get('page') || '1', 10) || 1);
+  const pageSize = Math.max(1, Math.min(500, parseInt(u.searchParams.get('page_size') || '100', 10) || 100));
+
+  const filters = auditFilterQuery(u);
+  const base = `${env.SUPABASE_URL}/rest/v1/audit_events?select=*&order=ts_utc.${order},chain_seq.${order}${filters ? `&${filters}` : ''}`;
+
+  let items, total = null, truncated = false;
+  try {
+    if (isExport) {
+      items = [];
+      for (let offset = 0; offset < AUDIT_EXPORT_MAX_ROWS; offset += 1000) {
+        const { rows } = await sbFetch(env, `${base}&limit=1000&offset=${offset}`);
+        items.push(...(rows || []));
+        if (!rows || rows.length < 1000) break;
+      }
+      truncated = items.length >= AUDIT_EXPORT_MAX_ROWS;
+      items = items.slice(0, AUDIT_EXPORT_MAX_ROWS);
+      await writeAudit(env, user, 'AUDIT_EXPORTED', { filters, format, count: items.length, truncated }, { entity: 'audit_events', req });
+    } else {
+      ({ rows: items, total } = await sbFetch(env, `${base}&limit=${pageSize}&offset=${(page - 1) * pageSize}`, true));
+      items = items || [];
+    }
+  } catch (e) {
+    return withCORS(env, req, serverError(`Failed to query audit log: ${e?.message || e}`));
+  }
+
+  if (format === 'csv') {
+    const out = [csvJoin(AUDIT_CSV_COLUMNS)];
+    for (const r of items) {
+      out.push(csvJoin(AUDIT_CSV_COLUMNS.map(c => {
+        const v = r[c];
+        return v == null ? '' : (typeof v === 'object' ? JSON.stringify(v) : String(v));
+      })));
+    }
+    return withCORS(env, req, ok({ csv: out.join('\n'), count: items.length, truncated }));
+  }
+  return withCORS(env, req, ok(isExport
+    ? { items, count: items.length, truncated }
+    : { items, page, page_size: pageSize, total }));
+}
+
+// GET /api/audit/verify?from_seq&limit
+// Recomputes the hash chain from from_seq (default 1) for up to limit rows. A segment that does not
+// start at 1 is anchored on the stored row_hash of from_seq-1. Returns the head hash reached, which
+// auditors can record and compare on their next visit (this is what detects truncation of the tail).
+async function handleAuditVerify(env, req) {
+  const user = await requireUser(env, req, ['audit:read']);
+  if (!user) return withCORS(env, req, unauthorized());
+
+  const u = new URL(req.url);
+  const fromSeq = Math.max(1, parseInt(u.searchParams.get('from_seq') || '1', 10) || 1);
+  const limit = Math.max(1, Math.min(AUDIT_EXPORT_MAX_ROWS, parseInt(u.searchParams.get('limit') || '10000', 10) || 10000));
+
+  const result = { ok: true, from_seq: fromSeq, checked: 0, last_seq: null, head_hash: null, break: null, next_from_seq: null };
+  try {
+    let prevHash = AUDIT_GENESIS_HASH;
+    if (fromSeq > 1) {
+      const anchor = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/audit_events?chain_seq=eq.${fromSeq - 1}&select=row_hash`);
+      if (!anchor) return withCORS(env, req, notFound(`No audit row with chain_seq ${fromSeq - 1} to anchor on`));
+      prevHash = anchor.row_hash;
+    }
+
+    let expectSeq = fromSeq;
+    outer:
+    while (result.checked < limit) {
+      const take = Math.min(1000, limit - result.checked);
+      const { rows } = await sbFetch(env,
+        `${env.SUPABASE_URL}/rest/v1/audit_events?chain_seq=gte.${expectSeq}&select=*&order=chain_seq.asc&limit=${take}`);
+      for (const r of rows || []) {
+        const fail = (reason) => { result.ok = false; result.break = { chain_seq: expectSeq, id: r.id ?? null, reason }; };
+        if (Number(r.chain_seq) !== expectSeq) { fail(`missing row (next present is ${r.chain_seq})`); break outer; }
+        if (r.prev_hash !== prevHash) { fail('prev_hash does not match the previous row'); break outer; }
+        if ((await auditRowHash(prevHash, r)) !== r.row_hash) { fail('row contents do not match row_hash'); break outer; }
+        prevHash = r.row_hash;
+        result.checked++;
+        result.last_seq = expectSeq;
+        result.head_hash = prevHash;
+        expectSeq++;
+      }
+      if (!rows || rows.length < take) break;
+    }
+    if (result.ok && result.checked >= limit) result.next_from_seq = expectSeq;
+  } catch (e) {
+    return withCORS(env, req, serverError(`Audit verification failed: ${e?.message || e}`));
+  }
+
+  await writeAudit(env, user, result.ok ? 'AUDIT_CHAIN_VERIFIED' : 'AUDIT_CHAIN_BROKEN',
+    { from_seq: fromSeq, checked: result.checked, last_seq: result.last_seq, head_hash: result.head_hash, break: result.break },
+    { entity: 'audit_events', req });
+  return withCORS(env, req, ok(result));
+}
+
 
 // ---------------------- HealthRoster Endpoints (expanded) ----------------------
 /**
@@ -10707,17 +15000,8 @@ function ukLocalToUtcISO(ymd, hhmm = "00:00") {
   const [H, Mi]    = String(hhmm || "00:00").split(":").map(Number);
   if (!Y || !Mo || !D || Number.isNaN(H) || Number.isNaN(Mi)) return null;
 
-  const offsetHours = isBSTLocalDate(Y, Mo, D) ? 1 : 0; // UK summer = UTC+1
-  const dt = new Date(Date.UTC(Y, Mo - 1, D, H - offsetHours, Mi, 0));
-  return dt.toISOString();
-}
-
-function isBSTLocalDate(Y, Mo, D) {
-  // Decide DST for that calendar date using a noon sentinel to avoid boundary weirdness.
-  const noonUtcGuess = Date.UTC(Y, Mo - 1, D, 12, 0, 0);
-  const start = bstStartUtc(Y); // last Sunday in March, 01:00 UTC
-  const end   = bstEndUtc(Y);   // last Sunday in October, 01:00 UTC
-  return noonUtcGuess >= start && noonUtcGuess < end;
+  // Offset taken at the instant itself, so times either side of the 01:00 UTC changeover are right
+  return new Date(localToUtcMs(LONDON_TZ, String(ymd), H * 60 + Mi)).toISOString();
 }
 
 function bstStartUtc(year) {
@@ -10904,7 +15188,7 @@ async function writeHRResult(env, importId, rowId, payload) {
  *         description: Import record created
  */
 async function handleHRImport(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['healthroster:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const body = await parseJSONBody(req);
@@ -10976,7 +15260,7 @@ async function handleHRImport(env, req) {
  */
 
 async function handleHRMapping(env, req, importId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['healthroster:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   if (!importId) {
@@ -11074,7 +15358,7 @@ async function handleHRMapping(env, req, importId) {
  *       - bearerAuth: []
  */
 async function handleHRValidate(env, req, importId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['healthroster:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   try {
@@ -11254,7 +15538,7 @@ async function handleHRValidate(env, req, importId) {
 // LIST INVOICES (light UI)
 // ------------------------
 export async function handleListInvoices(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['invoices:read']);
   if (!user) return unauthorized();
 
   const sp = new URL(req.url).searchParams;
@@ -11358,7 +15642,7 @@ export async function handleListInvoices(env, req) {
 // GET INVOICE (+meta)
 // -------------------
 export async function handleGetInvoice(env, req, invoiceId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['invoices:read']);
   if (!user) return unauthorized();
 
   try {
@@ -11380,7 +15664,7 @@ export async function handleGetInvoice(env, req, invoiceId) {
         'id','invoice_id','timesheet_id','booking_id','description',
         'hours_day','hours_night','hours_sat','hours_sun','hours_bh',
         'pay_day','pay_night','pay_sat','pay_sun','pay_bh',
-        'charge_day','charge_night','charge_sat','charge_sun','charge_bh',
+        'charge_day','charge_night','charge_sat','charge_sun','charge_bh','custom_buckets_json',
         'total_pay_ex_vat','total_charge_ex_vat','margin_ex_vat',
         'vat_rate_pct','vat_amount','total_inc_vat','paper_ts_r2_key',
         'meta_json'
@@ -11390,8 +15674,11 @@ export async function handleGetInvoice(env, req, invoiceId) {
     const items = (lineRows || []).map(l => ({
       booking_id: l.booking_id ?? null,
       timesheet_id: l.timesheet_id ?? null,
-      qty: { day: l.hours_day, night: l.hours_night, sat: l.hours_sat, sun: l.hours_sun, bh: l.hours_bh },
-      rate: { day: l.charge_day, night: l.charge_night, sat: l.charge_sat, sun: l.charge_sun, bh: l.charge_bh },
+      qty: { day: l.hours_day, night: l.hours_night, sat: l.hours_sat, sun: l.hours_sun, bh: l.hours_bh,
+        ...Object.fromEntries((l.custom_buckets_json || []).map(b => [b.code, b.hours])) },
+      rate: { day: l.charge_day, night: l.charge_night, sat: l.charge_sat, sun: l.charge_sun, bh: l.charge_bh,
+        ...Object.fromEntries((l.custom_buckets_json || []).map(b => [b.code, b.charge])) },
+      custom_buckets: l.custom_buckets_json || [],
       total_ex_vat: l.total_charge_ex_vat,
       description: l.description,
       meta_json: l.meta_json ?? {}
@@ -11447,7 +15734,7 @@ export async function handleGetInvoice(env, req, invoiceId) {
 // Replace your existing handleInvoiceRender with this version
 export async function handleInvoiceRender(env, req, invoiceId) {
   // (unchanged overall flow, but will now pick up manual PDFs via ensureTimesheetPdf)
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['invoices:write']);
   if (!user) return unauthorized();
 
   function toMarginsObj(m) {
@@ -11580,7 +15867,7 @@ export async function handleInvoiceRender(env, req, invoiceId) {
       }),
     });
 
-    const token = await createToken(env.UPLOAD_TOKEN_SECRET, { typ: "dl", key: pdfKey, exp: Math.floor(Date.now()/1000) + Number(env.PRESIGN_EXPIRES_SECONDS || 600) });
+    const token = await createToken(uploadKeyring(env), { typ: "dl", key: pdfKey, exp: Math.floor(Date.now()/1000) + Number(env.PRESIGN_EXPIRES_SECONDS || 600) });
     const downloadUrl = new URL(env.PUBLIC_DOWNLOAD_BASE_URL || new URL(new URL(req.url).origin + '/api/files/download').toString());
     downloadUrl.searchParams.set("key", pdfKey);
     downloadUrl.searchParams.set("token", token);
@@ -11591,7 +15878,7 @@ export async function handleInvoiceRender(env, req, invoiceId) {
   }
 }
 export async function handleInvoiceHold(env, req, invoiceId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['invoices:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const body = await parseJSONBody(req).catch(() => ({}));
@@ -11619,7 +15906,7 @@ export async function handleInvoiceHold(env, req, invoiceId) {
 }
 
 export async function handleInvoiceUnhold(env, req, invoiceId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['invoices:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   try {
@@ -11640,7 +15927,7 @@ export async function handleInvoiceUnhold(env, req, invoiceId) {
   }
 }
 export async function handleInvoiceUnissue(env, req, invoiceId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['invoices:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const body = await parseJSONBody(req).catch(()=>({}));
@@ -11663,7 +15950,7 @@ export async function handleInvoiceUnissue(env, req, invoiceId) {
 
 
 async function handleInvoiceCredit(env, req, invoiceId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['invoices:write']);
   if (!user) return unauthorized();
 
   try {
@@ -11703,7 +15990,7 @@ async function handleInvoiceCredit(env, req, invoiceId) {
     // Mirror original lines with negative monetary amounts (hours unchanged)
     const { rows: origLines } = await sbFetch(
       env,
-      `${env.SUPABASE_URL}/rest/v1/invoice_lines?invoice_id=eq.${encodeURIComponent(invoiceId)}&select=id,invoice_id,timesheet_id,booking_id,description,hours_day,hours_night,hours_sat,hours_sun,hours_bh,pay_day,pay_night,pay_sat,pay_sun,pay_bh,charge_day,charge_night,charge_sat,charge_sun,charge_bh,total_pay_ex_vat,total_charge_ex_vat,margin_ex_vat,vat_rate_pct,vat_amount,total_inc_vat,paper_ts_r2_key`
+      `${env.SUPABASE_URL}/rest/v1/invoice_lines?invoice_id=eq.${encodeURIComponent(invoiceId)}&select=id,invoice_id,timesheet_id,booking_id,description,hours_day,hours_night,hours_sat,hours_sun,hours_bh,pay_day,pay_night,pay_sat,pay_sun,pay_bh,charge_day,charge_night,charge_sat,charge_sun,charge_bh,custom_buckets_json,total_pay_ex_vat,total_charge_ex_vat,margin_ex_vat,vat_rate_pct,vat_amount,total_inc_vat,paper_ts_r2_key`
     );
 
     const creditLines = origLines.map((l) => ({
@@ -11726,6 +16013,11 @@ async function handleInvoiceCredit(env, req, invoiceId) {
       charge_sat: l.charge_sat == null ? null : -Math.abs(Number(l.charge_sat)),
       charge_sun: l.charge_sun == null ? null : -Math.abs(Number(l.charge_sun)),
       charge_bh: l.charge_bh == null ? null : -Math.abs(Number(l.charge_bh)),
+      custom_buckets_json: (l.custom_buckets_json || []).map(b => ({
+        ...b,
+        pay: b.pay == null ? null : -Math.abs(Number(b.pay)),
+        charge: b.charge == null ? null : -Math.abs(Number(b.charge)),
+      })),
       total_pay_ex_vat: -Math.abs(Number(l.total_pay_ex_vat || 0)),
       total_charge_ex_vat: -Math.abs(Number(l.total_charge_ex_vat || 0)),
       margin_ex_vat: -Math.abs(Number(l.margin_ex_vat || 0)),
@@ -11754,7 +16046,7 @@ async function handleInvoiceCredit(env, req, invoiceId) {
 }
 
 async function handleInvoiceMarkPaid(env, req, invoiceId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['invoices:write']);
   if (!user) return unauthorized();
 
   const data = await parseJSONBody(req).catch(() => null);
@@ -11776,7 +16068,7 @@ async function handleInvoiceMarkPaid(env, req, invoiceId) {
   }
 }
 async function handleInvoiceMarkUnpaid(env, req, invoiceId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['invoices:write']);
   if (!user) return unauthorized();
 
   try {
@@ -11842,7 +16134,7 @@ async function handleInvoiceMarkUnpaid(env, req, invoiceId) {
  *                     candidate:  { type: integer }
  */
 async function handleRelatedCounts(env, req, entity, id) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['related:read']);
   if (!user) return unauthorized();
 
   const countOrLen = (res) => (typeof res.count === 'number' ? res.count : (res.rows?.length || 0));
@@ -11995,7 +16287,7 @@ async function handleRelatedCounts(env, req, entity, id) {
 // ─────────────────────────────────────────────────────────────────────────────
 
 async function handleListClientRates(env, req, clientId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['rates:read']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const sp         = new URL(req.url).searchParams;
@@ -12111,7 +16403,7 @@ async function handleListClientRates(env, req, clientId) {
 // - Enqueue TSFIN recompute **only if today is within [date_from, date_to] inclusive**
 // ─────────────────────────────────────────────────────────────────────────────
 async function handleUpsertClientRate(env, req, clientId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['rates:write']);
   if (!user) return unauthorized();
 
   const body = await parseJSONBody(req);
@@ -12144,12 +16436,17 @@ async function handleUpsertClientRate(env, req, clientId) {
     umb_night:  body.umb_night  ?? null,
     umb_sat:    body.umb_sat    ?? null,
     umb_sun:    body.umb_sun    ?? null,
-    umb_bh:     body.umb_bh     ?? null
+    umb_bh:     body.umb_bh     ?? null,
+
+    // custom buckets { code: { charge, paye, umb } }
+    custom_rates_json: body.custom_rates_json ?? null
   };
 
   if (!rec.client_id) return withCORS(env, req, badRequest("client_id required"));
   if (!rec.role)       return withCORS(env, req, badRequest("role required"));
   if (!rec.date_from)  return withCORS(env, req, badRequest("date_from required"));
+  const customErr = customRatesInputError(rec.custom_rates_json, ['charge', 'paye', 'umb']);
+  if (customErr) return withCORS(env, req, badRequest(customErr));
 
   const client_id = rec.client_id;
   const role      = rec.role;
@@ -12301,7 +16598,7 @@ async function handleUpsertClientRate(env, req, clientId) {
 // Body: { "disabled": true|false }
 
 async function handlePatchClientDefault(env, req, rateId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['rates:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const body = await parseJSONBody(req);
@@ -12407,6 +16704,11 @@ async function enqueueTsfinRecomputeForClient(env, client_id) {
 export async function runAutoInvoiceCycle(env) {
   const enc = encodeURIComponent; // ensure we have enc in scope
 
+  if (!env.CRON_API_KEY) {
+    console.warn('[auto-invoice] CRON_API_KEY not configured; skipping');
+    return;
+  }
+
   try {
     // 1) Find eligible TSFIN + join to contracts (for contract_id on each TS)
     const { rows } = await sbFetch(
@@ -12455,8 +16757,8 @@ export async function runAutoInvoiceCycle(env) {
         method: 'POST',
         headers: {
           'content-type': 'application/json',
-          // pass an admin token so requireUser(['admin']) succeeds
-          'x-admin-token': env.STATIC_ADMIN_TOKEN || ''
+          // authenticate as the cron service account (tms_api_keys, scope invoices:write)
+          'authorization': `Bearer ${env.CRON_API_KEY}`
         },
         body: JSON.stringify({ timesheet_ids: tsIds })
       });
@@ -12477,7 +16779,7 @@ export async function runAutoInvoiceCycle(env) {
       // Issue it (runs pre-gates)
       const issueReq = new Request('https://internal', {
         method: 'POST',
-        headers: { 'x-admin-token': env.STATIC_ADMIN_TOKEN || '' }
+        headers: { 'authorization': `Bearer ${env.CRON_API_KEY}` }
       });
       const issueResp = await handleInvoiceIssue(env, issueReq, invoiceId);
       if (!issueResp?.ok) {
@@ -12497,7 +16799,7 @@ export async function runAutoInvoiceCycle(env) {
 // Overrides: list by CLIENT (now supports optional rate_type filter)
 // ─────────────────────────────────────────────────────────────────────────────
 async function handleListOverridesByClient(env, req, clientId) {
-  const user = await requireUser(env, req, ["admin"]);
+  const user = await requireUser(env, req, ['rates:read']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const sp      = new URL(req.url).searchParams;
@@ -12547,7 +16849,7 @@ async function handleListOverridesByClient(env, req, clientId) {
 // Overrides: list by CANDIDATE (now supports optional rate_type filter)
 // ─────────────────────────────────────────────────────────────────────────────
 async function handleListOverridesByCandidate(env, req, candidateId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['rates:read']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const sp       = new URL(req.url).searchParams;
@@ -12608,7 +16910,7 @@ async function handleListOverridesByCandidate(env, req, candidateId) {
 // - Enqueue RATE_CHANGED for current, unlocked TSFIN (candidate [+client], pay_method=rate_type)
 // ─────────────────────────────────────────────────────────────────────────────
 async function handleCreateOverride(env, req, candidateId, clientIdParam = null) {
-  const user = await requireUser(env, req, ["admin"]);
+  const user = await requireUser(env, req, ['rates:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const data = await parseJSONBody(req);
@@ -12632,6 +16934,8 @@ async function handleCreateOverride(env, req, candidateId, clientIdParam = null)
 
   if (!role)      return withCORS(env, req, badRequest("role required"));
   if (!date_from) return withCORS(env, req, badRequest("date_from required"));
+  const customErr = customRatesInputError(data.custom_rates_json, ['pay']);
+  if (customErr) return withCORS(env, req, badRequest(customErr));
 
   try {
     // Gate: require an active client default (unified window) for (client, role, band|null) at date_from
@@ -12700,6 +17004,7 @@ async function handleCreateOverride(env, req, candidateId, clientIdParam = null)
       pay_sat:   data.pay_sat   ?? null,
       pay_sun:   data.pay_sun   ?? null,
       pay_bh:    data.pay_bh    ?? null,
+      custom_rates_json: data.custom_rates_json ?? null,
       created_at: nowIso(),
     };
 
@@ -12771,7 +17076,7 @@ async function enqueueTsfinRecomputeForCandidate(env, candidate_id, rate_type, c
 }
 
 async function handleUpdateClientDefault(env, req, id) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['rates:write']);
   if (!user) return withCORS(env, req, unauthorized());
   if (!id)   return withCORS(env, req, badRequest('id required'));
 
@@ -12788,10 +17093,13 @@ async function handleUpdateClientDefault(env, req, id) {
     'client_id','role','band','date_from','date_to',
     'charge_day','charge_night','charge_sat','charge_sun','charge_bh',
     'paye_day','paye_night','paye_sat','paye_sun','paye_bh',
-    'umb_day','umb_night','umb_sat','umb_sun','umb_bh'
+    'umb_day','umb_night','umb_sat','umb_sun','umb_bh',
+    'custom_rates_json'
   ];
   const patch = {};
   for (const k of allowed) if (k in body) patch[k] = body[k];
+  const customErr = customRatesInputError(patch.custom_rates_json, ['charge', 'paye', 'umb']);
+  if (customErr) return withCORS(env, req, badRequest(customErr));
 
   if (Object.keys(patch).length === 0) {
     return withCORS(env, req, badRequest('No updatable fields supplied'));
@@ -12839,7 +17147,7 @@ async function handleUpdateClientDefault(env, req, id) {
 // - Enqueue RATE_CHANGED for current, unlocked TSFIN (candidate, optional client, pay_method if known)
 // ─────────────────────────────────────────────────────────────────────────────
 async function handleUpdateOverride(env, req, candidateId, clientId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['rates:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const data = await parseJSONBody(req);
@@ -12863,6 +17171,8 @@ async function handleUpdateOverride(env, req, candidateId, clientId) {
       return withCORS(env, req, badRequest("rate_type must be 'PAYE' or 'UMBRELLA'"));
     }
   }
+  const customErr = customRatesInputError(data.custom_rates_json, ['pay']);
+  if (customErr) return withCORS(env, req, badRequest(customErr));
 
   // Query target rows first
   let selectUrl = `${env.SUPABASE_URL}/rest/v1/rates_candidate_overrides?candidate_id=eq.${encodeURIComponent(cand)}`;
@@ -13054,7 +17364,7 @@ async function handleUpdateOverride(env, req, candidateId, clientId) {
 // Enqueue: RATE_CHANGED for current, unlocked TSFIN scoped by rate_type (if given)
 // ─────────────────────────────────────────────────────────────────────────────
 async function handleDeleteOverride(env, req, candidateId, clientId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['rates:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const sp   = new URL(req.url).searchParams;
@@ -13161,7 +17471,7 @@ async function handleDeleteOverride(env, req, candidateId, clientId) {
   }
 }
 async function handleDeleteClientDefault(env, req, id) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['rates:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   if (!id) return withCORS(env, req, badRequest("id required"));
@@ -13207,7 +17517,7 @@ async function handleDeleteClientDefault(env, req, id) {
 // - Return both PAY and CHARGE even when override is used
 // ─────────────────────────────────────────────────────────────────────────────
 async function handleResolveRate(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['rates:read']);
   if (!user) return withCORS(env, req, unauthorized());
 
   const payload = req.method === "GET"
@@ -13283,7 +17593,8 @@ async function handleResolveRate(env, req) {
       night: w.charge_night,
       sat:   w.charge_sat,
       sun:   w.charge_sun,
-      bh:    w.charge_bh
+      bh:    w.charge_bh,
+      ...customRatesFrom(w, null, null).charge
     };
   }
 
@@ -13294,17 +17605,20 @@ async function handleResolveRate(env, req) {
         night: overrideRow.pay_night,
         sat:   overrideRow.pay_sat,
         sun:   overrideRow.pay_sun,
-        bh:    overrideRow.pay_bh
+        bh:    overrideRow.pay_bh,
+        ...customRatesFrom(windowRow, overrideRow, rt).pay
       };
     }
     if (!windowRow) return null;
     if (rt === 'PAYE') {
       return {
-        day: windowRow.paye_day, night: windowRow.paye_night, sat: windowRow.paye_sat, sun: windowRow.paye_sun, bh: windowRow.paye_bh
+        day: windowRow.paye_day, night: windowRow.paye_night, sat: windowRow.paye_sat, sun: windowRow.paye_sun, bh: windowRow.paye_bh,
+        ...customRatesFrom(windowRow, null, rt).pay
       };
     }
     return {
-      day: windowRow.umb_day, night: windowRow.umb_night, sat: windowRow.umb_sat, sun: windowRow.umb_sun, bh: windowRow.umb_bh
+      day: windowRow.umb_day, night: windowRow.umb_night, sat: windowRow.umb_sat, sun: windowRow.umb_sun, bh: windowRow.umb_bh,
+      ...customRatesFrom(windowRow, null, rt).pay
     };
   }
 }
@@ -13422,7 +17736,7 @@ async function fetchUnifiedDefaultWindow(env, { client_id, role, band, date }) {
  */
 // UPDATED: handleRelatedList — fixes syntax error on candidate→clients branch and supports all related types per spec
 async function handleRelatedList(env, req, entity, id) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['related:read']);
   if (!user) return unauthorized();
 
   const url = new URL(req.url);
@@ -13915,7 +18229,7 @@ async function handleRelatedList(env, req, entity, id) {
  *         description: Not found
  */
 async function handleOutboxGet(env, req, mailId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['email:read']);
   if (!user) return unauthorized();
 
   try {
@@ -13958,7 +18272,7 @@ async function handleOutboxGet(env, req, mailId) {
  *     tags: [Files]
  */
 async function handleFilePresignUpload(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['files:write']);
   if (!user) return unauthorized();
 
   const data = await parseJSONBody(req);
@@ -13992,7 +18306,7 @@ async function handleFilePresignUpload(env, req) {
 
   const expiresSec = Math.min(parseInt(env.PRESIGN_EXPIRES_SECONDS || "600", 10), 900);
   const exp = Math.floor(Date.now() / 1000) + expiresSec;
-  const token = await createToken(env.UPLOAD_TOKEN_SECRET, { typ: "file_upload", key: fileKey, exp });
+  const token = await createToken(uploadKeyring(env), { typ: "file_upload", key: fileKey, exp });
 
   const baseUrl = new URL(req.url);
   baseUrl.pathname = "/api/files/upload";
@@ -14013,7 +18327,7 @@ async function handleFilePresignUpload(env, req) {
 async function handleFileUpload(env, req, url) {
   const key = url.searchParams.get("key") || "";
   const token = url.searchParams.get("token") || "";
-  const ver = await verifyToken(env.UPLOAD_TOKEN_SECRET, token);
+  const ver = await verifyToken(uploadKeyring(env), token);
   if (!ver.ok) return withCORS(env, req, unauthorized("Invalid token"));
   const p = ver.payload;
   if (p.typ !== "file_upload" || p.key !== key) {
@@ -14036,7 +18350,7 @@ async function handleFileUpload(env, req, url) {
 }
 
 async function handleFilePresignDownload(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['files:read']);
   if (!user) return unauthorized();
 
   const data = await parseJSONBody(req);
@@ -14047,7 +18361,7 @@ async function handleFilePresignDownload(env, req) {
   if (!head) return withCORS(env, req, notFound("File not found"));
 
   const exp = Math.floor(Date.now()/1000) + 300;
-  const token = await createToken(env.UPLOAD_TOKEN_SECRET, { typ: "file_dl", key, exp });
+  const token = await createToken(uploadKeyring(env), { typ: "file_dl", key, exp });
   const baseUrl = new URL(req.url);
   baseUrl.pathname = "/api/files/download";
   baseUrl.search = "";
@@ -14059,7 +18373,7 @@ async function handleFilePresignDownload(env, req) {
 async function handleFileDownload(env, req, url) {
   const key = url.searchParams.get("key") || "";
   const token = url.searchParams.get("token") || "";
-  const ver = await verifyToken(env.UPLOAD_TOKEN_SECRET, token);
+  const ver = await verifyToken(uploadKeyring(env), token);
   if (!ver.ok) return unauthorized("Invalid token");
   const p = ver.payload;
   if (p.typ !== "file_dl" || p.key !== key) return unauthorized("Token mismatch");
@@ -14091,7 +18405,7 @@ async function handleReady(env) {
   const missing = [];
   for (const k of ["SUPABASE_URL", "SUPABASE_SERVICE_ROLE_KEY"]) if (!env[k]) missing.push(k);
   if (!env.R2) missing.push("R2");
-  for (const k of ["SESSION_TOKEN_SECRET","UPLOAD_TOKEN_SECRET"]) if (!env[k]) missing.push(k);
+  for (const k of ["SESSION","UPLOAD"]) if (!env[`${k}_TOKEN_SECRET`] && !env[`${k}_TOKEN_KEYRING`]) missing.push(`${k}_TOKEN_SECRET|${k}_TOKEN_KEYRING`);
   if (missing.length) return new Response("missing: " + missing.join(","), { status: 503, headers: TEXT_PLAIN });
   return new Response("ready", { status: 200, headers: TEXT_PLAIN });
 }
@@ -14156,51 +18470,6 @@ function asNumber(x, d = 0) {
 
 
 
-function ymd(iso) {
-  const d = new Date(iso);
-  const y = d.getUTCFullYear();
-  const m = String(d.getUTCMonth() + 1).padStart(2, '0');
-  const da = String(d.getUTCDate()).padStart(2, '0');
-  return `${y}-${m}-${da}`;
-}
-
-// --- Basic UK DST handling (same style as your base file) ---
-function isBSTLocal(ymdStr) {
-  const [y, m, d] = ymdStr.split('-').map(Number);
-  const lastSunday = (year, month) => {
-    const dt = new Date(Date.UTC(year, month, 0));
-    const dow = dt.getUTCDay();
-    dt.setUTCDate(dt.getUTCDate() - dow);
-    return dt.getUTCDate();
-  };
-  const lastSunMar = lastSunday(y, 3);
-  const lastSunOct = lastSunday(y, 10);
-  const n = Date.UTC(y, m - 1, d);
-  const bstStart = Date.UTC(y, 2, lastSunMar, 1);
-  const bstEnd = Date.UTC(y, 9, lastSunOct, 1);
-  return n >= bstStart && n < bstEnd;
-}
-
-function toLocalParts(iso, tz) {
-  // For Europe/London only; treat other tz as UTC fallback.
-  const inYmd = ymd(iso);
-  const offset = (tz === 'Europe/London' && isBSTLocal(inYmd)) ? 1 : 0; // hours ahead of UTC
-  const d = new Date(iso);
-  let hh = d.getUTCHours() + offset;
-  let mm = d.getUTCMinutes();
-  let y = d.getUTCFullYear();
-  let m = d.getUTCMonth() + 1;
-  let da = d.getUTCDate();
-  if (hh >= 24) {
-    hh -= 24;
-    const dt = new Date(Date.UTC(y, m - 1, da));
-    dt.setUTCDate(dt.getUTCDate() + 1);
-    y = dt.getUTCFullYear(); m = dt.getUTCMonth() + 1; da = dt.getUTCDate();
-  }
-  const ymdStr = `${y}-${String(m).padStart(2, '0')}-${String(da).padStart(2, '0')}`;
-  return { ymd: ymdStr, hh, mm };
-}
-
 // ---------------------------
 // Supabase helpers (RPC + REST)
 // ---------------------------
@@ -14295,7 +18564,10 @@ async function loadPolicy(env, client_id, workedDateYmd) {
   }
 
   const tz = cs?.timezone_id || def?.timezone_id || 'Europe/London';
-  const bh = (cs?.bh_list && Array.isArray(cs.bh_list)) ? cs.bh_list : (def?.bh_list || []);
+  // Next year too, so a shift or week running past 31 December sees New Year's Day
+  const bhSpec = bankHolidaySpec(cs, def);
+  const year = parseInt(String(workedDateYmd || londonDate(new Date())).slice(0, 4), 10);
+  const bankHolidays = await resolveBankHolidays(env, bhSpec, [year, year + 1]);
   return {
     timezone_id: tz,
     day_start: cs?.day_start || def?.day_start || '06:00:00',
@@ -14308,89 +18580,188 @@ async function loadPolicy(env, client_id, workedDateYmd) {
     apply_holiday_to: cs?.apply_holiday_to || def?.apply_holiday_to || 'PAYE_ONLY',
     apply_erni_to: cs?.apply_erni_to || def?.apply_erni_to || 'PAYE_ONLY',
     margin_includes: { expenses: !!(cs?.margin_includes?.expenses ?? def?.margin_includes?.expenses) },
-    bh_list: Array.isArray(bh) ? bh : [],
+    bh_source: bhSpec.source,
+    bh_region: bhSpec.region,
+    bh_list: bankHolidays.map(h => h.date),
+    break_placement: cs?.break_placement || def?.break_placement || 'LARGEST_BUCKET',
+    custom_buckets_json: cs?.custom_buckets_json ?? def?.custom_buckets_json ?? [],
+    overtime_rules_json: cs?.overtime_rules_json ?? def?.overtime_rules_json ?? [],
+    rounding_mode: cs?.rounding_mode || def?.rounding_mode || 'NONE',
+    rounding_increment_minutes: asNumber(cs?.rounding_increment_minutes ?? def?.rounding_increment_minutes ?? 0),
+    min_paid_hours: asNumber(cs?.min_paid_hours ?? def?.min_paid_hours ?? 0),
+    callout_min_hours: asNumber(cs?.callout_min_hours ?? def?.callout_min_hours ?? 0),
   };
 }
 
 // ---------------------------
-// Classification helpers
+// Bank holidays
 // ---------------------------
-function hhmmToMin(hhmm) {
-  const [h, m] = (hhmm || '00:00:00').split(':').map((x) => parseInt(x, 10) || 0);
-  return h * 60 + m;
-}
+// Per-client (else settings_defaults; the bh_* fields are taken together from whichever row sets any):
+//   bh_source  COMPUTED  calendar for bh_region worked out from the rules below, for any year
+//              FEED      ICS file in R2 at bh_feed_url (years the file lacks fall back to COMPUTED)
+//              MANUAL    bh_list only (the old hand-typed list)
+//   bh_region  ENGLAND_WALES (default) | SCOTLAND | NORTHERN_IRELAND
+//   bh_list    under COMPUTED/FEED, extra local dates on top of the calendar
+// Rows saved before bh_source existed keep working: a bh_list without a region reads as MANUAL.
+const BH_SOURCES = ['COMPUTED', 'FEED', 'MANUAL'];
+const BH_REGIONS = ['ENGLAND_WALES', 'SCOTLAND', 'NORTHERN_IRELAND'];
+
+// One-off proclamations (all nations): extra days, and regular holidays moved for the year.
+const BH_ONE_OFFS = [
+  { date: '2011-04-29', name: 'Royal wedding' },
+  { move: ['2012-05-28', '2012-06-04'] },
+  { date: '2012-06-05', name: 'Queen’s Diamond Jubilee' },
+  { move: ['2020-05-04', '2020-05-08'] },
+  { move: ['2022-05-30', '2022-06-02'] },
+  { date: '2022-06-03', name: 'Platinum Jubilee bank holiday' },
+  { date: '2022-09-19', name: 'State Funeral of Queen Elizabeth II' },
+  { date: '2023-05-08', name: 'Coronation of King Charles III' },
+];
+
+function ymdOf(y, m, d) { return `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`; }
+function firstMonday(y, m) { const d1 = ymdOf(y, m, 1); return addDays(d1, (8 - dow(d1)) % 7); }
+function lastMonday(y, m) {
+  const last = addDays(m === 12 ? ymdOf(y + 1, 1, 1) : ymdOf(y, m + 1, 1), -1);
+  return addDays(last, -((dow(last) + 6) % 7));
+}
+// Anonymous Gregorian algorithm
+function easterSunday(y) {
+  const a = y % 19, b = Math.floor(y / 100), c = y % 100, d = Math.floor(b / 4), e = b % 4;
+  const f = Math.floor((b + 8) / 25), g = Math.floor((b - f + 1) / 3), h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4), k = c % 4, l = (32 + 2 * e + 2 * i - h - k) % 7, m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const n = h + l - 7 * m + 114;
+  return ymdOf(y, Math.floor(n / 31), (n % 31) + 1);
+}
+
+function computeBankHolidays(region, year) {
+  const out = [];
+  const taken = new Set();
+  const add = (date, name) => { out.push({ date, name }); taken.add(date); };
+  // Fixed-date holidays on a weekend roll to the next free weekday, in order
+  // (Sat 25 / Sun 26 Dec → Mon 27 / Tue 28).
+  const fixed = (m, d, name) => {
+    const date = ymdOf(year, m, d);
+    let x = date;
+    while (dow(x) === 0 || dow(x) === 6 || taken.has(x)) x = addDays(x, 1);
+    add(x, x === date ? name : `${name} (substitute day)`);
+  };
 
-function subtractBreak(segments, breakStartIso, breakEndIso, breakMin) {
-  if (breakStartIso && breakEndIso) {
-    const bs = new Date(breakStartIso).getTime();
-    const be = new Date(breakEndIso).getTime();
-    const out = [];
-    for (const [a, b] of segments) {
-      const A = new Date(a).getTime();
-      const B = new Date(b).getTime();
-      if (B <= bs || A >= be) { out.push([a, b]); continue; }
-      if (A < bs) out.push([a, new Date(bs).toISOString()]);
-      if (B > be) out.push([new Date(be).toISOString(), b]);
+  const easter = easterSunday(year);
+  add(addDays(easter, -2), 'Good Friday');
+  if (region !== 'SCOTLAND') add(addDays(easter, 1), 'Easter Monday');
+  add(firstMonday(year, 5), 'Early May bank holiday');
+  add(lastMonday(year, 5), 'Spring bank holiday');
+  add(region === 'SCOTLAND' ? firstMonday(year, 8) : lastMonday(year, 8), 'Summer bank holiday');
+
+  fixed(1, 1, 'New Year’s Day');
+  if (region === 'SCOTLAND') fixed(1, 2, '2nd January');
+  if (region === 'NORTHERN_IRELAND') fixed(3, 17, 'St Patrick’s Day');
+  if (region === 'NORTHERN_IRELAND') fixed(7, 12, 'Battle of the Boyne (Orangemen’s Day)');
+  if (region === 'SCOTLAND') fixed(11, 30, 'St Andrew’s Day');
+  fixed(12, 25, 'Christmas Day');
+  fixed(12, 26, 'Boxing Day');
+
+  for (const o of BH_ONE_OFFS) {
+    if (o.move) {
+      const hit = out.find(h => h.date === o.move[0]);
+      if (hit) hit.date = o.move[1];
+    } else if (o.date.startsWith(`${year}-`)) {
+      add(o.date, o.name);
     }
-    return out;
   }
-  if (!breakMin || breakMin <= 0) return segments;
-  if (!segments.length) return segments;
-  let [a, b] = segments[0];
-  const total = minutesBetween(a, b);
-  if (breakMin >= total) return [];
-  const startCut = Math.floor((total - breakMin) / 2);
-  const mid = new Date(new Date(a).getTime() + startCut * 60000).toISOString();
-  const midEnd = new Date(new Date(mid).getTime() + breakMin * 60000).toISOString();
-  return [[a, mid], [midEnd, b]];
-}
-
-function classifyMinutes(env, policy, segments) {
-  const out = { day: 0, night: 0, sat: 0, sun: 0, bh: 0 };
-  const tz = policy.timezone_id || 'Europe/London';
-  const dayStartMin = hhmmToMin(policy.day_start);
-  const dayEndMin = hhmmToMin(policy.day_end);
-  const bhSet = new Set(policy.bh_list || []);
-
-  for (const [isoA, isoB] of segments) {
-    let cur = new Date(isoA);
-    const end = new Date(isoB);
-
-    while (cur < end) {
-      const { ymd: curYmd, hh, mm } = toLocalParts(cur.toISOString(), tz);
-      const dayEnd = new Date(Date.UTC(cur.getUTCFullYear(), cur.getUTCMonth(), cur.getUTCDate() + 1));
-      const sliceEnd = end < dayEnd ? end : dayEnd;
-      const mins = minutesBetween(cur.toISOString(), sliceEnd.toISOString());
-
-      const dow = new Date(`${curYmd}T00:00:00Z`).getUTCDay(); // 0=Sun..6=Sat
-      const curIsBh = bhSet.has(curYmd);
-
-      if (curIsBh) {
-        out.bh += mins;
-      } else if (dow === 0) {
-        out.sun += mins;
-      } else if (dow === 6) {
-        out.sat += mins;
-      } else {
-        const startLocalMin = hh * 60 + mm;
-        const endLocalMin = startLocalMin + mins;
-        const dayOverlap = Math.max(0, Math.min(endLocalMin, dayEndMin) - Math.max(startLocalMin, dayStartMin));
-        const nightOverlap = mins - dayOverlap;
-        out.day += dayOverlap;
-        out.night += nightOverlap;
+  return out.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// VEVENTs → [{date, name}]; all-day events spanning several days give one entry per day.
+function parseIcsHolidays(text) {
+  const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const icsDate = (v) => { const m = String(v).match(/^(\d{4})(\d{2})(\d{2})/); return m ? `${m[1]}-${m[2]}-${m[3]}` : null; };
+  const out = [];
+  let ev = null;
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') { ev = {}; continue; }
+    if (line === 'END:VEVENT') {
+      if (ev?.start) {
+        const last = ev.end && ev.end > ev.start ? addDays(ev.end, -1) : ev.start;
+        for (let d = ev.start, n = 0; d <= last && n < 7; d = addDays(d, 1), n++) out.push({ date: d, name: ev.name || 'Bank holiday' });
       }
+      ev = null;
+      continue;
+    }
+    const m = ev && line.match(/^([A-Z-]+)(?:;[^:]*)?:(.*)$/);
+    if (!m) continue;
+    if (m[1] === 'DTSTART') ev.start = icsDate(m[2]);
+    else if (m[1] === 'DTEND') ev.end = icsDate(m[2]);
+    else if (m[1] === 'SUMMARY') ev.name = m[2].replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, ' ').trim();
+  }
+  return out.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Parsed feeds cached per isolate by R2 key; uploads always get a fresh key, so entries never go stale
+const _bhFeedCache = new Map();
+async function loadBankHolidayFeed(env, feedUrl) {
+  const key = normalizeKey(String(feedUrl || '').replace(/^r2:\/\//i, ''));
+  if (!key || /^https?:/i.test(key)) return null;
+  if (_bhFeedCache.has(key)) return _bhFeedCache.get(key);
+  const u8 = await r2GetBytes(env, key);
+  if (!u8) return null;
+  const list = parseIcsHolidays(new TextDecoder().decode(u8));
+  _bhFeedCache.set(key, list);
+  return list;
+}
+
+function bankHolidaySpec(cs, def) {
+  const sets = (r) => !!r && !!(r.bh_source || r.bh_region || r.bh_feed_url || (Array.isArray(r.bh_list) && r.bh_list.length));
+  const r = sets(cs) ? cs : (def || {});
+  const list = Array.isArray(r.bh_list) ? r.bh_list.map(String).filter(d => /^\d{4}-\d{2}-\d{2}$/.test(d)) : [];
+  const region = String(r.bh_region || '').toUpperCase();
+  let source = String(r.bh_source || '').toUpperCase();
+  if (!BH_SOURCES.includes(source)) source = (!region && list.length) ? 'MANUAL' : 'COMPUTED';
+  return { source, region: BH_REGIONS.includes(region) ? region : 'ENGLAND_WALES', feed_url: r.bh_feed_url || null, list };
+}
 
-      cur = sliceEnd;
+// Resolved calendar for the given years → [{date, name}] sorted by date
+async function resolveBankHolidays(env, spec, years) {
+  let feed = null;
+  if (spec.source === 'FEED') {
+    feed = await loadBankHolidayFeed(env, spec.feed_url).catch(() => null);
+    if (!feed) console.warn('bank holiday feed unavailable, using computed calendar:', spec.feed_url);
+  }
+  const byDate = new Map();
+  if (spec.source !== 'MANUAL') {
+    for (const y of years) {
+      let days = feed ? feed.filter(h => h.date.startsWith(`${y}-`)) : [];
+      if (!days.length) days = computeBankHolidays(spec.region, y);
+      for (const h of days) byDate.set(h.date, h);
     }
   }
+  for (const d of spec.list) if (!byDate.has(d)) byDate.set(d, { date: d, name: spec.source === 'MANUAL' ? 'Bank holiday' : 'Local holiday' });
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
 
-  return {
-    hours_day: round2(out.day / 60),
-    hours_night: round2(out.night / 60),
-    hours_sat: round2(out.sat / 60),
-    hours_sun: round2(out.sun / 60),
-    hours_bh: round2(out.bh / 60),
-  };
+// Validates/normalises bh_* keys present in a settings payload; returns an error message or null
+function bankHolidayInputError(input) {
+  if ('bh_source' in input && input.bh_source != null) {
+    input.bh_source = String(input.bh_source).toUpperCase();
+    if (!BH_SOURCES.includes(input.bh_source)) return `bh_source must be one of ${BH_SOURCES.join(', ')}`;
+  }
+  if ('bh_region' in input && input.bh_region != null) {
+    input.bh_region = String(input.bh_region).toUpperCase();
+    if (!BH_REGIONS.includes(input.bh_region)) return `bh_region must be one of ${BH_REGIONS.join(', ')}`;
+  }
+  if ('bh_list' in input && input.bh_list != null) {
+    if (!Array.isArray(input.bh_list) || input.bh_list.some(d => !/^\d{4}-\d{2}-\d{2}$/.test(String(d)))) return 'bh_list must be an array of YYYY-MM-DD dates';
+  }
+  if (input.bh_source === 'FEED' && !(input.bh_feed_url)) return 'bh_feed_url (R2 key of an uploaded ICS file) is required when bh_source is FEED';
+  return null;
+}
+
+// ---------------------------
+// Classification helpers
+// ---------------------------
+function hhmmToMin(hhmm) {
+  const [h, m] = (hhmm || '00:00:00').split(':').map((x) => parseInt(x, 10) || 0);
+  return h * 60 + m;
 }
 
 // ---------------------------
@@ -14442,6 +18813,12 @@ async function resolveRates(env, { candidate_id, client_id, role, band, dateYmd
       : { day: windowDef.umb_day,  night: windowDef.umb_night,  sat: windowDef.umb_sat,  sun: windowDef.umb_sun,  bh: windowDef.umb_bh  }
   ) : null);
 
+  // Custom buckets ride along under the same keys; an override without a rate for a code falls
+  // back to the window's pay rate for that code.
+  const custom = customRatesFrom(windowDef, override, rate_type);
+  if (charge) Object.assign(charge, custom.charge);
+  if (pay) Object.assign(pay, custom.pay);
+
   return {
     source: override
       ? { kind: 'CANDIDATE_OVERRIDE', id: override.id, rate_type }
@@ -14452,9 +18829,67 @@ async function resolveRates(env, { candidate_id, client_id, role, band, dateYmd
 }
 
 
+// custom_rates_json: on rates_client_defaults { code: { charge, paye, umb } }, on
+// rates_candidate_overrides { code: { pay } }.
+function customRatesFrom(windowDef, override, rate_type) {
+  const charge = {}, pay = {};
+  const win = (windowDef && windowDef.custom_rates_json) || {};
+  const ovr = (override && override.custom_rates_json) || {};
+  for (const [code, r] of Object.entries(win)) {
+    if (r?.charge != null) charge[code] = Number(r.charge);
+    const p = rate_type === 'PAYE' ? r?.paye : r?.umb;
+    if (p != null) pay[code] = Number(p);
+  }
+  for (const [code, r] of Object.entries(ovr)) if (r?.pay != null) pay[code] = Number(r.pay);
+  return { charge, pay };
+}
+
+function customRatesInputError(json, fields) {
+  if (json == null) return null;
+  if (typeof json !== 'object' || Array.isArray(json)) return 'custom_rates_json must be an object keyed by bucket code';
+  for (const [code, r] of Object.entries(json)) {
+    if (!/^[a-z][a-z0-9_]{1,23}$/.test(code) || BUCKET_KEYS.includes(code)) return `custom_rates_json: invalid bucket code "${code}"`;
+    if (!r || typeof r !== 'object') return `custom_rates_json.${code} must be an object`;
+    for (const f of fields) {
+      if (r[f] == null) continue;
+      const n = Number(r[f]);
+      if (!Number.isFinite(n) || n < 0) return `custom_rates_json.${code}.${f} must be a non-negative number`;
+    }
+  }
+  return null;
+}
+
+// Snapshot custom_buckets_json [{code,label,hours,pay,charge}] → summed hours and pay/charge (ex VAT)
+function customBucketSums(list) {
+  const out = { hours: 0, pay: 0, charge: 0 };
+  for (const b of (Array.isArray(list) ? list : [])) {
+    const h = asNumber(b.hours) || 0;
+    out.hours += h;
+    out.pay += h * (asNumber(b.pay) || 0);
+    out.charge += h * (asNumber(b.charge) || 0);
+  }
+  return { hours: round2(out.hours), pay: round2(out.pay), charge: round2(out.charge) };
+}
+
+// Remittance detail under a snapshot's bucket row: custom buckets ("Label: hours @ pay, …") and
+// overtime uplifts ("Label: hours @ +uplift = amount, …")
+function remittanceDetailText(r) {
+  const f = (n) => (n == null ? '' : Number(n).toFixed(2));
+  const out = [];
+  const custom = Array.isArray(r.custom_buckets_json) ? r.custom_buckets_json : [];
+  if (custom.length) out.push(custom.map(b => `${b.label || b.code}: ${f(b.hours)} @ ${f(b.pay)}`).join(', '));
+  const ot = (Array.isArray(r.overtime_json) ? r.overtime_json : []).filter(o => Number(o.pay_ex_vat) > 0);
+  if (ot.length) out.push(ot.map(o => `${o.label}: ${f(o.hours)} @ +${f(o.pay_uplift_rate)} = ${f(o.pay_ex_vat)}`).join(', '));
+  return out;
+}
+function remittanceDetailRows(r, esc) {
+  return remittanceDetailText(r)
+    .map(t => `\n        <tr><td colspan="100" style="color:#555">${esc(t)}</td></tr>`)
+    .join('');
+}
+
 function anyMissingRates(hours, pay, charge) {
-  const buckets = ['day', 'night', 'sat', 'sun', 'bh'];
-  for (const b of buckets) {
+  for (const b of Object.keys(hours)) {
     if (hours[b] > 0) {
       if (!charge || charge[b] == null) return true;
       if (!pay || pay[b] == null) return true;
@@ -14524,12 +18959,12 @@ async function enqueueManualTsfinRecalc(env, timesheetId) {
 }
 
 async function insertAuditEvent(env, req, args) {
-  const user = await requireUser(env, req, ['admin']).catch(() => null);
+  const user = await requireUser(env, req).catch(() => null);
   const ip = req.headers.get('CF-Connecting-IP') || req.headers.get('x-forwarded-for') || null;
   const ua = req.headers.get('user-agent') || null;
   const correlation_id = (globalThis.crypto?.randomUUID?.() || `${Date.now()}-${Math.random()}`).toString();
 
-  const payload = [{
+  const payload = {
     actor_user_id: user?.id ?? user?.user_id ?? null,
     actor_display: user?.email ?? null,
     actor_role_at_time: user?.role ?? null,
@@ -14542,20 +18977,16 @@ async function insertAuditEvent(env, req, args) {
     ip,
     user_agent: ua,
     correlation_id,
-  }];
+  };
 
-  await fetch(`${env.SUPABASE_URL}/rest/v1/audit_events`, {
-    method: 'POST',
-    headers: { ...sbHeaders(env), 'Prefer': 'return=minimal' },
-    body: JSON.stringify(payload),
-  });
+  await appendAuditEvent(env, payload).catch(e => console.warn('insertAuditEvent failed', e?.message || e));
 }
 
 /**
  * Shared patcher (JS)
  */
 async function patchTsfinCommon(env, req, timesheetId, patch) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['finance:write']);
   if (!user) return unauthorized();
 
   const toNum = (v) => (v === null || v === undefined ? null : Number(v));
@@ -14796,6 +19227,539 @@ async function handleTsfinPatchPO(env, req, timesheetId) {
   }));
 }
 
+// ---------------------------
+// Bank detail encryption (envelope)
+// ---------------------------
+// account_holder / sort_code / account_number are stored encrypted in <table>.bank_enc:
+//   { v:1, kid, dek:<record DEK wrapped by the KEK>, fields:{ sort_code:'<iv>.<ct>', ... } }
+// Every record has its own AES-256-GCM DEK. The plain columns keep only a masked copy
+// (**-**-12, ****5678, J*** S***), so lists, searches and API responses never carry real values;
+// only the payment paths call openBankFields(). KEKs come from BANK_KEK_KEYRING (JSON secret):
+//   [{ "kid":"2025-11", "key":"<base64url, 32 bytes>" },   ← first key wraps new/rotated DEKs
+//    { "kid":"2025-05", "key":"..." }]                       ← older keys still unwrap
+// Rotation: put the new key first; runBankReencryptOnce() (cron, or POST /api/admin/bank-encryption/rotate)
+// re-wraps DEKs under it and encrypts any rows still in plaintext. Drop the old key once remaining = 0.
+const BANK_FIELDS = {
+  candidates: ['account_holder', 'sort_code', 'account_number'],
+  umbrellas:  ['sort_code', 'account_number'],
+};
+const _bankKekCache = new Map();
+
+function bankKekRing(env) {
+  const raw = env.BANK_KEK_KEYRING || '';
+  if (_bankKekCache.has(raw)) return _bankKekCache.get(raw);
+  let list = [];
+  if (raw) {
+    try { list = JSON.parse(raw); } catch { throw new Error('BANK_KEK_KEYRING is not valid JSON'); }
+  }
+  const keys = (Array.isArray(list) ? list : [])
+    .filter(k => k && k.kid && k.key)
+    .map(k => ({ kid: String(k.kid), raw: base64UrlToUint8(String(k.key).replace(/=+$/, '')) }));
+  for (const k of keys) if (k.raw.byteLength !== 32) throw new Error(`BANK_KEK_KEYRING key ${k.kid} must be 32 bytes`);
+  const ring = keys.length ? { active: keys[0], keys } : null;
+  _bankKekCache.set(raw, ring);
+  return ring;
+}
+function requireBankKekRing(env) {
+  const ring = bankKekRing(env);
+  if (!ring) throw new Error('BANK_KEK_KEYRING not configured');
+  return ring;
+}
+
+function aesGcmKey(raw) {
+  return crypto.subtle.importKey('raw', raw, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+}
+// AAD binds each ciphertext to its purpose ('dek' or the field name) so values cannot be swapped
+async function aesGcmSeal(key, bytes, aad) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ct = await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(aad) }, key, bytes);
+  return `${bufToBase64Url(iv)}.${bufToBase64Url(ct)}`;
+}
+async function aesGcmOpen(key, sealed, aad) {
+  const [iv, ct] = String(sealed || '').split('.');
+  if (!iv || !ct) throw new Error('Malformed ciphertext');
+  const pt = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64UrlToUint8(iv), additionalData: new TextEncoder().encode(aad) }, key, base64UrlToUint8(ct));
+  return new Uint8Array(pt);
+}
+
+async function wrapBankDek(ring, dekRaw) {
+  return { kid: ring.active.kid, dek: await aesGcmSeal(await aesGcmKey(ring.active.raw), dekRaw, 'dek') };
+}
+async function unwrapBankDek(ring, envelope) {
+  const kek = ring.keys.find(k => k.kid === envelope?.kid);
+  if (!kek) throw new Error(`Bank KEK ${envelope?.kid} not in BANK_KEK_KEYRING`);
+  return aesGcmOpen(await aesGcmKey(kek.raw), envelope.dek, 'dek');
+}
+
+function maskSortCode(v) {
+  const d = String(v ?? '').replace(/\D/g, '');
+  return d ? `**-**-${d.slice(-2)}` : null;
+}
+function maskAccountNumber(v) {
+  const d = String(v ?? '').replace(/\D/g, '');
+  return d ? `****${d.slice(-4)}` : null;
+}
+function maskAccountHolder(v) {
+  const s = String(v ?? '').trim();
+  return s ? s.split(/\s+/).map(w => `${w[0]}***`).join(' ') : null;
+}
+const BANK_MASKERS = { sort_code: maskSortCode, account_number: maskAccountNumber, account_holder: maskAccountHolder };
+function isMaskedBankValue(v) {
+  return typeof v === 'string' && v.includes('*');
+}
+
+// Row as returned by the API: bank fields masked (also covers rows not yet encrypted), no envelope
+function maskBankRow(table, row) {
+  if (!row) return row;
+  const { bank_enc, ...out } = row;
+  for (const f of BANK_FIELDS[table]) {
+    if (out[f] != null && out[f] !== '') out[f] = BANK_MASKERS[f](out[f]);
+  }
+  return out;
+}
+
+// Turns a create/update body into the row to write: bank fields are encrypted into bank_enc and
+// replaced by their masks. Masked values echoed back by the UI mean "unchanged"; null/'' clears.
+// Returns { patch, changed } where changed lists the bank fields that were (re)written.
+async function sealBankPatch(env, table, id, data) {
+  const patch = { ...(data || {}) };
+  delete patch.bank_enc; // never accepted from clients
+  const given = BANK_FIELDS[table].filter(f => Object.prototype.hasOwnProperty.call(patch, f));
+
+  const sets = {};
+  for (const f of given) {
+    const v = patch[f];
+    delete patch[f];
+    if (!isMaskedBankValue(v)) sets[f] = v == null ? '' : String(v).trim();
+  }
+  const changed = Object.keys(sets);
+  if (!changed.length) return { patch, changed };
+
+  const ring = requireBankKekRing(env);
+  const existing = id ? await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/${table}?id=eq.${enc(id)}&select=bank_enc`) : null;
+  const envelope = existing?.bank_enc
+    ? { ...existing.bank_enc, fields: { ...(existing.bank_enc.fields || {}) } }
+    : { v: 1, fields: {} };
+  const dekRaw = existing?.bank_enc ? await unwrapBankDek(ring, existing.bank_enc) : crypto.getRandomValues(new Uint8Array(32));
+  const dek = await aesGcmKey(dekRaw);
+
+  for (const [f, s] of Object.entries(sets)) {
+    if (s) {
+      envelope.fields[f] = await aesGcmSeal(dek, new TextEncoder().encode(s), f);
+      patch[f] = BANK_MASKERS[f](s);
+    } else {
+      delete envelope.fields[f];
+      patch[f] = null;
+    }
+  }
+  patch.bank_enc = { ...envelope, ...(await wrapBankDek(ring, dekRaw)) }; // (re)wrapped under the active KEK
+  return { patch, changed };
+}
+
+// Payment / pay-channel paths only: returns the row with real bank values and without bank_enc.
+// Rows not yet encrypted still hold plaintext in the columns and pass through unchanged.
+async function openBankFields(env, table, row) {
+  if (!row) return row;
+  const { bank_enc, ...out } = row;
+  if (!bank_enc) return out;
+
+  const dek = await aesGcmKey(await unwrapBankDek(requireBankKekRing(env), bank_enc));
+  for (const f of BANK_FIELDS[table]) {
+    const sealed = bank_enc.fields?.[f];
+    if (sealed) out[f] = new TextDecoder().decode(await aesGcmOpen(dek, sealed, f));
+    else if (isMaskedBankValue(out[f])) out[f] = null;
+  }
+  return out;
+}
+
+// Re-wraps DEKs held under an older KEK and encrypts rows still in plaintext, one batch per table.
+// Each PATCH is conditional on the state it read, so concurrent runs cannot clobber each other.
+async function runBankReencryptOnce(env, { limit = 100 } = {}) {
+  const ring = bankKekRing(env);
+  if (!ring) return { skipped: 'BANK_KEK_KEYRING not configured' };
+
+  const result = { kid: ring.active.kid, reencrypted: 0, failed: 0, remaining: 0 };
+  for (const table of Object.keys(BANK_FIELDS)) {
+    const cols = BANK_FIELDS[table];
+    const plaintext = `and(bank_enc.is.null,or(${cols.map(c => `${c}.not.is.null`).join(',')}))`;
+    const stale = `bank_enc->>kid.neq.${enc(ring.active.kid)}`;
+    const { rows, total } = await sbFetch(env,
+      `${env.SUPABASE_URL}/rest/v1/${table}?select=id,bank_enc,${cols.join(',')}&or=(${plaintext},${stale})&limit=${limit}`, true);
+
+    let done = 0;
+    for (const r of rows || []) {
+      try {
+        let patch, guard;
+        if (r.bank_enc) {
+          patch = { bank_enc: { ...r.bank_enc, ...(await wrapBankDek(ring, await unwrapBankDek(ring, r.bank_enc))) } };
+          guard = `bank_enc->>kid=eq.${enc(r.bank_enc.kid)}`;
+        } else {
+          ({ patch } = await sealBankPatch(env, table, null, Object.fromEntries(cols.map(c => [c, r[c]]))));
+          guard = 'bank_enc=is.null';
+        }
+        await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/${table}?id=eq.${enc(r.id)}&${guard}`, {
+          method: 'PATCH', headers: { Prefer: 'return=minimal' }, body: JSON.stringify(patch)
+        });
+        done++;
+      } catch (e) {
+        console.warn(`[bank-reencrypt] ${table} ${r.id} failed:`, e?.message || e);
+        result.failed++;
+      }
+    }
+    result.reencrypted += done;
+    result.remaining += Math.max(0, (total ?? (rows || []).length) - done);
+  }
+  return result;
+}
+
+// POST /api/admin/bank-encryption/rotate { limit? }
+async function handleBankReencrypt(env, req) {
+  const user = await requireUser(env, req, ['security:write']);
+  if (!user) return withCORS(env, req, unauthorized());
+  const body = (await parseJSONBody(req)) || {};
+  const limit = Math.max(1, Math.min(500, parseInt(body.limit || '100', 10) || 100));
+
+  let result;
+  try { result = await runBankReencryptOnce(env, { limit }); }
+  catch (e) { return withCORS(env, req, serverError(e?.message || String(e))); }
+  if (result.skipped) return withCORS(env, req, badRequest(result.skipped));
+
+  await writeAudit(env, user, 'BANK_DETAILS_REENCRYPTED', result, { entity: 'bank_encryption', subject_id: result.kid, req });
+  return withCORS(env, req, ok(result));
+}
+
+// ---------------------------
+// GDPR: subject access export & right to erasure (candidates)
+// ---------------------------
+// Export: a ZIP of everything held about the candidate (own row with bank details opened,
+// contracts, rate overrides, timesheets + financials, remittance emails, bound devices,
+// audit trail and their signature images).
+// Erasure: identity fields are pseudonymised, bank details and signature images destroyed,
+// device bindings revoked and remittance email copies redacted. Timesheets, financials,
+// invoices and contracts are kept (now pointing at the pseudonym) until retain_financial_until
+// on the candidates_tombstones row: HMRC retention, GDPR_FINANCIAL_RETENTION_YEARS (default 6)
+// after the end of the tax year of the candidate's last payment.
+
+const CRC32_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+function crc32(bytes) {
+  let c = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) c = CRC32_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Minimal ZIP writer (stored entries, UTF-8 names). files: [{ name, data: Uint8Array|string }]
+function buildZip(files, when = new Date()) {
+  const dosTime = (when.getUTCHours() << 11) | (when.getUTCMinutes() << 5) | (when.getUTCSeconds() >> 1);
+  const dosDate = ((when.getUTCFullYear() - 1980) << 9) | ((when.getUTCMonth() + 1) << 5) | when.getUTCDate();
+  const te = new TextEncoder();
+  const locals = [], centrals = [];
+  let offset = 0;
+
+  for (const f of files) {
+    const name = te.encode(f.name);
+    const data = typeof f.data === 'string' ? te.encode(f.data) : f.data;
+    const crc = crc32(data);
+
+    const lh = new DataView(new ArrayBuffer(30));
+    lh.setUint32(0, 0x04034b50, true); lh.setUint16(4, 20, true); lh.setUint16(6, 0x0800, true);
+    lh.setUint16(8, 0, true); lh.setUint16(10, dosTime, true); lh.setUint16(12, dosDate, true);
+    lh.setUint32(14, crc, true); lh.setUint32(18, data.length, true); lh.setUint32(22, data.length, true);
+    lh.setUint16(26, name.length, true); lh.setUint16(28, 0, true);
+
+    const ch = new DataView(new ArrayBuffer(46));
+    ch.setUint32(0, 0x02014b50, true); ch.setUint16(4, 20, true); ch.setUint16(6, 20, true);
+    ch.setUint16(8, 0x0800, true); ch.setUint16(10, 0, true); ch.setUint16(12, dosTime, true);
+    ch.setUint16(14, dosDate, true); ch.setUint32(16, crc, true); ch.setUint32(20, data.length, true);
+    ch.setUint32(24, data.length, true); ch.setUint16(28, name.length, true); ch.setUint32(42, offset, true);
+
+    locals.push(new Uint8Array(lh.buffer), name, data);
+    centrals.push(new Uint8Array(ch.buffer), name);
+    offset += 30 + name.length + data.length;
+  }
+
+  const cdSize = centrals.reduce((n, b) => n + b.length, 0);
+  const eocd = new DataView(new ArrayBuffer(22));
+  eocd.setUint32(0, 0x06054b50, true);
+  eocd.setUint16(8, files.length, true); eocd.setUint16(10, files.length, true);
+  eocd.setUint32(12, cdSize, true); eocd.setUint32(16, offset, true);
+
+  const parts = [...locals, ...centrals, new Uint8Array(eocd.buffer)];
+  const out = new Uint8Array(parts.reduce((n, b) => n + b.length, 0));
+  let pos = 0;
+  for (const b of parts) { out.set(b, pos); pos += b.length; }
+  return out;
+}
+
+// PostgREST caps a response; page through with offset
+async function sbFetchAll(env, url, pageSize = 1000) {
+  const out = [];
+  for (let offset = 0; ; offset += pageSize) {
+    const { rows } = await sbFetch(env, `${url}&limit=${pageSize}&offset=${offset}`);
+    out.push(...(rows || []));
+    if (!rows || rows.length < pageSize) return out;
+  }
+}
+
+function gdprRetentionYears(env) {
+  return parseInt(env.GDPR_FINANCIAL_RETENTION_YEARS || '6', 10) || 6;
+}
+
+// UK tax years end on 5 April
+function ukTaxYearEnd(iso) {
+  const d = new Date(iso);
+  const y = d.getUTCFullYear();
+  const beforeApr6 = d.getUTCMonth() < 3 || (d.getUTCMonth() === 3 && d.getUTCDate() <= 5);
+  return `${beforeApr6 ? y : y + 1}-04-05`;
+}
+
+// Every timesheet of the candidate: via TSFIN (all versions) plus the occupant key the daily flow stamps
+async function gdprCandidateTimesheets(env, cand) {
+  const fin = await sbFetchAll(env,
+    `${env.SUPABASE_URL}/rest/v1/timesheets_financials?candidate_id=eq.${enc(cand.id)}&select=*&order=created_at.asc`);
+  const byId = new Map();
+  const ids = [...new Set(fin.map(r => r.timesheet_id).filter(Boolean))];
+  for (let i = 0; i < ids.length; i += 100) {
+    const chunk = ids.slice(i, i + 100).map(id => `"${id}"`).join(',');
+    for (const t of await sbFetchAll(env, `${env.SUPABASE_URL}/rest/v1/timesheets?timesheet_id=in.(${enc(chunk)})&select=*`)) {
+      byId.set(t.timesheet_id, t);
+    }
+  }
+  const occ = candidateOccupantKey(cand);
+  if (occ) {
+    for (const t of await sbFetchAll(env, `${env.SUPABASE_URL}/rest/v1/timesheets?occupant_key_norm=eq.${enc(occ)}&select=*`)) {
+      byId.set(t.timesheet_id, t);
+    }
+  }
+  return { timesheets: [...byId.values()], financials: fin };
+}
+
+// Every R2 key under a prefix
+async function r2ListKeys(bucket, prefix) {
+  const keys = [];
+  let cursor;
+  do {
+    const page = await bucket.list({ prefix, cursor });
+    for (const o of page.objects || []) keys.push(o.key);
+    cursor = page.truncated ? page.cursor : null;
+  } while (cursor);
+  return keys;
+}
+
+// A paper timesheet's files: the scan or photo PDF it points at plus every earlier photo upload for the
+// same owner (paper_ts/we=<week>/<owner>_<ms>.pdf, where owner is ts_<timesheet id> or cw_<week id>)
+async function paperTimesheetKeys(bucket, owner, weekEnding, currentKey) {
+  const keys = new Set(currentKey ? [normalizeKey(currentKey)] : []);
+  if (weekEnding) for (const k of await r2ListKeys(bucket, `paper_ts/we=${ymdCompact(weekEnding)}/${owner}_`)) keys.add(k);
+  return [...keys];
+}
+
+// GET /api/candidates/:id/gdpr-export  → application/zip
+async function handleCandidateGdprExport(env, req, candidateId) {
+  const user = await requireUser(env, req, ['gdpr:export']);
+  if (!user) return withCORS(env, req, unauthorized());
+
+  const raw = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/candidates?id=eq.${enc(candidateId)}&select=*`);
+  if (!raw) return withCORS(env, req, notFound('Candidate not found'));
+
+  const files = [];
+  const json = (name, data) => files.push({ name, data: JSON.stringify(data, null, 2) });
+  let manifest;
+  try {
+    const candidate = await openBankFields(env, 'candidates', raw);
+    const { timesheets, financials } = await gdprCandidateTimesheets(env, raw);
+    const contracts = await sbFetchAll(env, `${env.SUPABASE_URL}/rest/v1/contracts?candidate_id=eq.${enc(candidateId)}&select=*`);
+    const rateOverrides = await sbFetchAll(env, `${env.SUPABASE_URL}/rest/v1/rates_candidate_overrides?candidate_id=eq.${enc(candidateId)}&select=*`);
+    const remittances = await sbFetchAll(env,
+      `${env.SUPABASE_URL}/rest/v1/mail_outbox?reference=like.${enc(`remit:candidate:${candidateId}:*`)}&select=id,type,to,subject,body_html,body_text,status,reference,created_at_utc,sent_at&order=created_at_utc.asc`);
+    const audit = await sbFetchAll(env,
+      `${env.SUPABASE_URL}/rest/v1/audit_events?object_type=eq.candidate&object_id_text=eq.${enc(candidateId)}&select=*&order=ts_utc.asc`);
+    const devices = await kvListCandidateDevices(env, candidateId);
+
+    json('candidate.json', candidate);
+    json('contracts.json', contracts);
+    json('rate_overrides.json', rateOverrides);
+    json('timesheets.json', timesheets);
+    json('timesheets_financials.json', financials);
+    json('remittances.json', remittances);
+    json('devices.json', devices);
+    json('audit_events.json', audit);
+
+    // Only the candidate's own signatures; authoriser signatures are the authoriser's data
+    let signatures = 0;
+    for (const t of timesheets) {
+      if (!t.r2_nurse_key) continue;
+      const bytes = await r2GetBytes(env, t.r2_nurse_key);
+      if (!bytes) continue;
+      const ext = (String(t.r2_nurse_key).match(/\.([a-z0-9]+)$/i)?.[1] || 'png').toLowerCase();
+      files.push({ name: `signatures/${t.timesheet_id}.${ext}`, data: bytes });
+      signatures++;
+    }
+
+    manifest = {
+      candidate_id: candidateId,
+      generated_at: nowIso(),
+      generated_by: user.email,
+      counts: {
+        contracts: contracts.length, rate_overrides: rateOverrides.length, timesheets: timesheets.length,
+        timesheets_financials: financials.length, remittances: remittances.length,
+        devices: devices.length, audit_events: audit.length, signatures,
+      },
+    };
+    json('manifest.json', manifest);
+  } catch (e) {
+    return withCORS(env, req, serverError(`GDPR export failed: ${e?.message || e}`));
+  }
+
+  const zip = buildZip(files);
+  await writeAudit(env, user, 'CANDIDATE_GDPR_EXPORT', { counts: manifest.counts, bytes: zip.length },
+    { entity: 'candidate', subject_id: candidateId, reason: 'GDPR_SAR', req });
+
+  const headers = new Headers();
+  headers.set('Content-Type', 'application/zip');
+  headers.set('Content-Length', String(zip.length));
+  headers.set('Content-Disposition', `attachment; filename="gdpr_candidate_${String(candidateId).replace(/[^A-Za-z0-9_-]/g, '')}.zip"`);
+  headers.set('Cache-Control', 'no-store');
+  return withCORS(env, req, new Response(zip, { status: 200, headers }));
+}
+
+// POST /api/candidates/:id/erase { reason }
+async function handleCandidateErase(env, req, candidateId) {
+  const user = await requireUser(env, req, ['gdpr:write']);
+  if (!user) return withCORS(env, req, unauthorized());
+
+  const body = await parseJSONBody(req);
+  const reason = String(body?.reason || '').trim();
+  if (!reason) return withCORS(env, req, badRequest('reason is required'));
+
+  const cand = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/candidates?id=eq.${enc(candidateId)}&select=id,key_norm,display_name,erased_at`);
+  if (!cand) return withCORS(env, req, notFound('Candidate not found'));
+  if (cand.erased_at) return withCORS(env, req, conflict('Candidate already erased'));
+
+  // Pay runs still need the bank details and identity
+  const { rows: unpaid } = await sbFetch(env,
+    `${env.SUPABASE_URL}/rest/v1/timesheets_financials?candidate_id=eq.${enc(candidateId)}&is_current=eq.true&paid_at_utc=is.null&select=timesheet_id&limit=1`);
+  if (unpaid?.length) return withCORS(env, req, conflict('Candidate has unpaid timesheets; pay or cancel them before erasure'));
+
+  const erasedAt = nowIso();
+  const pseudoKey = `erased-${String(candidateId).toLowerCase()}`;
+  const summary = { signatures_deleted: 0, pdfs_retained: 0, paper_pdfs_deleted: 0, timesheets_pseudonymised: 0, remittances_redacted: 0, devices_revoked: 0 };
+  let retainUntil;
+  try {
+    const { timesheets, financials } = await gdprCandidateTimesheets(env, cand);
+
+    const lastPaid = financials.map(r => r.paid_at_utc).filter(Boolean).sort().pop() || erasedAt;
+    const taxYearEnd = ukTaxYearEnd(lastPaid);
+    retainUntil = `${Number(taxYearEnd.slice(0, 4)) + gdprRetentionYears(env)}${taxYearEnd.slice(4)}`;
+
+    // Signature images, rendered PDFs that embed them and paper timesheets (scans, photo PDFs);
+    // timesheets now point at the pseudonym. The rendered and current paper PDF of an invoiced or paid
+    // timesheet are financial records and stay until retain_financial_until; earlier uploads go.
+    const bucket = env.R2_BUCKET || env.R2;
+    const retainedIds = new Set(financials.filter(r => r.locked_by_invoice_id || r.paid_at_utc).map(r => r.timesheet_id));
+    const dropPaper = async (owner, weekEnding, currentKey, retained) => {
+      for (const k of await paperTimesheetKeys(bucket, owner, weekEnding, currentKey)) {
+        if (retained && currentKey && k === normalizeKey(currentKey)) continue;
+        await bucket.delete(k);
+        summary.paper_pdfs_deleted++;
+      }
+    };
+    for (const t of timesheets) {
+      if (t.r2_nurse_key) {
+        await bucket.delete(normalizeKey(t.r2_nurse_key));
+        summary.signatures_deleted++;
+      }
+      const retained = retainedIds.has(t.timesheet_id);
+      await dropPaper(`ts_${t.timesheet_id}`, t.week_ending_date, t.manual_pdf_r2_key, retained);
+      if (retained) {
+        summary.pdfs_retained++;
+        continue;
+      }
+      await bucket.delete(normalizeKey(`docs-pdf/timesheets/ts_${t.timesheet_id}.pdf`)).catch(() => {});
+    }
+    const ids = timesheets.map(t => t.timesheet_id);
+    const erasedIds = ids.filter(id => !retainedIds.has(id));
+    for (let i = 0; i < ids.length; i += 100) {
+      const chunk = ids.slice(i, i + 100).map(id => `"${id}"`).join(',');
+      await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/timesheets?timesheet_id=in.(${enc(chunk)})`, {
+        method: 'PATCH', headers: { Prefer: 'return=minimal' },
+        body: JSON.stringify({ r2_nurse_key: null, occupant_key_norm: pseudoKey, updated_at: erasedAt })
+      });
+    }
+    for (let i = 0; i < erasedIds.length; i += 100) {
+      const chunk = erasedIds.slice(i, i + 100).map(id => `"${id}"`).join(',');
+      await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/timesheets?timesheet_id=in.(${enc(chunk)})`, {
+        method: 'PATCH', headers: { Prefer: 'return=minimal' }, body: JSON.stringify({ manual_pdf_r2_key: null })
+      });
+    }
+    summary.timesheets_pseudonymised = ids.length;
+
+    // Paper timesheets photographed against the candidate's contract weeks
+    const contractIds = (await sbFetchAll(env, `${env.SUPABASE_URL}/rest/v1/contracts?candidate_id=eq.${enc(candidateId)}&select=id`)).map(c => c.id);
+    for (let i = 0; i < contractIds.length; i += 100) {
+      const weeks = await sbFetchAll(env, `${env.SUPABASE_URL}/rest/v1/contract_weeks?contract_id=in.(${contractIds.slice(i, i + 100).map(enc).join(',')})` +
+        `&select=id,week_ending_date,timesheet_id,uploaded_pdf_r2_key`);
+      for (const w of weeks) {
+        const retained = !!w.timesheet_id && retainedIds.has(w.timesheet_id);
+        await dropPaper(`cw_${w.id}`, w.week_ending_date, w.uploaded_pdf_r2_key, retained);
+        if (!retained && w.uploaded_pdf_r2_key) {
+          await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/contract_weeks?id=eq.${enc(w.id)}`, {
+            method: 'PATCH', headers: { Prefer: 'return=minimal' }, body: JSON.stringify({ uploaded_pdf_r2_key: null, updated_at: erasedAt })
+          });
+        }
+      }
+    }
+
+    // Candidate row: identity and bank details go, pay method / umbrella link stay for the retained financials
+    await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/candidates?id=eq.${enc(candidateId)}`, {
+      method: 'PATCH', headers: { Prefer: 'return=minimal' },
+      body: JSON.stringify({
+        first_name: 'Erased', last_name: 'Candidate', display_name: `Erased candidate ${String(candidateId).slice(0, 8)}`,
+        email: null, phone: null, key_norm: pseudoKey,
+        account_holder: null, bank_name: null, sort_code: null, account_number: null, bank_enc: null,
+        active: false, erased_at: erasedAt, updated_at: erasedAt,
+      })
+    });
+
+    // Remittance email copies: figures live on in TSFIN, the address and bodies do not
+    const { rows: redacted } = await sbFetch(env,
+      `${env.SUPABASE_URL}/rest/v1/mail_outbox?reference=like.${enc(`remit:candidate:${candidateId}:*`)}&select=id`, {
+        method: 'PATCH', headers: { Prefer: 'return=representation' },
+        body: JSON.stringify({ to: 'erased', cc: null, body_html: null, body_text: null, attachments: null })
+      });
+    summary.remittances_redacted = redacted?.length || 0;
+
+    for (const d of await kvListCandidateDevices(env, candidateId)) {
+      await env.SESSIONS.delete(`cdev:${candidateId}:${d.device_id}`);
+      summary.devices_revoked++;
+    }
+
+    await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/candidates_tombstones`, {
+      method: 'POST', headers: { Prefer: 'return=minimal' },
+      body: JSON.stringify({
+        id: candidateId, kind: 'GDPR_ERASURE', reason,
+        erased_at: erasedAt, erased_by: user.id || null,
+        retain_financial_until: retainUntil, summary,
+      })
+    });
+  } catch (e) {
+    await writeAudit(env, user, 'CANDIDATE_ERASE_FAILED', { error: String(e?.message || e), summary },
+      { entity: 'candidate', subject_id: candidateId, reason, req });
+    return withCORS(env, req, serverError(`Erasure failed: ${e?.message || e}`));
+  }
+
+  await writeAudit(env, user, 'CANDIDATE_ERASED', { ...summary, retain_financial_until: retainUntil },
+    { entity: 'candidate', subject_id: candidateId, reason, req });
+  return withCORS(env, req, ok({ ok: true, candidate_id: candidateId, erased_at: erasedAt, retain_financial_until: retainUntil, ...summary }));
+}
+
 // ---------------------------
 // Pay channel resolution (pure)
 // ---------------------------
@@ -14858,9 +19822,13 @@ function resolveEffectivePayChannel(input) {
 async function runTsfinWorkerOnce(env, { limit = 50 } = {}) {
   // NOTE: Rename RPC arg -> p_limit
   const lease = await sbRpc(env, 'tsfin_dequeue_batch', { p_limit: limit });
-  if (!Array.isArray(lease) || !lease.length) return { picked: 0, ok: 0, fail: 0 };
+  if (!Array.isArray(lease) || !lease.length) {
+    const retries = await loadOvertimeRetries(env).catch(() => []);
+    return { picked: 0, ok: 0, fail: 0, overtime_weeks: retries.length ? await runOvertimePass(env, retries) : 0 };
+  }
 
   let ok = 0, fail = 0;
+  const weeks = new Map(); // candidate/client/week-ending/contract groups for the overtime pass
 
   for (const item of lease) {
     try {
@@ -14872,8 +19840,8 @@ async function runTsfinWorkerOnce(env, { limit = 50 } = {}) {
         ok++; continue;
       }
 
-      // Must be authorised to proceed with financials
-      if (!ts.authorised_at_server) {
+      // Must be authorised (and, if submitted late, accepted) to proceed with financials
+      if (!ts.authorised_at_server || ts.status === 'LATE_PENDING_REVIEW') {
         // NOTE: Rename RPC arg -> p_id
         await sbRpc(env, 'tsfin_work_success', { p_id: item.id });
         ok++; continue;
@@ -14884,15 +19852,12 @@ async function runTsfinWorkerOnce(env, { limit = 50 } = {}) {
       const candidate_assignment = candidate ? 'ASSIGNED' : 'UNASSIGNED';
 
       const client_id = await resolveClientId(env, ts.hospital_norm || null);
-      const workedDateYmd = ts.worked_start_iso ? toLocalParts(ts.worked_start_iso, null).ymd : null;
+      const workedDateYmd = ts.worked_start_iso ? londonDate(ts.worked_start_iso) : null;
       const policy = await loadPolicy(env, client_id, workedDateYmd); // includes time bands + rates like vat, holiday pct etc.
 
-      // Build minutes -> hour buckets and subtract breaks
-      let segments = [];
-      if (ts.worked_start_iso && ts.worked_end_iso) segments.push([ts.worked_start_iso, ts.worked_end_iso]);
-      segments = subtractBreak(segments, ts.break_start_iso || null, ts.break_end_iso || null, ts.break_minutes || null);
-
-      const hours = classifyMinutes(env, policy, segments);
+      // Minutes -> hour buckets, breaks taken out, rounding/minimums applied (shared engine with the weekly schedules)
+      const adjustment = {};
+      const hours = bucketHours(classifyShift(timeBandsFromPolicy(policy), shiftFromTimesheet(ts), emptyBuckets(), adjustment));
 
       // Resolve pay/charge rates (PAY filtered by rate_type=pay_method; CHARGE shared)
       const rates = await resolveRates(env, {
@@ -14904,7 +19869,7 @@ async function runTsfinWorkerOnce(env, { limit = 50 } = {}) {
       });
 
       const missingRates = anyMissingRates(
-        { day: hours.hours_day, night: hours.hours_night, sat: hours.hours_sat, sun: hours.hours_sun, bh: hours.hours_bh },
+        { day: hours.hours_day, night: hours.hours_night, sat: hours.hours_sat, sun: hours.hours_sun, bh: hours.hours_bh, ...hours.custom },
         rates.pay,
         rates.charge
       );
@@ -14927,12 +19892,21 @@ async function runTsfinWorkerOnce(env, { limit = 50 } = {}) {
       const pay = rates.pay || { day: 0, night: 0, sat: 0, sun: 0, bh: 0 };
       const charge = rates.charge || { day: 0, night: 0, sat: 0, sun: 0, bh: 0 };
 
+      // Custom buckets are snapshotted with their label and rates so later renames don't rewrite history
+      const labels = Object.fromEntries(normaliseCustomBuckets(policy.custom_buckets_json).map(c => [c.code, c.label]));
+      const custom_buckets_json = Object.entries(hours.custom).map(([code, h]) => ({
+        code, label: labels[code] || code, hours: h,
+        pay: rates.pay?.[code] ?? null, charge: rates.charge?.[code] ?? null,
+      }));
+      const customSums = customBucketSums(custom_buckets_json);
+
       const total_pay_ex_vat = round2(
         hours.hours_day * asNumber(pay.day) +
         hours.hours_night * asNumber(pay.night) +
         hours.hours_sat * asNumber(pay.sat) +
         hours.hours_sun * asNumber(pay.sun) +
-        hours.hours_bh * asNumber(pay.bh)
+        hours.hours_bh * asNumber(pay.bh) +
+        customSums.pay
       );
 
       const total_charge_ex_vat = round2(
@@ -14940,7 +19914,8 @@ async function runTsfinWorkerOnce(env, { limit = 50 } = {}) {
         hours.hours_night * asNumber(charge.night) +
         hours.hours_sat * asNumber(charge.sat) +
         hours.hours_sun * asNumber(charge.sun) +
-        hours.hours_bh * asNumber(charge.bh)
+        hours.hours_bh * asNumber(charge.bh) +
+        customSums.charge
       );
 
       const margin_ex_vat = round2(total_charge_ex_vat - total_pay_ex_vat);
@@ -14974,7 +19949,8 @@ async function runTsfinWorkerOnce(env, { limit = 50 } = {}) {
         band: ts.band || null,
         pay_method,
 
-        policy_snapshot_json: policy,
+        // Clocked vs paid minutes ride along with the policy when rounding or a minimum changed them
+        policy_snapshot_json: adjustment.paid_minutes != null ? { ...policy, hours_adjustment: adjustment } : policy,
         rate_source_refs_json: rates.source,
 
         hours_day: hours.hours_day,
@@ -14993,8 +19969,9 @@ async function runTsfinWorkerOnce(env, { limit = 50 } = {}) {
         charge_sat: rates.charge?.sat ?? null,
         charge_sun: rates.charge?.sun ?? null,
         charge_bh: rates.charge?.bh ?? null,
+        custom_buckets_json,
 
-        total_hours: round2(hours.hours_day + hours.hours_night + hours.hours_sat + hours.hours_sun + hours.hours_bh),
+        total_hours: round2(hours.hours_day + hours.hours_night + hours.hours_sat + hours.hours_sun + hours.hours_bh + customSums.hours),
         total_pay_ex_vat,
         total_charge_ex_vat,
         margin_ex_vat,
@@ -15006,6 +19983,10 @@ async function runTsfinWorkerOnce(env, { limit = 50 } = {}) {
       };
 
       await writeSnapshot(env, snapshot);
+      if (candidate?.id && client_id && ts.week_ending_date) {
+        const g = { candidate_id: candidate.id, client_id, week_ending_date: ts.week_ending_date, contract_id: ts.contract_id || null };
+        weeks.set(overtimeWeekKey(g), g);
+      }
       // NOTE: Rename RPC arg -> p_id
       await sbRpc(env, 'tsfin_work_success', { p_id: item.id });
       ok++;
@@ -15017,7 +19998,12 @@ async function runTsfinWorkerOnce(env, { limit = 50 } = {}) {
     }
   }
 
-  return { picked: lease.length, ok, fail };
+  for (const g of await loadOvertimeRetries(env).catch(() => [])) {
+    const key = overtimeWeekKey(g);
+    weeks.set(key, { ...(weeks.get(key) || g), retry: true });
+  }
+  const overtime_weeks = weeks.size ? await runOvertimePass(env, [...weeks.values()]) : 0;
+  return { picked: lease.length, ok, fail, overtime_weeks };
 }
 
 // helpers used above
@@ -15026,12 +20012,252 @@ function hasPayeBank(c) {
   return !!(c.account_number && c.sort_code); // minimal signal; holder/bank_name optional
 }
 
+// ---------------------------
+// Overtime (week-level pass)
+// ---------------------------
+// overtime_rules_json on the contract, else client_settings → settings_defaults (via the policy):
+//   [{ label?, basis: 'DAILY'|'WEEKLY', threshold_hours, buckets?: ['day','night',… custom codes],
+//      multiplier?: 1.5 | pay_rate?: n, charge_rate?: n }]
+// After the worker writes snapshots, each candidate/client/week-ending (and contract) it touched is
+// re-evaluated across all current snapshots of that week, in worked order. Hours past a threshold earn
+// an uplift on top of the bucket pay already in total_pay_ex_vat: (multiplier − 1) × the timesheet's
+// average rate over the counted buckets, or a fixed rate less that average (never negative; a fixed
+// rule without charge_rate adds nothing to the charge). Tiers of one basis split the hours between
+// them (37.5–48 at one rule, 48+ at the next); hours already overtime on their day don't count again
+// toward the week. Results sit on the snapshot as overtime_hours / overtime_pay_ex_vat /
+// overtime_charge_ex_vat / overtime_json and are invoiced and remitted as their own lines.
+const OVERTIME_BASES = ['DAILY', 'WEEKLY'];
+
+function overtimeRulesInputError(list) {
+  if (list == null) return null;
+  if (!Array.isArray(list)) return 'overtime_rules_json must be an array';
+  for (const [i, r] of list.entries()) {
+    const at = `overtime_rules_json[${i}]`;
+    if (!r || typeof r !== 'object') return `${at} must be an object`;
+    if (!OVERTIME_BASES.includes(String(r.basis || '').toUpperCase())) return `${at}.basis must be DAILY or WEEKLY`;
+    const t = Number(r.threshold_hours);
+    if (!Number.isFinite(t) || t <= 0 || t > 168) return `${at}.threshold_hours must be more than 0 and at most 168`;
+    if (r.buckets != null && (!Array.isArray(r.buckets) || r.buckets.some(b => typeof b !== 'string' || !b))) {
+      return `${at}.buckets must be an array of bucket codes`;
+    }
+    const hasMultiplier = r.multiplier != null;
+    const hasFixed = r.pay_rate != null || r.charge_rate != null;
+    if (hasMultiplier === hasFixed) return `${at} needs either multiplier or pay_rate/charge_rate`;
+    if (hasMultiplier && !(Number(r.multiplier) >= 1)) return `${at}.multiplier must be at least 1`;
+    for (const f of ['pay_rate', 'charge_rate']) {
+      if (r[f] != null && !(Number(r[f]) >= 0)) return `${at}.${f} must be a non-negative number`;
+    }
+  }
+  return null;
+}
+
+// Snapshot → [{code,hours,pay,charge}] over the five buckets and any custom ones. Contract-week
+// snapshots carry their rates as pay_rate_* / rate_*.
+function snapshotBuckets(r) {
+  const out = BUCKET_KEYS.map(k => ({
+    code: k,
+    hours: asNumber(r[`hours_${k}`]),
+    pay: asNumber(r[`pay_${k}`] ?? r[`pay_rate_${k}`]),
+    charge: asNumber(r[`charge_${k}`] ?? r[`rate_${k}`]),
+  }));
+  for (const b of (Array.isArray(r.custom_buckets_json) ? r.custom_buckets_json : [])) {
+    out.push({ code: b.code, hours: asNumber(b.hours), pay: asNumber(b.pay), charge: asNumber(b.charge) });
+  }
+  return out;
+}
+
+// A contract-week snapshot split per schedule day, reclassified under the snapshot's own policy and
+// priced at its bucket rates → [{ date, buckets }]. Totals-only weeks have no days.
+export function scheduleDayBuckets(r, schedule) {
+  const days = (Array.isArray(schedule) ? schedule : []).filter(d => d && d.date && d.start && d.end);
+  if (!days.length) return [];
+  const bands = timeBandsFromPolicy(r.policy_snapshot_json || {});
+  const rates = new Map(snapshotBuckets(r).map(b => [b.code, b]));
+  return days.map(d => {
+    const minutes = classifyShift(bands, shiftFromScheduleDay(bands.tz, d));
+    const buckets = Object.entries(minutes).filter(([, m]) => m > 0).map(([code, m]) => ({
+      code, hours: round2(m / 60), pay: rates.get(code)?.pay || 0, charge: rates.get(code)?.charge || 0,
+    }));
+    return { date: d.date, buckets };
+  });
+}
+
+// rows: [{ timesheet_id, worked_start_iso, buckets, days? }] → Map timesheet_id → { hours, pay, charge, lines }.
+// DAILY rules count each row on its London start date, or each of its days ([{ date, buckets }]) for a
+// contract week; a row with neither (a totals-only week) only counts toward WEEKLY rules.
+export function computeOvertime(rules, rows) {
+  const norm = (Array.isArray(rules) ? rules : [])
+    .map(r => ({ ...r, basis: String(r.basis || '').toUpperCase(), threshold: Number(r.threshold_hours) }))
+    .filter(r => OVERTIME_BASES.includes(r.basis) && r.threshold > 0);
+  const out = new Map(rows.map(r => [r.timesheet_id, { hours: 0, pay: 0, charge: 0, lines: [], daily: 0 }]));
+  const ordered = [...rows].sort((a, b) => String(a.worked_start_iso || '').localeCompare(String(b.worked_start_iso || '')));
+
+  for (const basis of OVERTIME_BASES) { // DAILY first, so the weekly count can leave those hours out
+    const tiers = norm.filter(r => r.basis === basis).sort((a, b) => a.threshold - b.threshold);
+    for (const [i, rule] of tiers.entries()) {
+      const ceiling = tiers[i + 1]?.threshold ?? Infinity;
+      const running = new Map(); // day (or 'week') → counted hours so far
+      for (const row of ordered) {
+        const res = out.get(row.timesheet_id);
+        const units = basis === 'WEEKLY'
+          ? [{ date: 'week', buckets: row.buckets }]
+          : (row.days || (row.worked_start_iso ? [{ date: londonDate(row.worked_start_iso), buckets: row.buckets }] : []));
+        for (const unit of units) {
+          const counted = unit.buckets.filter(b => !rule.buckets?.length || rule.buckets.includes(b.code));
+          const countedHours = counted.reduce((n, b) => n + b.hours, 0);
+          const hours = basis === 'WEEKLY' ? Math.max(0, countedHours - res.daily) : countedHours;
+          const period = unit.date;
+          const before = running.get(period) || 0;
+          running.set(period, before + hours);
+
+          const ot = round2(Math.max(0, Math.min(before + hours, ceiling) - Math.max(before, rule.threshold)));
+          if (!(ot > 0)) continue;
+          if (basis === 'DAILY') res.daily += ot;
+
+          const avgPay = countedHours ? counted.reduce((n, b) => n + b.hours * b.pay, 0) / countedHours : 0;
+          const avgCharge = countedHours ? counted.reduce((n, b) => n + b.hours * b.charge, 0) / countedHours : 0;
+          const uplift = (fixed, avg) => rule.multiplier != null
+            ? avg * (Number(rule.multiplier) - 1)
+            : (fixed == null ? 0 : Math.max(0, Number(fixed) - avg));
+          const payUplift = round2(uplift(rule.pay_rate, avgPay));
+          const chargeUplift = round2(uplift(rule.charge_rate, avgCharge));
+
+          const line = {
+            label: rule.label || `${basis === 'DAILY' ? 'Daily' : 'Weekly'} overtime over ${rule.threshold}h`,
+            basis,
+            threshold_hours: rule.threshold,
+            hours: ot,
+            pay_uplift_rate: payUplift,
+            charge_uplift_rate: chargeUplift,
+            pay_ex_vat: round2(ot * payUplift),
+            charge_ex_vat: round2(ot * chargeUplift),
+          };
+          res.lines.push(line);
+          res.hours = round2(res.hours + ot);
+          res.pay = round2(res.pay + line.pay_ex_vat);
+          res.charge = round2(res.charge + line.charge_ex_vat);
+        }
+      }
+    }
+  }
+  return out;
+}
+
+// A week whose pass fails is parked in OVERTIME_RETRY_TABLE (keyed like the worker's week map) and
+// retried by every later worker run until it goes through.
+const OVERTIME_RETRY_TABLE = 'overtime_week_retries';
+const overtimeWeekKey = (g) => `${g.candidate_id}|${g.client_id}|${g.week_ending_date}|${g.contract_id || ''}`;
+
+async function loadOvertimeRetries(env, limit = 50) {
+  const { rows } = await sbFetch(env,
+    `${env.SUPABASE_URL}/rest/v1/${OVERTIME_RETRY_TABLE}?select=week_key,candidate_id,client_id,week_ending_date,contract_id` +
+    `&order=failed_at.asc&limit=${limit}`);
+  return (rows || []).map(r => ({ ...r, retry: true }));
+}
+
+async function runOvertimePass(env, groups) {
+  let done = 0;
+  for (const g of groups) {
+    const week_key = overtimeWeekKey(g);
+    try {
+      await applyOvertimeForWeek(env, g);
+      done++;
+      if (g.retry) {
+        await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/${OVERTIME_RETRY_TABLE}?week_key=eq.${enc(week_key)}`, {
+          method: 'DELETE', headers: { Prefer: 'return=minimal' }
+        }).catch(() => {});
+      }
+    } catch (e) {
+      console.warn('[overtime] week failed:', g, e?.message || e);
+      await sbFetch(env, `${env.SUPABASE_URL}/rest/v1/${OVERTIME_RETRY_TABLE}?on_conflict=week_key`, {
+        method: 'POST', headers: { Prefer: 'resolution=merge-duplicates,return=minimal' },
+        body: JSON.stringify([{
+          week_key, candidate_id: g.candidate_id, client_id: g.client_id, week_ending_date: g.week_ending_date,
+          contract_id: g.contract_id || null, last_error: String(e?.message || e).slice(0, 1000), failed_at: nowIso(),
+        }])
+      }).catch(err => console.warn('[overtime] could not park week for retry:', week_key, err?.message || err));
+    }
+  }
+  return done;
+}
+
+// A timesheet that stops being current (revoke, query REVOKE, import supersede) no longer counts toward
+// its week's thresholds, so the other shifts' uplifts are worked out again for that week.
+async function rerunOvertimeForTimesheets(env, timesheetIds) {
+  const ids = [...new Set(timesheetIds.filter(Boolean))];
+  if (!ids.length) return 0;
+  const { rows } = await sbFetch(env,
+    `${env.SUPABASE_URL}/rest/v1/timesheets_financials?is_current=eq.true&timesheet_id=in.(${ids.map(enc).join(',')})` +
+    `&select=candidate_id,client_id,timesheet:timesheets(week_ending_date,contract_id)`);
+  const weeks = new Map();
+  for (const r of rows || []) {
+    if (!r.candidate_id || !r.client_id || !r.timesheet?.week_ending_date) continue;
+    const g = { candidate_id: r.candidate_id, client_id: r.client_id, week_ending_date: r.timesheet.week_ending_date, contract_id: r.timesheet.contract_id || null };
+    weeks.set(overtimeWeekKey(g), g);
+  }
+  return weeks.size ? runOvertimePass(env, [...weeks.values()]) : 0;
+}
+
+// Re-evaluates one candidate/client/week-ending (and contract) and patches the snapshots whose
+// overtime changed. Only current timesheets count; invoiced or paid snapshots still count toward the
+// thresholds but are left as they are.
+async function applyOvertimeForWeek(env, { candidate_id, client_id, week_ending_date, contract_id }) {
+  const { rows: raw } = await sbFetch(
+    env,
+    `${env.SUPABASE_URL}/rest/v1/timesheets_financials` +
+      `?is_current=eq.true&candidate_id=eq.${enc(candidate_id)}&client_id=eq.${enc(client_id)}` +
+      `&timesheet.week_ending_date=eq.${enc(week_ending_date)}` +
+      `&select=*,timesheet:timesheets(week_ending_date,contract_id,actual_schedule_json,is_current)`
+  );
+  const rows = (raw || []).filter(r => r.timesheet?.is_current !== false &&
+    r.timesheet?.week_ending_date === week_ending_date && (r.timesheet?.contract_id || null) === (contract_id || null));
+  if (!rows.length) return;
+
+  let rules = null;
+  if (contract_id) {
+    const c = await sbGetOne(env, `${env.SUPABASE_URL}/rest/v1/contracts?id=eq.${enc(contract_id)}&select=overtime_rules_json`);
+    rules = Array.isArray(c?.overtime_rules_json) ? c.overtime_rules_json : null;
+  }
+  if (!rules) {
+    const latest = [...rows].sort((a, b) => String(b.created_at || '').localeCompare(String(a.created_at || '')))[0];
+    rules = latest.policy_snapshot_json?.overtime_rules_json || [];
+  }
+
+  const result = computeOvertime(rules, rows.map(r => ({
+    timesheet_id: r.timesheet_id, worked_start_iso: r.worked_start_iso, buckets: snapshotBuckets(r),
+    days: r.worked_start_iso ? null : scheduleDayBuckets(r, r.timesheet?.actual_schedule_json),
+  })));
+
+  for (const r of rows) {
+    if (r.locked_by_invoice_id || r.paid_at_utc) continue;
+    const o = result.get(r.timesheet_id);
+    const next = {
+      overtime_hours: o.hours,
+      overtime_pay_ex_vat: o.pay,
+      overtime_charge_ex_vat: o.charge,
+      overtime_json: o.lines,
+    };
+    const same = asNumber(r.overtime_hours) === next.overtime_hours &&
+      asNumber(r.overtime_pay_ex_vat) === next.overtime_pay_ex_vat &&
+      asNumber(r.overtime_charge_ex_vat) === next.overtime_charge_ex_vat &&
+      JSON.stringify(r.overtime_json || []) === JSON.stringify(next.overtime_json);
+    if (same) continue;
+
+    const res = await fetch(`${env.SUPABASE_URL}/rest/v1/timesheets_financials?id=eq.${enc(r.id)}`, {
+      method: 'PATCH',
+      headers: { ...sbHeaders(env), Prefer: 'return=minimal' },
+      body: JSON.stringify(next)
+    });
+    if (!res.ok) throw new Error(`overtime patch failed: ${await res.text()}`);
+  }
+}
+
 
 // ---------------------------
 // API: Manual drain
 // ---------------------------
 async function handleTsfinDrain(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['finance:write']);
   if (!user) return unauthorized();
   const body = await parseJSONBody(req).catch(() => null);
   const limit = Math.min(Math.max(parseInt(body?.limit || '50', 10) || 50, 1), 500);
@@ -15043,7 +20269,7 @@ async function handleTsfinDrain(env, req) {
 // API: Recompute (enqueue)
 // ---------------------------
 async function handleTsfinRecompute(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['finance:write']);
   if (!user) return unauthorized();
   const body = await parseJSONBody(req).catch(() => null);
   const ids = Array.isArray(body?.timesheet_ids) ? body.timesheet_ids.slice(0, 200) : [];
@@ -15056,7 +20282,7 @@ async function handleTsfinRecompute(env, req) {
 // GET TSFIN (include exp/mileage/PO fields)
 // ----------------------------------------
 async function handleTsfinFinancials(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['finance:read']);
   if (!user) return unauthorized();
 
   const sp = new URL(req.url).searchParams;
@@ -15110,8 +20336,8 @@ async function handleTsfinFinancials(env, req) {
     const umb  = cand?.umbrella_id ? umbrellasById.get(cand.umbrella_id) : undefined;
     const effective_pay_channel = resolveEffectivePayChannel({
       pay_method: r.pay_method,
-      candidate: cand,
-      umbrella: umb
+      candidate: maskBankRow('candidates', cand),
+      umbrella: maskBankRow('umbrellas', umb)
     });
     return { ...r, effective_pay_channel };
   });
@@ -15128,7 +20354,7 @@ async function handleTsfinFinancials(env, req) {
 // settings_defaults.ts_reference_required)
 // ------------------------------------------------------
 async function handleTsfinMarkReady(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['finance:write']);
   if (!user) return unauthorized('Unauthorized');
 
   const payload = await parseJSONBody(req);
@@ -15342,7 +20568,7 @@ async function handleTsfinMarkReady(env, req) {
 // FINANCE PREVIEW (now adds exp/mileage)
 // ---------------------------------------
 async function handleFinancePreviewTsfin(env, req) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['finance:read']);
   if (!user) return unauthorized();
 
   const body = await parseJSONBody(req).catch(() => null);
@@ -15357,7 +20583,8 @@ async function handleFinancePreviewTsfin(env, req) {
       [
         'hours_day','hours_night','hours_sat','hours_sun','hours_bh',
         'pay_day','pay_night','pay_sat','pay_sun','pay_bh',
-        'charge_day','charge_night','charge_sat','charge_sun','charge_bh',
+        'charge_day','charge_night','charge_sat','charge_sun','charge_bh','custom_buckets_json',
+        'overtime_pay_ex_vat','overtime_charge_ex_vat',
         'total_pay_ex_vat','total_charge_ex_vat','total_hours',
         'expenses_pay_ex_vat','expenses_charge_ex_vat',
         'mileage_pay_ex_vat','mileage_charge_ex_vat'
@@ -15433,8 +20660,10 @@ async function handleFinancePreviewTsfin(env, req) {
     const p = { day: +r.pay_day || 0, night: +r.pay_night || 0, sat: +r.pay_sat || 0, sun: +r.pay_sun || 0, bh: +r.pay_bh || 0 };
     const c = { day: +r.charge_day || 0, night: +r.charge_night || 0, sat: +r.charge_sat || 0, sun: +r.charge_sun || 0, bh: +r.charge_bh || 0 };
 
-    const payTotal = round2(h.day*p.day + h.night*p.night + h.sat*p.sat + h.sun*p.sun + h.bh*p.bh);
-    const chgTotal = round2(h.day*c.day + h.night*c.night + h.sat*c.sat + h.sun*c.sun + h.bh*c.bh);
+    const cb = customBucketSums(r.custom_buckets_json);
+
+    const payTotal = round2(h.day*p.day + h.night*p.night + h.sat*p.sat + h.sun*p.sun + h.bh*p.bh + cb.pay + (+r.overtime_pay_ex_vat || 0));
+    const chgTotal = round2(h.day*c.day + h.night*c.night + h.sat*c.sat + h.sun*c.sun + h.bh*c.bh + cb.charge + (+r.overtime_charge_ex_vat || 0));
 
     const expChg = Number(r.expenses_charge_ex_vat || 0);
     const milChg = Number(r.mileage_charge_ex_vat || 0);
@@ -15445,7 +20674,7 @@ async function handleFinancePreviewTsfin(env, req) {
     const lineInc = round2(lineEx + lineVat);
 
     agg.hours.day += h.day; agg.hours.night += h.night; agg.hours.sat += h.sat; agg.hours.sun += h.sun; agg.hours.bh += h.bh;
-    agg.hours.total += (+r.total_hours || (h.day+h.night+h.sat+h.sun+h.bh));
+    agg.hours.total += (+r.total_hours || (h.day+h.night+h.sat+h.sun+h.bh+cb.hours));
 
     agg.totals.pay_ex_vat += payTotal;
     agg.totals.charge_ex_vat += chgTotal;
@@ -15503,7 +20732,7 @@ async function handleFinancePreviewTsfin(env, req) {
 export async function handleCreateInvoiceExpenses(env, req) {
   // EXPENSES-ONLY (and/or mileage) invoice creation, separate from HOURS.
   // Requires snapshots to be READY_FOR_INVOICE & unlocked; sums expenses/mileage parts only.
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['invoices:write']);
   if (!user) return unauthorized('Unauthorized');
 
   const body = await parseJSONBody(req).catch(() => null);
@@ -15857,7 +21086,7 @@ export async function handleCreateInvoiceExpenses(env, req) {
 // Helper: mark linked weeks as INVOICED (used by both HOURS + EXPENSES creators)
 
 export async function handleContractsPlanRanges(env, req, contractId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['contracts:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   let body;
@@ -16110,7 +21339,7 @@ export async function handleContractsUnplanRanges(env, req, contractId) {
   log('ENTRY', { contractId });
 
   // ===== Auth =====
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['contracts:write']);
   if (!user) {
     warn('UNAUTHORISED');
     return withCORS(env, req, unauthorized());
@@ -16522,7 +21751,7 @@ export async function handleContractsUnplanRanges(env, req, contractId) {
 
 
 export async function handleContractWeekPlanPatch(env, req, weekId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['contracts:write']);
   if (!user) return withCORS(env, req, unauthorized());
 
   let body;
@@ -16647,7 +21876,7 @@ async function setWeeksInvoicedForTimesheets(env, timesheetIds) {
 }
 export async function handleCreateInvoiceTsfin(env, req) {
   // (HOURS only — expenses invoiced via handleCreateInvoiceExpenses)
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['invoices:write']);
   if (!user) return unauthorized('Unauthorized');
 
   const body = await parseJSONBody(req).catch(() => null);
@@ -16818,20 +22047,24 @@ export async function handleCreateInvoiceTsfin(env, req) {
       sun: s.charge_sun == null ? null : Number(s.charge_sun),
       bh: s.charge_bh == null ? null : Number(s.charge_bh),
     };
+    const custom = Array.isArray(s.custom_buckets_json) ? s.custom_buckets_json : [];
+    const customSums = customBucketSums(custom);
 
     const line_pay_ex = round2(
       (h.day * (pay.day ?? 0)) +
       (h.night * (pay.night ?? 0)) +
       (h.sat * (pay.sat ?? 0)) +
       (h.sun * (pay.sun ?? 0)) +
-      (h.bh * (pay.bh ?? 0))
+      (h.bh * (pay.bh ?? 0)) +
+      customSums.pay
     );
     const line_charge_ex = round2(
       (h.day * (chg.day ?? 0)) +
       (h.night * (chg.night ?? 0)) +
       (h.sat * (chg.sat ?? 0)) +
       (h.sun * (chg.sun ?? 0)) +
-      (h.bh * (chg.bh ?? 0))
+      (h.bh * (chg.bh ?? 0)) +
+      customSums.charge
     );
     const margin_ex = round2(line_charge_ex - line_pay_ex);
     const vat_amount = round2(line_charge_ex * vatRatePct / 100);
@@ -16859,6 +22092,7 @@ export async function handleCreateInvoiceTsfin(env, req) {
       // NEW: include labels so the renderer prints display names
       bucket_labels: labelsForTs(s.timesheet_id),
       breakdown: { hours: h, pay, charge: chg },
+      custom_buckets: custom,
       totals: {
         line_pay_ex_vat: line_pay_ex,
         line_charge_ex_vat: line_charge_ex,
@@ -16877,6 +22111,7 @@ export async function handleCreateInvoiceTsfin(env, req) {
       hours_day: h.day, hours_night: h.night, hours_sat: h.sat, hours_sun: h.sun, hours_bh: h.bh,
       pay_day: pay.day, pay_night: pay.night, pay_sat: pay.sat, pay_sun: pay.sun, pay_bh: pay.bh,
       charge_day: chg.day, charge_night: chg.night, charge_sat: chg.sat, charge_sun: chg.sun, charge_bh: chg.bh,
+      custom_buckets_json: custom,
       total_pay_ex_vat: line_pay_ex,
       total_charge_ex_vat: line_charge_ex,
       margin_ex_vat: margin_ex,
@@ -16885,6 +22120,50 @@ export async function handleCreateInvoiceTsfin(env, req) {
       total_inc_vat,
       meta_json: hoursLineMeta
     });
+
+    // Overtime uplift from the week-level pass, as its own line
+    const otPay = Number(s.overtime_pay_ex_vat || 0);
+    const otCharge = Number(s.overtime_charge_ex_vat || 0);
+    if (otPay > 0 || otCharge > 0) {
+      const otMargin = round2(otCharge - otPay);
+      const otVat = round2(otCharge * vatRatePct / 100);
+      const otInc = round2(otCharge + otVat);
+
+      sumEx += otCharge; sumVat += otVat; sumInc += otInc;
+
+      lines.push({
+        invoice_id: invoice.id,
+        timesheet_id: s.timesheet_id,
+        booking_id: tsMeta.booking_id ?? null,
+        description: `Overtime – ${Number(s.overtime_hours || 0).toFixed(2)}h (Timesheet ${s.timesheet_id})`,
+        hours_day: 0, hours_night: 0, hours_sat: 0, hours_sun: 0, hours_bh: 0,
+        pay_day: null, pay_night: null, pay_sat: null, pay_sun: null, pay_bh: null,
+        charge_day: null, charge_night: null, charge_sat: null, charge_sun: null, charge_bh: null,
+        total_pay_ex_vat: otPay,
+        total_charge_ex_vat: otCharge,
+        margin_ex_vat: otMargin,
+        vat_rate_pct: vatRatePct,
+        vat_amount: otVat,
+        total_inc_vat: otInc,
+        meta_json: {
+          line_type: 'OVERTIME',
+          timesheet_id: s.timesheet_id,
+          timesheet_version: s.timesheet_version,
+          booking_id: tsMeta.booking_id ?? null,
+          week_ending_date_local: tsMeta.week_ending_date ?? null,
+          po_number: s.po_number ?? null,
+          overtime: s.overtime_json ?? [],
+          totals: {
+            pay_ex_vat: otPay,
+            charge_ex_vat: otCharge,
+            margin_ex_vat: otMargin,
+            vat_rate_pct: vatRatePct,
+            vat_amount: otVat,
+            total_inc_vat: otInc
+          }
+        }
+      });
+    }
   }
 
   // 5) Persist lines
@@ -16987,7 +22266,7 @@ export async function handleCreateInvoiceTsfin(env, req) {
 // Credit note: create credit for an invoice and unlock associated snapshots
 // ---------------------------
 async function handleCreateCreditNoteTsfin(env, req, invoiceId) {
-  const user = await requireUser(env, req, ['admin']);
+  const user = await requireUser(env, req, ['invoices:write']);
   if (!user) return unauthorized();
 
   // Load the original invoice we’re crediting
@@ -17210,6 +22489,83 @@ export default {
       if (req.method === 'POST' && p === '/auth/logout')  return withCORS(env, req, await handleAuthLogout(env, req));
       if (req.method === 'POST' && p === '/auth/forgot')  return withCORS(env, req, await handleAuthForgot(env, req));
       if (req.method === 'POST' && p === '/auth/reset')   return withCORS(env, req, await handleAuthReset(env, req));
+      if (req.method === 'POST' && p === '/auth/mfa/verify')        return withCORS(env, req, await handleAuthMfaVerify(env, req));
+      if (req.method === 'POST' && p === '/auth/mfa/enrol/start')   return withCORS(env, req, await handleAuthMfaEnrolStart(env, req));
+      if (req.method === 'POST' && p === '/auth/mfa/enrol/confirm') return withCORS(env, req, await handleAuthMfaEnrolConfirm(env, req));
+      if (req.method === 'POST' && p === '/auth/oidc/start')        return withCORS(env, req, await handleAuthOidcStart(env, req));
+      if (req.method === 'POST' && p === '/auth/oidc/callback')     return withCORS(env, req, await handleAuthOidcCallback(env, req));
+
+      // Candidate (mobile app) sign-in
+      if (req.method === 'POST' && p === '/auth/candidate/magic-link') return withCORS(env, req, await handleCandidateMagicLink(env, req));
+      if (req.method === 'POST' && p === '/auth/candidate/verify')     return withCORS(env, req, await handleCandidateVerify(env, req));
+      if (req.method === 'POST' && p === '/auth/candidate/pin')        return withCORS(env, req, await handleCandidatePinSet(env, req));
+      if (req.method === 'POST' && p === '/auth/candidate/pin-login')  return withCORS(env, req, await handleCandidatePinLogin(env, req));
+      if (req.method === 'POST' && p === '/auth/candidate/logout')     return withCORS(env, req, await handleCandidateLogout(env, req));
+      {
+        const cd = matchPath(p, '/api/candidates/:id/devices');
+        if (cd && req.method === 'GET')                                     return handleCandidateDevicesList(env, req, cd.id);
+        const cdOne = matchPath(p, '/api/candidates/:id/devices/:device_id');
+        if (cdOne && req.method === 'DELETE')                               return handleCandidateDeviceRevoke(env, req, cdOne.id, cdOne.device_id);
+      }
+      {
+        const gx = matchPath(p, '/api/candidates/:id/gdpr-export');
+        if (gx && req.method === 'GET')                                     return handleCandidateGdprExport(env, req, gx.id);
+        const ge = matchPath(p, '/api/candidates/:id/erase');
+        if (ge && req.method === 'POST')                                    return handleCandidateErase(env, req, ge.id);
+      }
+
+      // Two-factor (self-service + admin)
+      if (req.method === 'POST' && p === '/api/me/mfa/disable')             return handleMeMfaDisable(env, req);
+
+      // Audit log
+      if (req.method === 'GET'  && p === '/api/audit')                      return handleAuditList(env, req);
+      if (req.method === 'GET'  && p === '/api/audit/verify')               return handleAuditVerify(env, req);
+
+      // Users (back-office accounts)
+      if (req.method === 'GET'  && p === '/api/users')                      return handleUsersList(env, req);
+      if (req.method === 'POST' && p === '/api/users')                      return handleUsersInvite(env, req);
+      {
+        const uOne = matchPath(p, '/api/users/:id');
+        if (uOne && req.method === 'GET')                                   return handleUsersGet(env, req, uOne.id);
+        if (uOne && req.method === 'PATCH')                                 return handleUsersUpdate(env, req, uOne.id);
+        const uDeact = matchPath(p, '/api/users/:id/deactivate');
+        if (uDeact && req.method === 'POST')                                return handleUsersSetActive(env, req, uDeact.id, false);
+        const uReact = matchPath(p, '/api/users/:id/reactivate');
+        if (uReact && req.method === 'POST')                                return handleUsersSetActive(env, req, uReact.id, true);
+        const uOut = matchPath(p, '/api/users/:id/force-logout');
+        if (uOut && req.method === 'POST')                                  return handleUsersForceLogout(env, req, uOut.id);
+        const uPw = matchPath(p, '/api/users/:id/password-reset');
+        if (uPw && req.method === 'POST')                                   return handleUsersPasswordReset(env, req, uPw.id);
+      }
+
+      // Sessions
+      if (req.method === 'GET' && p === '/api/me/sessions')                 return handleMeSessionsList(env, req);
+      {
+        const ms = matchPath(p, '/api/me/sessions/:sid');
+        if (ms && req.method === 'DELETE')                                  return handleMeSessionRevoke(env, req, ms.sid);
+        const us = matchPath(p, '/api/users/:id/sessions');
+        if (us && req.method === 'GET')                                     return handleUserSessionsList(env, req, us.id);
+        const usOne = matchPath(p, '/api/users/:id/sessions/:sid');
+        if (usOne && req.method === 'DELETE')                               return handleUserSessionRevoke(env, req, usOne.id, usOne.sid);
+      }
+      if (req.method === 'POST' && p === '/api/me/mfa/recovery-codes')      return handleMeMfaRecoveryCodes(env, req);
+      {
+        const um = matchPath(p, '/api/users/:id/mfa');
+        if (um && req.method === 'PATCH')                                   return handleUserMfaAdmin(env, req, um.id);
+        const ul = matchPath(p, '/api/users/:id/unlock');
+        if (ul && req.method === 'POST')                                    return handleUserUnlock(env, req, ul.id);
+      }
+
+      // Bank detail encryption (KEK rotation)
+      if (req.method === 'POST' && p === '/api/admin/bank-encryption/rotate') return handleBankReencrypt(env, req);
+
+      // Service accounts (API keys)
+      if (req.method === 'GET'  && p === '/api/service-keys')               return handleServiceKeysList(env, req);
+      if (req.method === 'POST' && p === '/api/service-keys')               return handleServiceKeysCreate(env, req);
+      {
+        const sk = matchPath(p, '/api/service-keys/:id');
+        if (sk && req.method === 'DELETE')                                  return handleServiceKeysRevoke(env, req, sk.id);
+      }
 
       // ====================== HEALTH ======================
       if (req.method === "GET" && p === "/healthz") return handleHealth(env);
@@ -17225,6 +22581,72 @@ export default {
       if (req.method === "POST" && p === "/timesheets/presign")            return handlePresign(env, req);
       if (req.method === "PUT"  && p === "/upload")                         return handleUpload(env, req, url);
       if (req.method === "POST" && p === "/timesheets/submit")              return handleSubmit(env, req);
+      if (req.method === "POST" && p === "/timesheets/sync")                return handleTimesheetSync(env, req);
+
+      // Remote authoriser approval (emailed link)
+      if (req.method === "GET"  && p === "/timesheets/approval")            return handleApprovalGet(env, req, url);
+      if (req.method === "POST" && p === "/timesheets/approval/approve")    return handleApprovalApprove(env, req);
+      if (req.method === "POST" && p === "/timesheets/approval/query")      return handleApprovalQuery(env, req);
+      if (req.method === "POST" && p === "/timesheets/approval/resend")     return handleApprovalResend(env, req);
+      {
+        const ar = matchPath(p, "/api/timesheets/:id/approval-requests");
+        if (ar && req.method === "GET")                                     return handleTimesheetApprovalRequestsList(env, req, ar.id);
+        if (ar && req.method === "POST")                                    return handleTimesheetApprovalRequestCreate(env, req, ar.id);
+      }
+      if (req.method === "GET" && p === "/api/timesheets/late-review")      return handleLateReviewList(env, req);
+      if (req.method === "GET" && p === "/api/timesheets/callout-review")   return handleCalloutReviewList(env, req);
+
+      // Timesheet import (CSV / XLSX)
+      if (req.method === "GET"  && p === "/api/timesheets/import/profiles") return handleTimesheetImportProfilesList(env, req);
+      if (req.method === "POST" && p === "/api/timesheets/import/profiles") return handleTimesheetImportProfileSave(env, req);
+      if (req.method === "POST" && p === "/api/timesheets/import")          return handleTimesheetImport(env, req);
+      {
+        const ti = matchPath(p, "/api/timesheets/import/:id");
+        if (ti && req.method === "GET")                                     return handleTimesheetImportGet(env, req, ti.id);
+      }
+      {
+        const ti = matchPath(p, "/api/timesheets/import/:id/errors");
+        if (ti && req.method === "GET")                                     return handleTimesheetImportErrors(env, req, ti.id);
+      }
+      {
+        const ti = matchPath(p, "/api/timesheets/import/:id/commit");
+        if (ti && req.method === "POST")                                    return handleTimesheetImportCommit(env, req, ti.id);
+      }
+      {
+        const lr = matchPath(p, "/api/timesheets/:id/late-review");
+        if (lr && req.method === "POST")                                    return handleLateReviewDecide(env, req, lr.id);
+      }
+      {
+        const cr = matchPath(p, "/api/timesheets/:id/callout-review");
+        if (cr && req.method === "POST")                                    return handleCalloutReviewDecide(env, req, cr.id);
+      }
+
+      // Timesheet queries (disputes) – staff, candidate token and client link
+      if (req.method === "GET" && p === "/api/timesheet-queries")           return handleTimesheetQueriesList(env, req);
+      {
+        const tq = matchPath(p, "/api/timesheets/:id/queries");
+        if (tq && req.method === "POST")                                    return handleTimesheetQueryOpen(env, req, tq.id);
+      }
+      {
+        const tq = matchPath(p, "/api/timesheet-queries/:id");
+        if (tq && req.method === "GET")                                     return handleTimesheetQueryGet(env, req, tq.id);
+      }
+      {
+        const tq = matchPath(p, "/api/timesheet-queries/:id/comments");
+        if (tq && req.method === "POST")                                    return handleTimesheetQueryComment(env, req, tq.id);
+      }
+      {
+        const tq = matchPath(p, "/api/timesheet-queries/:id/invite-client");
+        if (tq && req.method === "POST")                                    return handleTimesheetQueryInviteClient(env, req, tq.id);
+      }
+      {
+        const tq = matchPath(p, "/api/timesheet-queries/:id/resolve");
+        if (tq && req.method === "POST")                                    return handleTimesheetQueryResolve(env, req, tq.id);
+      }
+      if (req.method === "GET"  && p === "/timesheets/queries")             return handleCandidateQueriesList(env, req, url);
+      if (req.method === "POST" && p === "/timesheets/queries/comment")     return handleCandidateQueryComment(env, req);
+      if (req.method === "GET"  && p === "/timesheets/query-thread")        return handleClientQueryGet(env, req, url);
+      if (req.method === "POST" && p === "/timesheets/query-thread/comment") return handleClientQueryComment(env, req);
 
       // Time / TZ checks
       if (req.method === "POST" && p === "/time/uk-check")                  return handleUKTimeCheck(env, req);
@@ -17250,6 +22672,8 @@ export default {
       // Settings (singleton)
       if (req.method === 'GET' && p === '/api/settings/defaults')           return handleGetSettings(env, req);
       if (req.method === 'PUT' && p === '/api/settings/defaults')           return handleUpdateSettings(env, req);
+      if (req.method === 'GET' && p === '/api/bank-holidays')               return handleGetBankHolidays(env, req, url);
+      if (req.method === 'POST' && p === '/api/bank-holidays/feed')         return handleUploadBankHolidayFeed(env, req);
 
       // Clients
       if (req.method === 'GET' && p === '/api/clients')                     return handleListClients(env, req);
@@ -17514,6 +22938,7 @@ if (req.method === 'GET' && p === '/api/rates/presets') {
 
       if (req.method === 'POST' && p === '/api/email/outbox/mark-sent')      return handleOutboxMarkSent(env, req);
       if (req.method === 'POST' && p === '/api/email/outbox/mark-failed')    return handleOutboxMarkFailed(env, req);
+      if (req.method === 'POST' && p === '/api/email/outbox/callback')       return handleOutboxCallback(env, req);
 
       if (req.method === 'POST' && p === '/api/email/send')                  return handleEmailSend(env, req);
       if (req.method === 'POST' && p === '/api/email/broadcast')             return handleEmailSend(env, req);
@@ -17642,6 +23067,7 @@ if (req.method === 'POST' && p === '/api/contracts/check-timesheet-boundary') {
       // NEW ROUTES — Manual & Expenses
       // =============================================================================
       if (req.method === 'POST' && p === '/manual/presign') return handleManualPresign(env, req);
+      if (req.method === 'POST' && p === '/manual/photos')  return handleManualPhotosUpload(env, req);
       {
         const m = matchPath(p, '/api/timesheets/:id/reference');
         if (m && req.method === 'PATCH') return handleTimesheetUpdateReference(env, req, m.id);
@@ -17670,6 +23096,10 @@ if (req.method === 'POST' && p === '/api/contracts/check-timesheet-boundary') {
         const m = matchPath(p, '/api/timesheets/:id/replace-manual-pdf');
         if (m && req.method === 'POST') return handleTimesheetReplaceManualPdf(env, req, m.id);
       }
+      {
+        const m = matchPath(p, '/api/timesheets/:id/manual-photos');
+        if (m && req.method === 'POST') return handleTimesheetManualPhotos(env, req, m.id);
+      }
 
       // =============================================================================
       // NEW ROUTES — Funnel & Prechecks
@@ -17700,6 +23130,7 @@ if (req.method === 'POST' && p === '/api/contracts/check-timesheet-boundary') {
     // 1) drain TSFIN queue (may promote snapshots to READY_FOR_INVOICE)
     // 2) auto-invoice (create HOURS-only invoices for auto_invoice=true contracts and issue them)
     // 3) drain email outbox (send queued emails)
+    // 4) encrypt / re-wrap a batch of bank details (no-op once everything is on the active KEK)
     ctx.waitUntil((async () => {
       try {
         for (let i = 0; i < maxBatches; i++) {
@@ -17721,6 +23152,12 @@ if (req.method === 'POST' && p === '/api/contracts/check-timesheet-boundary') {
       } catch (e) {
         console.warn('[scheduled] Email drain failed:', e?.message || e);
       }
+
+      try {
+        await runBankReencryptOnce(env, { limit: 50 });
+      } catch (e) {
+        console.warn('[scheduled] Bank re-encryption failed:', e?.message || e);
+      }
     })());
   }
 }
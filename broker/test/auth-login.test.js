@@ -0,0 +1,56 @@
+// Password login: failed guesses from one address must not keep the owner out from another
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../src/index.js';
+import { baseEnv, jsonPost, stubFetch } from './fakes.js';
+
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+
+// Same format as pbkdf2Hash(), with few iterations to keep the test quick
+async function hashPassword(password, iterations = 1000) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), { name: 'PBKDF2' }, false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+  return `pbkdf2:sha256$${iterations}$${b64url(salt)}$${b64url(bits)}`;
+}
+
+test('the right password still signs in after the email has run out of failed attempts elsewhere', async (t) => {
+  const user = {
+    id: 'u-1', email: 'ops@example.com', role: 'admin', is_active: true, session_version: 1,
+    password_hash: await hashPassword('correct horse'),
+  };
+  const sb = stubFetch([[url => url.includes('/rest/v1/tms_users?email=eq.'), () => [user]]]);
+  t.after(() => sb.restore());
+  const env = baseEnv();
+  const login = (password, ip) => worker.fetch(jsonPost('/auth/login', { email: user.email, password }, { 'cf-connecting-ip': ip }), env);
+
+  // Wrong guesses spread over many addresses until the per-email limit answers 429
+  let last;
+  for (let i = 0; i < 12; i++) last = await login('guess-' + i, `198.51.100.${i}`);
+  assert.equal(last.status, 429);
+
+  const res = await login('correct horse', '203.0.113.7');
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.ok, true);
+  assert.equal(body.user.id, 'u-1');
+  assert.ok(body.access_token);
+});
+
+test('a locked address stays locked even with the right password', async (t) => {
+  const user = {
+    id: 'u-2', email: 'pay@example.com', role: 'admin', is_active: true, session_version: 1,
+    password_hash: await hashPassword('right'),
+  };
+  const sb = stubFetch([[url => url.includes('/rest/v1/tms_users?email=eq.'), () => [user]]]);
+  t.after(() => sb.restore());
+  const env = baseEnv();
+  const login = (password, ip) => worker.fetch(jsonPost('/auth/login', { email: user.email, password }, { 'cf-connecting-ip': ip }), env);
+
+  for (let i = 0; i < 5; i++) await login('wrong', '198.51.100.50');
+  const locked = await login('right', '198.51.100.50');
+  assert.equal(locked.status, 429);
+  assert.equal((await locked.json()).error, 'ACCOUNT_LOCKED');
+
+  assert.equal((await login('right', '203.0.113.9')).status, 200);
+});
@@ -0,0 +1,45 @@
+// In-memory stand-ins for the Worker bindings and Supabase, shared by the handler tests
+export function memoryKv() {
+  const m = new Map();
+  const meta = new Map();
+  return {
+    map: m,
+    async get(k) { return m.has(k) ? m.get(k) : null; },
+    async put(k, v, opts = {}) { m.set(k, String(v)); meta.set(k, opts.metadata); },
+    async delete(k) { m.delete(k); meta.delete(k); },
+    async list({ prefix = '' } = {}) {
+      const keys = [...m.keys()].filter(k => k.startsWith(prefix)).map(name => ({ name, ...(meta.get(name) ? { metadata: meta.get(name) } : {}) }));
+      return { keys, list_complete: true };
+    },
+  };
+}
+
+// Replaces global fetch: `routes` is [[matcher(url, init), handler(url, init) → Response|json]]; anything else gets [].
+export function stubFetch(routes) {
+  const real = globalThis.fetch;
+  const calls = [];
+  globalThis.fetch = async (input, init = {}) => {
+    const url = String(input?.url || input);
+    calls.push({ url, init });
+    for (const [match, handle] of routes) {
+      if (match(url, init)) {
+        const out = await handle(url, init);
+        return out instanceof Response ? out : Response.json(out);
+      }
+    }
+    return Response.json([]);
+  };
+  return { calls, restore() { globalThis.fetch = real; } };
+}
+
+export const baseEnv = (extra = {}) => ({
+  SUPABASE_URL: 'https://sb.test',
+  SUPABASE_SERVICE_ROLE_KEY: 'service-key',
+  SESSION_TOKEN_SECRET: 'session-secret-for-tests',
+  SESSIONS: memoryKv(),
+  ...extra,
+});
+
+export const jsonPost = (path, body, headers = {}) => new Request(`https://broker.test${path}`, {
+  method: 'POST', headers: { 'content-type': 'application/json', ...headers }, body: JSON.stringify(body),
+});
@@ -0,0 +1,127 @@
+// Hours classification engine: overnight shifts across both clock changes and bank holidays,
+// and the same shift giving the same buckets whether it arrives as a daily timesheet or a
+// contract-week schedule day.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  timeBandsFromPolicy, classifyShift, bucketHours, shiftFromTimesheet, shiftFromScheduleDay,
+} from '../src/index.js';
+
+const POLICY = { timezone_id: 'Europe/London', day_start: '06:00', day_end: '20:00', bh_list: ['2025-12-25', '2025-12-26'] };
+
+const hoursOf = (policy, shift) => bucketHours(classifyShift(timeBandsFromPolicy(policy), shift));
+const total = (h) => h.hours_day + h.hours_night + h.hours_sat + h.hours_sun + h.hours_bh;
+
+test('autumn clock change: Sat 20:00 → Sun 08:00 pays the 13 hours worked', () => {
+  const bands = timeBandsFromPolicy(POLICY);
+  const h = hoursOf(POLICY, shiftFromScheduleDay(bands.tz, { date: '2025-10-25', start: '20:00', end: '08:00' }));
+  assert.equal(total(h), 13);
+  assert.equal(h.hours_sat, 4);
+  assert.equal(h.hours_sun, 9);
+});
+
+test('spring clock change: Sat 20:00 → Sun 08:00 pays the 11 hours worked', () => {
+  const bands = timeBandsFromPolicy(POLICY);
+  const h = hoursOf(POLICY, shiftFromScheduleDay(bands.tz, { date: '2026-03-28', start: '20:00', end: '08:00' }));
+  assert.equal(total(h), 11);
+  assert.equal(h.hours_sat, 4);
+  assert.equal(h.hours_sun, 7);
+});
+
+test('changeover night: the hour lost at 01:00 on Sun 29 Mar 2026 comes out of Sunday', () => {
+  // Sat 22:00 → Sun 03:00 local: 2h Saturday, then 00:00–01:00 GMT and 02:00–03:00 BST
+  const bands = timeBandsFromPolicy(POLICY);
+  const h = hoursOf(POLICY, shiftFromScheduleDay(bands.tz, { date: '2026-03-28', start: '22:00', end: '03:00' }));
+  assert.deepEqual([h.hours_sat, h.hours_sun], [2, 2]);
+  assert.equal(total(h), 4);
+});
+
+test('a duration-only break comes off the largest bucket unless MID_SHIFT is chosen', () => {
+  // Mon 14:00–02:00 with 60 min: 6h day, 6h night; ties go to night, the middle of the shift is 20:00
+  const shift = (policy) => shiftFromScheduleDay(timeBandsFromPolicy(policy).tz, { date: '2025-07-14', start: '14:00', end: '02:00', break_minutes: 60 });
+  const h = hoursOf(POLICY, shift(POLICY));
+  assert.deepEqual([h.hours_day, h.hours_night], [6, 5]);
+  const mid = { ...POLICY, break_placement: 'MID_SHIFT' };
+  const m = hoursOf(mid, shift(mid));
+  assert.deepEqual([m.hours_day, m.hours_night], [5.5, 5.5]);
+});
+
+test('Christmas Eve night splits at local midnight into night and bank holiday', () => {
+  const bands = timeBandsFromPolicy(POLICY);
+  const h = hoursOf(POLICY, shiftFromScheduleDay(bands.tz, { date: '2025-12-24', start: '20:00', end: '08:00' }));
+  assert.equal(h.hours_night, 4);
+  assert.equal(h.hours_bh, 8);
+  assert.equal(total(h), 12);
+});
+
+test('Boxing Day into Saturday: bank holiday beats Saturday only on the holiday date', () => {
+  const bands = timeBandsFromPolicy(POLICY);
+  const h = hoursOf(POLICY, shiftFromScheduleDay(bands.tz, { date: '2025-12-26', start: '19:00', end: '07:00' }));
+  assert.equal(h.hours_bh, 5);
+  assert.equal(h.hours_sat, 7);
+});
+
+const SAME_SHIFTS = [
+  {
+    name: 'autumn overnight',
+    daily: { worked_start_iso: '2025-10-25T19:00:00Z', worked_end_iso: '2025-10-26T08:00:00Z' },
+    weekly: { date: '2025-10-25', start: '20:00', end: '08:00' },
+  },
+  {
+    name: 'spring overnight',
+    daily: { worked_start_iso: '2026-03-28T20:00:00Z', worked_end_iso: '2026-03-29T07:00:00Z' },
+    weekly: { date: '2026-03-28', start: '20:00', end: '08:00' },
+  },
+  {
+    name: 'Christmas Eve night with a timed break',
+    daily: {
+      worked_start_iso: '2025-12-24T20:00:00Z', worked_end_iso: '2025-12-25T08:00:00Z',
+      break_start_iso: '2025-12-24T23:30:00Z', break_end_iso: '2025-12-25T00:30:00Z',
+    },
+    weekly: { date: '2025-12-24', start: '20:00', end: '08:00', breaks: [{ start: '23:30', end: '00:30' }] },
+  },
+  {
+    name: 'summer day with a duration-only break',
+    daily: { worked_start_iso: '2025-07-14T06:30:00Z', worked_end_iso: '2025-07-14T19:00:00Z', break_minutes: 45 },
+    weekly: { date: '2025-07-14', start: '07:30', end: '20:00', break_minutes: 45 },
+  },
+];
+
+for (const { name, daily, weekly } of SAME_SHIFTS) {
+  for (const placement of ['MID_SHIFT', 'LARGEST_BUCKET']) {
+    test(`daily and weekly submission agree: ${name} (${placement})`, () => {
+      const policy = { ...POLICY, break_placement: placement };
+      const bands = timeBandsFromPolicy(policy);
+      const fromDaily = hoursOf(policy, shiftFromTimesheet(daily));
+      const fromWeekly = hoursOf(policy, shiftFromScheduleDay(bands.tz, weekly));
+      assert.deepEqual(fromDaily, fromWeekly);
+      assert.ok(total(fromDaily) > 0);
+    });
+  }
+}
+
+test('call-out minimum replaces the shift minimum for call-outs', () => {
+  const policy = { ...POLICY, min_paid_hours: 4, callout_min_hours: 2 };
+  const base = { worked_start_iso: '2025-07-14T09:00:00Z', worked_end_iso: '2025-07-14T10:00:00Z' };
+  assert.equal(hoursOf(policy, shiftFromTimesheet(base)).hours_day, 4);
+  const callout = { ...base, is_callout: true, callout_confirmed_at: '2025-07-14T12:00:00Z' };
+  assert.equal(hoursOf(policy, shiftFromTimesheet(callout)).hours_day, 2);
+  assert.equal(hoursOf({ ...policy, callout_min_hours: 0 }, shiftFromTimesheet(callout)).hours_day, 4);
+});
+
+test('a call-out the candidate flagged pays no call-out minimum until it is confirmed', () => {
+  const policy = { ...POLICY, callout_min_hours: 3 };
+  const claimed = { worked_start_iso: '2025-07-14T09:00:00Z', worked_end_iso: '2025-07-14T10:00:00Z', is_callout: true };
+  assert.equal(hoursOf(policy, shiftFromTimesheet(claimed)).hours_day, 1);
+  assert.equal(hoursOf(policy, shiftFromTimesheet({ ...claimed, callout_confirmed_at: '2025-07-14T12:00:00Z' })).hours_day, 3);
+});
+
+test('rounding moves the end of the shift and is traced', () => {
+  const policy = { ...POLICY, rounding_mode: 'UP', rounding_increment_minutes: 15 };
+  const trace = {};
+  // 18:50–20:07 BST, 77 minutes → 90: paid to 20:20, so the extra lands in night
+  const shift = shiftFromTimesheet({ worked_start_iso: '2025-07-14T17:50:00Z', worked_end_iso: '2025-07-14T19:07:00Z' });
+  const h = bucketHours(classifyShift(timeBandsFromPolicy(policy), shift, undefined, trace));
+  assert.deepEqual([h.hours_day, h.hours_night], [1.17, 0.33]);
+  assert.deepEqual(trace, { clocked_minutes: 77, paid_minutes: 90 });
+});
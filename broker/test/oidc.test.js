@@ -0,0 +1,106 @@
+// SSO against a stand-in OpenID provider: only addresses the IdP vouches for may sign in to an account
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../src/index.js';
+import { baseEnv, jsonPost, stubFetch } from './fakes.js';
+
+const ISSUER = 'https://idp.test/tenant-1/v2.0';
+const CLIENT_ID = 'broker-app';
+const b64url = (v) => Buffer.from(typeof v === 'string' ? v : new Uint8Array(v)).toString('base64url');
+
+const keys = await crypto.subtle.generateKey(
+  { name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+  true, ['sign', 'verify']);
+const jwk = { ...(await crypto.subtle.exportKey('jwk', keys.publicKey)), kid: 'k1', use: 'sig' };
+
+async function signIdToken(claims) {
+  const head = b64url(JSON.stringify({ alg: 'RS256', kid: 'k1', typ: 'JWT' }));
+  const body = b64url(JSON.stringify(claims));
+  const sig = await crypto.subtle.sign('RSASSA-PKCS1-v1_5', keys.privateKey, new TextEncoder().encode(`${head}.${body}`));
+  return `${head}.${body}.${b64url(sig)}`;
+}
+
+const USER = { id: 'u-ops', email: 'ops@nhs-trust.example', role: 'admin', is_active: true, session_version: 1 };
+
+// Runs start → callback with the provider issuing `claims` (nonce/iss/aud/exp filled in) → { res, body, lookups }
+async function signIn(claims, envExtra = {}) {
+  let nonce;
+  const lookups = [];
+  const sb = stubFetch([
+    [url => url === `${ISSUER}/.well-known/openid-configuration`, () => ({
+      issuer: ISSUER, authorization_endpoint: 'https://idp.test/authorize',
+      token_endpoint: 'https://idp.test/token', jwks_uri: 'https://idp.test/keys',
+    })],
+    [url => url === 'https://idp.test/keys', () => ({ keys: [jwk] })],
+    [url => url === 'https://idp.test/token', async (url, init) => {
+      assert.equal(new URLSearchParams(init.body).get('code'), 'auth-code');
+      const now = Math.floor(Date.now() / 1000);
+      return { id_token: await signIdToken({ iss: ISSUER, aud: CLIENT_ID, iat: now, exp: now + 300, nonce, sub: 'sub-1', ...claims }) };
+    }],
+    [url => url.includes('/rest/v1/tms_users?email=eq.'), (url) => {
+      const email = decodeURIComponent(/email=eq\.([^&]+)/.exec(url)[1]);
+      lookups.push(email);
+      return email === USER.email ? [USER] : [];
+    }],
+  ]);
+  try {
+    const env = baseEnv({ OIDC_ISSUER: ISSUER, OIDC_CLIENT_ID: CLIENT_ID, OIDC_REDIRECT_URI: 'https://app.test/sso', ...envExtra });
+    const start = await worker.fetch(jsonPost('/auth/oidc/start', {}), env);
+    assert.equal(start.status, 200);
+    const authUrl = new URL((await start.json()).authorization_url);
+    nonce = authUrl.searchParams.get('nonce');
+    assert.equal(authUrl.searchParams.get('code_challenge_method'), 'S256');
+
+    const res = await worker.fetch(jsonPost('/auth/oidc/callback', { code: 'auth-code', state: authUrl.searchParams.get('state') }), env);
+    return { res, body: await res.json(), lookups };
+  } finally {
+    sb.restore();
+  }
+}
+
+test('a verified email signs in to the matching account', async () => {
+  const { res, body } = await signIn({ email: 'Ops@NHS-Trust.example', email_verified: true });
+  assert.equal(res.status, 200);
+  assert.equal(body.sso, true);
+  assert.equal(body.user.id, 'u-ops');
+});
+
+test('an email the IdP has not verified is refused before any account lookup', async () => {
+  const { res, body, lookups } = await signIn({ email: USER.email });
+  assert.equal(res.status, 401);
+  assert.equal(body.error, 'SSO_EMAIL_NOT_ALLOWED');
+  assert.deepEqual(lookups, []);
+});
+
+test('preferred_username and upn are not used in place of a missing email', async () => {
+  const { res, lookups } = await signIn({ preferred_username: USER.email, upn: USER.email, email_verified: true });
+  assert.equal(res.status, 401);
+  assert.deepEqual(lookups, []);
+});
+
+test('with a pinned tenant the upn from that tenant is used and the editable email ignored', async () => {
+  const env = { OIDC_TENANT_ID: 'tid-home' };
+  const home = await signIn({ tid: 'tid-home', upn: USER.email, email: 'someone-else@example.com' }, env);
+  assert.equal(home.res.status, 200);
+  assert.deepEqual(home.lookups, [USER.email]);
+
+  const other = await signIn({ tid: 'tid-other', upn: USER.email }, env);
+  assert.equal(other.res.status, 401);
+  assert.deepEqual(other.lookups, []);
+
+  const guest = await signIn({ tid: 'tid-home', upn: 'ops_nhs-trust.example#EXT#@home.onmicrosoft.com' }, env);
+  assert.equal(guest.res.status, 401);
+});
+
+test('a token signed by another key is rejected', async (t) => {
+  const rogue = await crypto.subtle.generateKey(
+    { name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+    true, ['sign', 'verify']);
+  const realPrivate = keys.privateKey;
+  keys.privateKey = rogue.privateKey;
+  t.after(() => { keys.privateKey = realPrivate; });
+
+  const { res, body } = await signIn({ email: USER.email, email_verified: true });
+  assert.equal(res.status, 401);
+  assert.equal(body.error, 'SSO_TOKEN_INVALID');
+});
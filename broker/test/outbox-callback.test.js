@@ -0,0 +1,33 @@
+// Provider delivery callbacks: a retry after our own error must still be applied, a true replay must not
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../src/index.js';
+import { baseEnv, jsonPost, stubFetch } from './fakes.js';
+
+async function signedCallback(secret, body) {
+  const ts = String(Math.floor(Date.now() / 1000));
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const sig = Buffer.from(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`${ts}.${JSON.stringify(body)}`))).toString('hex');
+  return jsonPost('/api/email/outbox/callback', body, { 'x-ctms-flow': 'mailer', 'x-ctms-timestamp': ts, 'x-ctms-signature': `v1=${sig}` });
+}
+
+test('a callback retried after a failed status update is applied; a replay of an applied one is refused', async (t) => {
+  let failNext = true;
+  const sb = stubFetch([[
+    (url, init) => url.includes('/rest/v1/mail_outbox?id=eq.ob-1') && init.method === 'PATCH',
+    () => {
+      if (failNext) { failNext = false; return new Response('upstream timeout', { status: 503 }); }
+      return [{ id: 'ob-1', type: 'INVOICE' }];
+    },
+  ]]);
+  t.after(() => sb.restore());
+  const env = baseEnv({ OUTBOX_CALLBACK_SECRETS: JSON.stringify({ mailer: 'cb-secret' }) });
+  const body = { id: 'ob-1', event: 'DELIVERED', provider_message_id: 'pm-9' };
+  const req = await signedCallback('cb-secret', body);
+
+  assert.equal((await worker.fetch(req.clone(), env)).status, 500);
+  const retry = await worker.fetch(req.clone(), env);
+  assert.equal(retry.status, 200);
+  assert.equal((await retry.json()).status, 'DELIVERED');
+  assert.equal((await worker.fetch(req.clone(), env)).status, 409);
+});
@@ -0,0 +1,54 @@
+// Overtime over contract weeks: DAILY rules need each day's hours, not the week's total
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { computeOvertime, scheduleDayBuckets } from '../src/index.js';
+
+const POLICY = { timezone_id: 'Europe/London', day_start: '06:00', day_end: '20:00', bh_list: [] };
+
+// Mon–Thu 07:00–19:30 (12.5h) then Fri 07:00–14:00 (7h): 57h in the week, no day over 12.5h
+const WEEK = [
+  ...['2025-07-14', '2025-07-15', '2025-07-16', '2025-07-17'].map(date => ({ date, start: '07:00', end: '19:30' })),
+  { date: '2025-07-18', start: '07:00', end: '14:00' },
+];
+const snapshot = {
+  timesheet_id: 'cw-1', worked_start_iso: null, policy_snapshot_json: POLICY,
+  hours_day: 57, hours_night: 0, hours_sat: 0, hours_sun: 0, hours_bh: 0,
+  pay_rate_day: 20, rate_day: 30,
+};
+const row = (days) => ({
+  timesheet_id: 'cw-1', worked_start_iso: null, days,
+  buckets: [{ code: 'day', hours: 57, pay: 20, charge: 30 }],
+});
+
+test('schedule days are reclassified under the snapshot policy and priced at its rates', () => {
+  const days = scheduleDayBuckets(snapshot, WEEK);
+  assert.equal(days.length, 5);
+  assert.deepEqual(days[0], { date: '2025-07-14', buckets: [{ code: 'day', hours: 12.5, pay: 20, charge: 30 }] });
+  assert.deepEqual(scheduleDayBuckets(snapshot, null), []);
+});
+
+test('a contract week with no day over the daily threshold has no daily overtime', () => {
+  const rules = [
+    { basis: 'DAILY', threshold_hours: 12.5, multiplier: 1.5 },
+    { basis: 'WEEKLY', threshold_hours: 48, multiplier: 1.25 },
+  ];
+  const o = computeOvertime(rules, [row(scheduleDayBuckets(snapshot, WEEK))]).get('cw-1');
+  assert.deepEqual(o.lines.map(l => [l.basis, l.hours]), [['WEEKLY', 9]]);
+});
+
+test('daily overtime is counted per schedule day and left out of the weekly count', () => {
+  const rules = [
+    { basis: 'DAILY', threshold_hours: 12, multiplier: 1.5 },
+    { basis: 'WEEKLY', threshold_hours: 48, multiplier: 1.25 },
+  ];
+  const o = computeOvertime(rules, [row(scheduleDayBuckets(snapshot, WEEK))]).get('cw-1');
+  assert.equal(o.lines.filter(l => l.basis === 'DAILY').reduce((n, l) => n + l.hours, 0), 2);
+  assert.deepEqual(o.lines.filter(l => l.basis === 'WEEKLY').map(l => l.hours), [7]);
+  assert.equal(o.hours, 9);
+});
+
+test('a totals-only contract week only counts toward weekly rules', () => {
+  const rules = [{ basis: 'DAILY', threshold_hours: 12.5, multiplier: 1.5 }, { basis: 'WEEKLY', threshold_hours: 48, multiplier: 1.25 }];
+  const o = computeOvertime(rules, [row([])]).get('cw-1');
+  assert.deepEqual(o.lines.map(l => [l.basis, l.hours]), [['WEEKLY', 9]]);
+});
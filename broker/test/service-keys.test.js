@@ -0,0 +1,27 @@
+// Service-account API keys: hash check and what a machine identity may not do
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import worker from '../src/index.js';
+import { baseEnv, jsonPost, stubFetch } from './fakes.js';
+
+const KEY = 'ctms_sk_abcd1234_' + 'k'.repeat(32);
+const keyRow = (hash) => ({ id: 'key-1', name: 'payroll', key_prefix: 'abcd1234', key_hash: hash, scopes: ['*'], last_used_at: new Date().toISOString() });
+
+test('a service key can call the API but cannot mint or revoke keys, and a wrong key is refused', async (t) => {
+  let row = keyRow(createHash('sha256').update(KEY).digest('hex'));
+  const sb = stubFetch([[url => url.includes('/rest/v1/tms_api_keys?key_prefix=eq.abcd1234'), () => [row]]]);
+  t.after(() => sb.restore());
+  const env = baseEnv();
+
+  const list = await worker.fetch(new Request('https://broker.test/api/service-keys', { headers: { 'x-api-key': KEY } }), env);
+  assert.equal(list.status, 200);
+
+  const create = await worker.fetch(jsonPost('/api/service-keys', { name: 'escalate', scopes: ['*'] }, { 'x-api-key': KEY }), env);
+  assert.equal(create.status, 403);
+  assert.ok(!sb.calls.some(c => c.init.method === 'POST' && c.url.includes('/rest/v1/tms_api_keys')));
+
+  row = keyRow(createHash('sha256').update(KEY + 'x').digest('hex'));
+  const wrong = await worker.fetch(new Request('https://broker.test/api/service-keys', { headers: { 'x-api-key': KEY } }), env);
+  assert.equal(wrong.status, 401);
+});
@@ -0,0 +1,44 @@
+// Session listing and refresh after a session_version bump (password change, role change, reset)
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../src/index.js';
+import { baseEnv, jsonPost, stubFetch } from './fakes.js';
+
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+
+async function hashPassword(password, iterations = 1000) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), { name: 'PBKDF2' }, false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+  return `pbkdf2:sha256$${iterations}$${b64url(salt)}$${b64url(bits)}`;
+}
+
+test('sessions from before a session_version bump are neither listed nor refreshable', async (t) => {
+  const user = {
+    id: 'u-7', email: 'ops7@example.com', role: 'admin', is_active: true, session_version: 1,
+    password_hash: await hashPassword('pw'),
+  };
+  const sb = stubFetch([[url => url.includes('/rest/v1/tms_users?'), () => [user]]]);
+  t.after(() => sb.restore());
+  const env = baseEnv();
+  const login = async () => {
+    const res = await worker.fetch(jsonPost('/auth/login', { email: user.email, password: 'pw' }, { 'cf-connecting-ip': '203.0.113.20' }), env);
+    assert.equal(res.status, 200);
+    return { cookie: res.headers.get('set-cookie').split(';')[0], token: (await res.json()).access_token };
+  };
+
+  const stale = await login();
+  await login();
+  user.session_version = 2;    // e.g. a password change elsewhere, which does not touch KV
+  const fresh = await login();
+
+  const res = await worker.fetch(new Request('https://broker.test/api/me/sessions', { headers: { authorization: `Bearer ${fresh.token}` } }), env);
+  assert.equal(res.status, 200);
+  const { items } = await res.json();
+  assert.equal(items.length, 1);
+  assert.equal(items[0].current, true);
+  assert.equal([...env.SESSIONS.map.keys()].filter(k => k.startsWith('sid:')).length, 1);
+
+  const refresh = await worker.fetch(new Request('https://broker.test/auth/refresh', { method: 'POST', headers: { cookie: stale.cookie } }), env);
+  assert.equal(refresh.status, 401);
+});